@@ -2,13 +2,25 @@
 -- SQL script to create the database schema for the School Tennis application
 
 -- Drop tables in reverse order of creation to handle dependencies
+DROP TABLE IF EXISTS audit_log CASCADE;
+DROP TABLE IF EXISTS result_comments CASCADE;
+DROP TABLE IF EXISTS meet_schedule_changes CASCADE;
+DROP TABLE IF EXISTS api_tokens CASCADE;
+DROP TABLE IF EXISTS user_sessions CASCADE;
+DROP TABLE IF EXISTS login_attempts CASCADE;
+DROP TABLE IF EXISTS user_tokens CASCADE;
+DROP TABLE IF EXISTS invites CASCADE;
 DROP TABLE IF EXISTS stats CASCADE;
+DROP TABLE IF EXISTS stat_definitions CASCADE;
 DROP TABLE IF EXISTS sets CASCADE;
 DROP TABLE IF EXISTS matches CASCADE;
+DROP TABLE IF EXISTS roster_entries CASCADE;
 DROP TABLE IF EXISTS meets CASCADE;
 DROP TABLE IF EXISTS meet_formats CASCADE;
 DROP TABLE IF EXISTS players CASCADE;
+DROP TABLE IF EXISTS team_staff CASCADE;
 DROP TABLE IF EXISTS teams CASCADE;
+DROP TABLE IF EXISTS schools CASCADE;
 DROP TABLE IF EXISTS users CASCADE;
 DROP TABLE IF EXISTS roles CASCADE;
 DROP TABLE IF EXISTS seasons CASCADE;
@@ -27,6 +39,20 @@ CREATE TABLE users (
     name TEXT NOT NULL,
     role_id INTEGER NOT NULL REFERENCES roles(id),
     password TEXT, -- Nullable, for local authentication password hash
+    email_verified_at TIMESTAMP WITH TIME ZONE, -- Set once the user follows the verification link (or resets their password)
+    failed_login_count INTEGER NOT NULL DEFAULT 0, -- Failed logins since the last successful login (or unlock)
+    last_failed_login_at TIMESTAMP WITH TIME ZONE,
+    locked_until TIMESTAMP WITH TIME ZONE, -- Set after too many failed logins
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create schools table (a school's tennis program, which can have teams at several levels)
+CREATE TABLE schools (
+    id SERIAL PRIMARY KEY,
+    name TEXT UNIQUE NOT NULL,
+    short_name TEXT, -- e.g., 'LHS', for scoreboards
+    city TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
@@ -35,17 +61,30 @@ CREATE TABLE users (
 CREATE TABLE teams (
     id SERIAL PRIMARY KEY,
     name TEXT NOT NULL,
-    coach_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Allow coach removal without deleting team
+    school_id INTEGER REFERENCES schools(id) ON DELETE RESTRICT, -- The school (program) the team belongs to; a school with teams can't be deleted
+    level TEXT NOT NULL DEFAULT 'varsity' CHECK (level IN ('varsity', 'junior_varsity', 'middle_school')), -- Standings are kept per level and gender
+    gender TEXT NOT NULL DEFAULT 'coed' CHECK (gender IN ('boys', 'girls', 'coed')),
+    max_captains INTEGER NOT NULL DEFAULT 2 CHECK (max_captains >= 1), -- How many captains (including co-captains) each season may have
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create team_staff table (the coaches and staff of a team; the role decides what they can change, see teamAccessService)
+CREATE TABLE team_staff (
+    id SERIAL PRIMARY KEY,
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- Removing a user takes them off the staff
+    role TEXT NOT NULL CHECK (role IN ('head_coach', 'assistant_coach', 'manager', 'scorekeeper')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (team_id, user_id) -- One role per person on a team
+);
+
 -- Create players table (linking users to teams)
 CREATE TABLE players (
     id SERIAL PRIMARY KEY,
     user_id INTEGER UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- If user is deleted, player record is removed
-    team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL, -- Allow team removal without deleting player
-    is_captain BOOLEAN DEFAULT false,
+    team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL, -- The player's current team, kept in step with roster_entries (the team for each season)
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
@@ -60,6 +99,22 @@ CREATE TABLE seasons (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create roster_entries table (a player's membership of a team for one season, so moving teams keeps their history)
+CREATE TABLE roster_entries (
+    id SERIAL PRIMARY KEY,
+    player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+    jersey_number INTEGER CHECK (jersey_number >= 0),
+    grad_year INTEGER CHECK (grad_year BETWEEN 1900 AND 2100),
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'injured', 'inactive', 'withdrawn')),
+    is_captain BOOLEAN NOT NULL DEFAULT false, -- Captains are appointed per season by the team's coaches (up to teams.max_captains)
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (player_id, season_id), -- A player is on one team per season
+    UNIQUE (team_id, season_id, jersey_number)
+);
+
 -- Create meet_formats table
 CREATE TABLE meet_formats (
     id SERIAL PRIMARY KEY,
@@ -68,7 +123,10 @@ CREATE TABLE meet_formats (
     num_doubles_lines INTEGER NOT NULL,
     scoring_type TEXT NOT NULL, -- e.g., 'best_of_3_sets', '8_game_pro_set'
     description TEXT,
-    created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Track who created custom formats
+    allow_singles_and_doubles BOOLEAN NOT NULL DEFAULT true, -- false: a player may not play both singles and doubles in one meet
+    lineup_lock_minutes INTEGER CHECK (lineup_lock_minutes >= 0), -- Lineups lock this many minutes before the meet (NULL = no lock)
+    is_active BOOLEAN NOT NULL DEFAULT true, -- Retired formats stay attached to old meets but can't be used for new ones
+    created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Track who created custom formats (NULL for standard formats)
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
@@ -82,9 +140,21 @@ CREATE TABLE meets (
     team1_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
     team2_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
     winner_team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL, -- Overall meet winner
-    team1_score INTEGER, -- Overall matches won
+    team1_score INTEGER, -- Overall matches won (calculated from match results)
     team2_score INTEGER,
     meet_format_id INTEGER NOT NULL REFERENCES meet_formats(id) ON DELETE RESTRICT, -- Don't allow deleting format if meets use it
+    -- scheduled, in_progress and completed are calculated from match results; finalized (results confirmed, locked),
+    -- postponed, suspended and cancelled are set explicitly and kept when results are recalculated
+    status TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'in_progress', 'completed', 'finalized', 'postponed', 'suspended', 'cancelled')),
+    original_meet_date TIMESTAMP WITH TIME ZONE, -- The first scheduled date, kept once the meet is postponed, suspended or rescheduled
+    status_reason TEXT CHECK (status_reason IN ('weather', 'darkness', 'facility', 'other')), -- Why the meet is postponed, suspended or cancelled
+    -- Result confirmation: one team's coach submits the results, the opposing coach confirms or disputes them
+    result_status TEXT NOT NULL DEFAULT 'pending' CHECK (result_status IN ('pending', 'submitted', 'confirmed', 'disputed')),
+    result_submitted_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    result_submitted_by_team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL, -- Null if an Admin submitted
+    result_submitted_at TIMESTAMP WITH TIME ZONE,
+    result_confirmed_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    result_confirmed_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
@@ -120,30 +190,172 @@ CREATE TABLE sets (
     UNIQUE (match_id, set_number) -- Ensure unique set number within a match
 );
 
+-- Create stat_definitions table (catalogue of the stats that can be recorded)
+CREATE TABLE stat_definitions (
+    stat_key TEXT PRIMARY KEY, -- e.g., 'aces', 'double_faults'
+    label TEXT NOT NULL, -- Display name, e.g., 'Aces'
+    value_type TEXT NOT NULL CHECK (value_type IN ('count', 'percentage')), -- count: whole number >= 0, percentage: 0-100
+    description TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0
+);
+
 -- Create stats table (detailed stats for a player within a match)
 CREATE TABLE stats (
     id SERIAL PRIMARY KEY,
     match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
     player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
-    stat_key TEXT NOT NULL, -- e.g., 'Aces', 'Double Faults', 'Winners'
-    stat_value TEXT NOT NULL, -- Using TEXT for flexibility initially
+    stat_key TEXT NOT NULL REFERENCES stat_definitions(stat_key) ON DELETE RESTRICT, -- Must be a catalogued stat
+    stat_value NUMERIC NOT NULL CHECK (stat_value >= 0), -- Validated against stat_definitions.value_type
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     UNIQUE (match_id, player_id, stat_key) -- Prevent duplicate stat entries per player per match
 );
 
+-- Create result_comments table (the thread about a meet's results: submissions, confirmations, disputes and comments)
+CREATE TABLE result_comments (
+    id SERIAL PRIMARY KEY,
+    meet_id INTEGER NOT NULL REFERENCES meets(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    kind TEXT NOT NULL DEFAULT 'comment' CHECK (kind IN ('comment', 'submission', 'confirmation', 'dispute', 'resolution')),
+    body TEXT, -- Required for comments and disputes
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create meet_schedule_changes table (the history of a meet being postponed, rescheduled, suspended, resumed or cancelled)
+CREATE TABLE meet_schedule_changes (
+    id SERIAL PRIMARY KEY,
+    meet_id INTEGER NOT NULL REFERENCES meets(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    action TEXT NOT NULL CHECK (action IN ('postpone', 'reschedule', 'suspend', 'resume', 'cancel')),
+    reason TEXT CHECK (reason IN ('weather', 'darkness', 'facility', 'other')),
+    note TEXT,
+    previous_status TEXT NOT NULL,
+    previous_meet_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    new_meet_date TIMESTAMP WITH TIME ZONE, -- Set when rescheduled or resumed
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create invites table (codes issued by a coach; registering with one creates a Player on the team)
+CREATE TABLE invites (
+    id SERIAL PRIMARY KEY,
+    team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    email TEXT, -- Optional: only this email address may use the invite
+    nonce TEXT NOT NULL, -- Random value that is signed into the invite code
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    used_at TIMESTAMP WITH TIME ZONE, -- Invites are single use
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create user_tokens table (single-use tokens sent by email; only a hash of each token is stored)
+CREATE TABLE user_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose TEXT NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+    token_hash TEXT UNIQUE NOT NULL, -- SHA-256 of the token
+    email TEXT NOT NULL, -- The address the token was mailed to; using it only verifies that address
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create login_attempts table (audit record of logins, used to throttle password guessing)
+CREATE TABLE login_attempts (
+    id SERIAL PRIMARY KEY,
+    email TEXT NOT NULL, -- As entered, lowercased
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- Null if no account has the email
+    ip_address TEXT,
+    succeeded BOOLEAN NOT NULL,
+    reason TEXT CHECK (reason IN ('unknown_email', 'wrong_password', 'no_password', 'locked', 'throttled')), -- Why a failed attempt failed
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create user_sessions table (express-session store, managed by connect-pg-simple)
+CREATE TABLE user_sessions (
+    sid VARCHAR NOT NULL PRIMARY KEY,
+    sess JSON NOT NULL,
+    expire TIMESTAMP(6) NOT NULL,
+    user_id INTEGER GENERATED ALWAYS AS ((sess -> 'passport' ->> 'user')::INTEGER) STORED -- Logged-in user, for listing and revoking a user's sessions
+);
+
+-- Create api_tokens table (personal bearer tokens for scripts and scoring devices; only a hash of each token is stored)
+CREATE TABLE api_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL, -- e.g. 'Court 3 tablet'
+    token_prefix TEXT NOT NULL, -- Start of the token, so users can tell their tokens apart
+    token_hash TEXT UNIQUE NOT NULL, -- SHA-256 of the token
+    scope TEXT NOT NULL CHECK (scope IN ('full', 'scores')), -- 'scores' tokens may only enter scores and stats
+    meet_id INTEGER REFERENCES meets(id) ON DELETE CASCADE, -- Optional: limits a 'scores' token to one meet
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (meet_id IS NULL OR scope = 'scores')
+);
+
+-- Create audit_log table (every change to the data tables, written by the audit_row_change trigger)
+CREATE TABLE audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    entity TEXT NOT NULL, -- Table name, e.g. 'sets'
+    entity_id INTEGER NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('insert', 'update', 'delete')),
+    old_values JSONB, -- Row before the change (null for inserts)
+    new_values JSONB, -- Row after the change (null for deletes)
+    user_id INTEGER, -- Who made the change (null for system changes); no foreign key, so the trail outlives the user
+    reason TEXT, -- Why, when an Admin overrode a lock (e.g. changed a finalized meet)
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Basic seeding for roles
 INSERT INTO roles (name) VALUES ('Admin'), ('Coach'), ('Player'), ('Guest')
 ON CONFLICT (name) DO NOTHING;
 
+-- Seed the stat catalogue
+INSERT INTO stat_definitions (stat_key, label, value_type, description, sort_order) VALUES
+    ('aces', 'Aces', 'count', 'Serves not touched by the receiver', 1),
+    ('double_faults', 'Double Faults', 'count', 'Points lost by missing both serves', 2),
+    ('winners', 'Winners', 'count', 'Shots the opponent could not reach', 3),
+    ('unforced_errors', 'Unforced Errors', 'count', 'Points lost on makeable shots', 4),
+    ('first_serve_pct', 'First Serve %', 'percentage', 'Percentage of first serves in', 5)
+ON CONFLICT (stat_key) DO NOTHING;
+
+-- Seed standard meet formats (created_by_user_id is NULL for standard formats)
+INSERT INTO meet_formats (name, num_singles_lines, num_doubles_lines, scoring_type, description) VALUES
+    ('High School (6S/3D, Best-of-3)', 6, 3, 'best_of_3_sets', 'Six singles and three doubles lines, best of three full sets.'),
+    ('High School (6S/3D, 8-Game Pro Set)', 6, 3, '8_game_pro_set', 'Six singles and three doubles lines, one 8-game pro set per line.'),
+    ('Middle School (4S/2D, 8-Game Pro Set)', 4, 2, '8_game_pro_set', 'Four singles and two doubles lines, one 8-game pro set per line.')
+ON CONFLICT (name) DO NOTHING;
+
 -- Indexes for frequent lookups
 CREATE INDEX idx_users_email ON users(email);
+CREATE UNIQUE INDEX users_email_lower_key ON users(LOWER(email)); -- Emails are unique ignoring case
+CREATE INDEX idx_teams_school_id ON teams(school_id);
+CREATE INDEX idx_team_staff_user_id ON team_staff(user_id);
+CREATE UNIQUE INDEX team_staff_one_head_coach ON team_staff(team_id) WHERE role = 'head_coach'; -- At most one head coach per team
 CREATE INDEX idx_players_team_id ON players(team_id);
+CREATE INDEX idx_roster_entries_team_season ON roster_entries(team_id, season_id);
 CREATE INDEX idx_meets_season_id ON meets(season_id);
 CREATE INDEX idx_meets_team1_id ON meets(team1_id);
 CREATE INDEX idx_meets_team2_id ON meets(team2_id);
+CREATE INDEX idx_meets_meet_format_id ON meets(meet_format_id);
 CREATE INDEX idx_matches_meet_id ON matches(meet_id);
 CREATE INDEX idx_stats_match_id ON stats(match_id);
 CREATE INDEX idx_stats_player_id ON stats(player_id);
+CREATE INDEX idx_invites_team_id ON invites(team_id);
+CREATE INDEX idx_result_comments_meet_id ON result_comments(meet_id);
+CREATE INDEX idx_meet_schedule_changes_meet_id ON meet_schedule_changes(meet_id);
+CREATE INDEX idx_user_tokens_user_id ON user_tokens(user_id);
+CREATE INDEX idx_login_attempts_ip_created ON login_attempts(ip_address, created_at);
+CREATE INDEX idx_login_attempts_user_id ON login_attempts(user_id);
+CREATE INDEX idx_user_sessions_expire ON user_sessions(expire);
+CREATE INDEX idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX idx_api_tokens_user_id ON api_tokens(user_id);
+CREATE INDEX idx_audit_log_entity ON audit_log(entity, entity_id);
+CREATE INDEX idx_audit_log_user_id ON audit_log(user_id);
 
 -- Optional: Trigger function to update 'updated_at' columns
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -156,12 +368,70 @@ $$ language 'plpgsql';
 
 -- Apply trigger to tables with 'updated_at'
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_schools_updated_at BEFORE UPDATE ON schools FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_teams_updated_at BEFORE UPDATE ON teams FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_team_staff_updated_at BEFORE UPDATE ON team_staff FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_players_updated_at BEFORE UPDATE ON players FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_seasons_updated_at BEFORE UPDATE ON seasons FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_meet_formats_updated_at BEFORE UPDATE ON meet_formats FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_meets_updated_at BEFORE UPDATE ON meets FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_matches_updated_at BEFORE UPDATE ON matches FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_sets_updated_at BEFORE UPDATE ON sets FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_stats_updated_at BEFORE UPDATE ON stats FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_invites_updated_at BEFORE UPDATE ON invites FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Audit trigger: records inserts, updates and deletes in audit_log.
+-- The acting user and any override reason are read from the app.user_id and app.audit_reason settings,
+-- which src/backend/db.js sets on each connection.
+-- Trigger arguments name columns to leave out (secrets, and bookkeeping that changes on every login or request);
+-- updates that only touch left-out columns or updated_at are not recorded.
+CREATE OR REPLACE FUNCTION audit_row_change()
+RETURNS TRIGGER AS $$
+DECLARE
+   excluded TEXT[] := COALESCE(TG_ARGV::TEXT[], '{}');
+   old_values JSONB;
+   new_values JSONB;
+BEGIN
+   IF TG_OP <> 'INSERT' THEN
+      old_values := to_jsonb(OLD) - excluded;
+   END IF;
+   IF TG_OP <> 'DELETE' THEN
+      new_values := to_jsonb(NEW) - excluded;
+   END IF;
+   IF TG_OP = 'UPDATE' AND (old_values - 'updated_at') = (new_values - 'updated_at') THEN
+      RETURN NULL;
+   END IF;
+   INSERT INTO audit_log (entity, entity_id, action, old_values, new_values, user_id, reason)
+   VALUES (
+      TG_TABLE_NAME,
+      (COALESCE(new_values, old_values) ->> 'id')::INTEGER,
+      lower(TG_OP),
+      old_values,
+      new_values,
+      NULLIF(current_setting('app.user_id', true), '')::INTEGER,
+      NULLIF(current_setting('app.audit_reason', true), '')
+   );
+   RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+-- Apply the audit trigger to the data tables (not to sessions, login attempts or emailed tokens)
+CREATE TRIGGER audit_roles AFTER INSERT OR UPDATE OR DELETE ON roles FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_users AFTER INSERT OR UPDATE OR DELETE ON users FOR EACH ROW EXECUTE FUNCTION audit_row_change('password', 'failed_login_count', 'last_failed_login_at');
+CREATE TRIGGER audit_schools AFTER INSERT OR UPDATE OR DELETE ON schools FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_teams AFTER INSERT OR UPDATE OR DELETE ON teams FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_team_staff AFTER INSERT OR UPDATE OR DELETE ON team_staff FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_players AFTER INSERT OR UPDATE OR DELETE ON players FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_roster_entries AFTER INSERT OR UPDATE OR DELETE ON roster_entries FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_seasons AFTER INSERT OR UPDATE OR DELETE ON seasons FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_meet_formats AFTER INSERT OR UPDATE OR DELETE ON meet_formats FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_meets AFTER INSERT OR UPDATE OR DELETE ON meets FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_matches AFTER INSERT OR UPDATE OR DELETE ON matches FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_sets AFTER INSERT OR UPDATE OR DELETE ON sets FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_stats AFTER INSERT OR UPDATE OR DELETE ON stats FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_result_comments AFTER INSERT OR UPDATE OR DELETE ON result_comments FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_meet_schedule_changes AFTER INSERT OR UPDATE OR DELETE ON meet_schedule_changes FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+CREATE TRIGGER audit_invites AFTER INSERT OR UPDATE OR DELETE ON invites FOR EACH ROW EXECUTE FUNCTION audit_row_change('nonce');
+CREATE TRIGGER audit_api_tokens AFTER INSERT OR UPDATE OR DELETE ON api_tokens FOR EACH ROW EXECUTE FUNCTION audit_row_change('token_hash', 'last_used_at');
 
 -- End of schema script 
\ No newline at end of file
@@ -1,16 +1,30 @@
 require('dotenv').config();
 const express = require('express');
-const session = require('express-session'); // Import express-session
+const { sessionMiddleware } = require('./src/backend/config/session'); // Postgres-backed express-session
 const passport = require('passport'); // Import passport
+const { authenticateApiToken, setAuditActor } = require('./src/backend/middleware/authMiddleware');
+const mailService = require('./src/backend/services/mailService'); // Checked at startup
 const teamRoutes = require('./src/backend/routes/teamRoutes');
+const schoolRoutes = require('./src/backend/routes/schoolRoutes'); // Import school (program) routes
 const userRoutes = require('./src/backend/routes/userRoutes'); // Import user routes
 const playerRoutes = require('./src/backend/routes/playerRoutes'); // Import player routes
 const meetRoutes = require('./src/backend/routes/meetRoutes'); // Import meet routes
+const meetResultRoutes = require('./src/backend/routes/meetResultRoutes'); // Import meet result confirmation routes
+const lineupRoutes = require('./src/backend/routes/lineupRoutes'); // Import meet lineup routes
+const meetFormatRoutes = require('./src/backend/routes/meetFormatRoutes'); // Import meet format routes
 const roleRoutes = require('./src/backend/routes/roleRoutes'); // Import role routes
 const seasonRoutes = require('./src/backend/routes/seasonRoutes'); // Import season routes
 const matchRoutes = require('./src/backend/routes/matchRoutes'); // Import match routes
 const setRoutes = require('./src/backend/routes/setRoutes'); // Import set routers (top-level and nested)
+const statRoutes = require('./src/backend/routes/statRoutes'); // Import stat routers (top-level and nested)
+const inviteRoutes = require('./src/backend/routes/inviteRoutes'); // Import team invite routes
+const rosterRoutes = require('./src/backend/routes/rosterRoutes'); // Import team roster routes
+const teamStaffRoutes = require('./src/backend/routes/teamStaffRoutes'); // Import team staff routes
+const captainRoutes = require('./src/backend/routes/captainRoutes'); // Import team captain routes
 const authRoutes = require('./src/backend/routes/authRoutes'); // Import auth routes
+const apiTokenRoutes = require('./src/backend/routes/apiTokenRoutes'); // Import API token routes
+const loginAttemptRoutes = require('./src/backend/routes/loginAttemptRoutes'); // Import login audit routes
+const auditRoutes = require('./src/backend/routes/auditRoutes'); // Import audit log routes
 
 // Import Passport config (we will create this file next)
 require('./src/backend/config/passport-setup.js'); // Ensure this runs to configure Passport
@@ -22,28 +36,32 @@ const PORT = process.env.PORT || 3000; // Use environment variable for port or d
 app.use(express.json()); // Parse JSON request bodies
 
 // --- Session Configuration ---
-app.use(
-    session({
-        secret: process.env.SESSION_SECRET, // Use the secret from .env
-        resave: false, // Don't save session if unmodified
-        saveUninitialized: false, // Don't create session until something stored
-        cookie: {
-            secure: process.env.NODE_ENV === 'production', // Use secure cookies in production
-            maxAge: 1000 * 60 * 60 * 24 * 7 // Example: 7 days
-        }
-    })
-);
+// Sessions are persisted in Postgres (see src/backend/config/session.js)
+app.use(sessionMiddleware);
 
 // --- Passport Middleware ---
 app.use(passport.initialize()); // Initialize Passport
 app.use(passport.session()); // Allow Passport to use express-session
+app.use(authenticateApiToken); // Accept 'Authorization: Bearer <API token>' instead of a session
+app.use(setAuditActor); // Record the logged-in user as the author of any changes
 
 // Routes
 app.use('/api/auth', authRoutes); // Mount authentication routes
+app.use('/api/auth/tokens', apiTokenRoutes); // Mount API token routes
+app.use('/api/login-attempts', loginAttemptRoutes); // Mount login audit routes (Admin)
+app.use('/api/audit', auditRoutes); // Mount audit log routes (Admin)
+app.use('/api/schools', schoolRoutes); // Mount school (program) routes under /api/schools
 app.use('/api/teams', teamRoutes); // Mount team routes under /api/teams
+app.use('/api/teams/:teamId/invites', inviteRoutes); // Mount team invite routes
+app.use('/api/teams/:teamId/roster', rosterRoutes); // Mount season roster routes
+app.use('/api/teams/:teamId/staff', teamStaffRoutes); // Mount team staff routes
+app.use('/api/teams/:teamId/captains', captainRoutes); // Mount season captain routes
 app.use('/api/users', userRoutes); // Mount user routes under /api/users
 app.use('/api/players', playerRoutes); // Mount player routes under /api/players
 app.use('/api/meets', meetRoutes); // Mount meet routes under /api/meets
+app.use('/api/meets/:meetId/result', meetResultRoutes); // Mount meet result confirmation routes
+app.use('/api/meets/:meetId/lineups', lineupRoutes); // Mount meet lineup routes
+app.use('/api/meet-formats', meetFormatRoutes); // Mount meet format routes under /api/meet-formats
 app.use('/api/roles', roleRoutes); // Mount role routes under /api/roles
 app.use('/api/seasons', seasonRoutes); // Mount season routes under /api/seasons
 
@@ -54,6 +72,10 @@ app.use('/api/matches', matchRoutes);
 app.use('/api/sets', setRoutes.router); // Mount top-level set routes (/api/sets/:id)
 app.use('/api/matches/:matchId/sets', setRoutes.nestedRouter); // Mount nested set routes
 
+// Mount stat routes
+app.use('/api/stats', statRoutes.router); // Mount top-level stat routes (/api/stats/definitions, /api/stats/:id)
+app.use('/api/matches/:matchId/stats', statRoutes.nestedRouter); // Mount nested stat routes
+
 // Basic error handler (can be expanded)
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -62,6 +84,12 @@ app.use((err, req, res, next) => {
 
 // Start the server only if this script is run directly
 if (require.main === module) {
+  try {
+    mailService.ensureTransport(); // Fail now rather than on the first email (e.g. MAIL_TRANSPORT unset in production)
+  } catch (err) {
+    console.error(`FATAL ERROR: ${err.message}`);
+    process.exit(1);
+  }
   app.listen(PORT, () => {
     console.log(`Server listening on port ${PORT}`);
   });
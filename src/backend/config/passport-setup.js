@@ -4,6 +4,8 @@ const LocalStrategy = require('passport-local').Strategy;
 const bcrypt = require('bcryptjs');
 const userService = require('../services/userService'); // Assuming user service has necessary functions
 const db = require('../db'); // Or directly use userService
+const accountService = require('../services/accountService');
+const loginAttemptService = require('../services/loginAttemptService');
 
 // --- User Serialization/Deserialization ---
 // Determines what user information is stored in the session
@@ -18,7 +20,7 @@ passport.deserializeUser(async (id, done) => {
     try {
         // Fetch user from database using the ID stored in the session, joining with roles
         const queryText = `
-            SELECT u.id, u.google_id, u.email, u.name, u.role_id, r.name as role_name
+            SELECT u.id, u.google_id, u.email, u.name, u.role_id, u.email_verified_at, r.name as role_name
             FROM users u
             JOIN roles r ON u.role_id = r.id
             WHERE u.id = $1;
@@ -35,30 +37,43 @@ passport.deserializeUser(async (id, done) => {
 });
 
 // --- Local Strategy (Email/Password) ---
+// Failed logins are throttled per account and per IP (see loginAttemptService). A refused attempt
+// passes { status: 429, retryAfter } in the info object so the login route can answer accordingly.
 passport.use(new LocalStrategy(
-    { usernameField: 'email' }, // Tell LocalStrategy to use 'email' as the username field
-    async (email, password, done) => {
+    { usernameField: 'email', passReqToCallback: true }, // Tell LocalStrategy to use 'email' as the username field
+    async (req, email, password, done) => {
+        const ipAddress = req.ip;
         try {
-             // 1. Find user by email (using userService or db)
-             const userResult = await db.query('SELECT * FROM users WHERE email = $1', [email]);
-             const user = userResult.rows[0];
+             // 1. Find user by email (ignoring case)
+             const user = await userService.findUserByEmail(email);
+
+             // 2. Refuse the attempt without checking the password if there have been too many failures
+             const refusal = await loginAttemptService.checkLoginAllowed(user, ipAddress);
+             if (refusal) {
+                 await loginAttemptService.recordFailedLogin({ email, user, ipAddress, reason: refusal.reason });
+                 return done(null, false, { message: refusal.message, status: 429, retryAfter: refusal.retryAfter });
+             }
 
              if (!user) {
+                await loginAttemptService.recordFailedLogin({ email, ipAddress, reason: 'unknown_email' });
                 return done(null, false, { message: 'Incorrect email or password.' });
             }
 
-             // 2. Check if the user has a local password set (they might be Google-only user)
+             // 3. Check if the user has a local password set (they might be Google-only user)
             if (!user.password) {
-                 return done(null, false, { message: 'Please log in using your original method (e.g., Google).' });
+                 await loginAttemptService.recordFailedLogin({ email, user, ipAddress, reason: 'no_password' });
+                 return done(null, false, { message: 'Please log in using your original method (e.g., Google). You can add a password from your account, or with "forgot password".' });
             }
 
-             // 3. Compare provided password with the stored hash
+             // 4. Compare provided password with the stored hash
             const isMatch = await bcrypt.compare(password, user.password);
 
             if (isMatch) {
-                 const { password: _, ...userWithoutPassword } = user;
+                 await loginAttemptService.recordSuccessfulLogin({ email, user, ipAddress });
+                 const { password: _, failed_login_count, last_failed_login_at, locked_until, ...userWithoutPassword } = user;
                  return done(null, userWithoutPassword);
             } else {
+                 await loginAttemptService.recordFailedLogin({ email, user, ipAddress, reason: 'wrong_password' });
                  return done(null, false, { message: 'Incorrect email or password.' });
             }
         } catch (err) {
@@ -72,60 +87,21 @@ passport.use(new GoogleStrategy({
     clientID: process.env.GOOGLE_CLIENT_ID,
     clientSecret: process.env.GOOGLE_CLIENT_SECRET,
     callbackURL: process.env.GOOGLE_CALLBACK_URL,
-    scope: ['profile', 'email'] // Request user's profile and email
+    scope: ['profile', 'email'], // Request user's profile and email
+    passReqToCallback: true // Lets a logged-in user link Google to their account
     },
-    async (accessToken, refreshToken, profile, done) => {
+    async (req, accessToken, refreshToken, profile, done) => {
         // This function is called after Google redirects back to /auth/google/callback
-        const googleId = profile.id;
-        const email = profile.emails && profile.emails.length > 0 ? profile.emails[0].value : null;
-        const name = profile.displayName;
-
-        if (!email) {
-            return done(new Error('Email not provided by Google.'), null);
-        }
-
+        // accountService decides whether this logs in, links Google to an account or creates a new Guest
         try {
-             // 1. Find user by Google ID
-             let userResult = await db.query('SELECT * FROM users WHERE google_id = $1', [googleId]);
-             let user = userResult.rows[0];
-
-            if (user) {
-                // User found by Google ID - Log them in
-                 const { password: _, ...userWithoutPassword } = user;
-                 return done(null, userWithoutPassword);
-            } else {
-                 // User NOT found by Google ID - Check if email exists (maybe they signed up locally first)
-                 userResult = await db.query('SELECT * FROM users WHERE email = $1', [email]);
-                 user = userResult.rows[0];
-
-                 if (user) {
-                     // User found by email - Link Google ID to existing account
-                     // Update the user record with their Google ID
-                     const updateResult = await db.query(
-                         'UPDATE users SET google_id = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
-                         [googleId, user.id]
-                     );
-                     user = updateResult.rows[0];
-                      const { password: _, ...userWithoutPassword } = user;
-                     return done(null, userWithoutPassword);
-                 } else {
-                     // User not found by Google ID or email - Create a new user
-                     // Assign a default role (e.g., 'Player') - needs lookup or hardcoding
-                     // Ideally, fetch role ID from roles table
-                     const defaultRoleResult = await db.query("SELECT id FROM roles WHERE name = 'Player'");
-                     const defaultRoleId = defaultRoleResult.rows[0]?.id || 3; // Fallback to ID 3 if 'Player' role not found
-
-                     const newUserResult = await db.query(
-                         'INSERT INTO users (google_id, email, name, role_id, created_at, updated_at) VALUES ($1, $2, $3, $4, NOW(), NOW()) RETURNING *',
-                         [googleId, email, name, defaultRoleId]
-                     );
-                     user = newUserResult.rows[0];
-                     return done(null, user);
-                 }
-             }
-         } catch (err) {
+            const user = await accountService.signInWithGoogle(profile, req.user);
+            return done(null, user);
+        } catch (err) {
+            if (err.message.includes('Invalid request') || err.message.includes('Email not provided')) {
+                return done(null, false, { message: err.message });
+            }
             done(err, null);
-         }
+        }
     }
 ));
 
@@ -0,0 +1,38 @@
+const session = require('express-session');
+const connectPgSimple = require('connect-pg-simple');
+const db = require('../db');
+
+// Sessions are stored in Postgres (the user_sessions table in database/schema.sql), so logins
+// survive restarts and are shared between server instances. Expired sessions are pruned regularly.
+
+const PgSession = connectPgSimple(session);
+
+const SESSION_TABLE = 'user_sessions';
+const SESSION_MAX_AGE_MS = 1000 * 60 * 60 * 24 * 7; // 7 days
+const PRUNE_INTERVAL_SECONDS = 60 * 15; // Delete expired sessions every 15 minutes
+
+const sessionStore = new PgSession({
+    pool: db.pool, // Share the app's connection pool
+    tableName: SESSION_TABLE,
+    pruneSessionInterval: PRUNE_INTERVAL_SECONDS,
+});
+
+const sessionMiddleware = session({
+    store: sessionStore,
+    secret: process.env.SESSION_SECRET, // Use the secret from .env
+    resave: false, // Don't save session if unmodified
+    saveUninitialized: false, // Don't create session until something stored
+    cookie: {
+        secure: process.env.NODE_ENV === 'production', // Use secure cookies in production
+        httpOnly: true, // Not readable from client-side JavaScript
+        sameSite: 'lax',
+        maxAge: SESSION_MAX_AGE_MS,
+    },
+});
+
+module.exports = {
+    SESSION_TABLE,
+    SESSION_MAX_AGE_MS,
+    sessionStore,
+    sessionMiddleware,
+};
@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { AsyncLocalStorage } = require('async_hooks');
 require('dotenv').config();
 
 // Determine connection string based on NODE_ENV
@@ -35,7 +36,64 @@ pool.connect((err, client, release) => {
   });
 });
 
+// --- Audit actor ---
+// The audit trigger (see database/schema.sql) records who made each change by reading the
+// app.user_id setting of the connection, and why (for Admin overrides) from app.audit_reason.
+// Both are kept for the whole request (and every query it makes) with AsyncLocalStorage, and
+// copied onto each connection before it is used.
+const actorStorage = new AsyncLocalStorage();
+
+const getStore = () => actorStorage.getStore() || { userId: null, reason: null };
+
+// Runs fn with userId (or null for anonymous and system changes) as the audit actor
+const runWithActor = (userId, fn) => actorStorage.run({ userId: userId || null, reason: null }, fn);
+
+// Runs fn with a reason recorded on every audit entry it causes (keeping the current actor)
+const runWithAuditReason = (reason, fn) => actorStorage.run({ ...getStore(), reason: reason || null }, fn);
+
+const getActorId = () => getStore().userId;
+
+// Sets app.user_id and app.audit_reason on a connection, unless it already holds them
+const applyActor = async (client) => {
+  const { userId, reason } = getStore();
+  const settings = [userId === null ? '' : String(userId), reason || ''];
+  const key = settings.join('\n');
+  if (client.auditSettings !== key) {
+    await client.query(
+      "SELECT set_config('app.user_id', $1, false), set_config('app.audit_reason', $2, false)",
+      settings
+    );
+    client.auditSettings = key;
+  }
+};
+
+// Checks out a client for a transaction, with the audit actor applied. Release it when done.
+const connect = async () => {
+  const client = await pool.connect();
+  try {
+    await applyActor(client);
+  } catch (err) {
+    client.release(err);
+    throw err;
+  }
+  return client;
+};
+
+// Runs a single query, with the audit actor applied
+const query = async (text, params) => {
+  const client = await connect();
+  try {
+    return await client.query(text, params);
+  } finally {
+    client.release();
+  }
+};
+
 module.exports = {
-  query: (text, params) => pool.query(text, params),
+  query,
+  connect,
+  runWithActor,
+  runWithAuditReason,
+  getActorId,
   pool,
 }; 
\ No newline at end of file
@@ -1,3 +1,90 @@
+const db = require('../db');
+const { PERMISSIONS, getStaffTeamIds, getCaptainTeamIdsForMeet } = require('../services/teamAccessService');
+const apiTokenService = require('../services/apiTokenService');
+const meetResultService = require('../services/meetResultService');
+
+/**
+ * Middleware to log in requests that carry an API token ('Authorization: Bearer <token>').
+ * The token's user becomes req.user, as for a session login, and the token itself req.apiToken.
+ * Sends 401 if the token is unknown, revoked or expired. Requests without a bearer token pass
+ * through unchanged. Mount after passport.session().
+ */
+const authenticateApiToken = async (req, res, next) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    if (!match) {
+        return next();
+    }
+    try {
+        const authenticated = await apiTokenService.authenticateApiToken(match[1]);
+        if (!authenticated) {
+            console.log('Auth Middleware: Invalid API token used for request to:', req.originalUrl);
+            return res.status(401).json({ message: 'Unauthorized: Invalid or expired API token' });
+        }
+        req.user = authenticated.user;
+        req.apiToken = authenticated.apiToken;
+        next();
+    } catch (err) {
+        console.error('Error checking API token:', err);
+        res.status(500).json({ message: 'Error checking API token' });
+    }
+};
+
+/**
+ * Middleware to make the logged-in user (if any) the audit actor for the rest of the request,
+ * so the audit log records who made each change. Mount after session and API token login.
+ */
+const setAuditActor = (req, res, next) => db.runWithActor(req.user ? req.user.id : null, next);
+
+/**
+ * Middleware to let API tokens with a limited scope (e.g. 'scores') use a route.
+ * Without it, ensureAuthenticated and ensureRole refuse any token whose scope is not 'full'.
+ * For a token limited to one meet, resolveMeetIds(req) returns the meets the record belongs
+ * to (undefined if not found, so the route can answer 404). Use before ensureRole.
+ * @param {string} scope - The token scope the route accepts.
+ * @param {Function} resolveMeetIds - async (req) => Array<number>|undefined
+ */
+const allowApiTokenScope = (scope, resolveMeetIds) => async (req, res, next) => {
+    if (!req.apiToken || req.apiToken.scope !== scope) {
+        return next();
+    }
+    try {
+        if (req.apiToken.meet_id !== null) {
+            const meetIds = await resolveMeetIds(req);
+            if (meetIds !== undefined && !meetIds.includes(req.apiToken.meet_id)) {
+                console.log(`Auth Middleware: API token ${req.apiToken.id} is limited to meet ${req.apiToken.meet_id}`);
+                return res.status(403).json({ message: 'Forbidden: This API token can only be used for another meet.' });
+            }
+        }
+        req.apiTokenScopeAllowed = true;
+        next();
+    } catch (err) {
+        console.error('Error checking API token scope:', err);
+        res.status(500).json({ message: 'Error checking API token scope' });
+    }
+};
+
+// Whether the request is made with a limited API token on a route that does not accept it
+const isTokenScopeRefused = (req) =>
+    Boolean(req.apiToken) && req.apiToken.scope !== 'full' && !req.apiTokenScopeAllowed;
+
+const refuseTokenScope = (req, res) => {
+    console.log(`Auth Middleware: API token ${req.apiToken.id} (${req.apiToken.scope}) not allowed for:`, req.originalUrl);
+    return res.status(403).json({ message: `Forbidden: This API token is limited to the '${req.apiToken.scope}' scope.` });
+};
+
+/**
+ * Middleware to refuse requests made with an API token (even a 'full' one), for routes that
+ * manage the account's logins, sessions and tokens: a leaked token must not be able to mint new
+ * tokens, set a password or unlink Google. Use after ensureAuthenticated.
+ */
+const ensureSessionLogin = (req, res, next) => {
+    if (req.apiToken) {
+        console.log(`Auth Middleware: API token ${req.apiToken.id} refused for account route:`, req.originalUrl);
+        return res.status(403).json({ message: 'Forbidden: Log in to do this; API tokens cannot manage logins, sessions or tokens.' });
+    }
+    next();
+};
+
 /**
  * Middleware to ensure the user is authenticated.
  * If authenticated, proceeds to the next middleware/route handler.
@@ -6,6 +93,9 @@
 const ensureAuthenticated = (req, res, next) => {
     if (req.isAuthenticated()) {
         // isAuthenticated() is provided by Passport
+        if (isTokenScopeRefused(req)) {
+            return refuseTokenScope(req, res);
+        }
         return next();
     }
     // If not authenticated
@@ -13,30 +103,227 @@ const ensureAuthenticated = (req, res, next) => {
     res.status(401).json({ message: 'Unauthorized: Access requires login' });
 };
 
+// Role names seeded in the roles table
+const ROLES = {
+    ADMIN: 'Admin',
+    COACH: 'Coach',
+    PLAYER: 'Player',
+    GUEST: 'Guest',
+};
+
 /**
- * Optional: Middleware to ensure the user has a specific role (or roles).
- * Example: ensureAdmin
- * @param {Array<string>|string} requiredRoles - The role name(s) required.
- */
-// const ensureRole = (requiredRoles) => {
-//     const roles = Array.isArray(requiredRoles) ? requiredRoles : [requiredRoles];
-//     return (req, res, next) => {
-//         if (!req.isAuthenticated()) {
-//             return res.status(401).json({ message: 'Unauthorized: Access requires login' });
-//         }
-//         // Assumes req.user contains role information (e.g., req.user.role_name or req.user.role_id)
-//         // You might need to join with the roles table in deserializeUser to get the role name
-//         const userRole = req.user.role_name; // Adjust based on your req.user structure
-//         if (userRole && roles.includes(userRole)) {
-//             return next();
-//         } else {
-//             console.log(`Auth Middleware: User ${req.user.email} lacks required role(s): ${roles.join(', ')}`);
-//             return res.status(403).json({ message: 'Forbidden: Insufficient permissions' });
-//         }
-//     };
-// };
+ * Builds the 403 message for a list of roles, e.g. 'Forbidden: Only Admins or Coaches can perform this action.'
+ * @param {Array<string>} roles - The allowed role names.
+ * @returns {string} The message.
+ */
+const forbiddenMessage = (roles) => {
+    const plural = roles.map((role) => (/(s|sh|ch|x)$/.test(role) ? `${role}es` : `${role}s`));
+    const list = plural.length > 1 ? `${plural.slice(0, -1).join(', ')} or ${plural[plural.length - 1]}` : plural[0];
+    return `Forbidden: Only ${list} can perform this action.`;
+};
+
+/**
+ * Middleware to ensure the user has one of the given roles.
+ * Sends 401 if not logged in and 403 if the user's role (req.user.role_name, loaded by
+ * passport.deserializeUser) is not allowed.
+ * @param {Array<string>|string} requiredRoles - The role name(s) allowed.
+ */
+const ensureRole = (requiredRoles) => {
+    const roles = Array.isArray(requiredRoles) ? requiredRoles : [requiredRoles];
+    return (req, res, next) => {
+        if (!req.isAuthenticated()) {
+            console.log('Auth Middleware: User not authenticated, blocking request to:', req.originalUrl);
+            return res.status(401).json({ message: 'Unauthorized: Access requires login' });
+        }
+        if (isTokenScopeRefused(req)) {
+            return refuseTokenScope(req, res);
+        }
+        if (roles.includes(req.user.role_name)) {
+            return next();
+        }
+        console.log(`Auth Middleware: User ${req.user.email} lacks required role(s): ${roles.join(', ')}`);
+        return res.status(403).json({ message: forbiddenMessage(roles) });
+    };
+};
+
+/**
+ * Whether the logged-in user has one of the given roles.
+ * For checks that depend on the record being changed (e.g. a user editing their own account).
+ * @param {object} req - The request.
+ * @param {Array<string>|string} roles - The role name(s).
+ * @returns {boolean}
+ */
+const hasRole = (req, roles) => {
+    const allowed = Array.isArray(roles) ? roles : [roles];
+    return Boolean(req.user) && allowed.includes(req.user.role_name);
+};
+
+/**
+ * Middleware to limit Coaches to data belonging to the teams they are on the staff of, and to
+ * what their staff role allows (see teamAccessService.STAFF_PERMISSIONS).
+ * Admins always pass. For anyone else, resolveTeamIds(req) returns the teams the record belongs
+ * to; the request continues only if the user's staff role on at least one of them grants the
+ * permission. If the resolver returns undefined (record not found) or no teams, the route handles
+ * the request as usual. The IDs of the teams the user has the permission for are attached as
+ * req.staffTeamIds for finer checks in the route. Captains let through by allowCaptainScoring
+ * also pass.
+ * Use after ensureRole, so req.user is set.
+ * @param {Function} resolveTeamIds - async (req) => Array<number>|undefined
+ * @param {string} permission - One of teamAccessService.PERMISSIONS, e.g. 'enter_scores'.
+ */
+const ensureTeamAccess = (resolveTeamIds, permission) => {
+    if (!PERMISSIONS.includes(permission)) {
+        throw new Error(`Invalid team permission '${permission}'. Must be one of: ${PERMISSIONS.join(', ')}.`);
+    }
+    return async (req, res, next) => {
+        if (hasRole(req, ROLES.ADMIN) || req.captainTeamIds) {
+            return next();
+        }
+        try {
+            const teamIds = await resolveTeamIds(req);
+            if (teamIds === undefined || teamIds.length === 0) {
+                return next();
+            }
+            const staffTeamIds = await getStaffTeamIds(req.user.id, permission);
+            if (!teamIds.some((teamId) => staffTeamIds.includes(teamId))) {
+                const anyRoleTeamIds = await getStaffTeamIds(req.user.id);
+                if (teamIds.some((teamId) => anyRoleTeamIds.includes(teamId))) {
+                    console.log(`Auth Middleware: User ${req.user.email} lacks the ${permission} permission for team(s) ${teamIds.join(', ')}`);
+                    return res.status(403).json({ message: `Forbidden: Your staff role on this team does not allow this action (${permission}).` });
+                }
+                console.log(`Auth Middleware: User ${req.user.email} does not coach team(s) ${teamIds.join(', ')}`);
+                return res.status(403).json({ message: 'Forbidden: Coaches can only change data for teams they coach.' });
+            }
+            req.staffTeamIds = staffTeamIds;
+            next();
+        } catch (err) {
+            console.error('Error checking team access:', err);
+            res.status(500).json({ message: 'Error checking team access' });
+        }
+    };
+};
+
+/**
+ * Middleware to let Players enter scores for the meets of a team they captain in the meet's season.
+ * Anyone who is not a Player passes through unchanged. A Player captaining neither team gets 403;
+ * for a captain, the team IDs they captain are attached as req.captainTeamIds and ensureTeamAccess
+ * lets them through. If the resolver returns undefined (record not found), the route answers as usual.
+ * Use after an ensureRole that allows Players.
+ * @param {Function} resolveMeetIds - async (req) => Array<number>|undefined
+ */
+const allowCaptainScoring = (resolveMeetIds) => async (req, res, next) => {
+    if (!hasRole(req, ROLES.PLAYER)) {
+        return next();
+    }
+    try {
+        const meetIds = await resolveMeetIds(req);
+        if (meetIds === undefined || meetIds.length === 0) {
+            return next();
+        }
+        const captainTeamIds = [];
+        for (const meetId of meetIds) {
+            captainTeamIds.push(...(await getCaptainTeamIdsForMeet(req.user.id, meetId)));
+        }
+        if (captainTeamIds.length === 0) {
+            console.log(`Auth Middleware: User ${req.user.email} does not captain a team in meet(s) ${meetIds.join(', ')}`);
+            return res.status(403).json({ message: 'Forbidden: Players can only enter scores for meets of a team they captain this season.' });
+        }
+        req.captainTeamIds = captainTeamIds;
+        next();
+    } catch (err) {
+        console.error('Error checking captaincy:', err);
+        res.status(500).json({ message: 'Error checking captaincy' });
+    }
+};
+
+/**
+ * Middleware to stop Coaches changing results that have been submitted or confirmed
+ * (see meetResultService). Admins always pass. resolveMeetIds(req) returns the meets the record
+ * belongs to (undefined if not found, so the route can answer 404). Sends 409 if one is locked.
+ * @param {Function} resolveMeetIds - async (req) => Array<number>|undefined
+ */
+const ensureResultsUnlocked = (resolveMeetIds) => async (req, res, next) => {
+    if (hasRole(req, ROLES.ADMIN)) {
+        return next();
+    }
+    try {
+        const meetIds = (await resolveMeetIds(req)) || [];
+        for (const meetId of meetIds) {
+            const lockReason = await meetResultService.getResultLockReason(meetId);
+            if (lockReason) {
+                return res.status(409).json({ message: lockReason });
+            }
+        }
+        next();
+    } catch (err) {
+        console.error('Error checking result lock:', err);
+        res.status(500).json({ message: 'Error checking result lock' });
+    }
+};
+
+/**
+ * Middleware to accept an Admin's override_reason for changing a finalized or cancelled meet.
+ * The reason is taken out of the body, attached as req.overrideReason for the service's
+ * lock check, and recorded with every audit log entry written for the rest of the request.
+ * Sends 403 if anyone but an Admin gives one, and 400 if it is empty.
+ */
+const acceptOverrideReason = (req, res, next) => {
+    const reason = req.body ? req.body.override_reason : undefined;
+    if (reason === undefined) {
+        return next();
+    }
+    if (!hasRole(req, ROLES.ADMIN)) {
+        return res.status(403).json({ message: 'Forbidden: Only Admins can override a finalized or cancelled meet.' });
+    }
+    if (typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ message: 'Invalid override_reason. Must be a non-empty string.' });
+    }
+    delete req.body.override_reason;
+    req.overrideReason = reason.trim();
+    db.runWithAuditReason(req.overrideReason, next);
+};
+
+/**
+ * Builds a resolver from a numeric route parameter, for the middleware above that take one:
+ * team IDs for ensureTeamAccess, meet IDs for ensureResultsUnlocked, allowCaptainScoring and
+ * allowApiTokenScope. An invalid ID resolves to undefined so the route can answer 400.
+ * @param {string} paramName - The route parameter (e.g. 'id').
+ * @param {Function} resolver - A teamAccessService resolver taking the ID (getTeamIdsFor..., getMeetIdsFor...).
+ */
+const idsFromParam = (paramName, resolver) => (req) => {
+    const id = parseInt(req.params[paramName], 10);
+    return isNaN(id) ? undefined : resolver(id);
+};
+
+/**
+ * Middleware to check the record IDs in the body that the access checks resolve teams and meets from.
+ * Runs before them, so an ID they cannot look up (such as a string) is refused rather than skipped.
+ * Sends 400 if a given field is not an integer; missing fields are left to the route.
+ * @param {Array<string>} fields - The body fields (e.g. ['team1_id', 'team2_id']).
+ */
+const ensureIntegerBodyIds = (fields) => (req, res, next) => {
+    const body = req.body || {};
+    const invalidField = fields.find((field) => body[field] !== undefined && !Number.isInteger(body[field]));
+    if (invalidField) {
+        return res.status(400).json({ message: `Invalid ${invalidField}. Must be an integer.` });
+    }
+    next();
+};
 
 module.exports = {
+    ROLES,
+    authenticateApiToken,
+    setAuditActor,
+    allowApiTokenScope,
     ensureAuthenticated,
-    // ensureRole // Uncomment and adapt if role-based access is needed
-}; 
\ No newline at end of file
+    ensureSessionLogin,
+    ensureRole,
+    hasRole,
+    forbiddenMessage,
+    ensureTeamAccess,
+    allowCaptainScoring,
+    ensureResultsUnlocked,
+    acceptOverrideReason,
+    idsFromParam,
+    ensureIntegerBodyIds,
+};
@@ -0,0 +1,54 @@
+const express = require('express');
+const apiTokenService = require('../services/apiTokenService');
+const { ensureAuthenticated, ensureSessionLogin } = require('../middleware/authMiddleware');
+
+const router = express.Router(); // For /api/auth/tokens routes
+
+// Tokens are managed from a login session only, so a leaked token cannot be used to mint new ones
+const canManageTokens = [ensureAuthenticated, ensureSessionLogin];
+
+// GET /api/auth/tokens - The logged-in user's API tokens (never the tokens themselves)
+router.get('/', canManageTokens, async (req, res, next) => {
+    try {
+        const tokens = await apiTokenService.getApiTokensForUser(req.user.id);
+        res.json(tokens);
+    } catch (err) {
+        console.error('Error in GET /auth/tokens route:', err);
+        res.status(500).json({ message: 'Error fetching API tokens' });
+    }
+});
+
+// POST /api/auth/tokens - Create an API token; the response is the only time the token is shown
+// Body: { name, scope ('full' or 'scores'), meet_id (optional, 'scores' only), expires_in_days (default 90) }
+router.post('/', canManageTokens, async (req, res, next) => {
+    try {
+        const newToken = await apiTokenService.createApiToken(req.user.id, req.body);
+        res.status(201).json(newToken);
+    } catch (err) {
+        console.error('Error in POST /auth/tokens route:', err);
+        if (err.message.includes('Missing required') || err.message.includes('Invalid')) {
+            return res.status(400).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Error creating API token' });
+    }
+});
+
+// DELETE /api/auth/tokens/:tokenId - Revoke one of the user's API tokens
+router.delete('/:tokenId', canManageTokens, async (req, res, next) => {
+    try {
+        const tokenId = parseInt(req.params.tokenId, 10);
+        if (isNaN(tokenId)) {
+            return res.status(400).json({ message: 'Invalid token ID format' });
+        }
+        const revokedToken = await apiTokenService.revokeApiToken(req.user.id, tokenId);
+        if (!revokedToken) {
+            return res.status(404).json({ message: 'API token not found' });
+        }
+        res.json(revokedToken);
+    } catch (err) {
+        console.error('Error in DELETE /auth/tokens/:tokenId route:', err);
+        res.status(500).json({ message: 'Error revoking API token' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const auditService = require('../services/auditService');
+const { ensureRole, ROLES } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// GET /api/audit - Audit log of data changes, newest first (Admin)
+// Filters: ?entity= (table, e.g. sets), ?entity_id=, ?user_id= (who made the change), ?action=, ?limit= (default 100, max 500)
+router.get('/', ensureRole(ROLES.ADMIN), async (req, res, next) => {
+    try {
+        const { entity, entity_id, user_id, action, limit } = req.query;
+        const filters = { entity, action };
+        for (const [name, value] of Object.entries({ entity_id, user_id })) {
+            if (value !== undefined) {
+                filters[name] = parseInt(value, 10);
+                if (isNaN(filters[name])) {
+                    return res.status(400).json({ message: `Invalid ${name} format` });
+                }
+            }
+        }
+        if (limit !== undefined) {
+            filters.limit = Number(limit);
+        }
+        const entries = await auditService.getAuditLog(filters);
+        res.json(entries);
+    } catch (err) {
+        console.error('Error in GET /audit route:', err);
+        if (err.message.includes('Invalid')) {
+            return res.status(400).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Error fetching audit log' });
+    }
+});
+
+module.exports = router;
@@ -2,38 +2,71 @@ const express = require('express');
 const passport = require('passport');
 const bcrypt = require('bcryptjs');
 const userService = require('../services/userService');
+const roleService = require('../services/roleService');
+const inviteService = require('../services/inviteService');
+const accountService = require('../services/accountService');
+const sessionService = require('../services/sessionService');
+const { ensureAuthenticated, ensureSessionLogin, ROLES } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
+// Passwords, linked logins and sessions are managed from a login session only, not with an API token
+const sessionLogin = [ensureAuthenticated, ensureSessionLogin];
+
 // POST /api/auth/register - Local User Registration
+// New accounts are Guests. With a coach's invite_code, the user is instead registered as a Player
+// and added to the invite's team. Roles cannot be chosen here; Admins change them via PUT /api/users/:id/role.
 router.post('/register', async (req, res, next) => {
-    const { email, name, password, role_id } = req.body;
+    const { email, name, password, role_id, invite_code } = req.body;
 
     // Basic Input Validation
-    if (!email || !name || !password || !role_id) {
-        return res.status(400).json({ message: 'Missing required fields: email, name, password, role_id' });
+    if (!email || !name || !password) {
+        return res.status(400).json({ message: 'Missing required fields: email, name, password' });
+    }
+    if (role_id !== undefined) {
+        return res.status(400).json({ message: 'role_id cannot be chosen at registration. Use an invite code to join a team as a Player.' });
     }
     if (password.length < 6) { // Example minimum password length
         return res.status(400).json({ message: 'Password must be at least 6 characters long.' });
     }
-    // Add more validation: email format, role_id is valid integer, etc.
+    // Add more validation: email format, etc.
 
     try {
-        // createUser in userService handles hashing and checks for existing email/google_id
-        const newUser = await userService.createUser({ email, name, password, role_id });
+        let newUser;
+        if (invite_code !== undefined) {
+            newUser = await inviteService.acceptInvite(invite_code, { email, name, password });
+        } else {
+            const guestRole = await roleService.getRoleByName(ROLES.GUEST);
+            if (!guestRole) {
+                throw new Error(`Role '${ROLES.GUEST}' does not exist.`);
+            }
+            // createUser in userService handles hashing and checks for existing email/google_id
+            newUser = await userService.createUser({ email, name, password, role_id: guestRole.id });
+        }
+        // Registration still succeeds if the email cannot be sent; the user can ask for it again
+        try {
+            await accountService.sendVerificationEmail(newUser);
+        } catch (mailErr) {
+            console.error('Error sending verification email after registration:', mailErr);
+        }
         // Log the user in immediately after registration using req.login (provided by Passport)
         req.login(newUser, (err) => {
             if (err) {
                  console.error('Error logging in after registration:', err);
                  return next(err);
             }
+            sessionService.recordLoginDetails(req);
             return res.status(201).json(newUser);
         });
     } catch (err) {
-        if (err.message.includes('already exists') || err.message.includes('Role with ID')) {
-             return res.status(409).json({ message: err.message }); // Conflict or Bad Request
+        if (err.message.includes('Invalid invite code')) {
+            return res.status(400).json({ message: err.message });
         }
-        res.status(500).json({ message: err.message || 'Error registering user' });
+        if (err.message.includes('already exists')) {
+             return res.status(409).json({ message: err.message }); // Conflict
+        }
+        console.error('Error registering user:', err);
+        res.status(500).json({ message: 'Error registering user' });
     }
 });
 
@@ -46,8 +79,12 @@ router.post('/login', (req, res, next) => {
         }
         if (!user) {
              console.log('Local authentication failed:', info ? info.message : 'No user returned');
-             // info.message comes from the 'done(null, false, { message: ... })' in LocalStrategy
-             return res.status(401).json({ message: info ? info.message : 'Authentication failed' });
+             // info comes from the 'done(null, false, { message: ... })' in LocalStrategy
+             // Throttled attempts carry status 429 and the seconds to wait before retrying
+             if (info && info.retryAfter) {
+                 res.set('Retry-After', String(info.retryAfter));
+             }
+             return res.status(info && info.status ? info.status : 401).json({ message: info ? info.message : 'Authentication failed' });
         }
         // Log the user in - Passport attaches user to session
         req.login(user, (err) => {
@@ -55,6 +92,7 @@ router.post('/login', (req, res, next) => {
                 console.error('Error establishing session after login:', err);
                 return next(err);
             }
+             sessionService.recordLoginDetails(req);
              return res.json(user);
         });
     })(req, res, next); // Important: call the middleware function returned by passport.authenticate
@@ -65,6 +103,13 @@ router.get('/google',
     passport.authenticate('google', { scope: ['profile', 'email'] })
 );
 
+// GET /api/auth/google/link - Link a Google account to the logged-in user
+// Same flow as /google: the strategy links instead of logging in when a user is already logged in
+router.get('/google/link',
+    sessionLogin,
+    passport.authenticate('google', { scope: ['profile', 'email'] })
+);
+
 // GET /api/auth/google/callback - Google OAuth Callback Handler
 router.get('/google/callback',
     passport.authenticate('google', { failureRedirect: '/login' }), // Redirect to a login page on failure
@@ -73,6 +118,7 @@ router.get('/google/callback',
         console.log('Google authentication successful, user:', req.user);
         // Redirect to the frontend application, perhaps a dashboard page.
         // In a real app, you'd redirect to your frontend URL, e.g., process.env.FRONTEND_URL
+        sessionService.recordLoginDetails(req);
         res.redirect('/'); // Redirect to homepage for now
     }
 );
@@ -105,4 +151,142 @@ router.get('/status', (req, res) => {
 });
 
 
+// Maps account errors to status codes
+const sendAccountError = (res, err, fallbackMessage) => {
+    if (err.message.includes('Missing required') || err.message.includes('Invalid') || err.message.includes('Incorrect')) {
+        return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: fallbackMessage });
+};
+
+// POST /api/auth/change-password - Change the logged-in user's password
+router.post('/change-password', sessionLogin, async (req, res, next) => {
+    try {
+        const { current_password, new_password } = req.body;
+        await accountService.changePassword(req.user, current_password, new_password, req.sessionID);
+        res.json({ message: 'Password changed successfully' });
+    } catch (err) {
+        console.error('Error in POST /auth/change-password route:', err);
+        sendAccountError(res, err, 'Error changing password');
+    }
+});
+
+// POST /api/auth/forgot-password - Email a password reset link
+// The response is the same whether or not the email is registered
+router.post('/forgot-password', async (req, res, next) => {
+    try {
+        await accountService.requestPasswordReset(req.body.email);
+        res.json({ message: 'If an account exists for that email, a password reset link has been sent.' });
+    } catch (err) {
+        console.error('Error in POST /auth/forgot-password route:', err);
+        sendAccountError(res, err, 'Error requesting password reset');
+    }
+});
+
+// POST /api/auth/reset-password - Set a new password with a token from a reset email
+router.post('/reset-password', async (req, res, next) => {
+    try {
+        const { token, new_password } = req.body;
+        await accountService.resetPassword(token, new_password);
+        res.json({ message: 'Password has been reset. You can now log in with your new password.' });
+    } catch (err) {
+        console.error('Error in POST /auth/reset-password route:', err);
+        sendAccountError(res, err, 'Error resetting password');
+    }
+});
+
+// POST /api/auth/verify-email - Verify an email address with a token from a verification email
+router.post('/verify-email', async (req, res, next) => {
+    try {
+        const user = await accountService.verifyEmail(req.body.token);
+        res.json({ message: 'Email address verified', email_verified_at: user.email_verified_at });
+    } catch (err) {
+        console.error('Error in POST /auth/verify-email route:', err);
+        sendAccountError(res, err, 'Error verifying email');
+    }
+});
+
+// POST /api/auth/resend-verification - Send the logged-in user a new verification email
+router.post('/resend-verification', ensureAuthenticated, async (req, res, next) => {
+    try {
+        if (req.user.email_verified_at) {
+            return res.status(400).json({ message: 'Email address is already verified' });
+        }
+        await accountService.sendVerificationEmail(req.user);
+        res.json({ message: 'Verification email sent' });
+    } catch (err) {
+        console.error('Error in POST /auth/resend-verification route:', err);
+        sendAccountError(res, err, 'Error sending verification email');
+    }
+});
+
+// GET /api/auth/login-methods - The ways the logged-in user can log in
+router.get('/login-methods', ensureAuthenticated, async (req, res, next) => {
+    try {
+        const methods = await userService.getLoginMethods(req.user.id);
+        res.json(methods);
+    } catch (err) {
+        console.error('Error in GET /auth/login-methods route:', err);
+        res.status(500).json({ message: 'Error fetching login methods' });
+    }
+});
+
+// POST /api/auth/set-password - Add a password to an account that has none (e.g. Google-only)
+router.post('/set-password', sessionLogin, async (req, res, next) => {
+    try {
+        await accountService.addPassword(req.user, req.body.new_password);
+        res.json({ message: 'Password set. You can now also log in with your email and password.' });
+    } catch (err) {
+        console.error('Error in POST /auth/set-password route:', err);
+        sendAccountError(res, err, 'Error setting password');
+    }
+});
+
+// DELETE /api/auth/google - Unlink Google from the logged-in user (requires a password to remain)
+router.delete('/google', sessionLogin, async (req, res, next) => {
+    try {
+        const user = await accountService.unlinkGoogle(req.user.id);
+        res.json(user);
+    } catch (err) {
+        console.error('Error in DELETE /auth/google route:', err);
+        sendAccountError(res, err, 'Error unlinking Google account');
+    }
+});
+
+// GET /api/auth/sessions - The logged-in user's active sessions (the current one is marked)
+router.get('/sessions', sessionLogin, async (req, res, next) => {
+    try {
+        const sessions = await sessionService.getSessionsForUser(req.user.id, req.sessionID);
+        res.json(sessions);
+    } catch (err) {
+        console.error('Error in GET /auth/sessions route:', err);
+        res.status(500).json({ message: 'Error fetching sessions' });
+    }
+});
+
+// DELETE /api/auth/sessions/others - Log out all of the user's other sessions
+router.delete('/sessions/others', sessionLogin, async (req, res, next) => {
+    try {
+        const revoked = await sessionService.revokeSessionsForUser(req.user.id, req.sessionID);
+        res.json({ message: 'Logged out of all other sessions', revoked });
+    } catch (err) {
+        console.error('Error in DELETE /auth/sessions/others route:', err);
+        res.status(500).json({ message: 'Error revoking sessions' });
+    }
+});
+
+// DELETE /api/auth/sessions/:sessionId - Log out one of the user's sessions
+router.delete('/sessions/:sessionId', sessionLogin, async (req, res, next) => {
+    try {
+        const revoked = await sessionService.revokeSession(req.user.id, req.params.sessionId);
+        if (!revoked) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+        res.json({ message: 'Session revoked' });
+    } catch (err) {
+        console.error('Error in DELETE /auth/sessions/:sessionId route:', err);
+        res.status(500).json({ message: 'Error revoking session' });
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,91 @@
+const express = require('express');
+const rosterService = require('../services/rosterService');
+const teamService = require('../services/teamService'); // To verify team exists
+const { ensureRole, ensureTeamAccess, ROLES } = require('../middleware/authMiddleware');
+
+// Captains are listed publicly; they are appointed by Admins and by the team's coaches
+// (head coach and assistants), up to the team's max_captains per season
+const canManageCaptains = [ensureRole([ROLES.ADMIN, ROLES.COACH]), ensureTeamAccess((req) => [req.teamId], 'manage_captains')];
+
+const router = express.Router({ mergeParams: true }); // For /api/teams/:teamId/captains routes
+
+// Middleware to validate teamId for all captain routes
+router.use(async (req, res, next) => {
+    const teamId = parseInt(req.params.teamId, 10);
+    if (isNaN(teamId)) {
+        return res.status(400).json({ message: 'Invalid team ID format in URL' });
+    }
+    try {
+        const team = await teamService.getTeamById(teamId);
+        if (!team) {
+            return res.status(404).json({ message: `Team with ID ${teamId} not found` });
+        }
+    } catch (err) {
+        console.error(`Error checking team ID ${teamId} for captain routes:`, err);
+        return res.status(500).json({ message: 'Error fetching team' });
+    }
+    req.teamId = teamId; // Attach validated teamId to request object
+    next();
+});
+
+// GET /api/teams/:teamId/captains - Get the team's captains (Public)
+// Query: season_id (optional filter)
+router.get('/', async (req, res, next) => {
+    try {
+        const filters = {};
+        if (req.query.season_id) {
+            const seasonId = parseInt(req.query.season_id, 10);
+            if (isNaN(seasonId)) {
+                return res.status(400).json({ message: 'Invalid season_id format' });
+            }
+            filters.season_id = seasonId;
+        }
+        const captains = await rosterService.getCaptains(req.teamId, filters);
+        res.json(captains);
+    } catch (err) {
+        console.error(`Error in GET /teams/${req.teamId}/captains route:`, err);
+        res.status(500).json({ message: 'Error fetching captains' });
+    }
+});
+
+// POST /api/teams/:teamId/captains - Appoint a captain or co-captain for a season (Admin or the team's coaches)
+// Body: { player_id, season_id } - the player must be on the team's roster for the season
+router.post('/', canManageCaptains, async (req, res, next) => {
+    try {
+        const captain = await rosterService.appointCaptain(req.teamId, req.body);
+        res.status(201).json(captain);
+    } catch (err) {
+        console.error(`Error in POST /teams/${req.teamId}/captains route:`, err);
+        if (err.message.includes('Missing required') || err.message.includes('Invalid')) {
+            return res.status(400).json({ message: err.message });
+        }
+        if (err.message.includes('already') || err.message.includes('Cannot')) {
+            return res.status(409).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Error appointing captain' });
+    }
+});
+
+// DELETE /api/teams/:teamId/captains/:playerId?season_id= - Remove a player's captaincy for a season (Admin or the team's coaches)
+router.delete('/:playerId', canManageCaptains, async (req, res, next) => {
+    try {
+        const playerId = parseInt(req.params.playerId, 10);
+        if (isNaN(playerId)) {
+            return res.status(400).json({ message: 'Invalid player ID format' });
+        }
+        const seasonId = parseInt(req.query.season_id, 10);
+        if (isNaN(seasonId)) {
+            return res.status(400).json({ message: 'Missing or invalid season_id query parameter' });
+        }
+        const entry = await rosterService.removeCaptain(req.teamId, playerId, seasonId);
+        if (!entry) {
+            return res.status(404).json({ message: 'Captain not found for this team and season' });
+        }
+        res.json(entry);
+    } catch (err) {
+        console.error(`Error in DELETE /teams/${req.teamId}/captains/:playerId route:`, err);
+        res.status(500).json({ message: 'Error removing captain' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const inviteService = require('../services/inviteService');
+const teamService = require('../services/teamService'); // To verify team exists
+const { ensureRole, ensureTeamAccess, ROLES } = require('../middleware/authMiddleware');
+
+// Invites are managed by Admins and by the team's Coach
+const canManageInvites = [ensureRole([ROLES.ADMIN, ROLES.COACH]), ensureTeamAccess((req) => [req.teamId], 'manage_roster')];
+
+const router = express.Router({ mergeParams: true }); // For /api/teams/:teamId/invites routes
+
+// Middleware to validate teamId for all invite routes
+router.use(async (req, res, next) => {
+    const teamId = parseInt(req.params.teamId, 10);
+    if (isNaN(teamId)) {
+        return res.status(400).json({ message: 'Invalid team ID format in URL' });
+    }
+    try {
+        const team = await teamService.getTeamById(teamId);
+        if (!team) {
+            return res.status(404).json({ message: `Team with ID ${teamId} not found` });
+        }
+    } catch (err) {
+        console.error(`Error checking team ID ${teamId} for invite routes:`, err);
+        return res.status(500).json({ message: 'Error fetching team' });
+    }
+    req.teamId = teamId; // Attach validated teamId to request object
+    next();
+});
+
+// GET /api/teams/:teamId/invites - Get the invites issued for a team (Admin or the team's Coach)
+router.get('/', canManageInvites, async (req, res, next) => {
+    try {
+        const invites = await inviteService.getInvitesByTeam(req.teamId);
+        res.json(invites);
+    } catch (err) {
+        console.error(`Error in GET /teams/${req.teamId}/invites route:`, err);
+        res.status(500).json({ message: 'Error fetching invites' });
+    }
+});
+
+// POST /api/teams/:teamId/invites - Issue an invite code to join the team as a Player (Admin or the team's Coach)
+router.post('/', canManageInvites, async (req, res, next) => {
+    try {
+        const { email, expires_in_days } = req.body;
+        const invite = await inviteService.createInvite({
+            team_id: req.teamId,
+            created_by_user_id: req.user.id,
+            email,
+            expires_in_days,
+        });
+        res.status(201).json(invite);
+    } catch (err) {
+        console.error(`Error in POST /teams/${req.teamId}/invites route:`, err);
+        if (err.message.includes('Missing required') || err.message.includes('Invalid')) {
+            return res.status(400).json({ message: err.message });
+        }
+        if (err.message.includes('not found')) {
+            return res.status(404).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Error creating invite' });
+    }
+});
+
+// DELETE /api/teams/:teamId/invites/:inviteId - Revoke an unused invite (Admin or the team's Coach)
+router.delete('/:inviteId', canManageInvites, async (req, res, next) => {
+    try {
+        const inviteId = parseInt(req.params.inviteId, 10);
+        if (isNaN(inviteId)) {
+            return res.status(400).json({ message: 'Invalid invite ID format' });
+        }
+        const invite = await inviteService.revokeInvite(req.teamId, inviteId);
+        if (!invite) {
+            return res.status(404).json({ message: 'Invite not found' });
+        }
+        res.json(invite);
+    } catch (err) {
+        console.error(`Error in DELETE /teams/${req.teamId}/invites/${req.params.inviteId} route:`, err);
+        if (err.message.includes('already been used')) {
+            return res.status(409).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Error revoking invite' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const lineupService = require('../services/lineupService');
+const { ensureRole, ensureTeamAccess, ensureResultsUnlocked, acceptOverrideReason, hasRole, ROLES } = require('../middleware/authMiddleware');
+
+// Lineups are public; a team's lineup is set by Admins and by the team's staff who enter scores,
+// until the meet format's lineup lock (Admins can still change it after)
+const canSetLineup = [
+    ensureRole([ROLES.ADMIN, ROLES.COACH]),
+    ensureTeamAccess((req) => [req.teamId], 'enter_scores'),
+    ensureResultsUnlocked((req) => [req.meetId]),
+    acceptOverrideReason,
+];
+
+const router = express.Router({ mergeParams: true }); // For /api/meets/:meetId/lineups routes
+
+// Middleware to validate meetId and teamId for all lineup routes
+router.use('/:teamId', (req, res, next) => {
+    const meetId = parseInt(req.params.meetId, 10);
+    const teamId = parseInt(req.params.teamId, 10);
+    if (isNaN(meetId) || isNaN(teamId)) {
+        return res.status(400).json({ message: 'Invalid meet or team ID format in URL' });
+    }
+    req.meetId = meetId; // Attach validated IDs to request object
+    req.teamId = teamId;
+    next();
+});
+
+const LINEUP_NOT_FOUND = 'Lineup not found: the meet does not exist or the team is not playing in it';
+
+// GET /api/meets/:meetId/lineups/:teamId - Get a team's lineup for the meet, line by line (Public)
+router.get('/:teamId', async (req, res, next) => {
+    try {
+        const lineup = await lineupService.getLineup(req.meetId, req.teamId);
+        if (!lineup) {
+            return res.status(404).json({ message: LINEUP_NOT_FOUND });
+        }
+        res.json(lineup);
+    } catch (err) {
+        console.error(`Error in GET /meets/${req.meetId}/lineups/${req.teamId} route:`, err);
+        res.status(500).json({ message: 'Error fetching lineup' });
+    }
+});
+
+// PUT /api/meets/:meetId/lineups/:teamId - Set the team's full lineup for the meet (Admin or the team's staff)
+// Body: { singles: [{ line_number, player_id }], doubles: [{ line_number, player1_id, player2_id }] }
+//   - every line of the meet's format, with null for open slots
+router.put('/:teamId', canSetLineup, async (req, res, next) => {
+    try {
+        const lineup = await lineupService.setLineup(req.meetId, req.teamId, req.body, {
+            overrideReason: req.overrideReason,
+            ignoreLineupLock: hasRole(req, ROLES.ADMIN),
+        });
+        if (!lineup) {
+            return res.status(404).json({ message: LINEUP_NOT_FOUND });
+        }
+        res.json(lineup);
+    } catch (err) {
+        console.error(`Error in PUT /meets/${req.meetId}/lineups/${req.teamId} route:`, err);
+        if (err.message.includes('Missing required') || err.message.includes('Invalid')) {
+            return res.status(400).json({ message: err.message });
+        }
+        if (err.message.includes('Cannot') || err.message.includes('finalized') || err.message.includes('cancelled')) {
+            return res.status(409).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Error setting lineup' });
+    }
+});
+
+module.exports = router;
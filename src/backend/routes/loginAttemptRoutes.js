@@ -0,0 +1,33 @@
+const express = require('express');
+const loginAttemptService = require('../services/loginAttemptService');
+const { ensureRole, ROLES } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// GET /api/login-attempts - Audit log of login attempts, newest first (Admin)
+// Filters: ?email=, ?user_id=, ?ip_address=, ?failed=true, ?limit= (default 100, max 500)
+router.get('/', ensureRole(ROLES.ADMIN), async (req, res, next) => {
+    try {
+        const { email, user_id, ip_address, failed, limit } = req.query;
+        const filters = { email, ip_address, failed_only: failed === 'true' };
+        if (user_id !== undefined) {
+            filters.user_id = parseInt(user_id, 10);
+            if (isNaN(filters.user_id)) {
+                return res.status(400).json({ message: 'Invalid user_id format' });
+            }
+        }
+        if (limit !== undefined) {
+            filters.limit = Number(limit);
+        }
+        const attempts = await loginAttemptService.getLoginAttempts(filters);
+        res.json(attempts);
+    } catch (err) {
+        console.error('Error in GET /login-attempts route:', err);
+        if (err.message.includes('Invalid')) {
+            return res.status(400).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Error fetching login attempts' });
+    }
+});
+
+module.exports = router;
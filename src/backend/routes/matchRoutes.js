@@ -3,26 +3,60 @@ const {
     createMatch,
     getAllMatches,
     getMatchById,
+    getMatchRoster,
     updateMatch,
     deleteMatch
 } = require('../services/matchService');
 const setService = require('../services/setService'); // Needed for fetching sets when getting a match
-const { ensureAuthenticated } = require('../middleware/authMiddleware'); // Import
+const { ensureRole, ensureTeamAccess, ensureResultsUnlocked, acceptOverrideReason, idsFromParam, ensureIntegerBodyIds, hasRole, ROLES } = require('../middleware/authMiddleware'); // Import
+const { getTeamIdsForMeet, getTeamIdsForMatch, getMeetIdsForMatch } = require('../services/teamAccessService');
+const { SIDE_FIELDS: LINEUP_FIELDS } = require('../services/lineupService'); // Player fields making up each side's lineup for a line
+
+// The meet's [team1_id, team2_id] for a new match (from the body, checked by ensureIntegerBodyIds) or an existing one (from the URL)
+const newMatchTeamIds = async (req) => (req.body.meet_id !== undefined ? getTeamIdsForMeet(req.body.meet_id) : undefined);
+const existingMatchTeamIds = idsFromParam('id', getTeamIdsForMatch);
+// The meet a new match is added to, or an existing match belongs to
+const newMatchMeetIds = async (req) => (req.body.meet_id !== undefined ? [req.body.meet_id] : undefined);
+const existingMatchMeetIds = idsFromParam('id', getMeetIdsForMatch);
+
+/**
+ * Middleware stopping a Coach from setting the opposing team's lineup.
+ * Runs after ensureTeamAccess, which sets req.staffTeamIds for Coaches; Admins skip this check.
+ * @param {Function} resolveTeamIds - async (req) => [team1_id, team2_id] of the meet.
+ */
+const ensureOwnLineupSide = (resolveTeamIds) => async (req, res, next) => {
+    if (!req.staffTeamIds) {
+        return next();
+    }
+    try {
+        const teamIds = await resolveTeamIds(req);
+        for (const side of [1, 2]) {
+            const setsSide = LINEUP_FIELDS[side].some((field) => req.body[field] !== undefined);
+            if (setsSide && !req.staffTeamIds.includes(teamIds[side - 1])) {
+                return res.status(403).json({ message: 'Forbidden: Coaches can only set the lineup for their own team.' });
+            }
+        }
+        next();
+    } catch (err) {
+        console.error('Error checking lineup permissions:', err);
+        res.status(500).json({ message: 'Error checking lineup permissions' });
+    }
+};
 
 const router = express.Router();
 
-// POST /api/matches - Create a new match (Protected)
-router.post('/', ensureAuthenticated, async (req, res, next) => {
+// POST /api/matches - Create a new match (Admin, or a Coach of either team, who may only fill in their own lineup)
+router.post('/', ensureRole([ROLES.ADMIN, ROLES.COACH]), ensureIntegerBodyIds(['meet_id']), ensureTeamAccess(newMatchTeamIds, 'enter_scores'), ensureOwnLineupSide(newMatchTeamIds), ensureResultsUnlocked(newMatchMeetIds), acceptOverrideReason, async (req, res, next) => {
     try {
         // Add more specific validation here based on line_type, player assignments, etc.
-        const newMatch = await createMatch(req.body);
+        const newMatch = await createMatch(req.body, { overrideReason: req.overrideReason, ignoreLineupLock: hasRole(req, ROLES.ADMIN) });
         res.status(201).json(newMatch);
     } catch (err) {
         console.error('Error in POST /matches route:', err);
         if (err.message.includes('Missing required') || err.message.includes('Invalid') || err.message.includes('Foreign key') || err.message.includes('Check constraint')) {
             return res.status(400).json({ message: err.message });
         }
-        if (err.message.includes('already exists')) {
+        if (err.message.includes('already exists') || err.message.includes('finalized') || err.message.includes('cancelled') || err.message.includes('Cannot change the lineup')) {
              return res.status(409).json({ message: err.message });
         }
         res.status(500).json({ message: err.message || 'Error creating match' });
@@ -49,7 +83,7 @@ router.get('/', async (req, res, next) => {
     }
 });
 
-// GET /api/matches/:id - Get a single match by ID (Public)
+// GET /api/matches/:id - Get a single match by ID, with its sets and the players' roster context (Public)
 router.get('/:id', async (req, res, next) => {
     try {
         const matchId = parseInt(req.params.id, 10);
@@ -63,6 +97,7 @@ router.get('/:id', async (req, res, next) => {
         // Fetch associated sets
         const sets = await setService.getSetsByMatchId(matchId);
         match.sets = sets; // Embed sets data in the response
+        match.roster = await getMatchRoster(matchId); // The players' teams and roster entries when the match was played
 
         res.json(match);
     } catch (err) {
@@ -71,8 +106,8 @@ router.get('/:id', async (req, res, next) => {
     }
 });
 
-// PUT /api/matches/:id - Update a match (Protected)
-router.put('/:id', ensureAuthenticated, async (req, res, next) => {
+// PUT /api/matches/:id - Update a match (Admin, or a Coach of either team, who may only change their own lineup)
+router.put('/:id', ensureRole([ROLES.ADMIN, ROLES.COACH]), ensureTeamAccess(existingMatchTeamIds, 'enter_scores'), ensureOwnLineupSide(existingMatchTeamIds), ensureResultsUnlocked(existingMatchMeetIds), acceptOverrideReason, async (req, res, next) => {
     try {
         const matchId = parseInt(req.params.id, 10);
         if (isNaN(matchId)) {
@@ -84,7 +119,7 @@ router.put('/:id', ensureAuthenticated, async (req, res, next) => {
              return res.status(400).json({ message: 'No update fields provided' });
          }
 
-        const updatedMatch = await updateMatch(matchId, updateData);
+        const updatedMatch = await updateMatch(matchId, updateData, { overrideReason: req.overrideReason, ignoreLineupLock: hasRole(req, ROLES.ADMIN) });
         if (!updatedMatch) {
             return res.status(404).json({ message: 'Match not found' });
         }
@@ -94,24 +129,30 @@ router.put('/:id', ensureAuthenticated, async (req, res, next) => {
          if (err.message.includes('Invalid') || err.message.includes('Foreign key') || err.message.includes('Check constraint')) {
             return res.status(400).json({ message: err.message });
         }
+        if (err.message.includes('finalized') || err.message.includes('cancelled') || err.message.includes('Cannot change the lineup')) {
+            return res.status(409).json({ message: err.message });
+        }
         res.status(500).json({ message: err.message || 'Error updating match' });
     }
 });
 
-// DELETE /api/matches/:id - Delete a match (and its sets) (Protected)
-router.delete('/:id', ensureAuthenticated, async (req, res, next) => {
+// DELETE /api/matches/:id - Delete a match (and its sets) (Admin, or a Coach of either team)
+router.delete('/:id', ensureRole([ROLES.ADMIN, ROLES.COACH]), ensureTeamAccess(existingMatchTeamIds, 'enter_scores'), ensureResultsUnlocked(existingMatchMeetIds), acceptOverrideReason, async (req, res, next) => {
     try {
         const matchId = parseInt(req.params.id, 10);
         if (isNaN(matchId)) {
             return res.status(400).json({ message: 'Invalid match ID format' });
         }
-        const deletedMatch = await deleteMatch(matchId);
+        const deletedMatch = await deleteMatch(matchId, { overrideReason: req.overrideReason });
         if (!deletedMatch) {
             return res.status(404).json({ message: 'Match not found' });
         }
         res.json(deletedMatch); // Return deleted match data
     } catch (err) {
         console.error('Error in DELETE /matches/:id route:', err);
+        if (err.message.includes('finalized') || err.message.includes('cancelled')) {
+            return res.status(409).json({ message: err.message });
+        }
         res.status(500).json({ message: err.message || 'Error deleting match' });
     }
 });
@@ -0,0 +1,186 @@
+const express = require('express');
+const {
+    createMeetFormat,
+    getAllMeetFormats,
+    getMeetFormatById,
+    updateMeetFormat,
+    retireMeetFormat,
+    restoreMeetFormat,
+    deleteMeetFormat
+} = require('../services/meetFormatService');
+const { ensureRole, hasRole, ROLES } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Maps service errors to HTTP responses shared by the write routes
+const sendFormatError = (res, err, fallbackMessage) => {
+    if (err.message.includes('already exists')) {
+        return res.status(409).json({ message: err.message });
+    }
+    if (err.message.includes('in use by') || err.message.includes('referenced by')) {
+        return res.status(409).json({ message: err.message });
+    }
+    if (err.message.includes('Missing required') || err.message.includes('Invalid') || err.message.includes('does not exist')) {
+        return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: err.message || fallbackMessage });
+};
+
+// Only Admins may change standard formats; a Coach may change the custom formats they created.
+// Runs after ensureRole, so req.user is set.
+const ensureCanManageFormat = async (req, res, next) => {
+    const formatId = parseInt(req.params.id, 10);
+    if (isNaN(formatId)) {
+        return res.status(400).json({ message: 'Invalid meet format ID format' });
+    }
+    try {
+        const format = await getMeetFormatById(formatId);
+        if (!format) {
+            return res.status(404).json({ message: 'Meet format not found' });
+        }
+        if (hasRole(req, ROLES.ADMIN)) {
+            return next();
+        }
+        if (format.is_standard) {
+            return res.status(403).json({ message: 'Forbidden: Only Admins can change standard meet formats.' });
+        }
+        if (format.created_by_user_id !== req.user.id) {
+            return res.status(403).json({ message: 'Forbidden: Only Admins or the coach who created this format can change it.' });
+        }
+        next();
+    } catch (err) {
+        console.error('Error checking meet format permissions:', err);
+        res.status(500).json({ message: err.message || 'Error fetching meet format' });
+    }
+};
+
+const canManageFormat = [ensureRole([ROLES.ADMIN, ROLES.COACH]), ensureCanManageFormat];
+
+// GET /api/meet-formats - Get all active meet formats (?include_retired=true to include retired) (Public)
+router.get('/', async (req, res, next) => {
+    try {
+        const filters = { include_retired: req.query.include_retired === 'true' };
+        const formats = await getAllMeetFormats(filters);
+        res.json(formats);
+    } catch (err) {
+        console.error('Error in GET /meet-formats route:', err);
+        res.status(500).json({ message: err.message || 'Error fetching meet formats' });
+    }
+});
+
+// GET /api/meet-formats/:id - Get a single meet format by ID (Public)
+router.get('/:id', async (req, res, next) => {
+    try {
+        const formatId = parseInt(req.params.id, 10);
+        if (isNaN(formatId)) {
+            return res.status(400).json({ message: 'Invalid meet format ID format' });
+        }
+        const format = await getMeetFormatById(formatId);
+        if (!format) {
+            return res.status(404).json({ message: 'Meet format not found' });
+        }
+        res.json(format);
+    } catch (err) {
+        console.error('Error in GET /meet-formats/:id route:', err);
+        res.status(500).json({ message: err.message || 'Error fetching meet format' });
+    }
+});
+
+// POST /api/meet-formats - Create a custom meet format (Admin or Coach)
+router.post('/', ensureRole([ROLES.ADMIN, ROLES.COACH]), async (req, res, next) => {
+    try {
+        const { name, num_singles_lines, num_doubles_lines, scoring_type } = req.body;
+        if (!name || num_singles_lines === undefined || num_doubles_lines === undefined || !scoring_type) {
+            return res.status(400).json({ message: 'Missing required fields: name, num_singles_lines, num_doubles_lines, scoring_type' });
+        }
+
+        // The creator is always the logged-in user, never taken from the body
+        const newFormat = await createMeetFormat(req.body, req.user.id);
+        res.status(201).json(newFormat);
+    } catch (err) {
+        console.error('Error in POST /meet-formats route:', err);
+        sendFormatError(res, err, 'Error creating meet format');
+    }
+});
+
+// PUT /api/meet-formats/:id - Update a meet format (Admin, or the Coach who created it)
+router.put('/:id', canManageFormat, async (req, res, next) => {
+    try {
+        const formatId = parseInt(req.params.id, 10);
+        if (isNaN(formatId)) {
+            return res.status(400).json({ message: 'Invalid meet format ID format' });
+        }
+        const updateData = req.body;
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({ message: 'No update fields provided' });
+        }
+        if (updateData.created_by_user_id !== undefined) {
+            return res.status(400).json({ message: 'Cannot update created_by_user_id via this endpoint.' });
+        }
+
+        const updatedFormat = await updateMeetFormat(formatId, updateData);
+        if (!updatedFormat) {
+            return res.status(404).json({ message: 'Meet format not found' });
+        }
+        res.json(updatedFormat);
+    } catch (err) {
+        console.error('Error in PUT /meet-formats/:id route:', err);
+        sendFormatError(res, err, 'Error updating meet format');
+    }
+});
+
+// POST /api/meet-formats/:id/retire - Retire a meet format so new meets cannot use it (Admin, or the Coach who created it)
+router.post('/:id/retire', canManageFormat, async (req, res, next) => {
+    try {
+        const formatId = parseInt(req.params.id, 10);
+        if (isNaN(formatId)) {
+            return res.status(400).json({ message: 'Invalid meet format ID format' });
+        }
+        const retiredFormat = await retireMeetFormat(formatId);
+        if (!retiredFormat) {
+            return res.status(404).json({ message: 'Meet format not found' });
+        }
+        res.json(retiredFormat);
+    } catch (err) {
+        console.error('Error in POST /meet-formats/:id/retire route:', err);
+        sendFormatError(res, err, 'Error retiring meet format');
+    }
+});
+
+// POST /api/meet-formats/:id/restore - Make a retired meet format available again (Admin, or the Coach who created it)
+router.post('/:id/restore', canManageFormat, async (req, res, next) => {
+    try {
+        const formatId = parseInt(req.params.id, 10);
+        if (isNaN(formatId)) {
+            return res.status(400).json({ message: 'Invalid meet format ID format' });
+        }
+        const restoredFormat = await restoreMeetFormat(formatId);
+        if (!restoredFormat) {
+            return res.status(404).json({ message: 'Meet format not found' });
+        }
+        res.json(restoredFormat);
+    } catch (err) {
+        console.error('Error in POST /meet-formats/:id/restore route:', err);
+        sendFormatError(res, err, 'Error restoring meet format');
+    }
+});
+
+// DELETE /api/meet-formats/:id - Delete a meet format not used by any meet (Admin, or the Coach who created it)
+router.delete('/:id', canManageFormat, async (req, res, next) => {
+    try {
+        const formatId = parseInt(req.params.id, 10);
+        if (isNaN(formatId)) {
+            return res.status(400).json({ message: 'Invalid meet format ID format' });
+        }
+        const deletedFormat = await deleteMeetFormat(formatId);
+        if (!deletedFormat) {
+            return res.status(404).json({ message: 'Meet format not found' });
+        }
+        res.json(deletedFormat);
+    } catch (err) {
+        console.error('Error in DELETE /meet-formats/:id route:', err);
+        sendFormatError(res, err, 'Error deleting meet format');
+    }
+});
+
+module.exports = router;
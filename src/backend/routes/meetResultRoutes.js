@@ -0,0 +1,129 @@
+const express = require('express');
+const meetResultService = require('../services/meetResultService');
+const { ensureRole, ensureTeamAccess, ROLES } = require('../middleware/authMiddleware');
+const { getTeamIdsForMeet } = require('../services/teamAccessService');
+
+// The result thread is for Admins and the Coaches of the two teams; confirming and disputing is
+// for the opposing Coach (checked in the service), and resolving disputes for Admins
+const meetTeamAccess = ensureTeamAccess((req) => getTeamIdsForMeet(req.meetId), 'confirm_results');
+const canViewResult = [ensureRole([ROLES.ADMIN, ROLES.COACH]), meetTeamAccess];
+const canAnswerResult = [ensureRole(ROLES.COACH), meetTeamAccess];
+
+const router = express.Router({ mergeParams: true }); // For /api/meets/:meetId/result routes
+
+// Middleware to validate meetId for all result routes
+router.use((req, res, next) => {
+    const meetId = parseInt(req.params.meetId, 10);
+    if (isNaN(meetId)) {
+        return res.status(400).json({ message: 'Invalid meet ID format in URL' });
+    }
+    req.meetId = meetId; // Attach validated meetId to request object
+    next();
+});
+
+// The user taking part: their teams (null for Admins, who act for neither team)
+const getActor = (req) => ({ userId: req.user.id, teamIds: req.staffTeamIds || null });
+
+// Maps result workflow errors to status codes
+const sendResultError = (res, err, fallbackMessage) => {
+    if (err.message.includes('Missing required') || err.message.includes('Invalid')) {
+        return res.status(400).json({ message: err.message });
+    }
+    if (err.message.includes('Forbidden')) {
+        return res.status(403).json({ message: err.message });
+    }
+    if (err.message.includes('Cannot')) {
+        return res.status(409).json({ message: err.message });
+    }
+    res.status(500).json({ message: fallbackMessage });
+};
+
+// GET /api/meets/:meetId/result - The meet's result status and comment thread (Admin, or a Coach of either team)
+router.get('/', canViewResult, async (req, res, next) => {
+    try {
+        const result = await meetResultService.getResult(req.meetId);
+        if (!result) {
+            return res.status(404).json({ message: 'Meet not found' });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(`Error in GET /meets/${req.meetId}/result route:`, err);
+        res.status(500).json({ message: 'Error fetching meet result' });
+    }
+});
+
+// POST /api/meets/:meetId/result/submit - Submit the results for the opposing coach to confirm (Admin, or a Coach of either team)
+// Body: { comment } (optional)
+router.post('/submit', canViewResult, async (req, res, next) => {
+    try {
+        const result = await meetResultService.submitResult(req.meetId, getActor(req), req.body.comment);
+        if (!result) {
+            return res.status(404).json({ message: 'Meet not found' });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(`Error in POST /meets/${req.meetId}/result/submit route:`, err);
+        sendResultError(res, err, 'Error submitting meet result');
+    }
+});
+
+// POST /api/meets/:meetId/result/confirm - Confirm submitted results, locking them (the opposing Coach)
+router.post('/confirm', canAnswerResult, async (req, res, next) => {
+    try {
+        const result = await meetResultService.confirmResult(req.meetId, getActor(req));
+        if (!result) {
+            return res.status(404).json({ message: 'Meet not found' });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(`Error in POST /meets/${req.meetId}/result/confirm route:`, err);
+        sendResultError(res, err, 'Error confirming meet result');
+    }
+});
+
+// POST /api/meets/:meetId/result/dispute - Dispute submitted results (the opposing Coach)
+// Body: { comment } (required)
+router.post('/dispute', canAnswerResult, async (req, res, next) => {
+    try {
+        const result = await meetResultService.disputeResult(req.meetId, getActor(req), req.body.comment);
+        if (!result) {
+            return res.status(404).json({ message: 'Meet not found' });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(`Error in POST /meets/${req.meetId}/result/dispute route:`, err);
+        sendResultError(res, err, 'Error disputing meet result');
+    }
+});
+
+// POST /api/meets/:meetId/result/comments - Add to the result thread (Admin, or a Coach of either team)
+// Body: { body }
+router.post('/comments', canViewResult, async (req, res, next) => {
+    try {
+        const comment = await meetResultService.addComment(req.meetId, req.user.id, req.body.body);
+        if (!comment) {
+            return res.status(404).json({ message: 'Meet not found' });
+        }
+        res.status(201).json(comment);
+    } catch (err) {
+        console.error(`Error in POST /meets/${req.meetId}/result/comments route:`, err);
+        sendResultError(res, err, 'Error adding comment');
+    }
+});
+
+// POST /api/meets/:meetId/result/resolve - Resolve the results: confirm them, or reopen them for the coaches (Admin)
+// Body: { decision: 'confirm' | 'reopen', comment }
+router.post('/resolve', ensureRole(ROLES.ADMIN), async (req, res, next) => {
+    try {
+        const result = await meetResultService.resolveResult(req.meetId, req.user.id, req.body);
+        if (!result) {
+            return res.status(404).json({ message: 'Meet not found' });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(`Error in POST /meets/${req.meetId}/result/resolve route:`, err);
+        sendResultError(res, err, 'Error resolving meet result');
+    }
+});
+
+module.exports = router;
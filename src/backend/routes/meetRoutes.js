@@ -1,11 +1,19 @@
 const express = require('express');
 const meetService = require('../services/meetService');
-const { ensureAuthenticated } = require('../middleware/authMiddleware');
+const meetScheduleService = require('../services/meetScheduleService');
+const { ensureRole, ensureTeamAccess, ensureResultsUnlocked, acceptOverrideReason, idsFromParam, ensureIntegerBodyIds, ROLES } = require('../middleware/authMiddleware');
+const { getTeamIdsForMeet } = require('../services/teamAccessService');
+
+// Coaches may only create (or move) meets involving a team they coach
+const teamIdFields = ensureIntegerBodyIds(['team1_id', 'team2_id']);
+const bodyTeamIds = async (req) => [req.body.team1_id, req.body.team2_id].filter((teamId) => teamId !== undefined);
+const canChangeMeet = [ensureRole([ROLES.ADMIN, ROLES.COACH]), ensureTeamAccess(idsFromParam('id', getTeamIdsForMeet), 'manage_schedule')];
 
 const router = express.Router();
 
-// POST /api/meets - Create a new meet (Protected)
-router.post('/', ensureAuthenticated, async (req, res, next) => {
+// POST /api/meets - Create a new meet (Admin, or a Coach of one of the teams)
+// Pass generate_lines: true to also create the empty lines defined by the meet format
+router.post('/', ensureRole([ROLES.ADMIN, ROLES.COACH]), teamIdFields, ensureTeamAccess(bodyTeamIds, 'manage_schedule'), async (req, res, next) => {
     try {
          // Add more specific validation (e.g., date format, integer IDs)
          const { meet_date, team1_id, team2_id, meet_format_id } = req.body;
@@ -23,7 +31,7 @@ router.post('/', ensureAuthenticated, async (req, res, next) => {
         console.error('Error in POST /meets route:', err);
          if (err.message.includes('does not exist') || err.message.includes('Foreign key constraint violation')) {
             res.status(400).json({ message: err.message }); // Bad request due to non-existent FK
-        } else if (err.message.includes('Missing required fields') || err.message.includes('cannot be the same')) {
+        } else if (err.message.includes('Missing required fields') || err.message.includes('cannot be the same') || err.message.includes('is retired')) {
             res.status(400).json({ message: err.message });
         } else {
             res.status(500).json({ message: 'Error creating meet' });
@@ -73,8 +81,8 @@ router.get('/:id', async (req, res, next) => {
     }
 });
 
-// PUT /api/meets/:id - Update a meet (Protected)
-router.put('/:id', ensureAuthenticated, async (req, res, next) => {
+// PUT /api/meets/:id - Update a meet (Admin, or a Coach of one of the teams)
+router.put('/:id', canChangeMeet, teamIdFields, ensureTeamAccess(bodyTeamIds, 'manage_schedule'), acceptOverrideReason, async (req, res, next) => {
     try {
         const meetId = parseInt(req.params.id, 10);
         if (isNaN(meetId)) {
@@ -87,8 +95,12 @@ router.put('/:id', ensureAuthenticated, async (req, res, next) => {
              return res.status(400).json({ message: 'No update fields provided' });
          }
          // Prevent updating team1_id and team2_id to be the same? Service might handle.
+         const derivedFields = ['team1_score', 'team2_score', 'winner_team_id', 'status'].filter((field) => updateData[field] !== undefined);
+         if (derivedFields.length > 0) {
+             return res.status(400).json({ message: `Cannot update ${derivedFields.join(', ')} directly; they are calculated from match results (postpone, reschedule, suspend, resume or cancel the meet to change its status).` });
+         }
 
-        const updatedMeet = await meetService.updateMeet(meetId, updateData);
+        const updatedMeet = await meetService.updateMeet(meetId, updateData, { overrideReason: req.overrideReason });
         if (!updatedMeet) {
             // Should be handled if service checks ID first or RETURNING yields nothing
              return res.status(404).json({ message: 'Meet not found' });
@@ -96,9 +108,11 @@ router.put('/:id', ensureAuthenticated, async (req, res, next) => {
         res.json(updatedMeet);
     } catch (err) {
         console.error('Error in PUT /meets/:id route:', err);
-        if (err.message.includes('Foreign key constraint violation')) {
+        if (err.message.includes('Foreign key constraint violation') || err.message.includes('does not exist')) {
              res.status(400).json({ message: err.message });
-        } else if (err.message.includes('cannot be the same')) {
+        } else if (err.message.includes('Cannot remove') || err.message.includes('finalized') || err.message.includes('cancelled')) {
+             res.status(409).json({ message: err.message }); // Format change would drop lines with results, or the meet is locked
+        } else if (err.message.includes('cannot be the same') || err.message.includes('is retired')) {
             res.status(400).json({ message: err.message });
         } else {
              res.status(500).json({ message: 'Error updating meet' });
@@ -106,21 +120,124 @@ router.put('/:id', ensureAuthenticated, async (req, res, next) => {
     }
 });
 
+// POST /api/meets/:id/generate-lines - Create (or trim) the meet's match lines from its format (Admin, or a Coach of one of the teams)
+router.post('/:id/generate-lines', canChangeMeet, ensureResultsUnlocked(idsFromParam('id', async (meetId) => [meetId])), acceptOverrideReason, async (req, res, next) => {
+    try {
+        const meetId = parseInt(req.params.id, 10);
+        if (isNaN(meetId)) {
+            return res.status(400).json({ message: 'Invalid meet ID format' });
+        }
+        const result = await meetService.generateMeetLines(meetId, { overrideReason: req.overrideReason });
+        if (!result) {
+            return res.status(404).json({ message: 'Meet not found' });
+        }
+        res.status(result.created.length > 0 ? 201 : 200).json(result);
+    } catch (err) {
+        console.error('Error in POST /meets/:id/generate-lines route:', err);
+        if (err.message.includes('Cannot remove') || err.message.includes('finalized') || err.message.includes('cancelled')) {
+            return res.status(409).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Error generating meet lines' });
+    }
+});
+
+// POST /api/meets/:id/recalculate - Recalculate a meet's score, winner and status from its matches (Admin, or a Coach of one of the teams)
+router.post('/:id/recalculate', canChangeMeet, async (req, res, next) => {
+    try {
+        const meetId = parseInt(req.params.id, 10);
+        if (isNaN(meetId)) {
+            return res.status(400).json({ message: 'Invalid meet ID format' });
+        }
+        const recalculatedMeet = await meetService.recalculateMeetResult(meetId);
+        if (!recalculatedMeet) {
+            return res.status(404).json({ message: 'Meet not found' });
+        }
+        res.json(recalculatedMeet);
+    } catch (err) {
+        console.error('Error in POST /meets/:id/recalculate route:', err);
+        res.status(500).json({ message: 'Error recalculating meet result' });
+    }
+});
 
-// DELETE /api/meets/:id - Delete a meet (Protected)
-router.delete('/:id', ensureAuthenticated, async (req, res, next) => {
+// Handles a schedule change (postpone, reschedule, suspend, resume, cancel) with the given service function
+const scheduleChangeHandler = (action, changeSchedule) => async (req, res, next) => {
     try {
         const meetId = parseInt(req.params.id, 10);
         if (isNaN(meetId)) {
             return res.status(400).json({ message: 'Invalid meet ID format' });
         }
-        const deletedMeet = await meetService.deleteMeet(meetId);
+        const meet = await changeSchedule(meetId, req.user.id, req.body);
+        if (!meet) {
+            return res.status(404).json({ message: 'Meet not found' });
+        }
+        res.json(meet);
+    } catch (err) {
+        console.error(`Error in POST /meets/:id/${action} route:`, err);
+        if (err.message.includes('Missing required') || err.message.includes('Invalid')) {
+            return res.status(400).json({ message: err.message });
+        }
+        if (err.message.includes('Cannot')) {
+            return res.status(409).json({ message: err.message });
+        }
+        res.status(500).json({ message: `Error trying to ${action} meet` });
+    }
+};
+
+// POST /api/meets/:id/postpone - Postpone a meet that has not started, keeping its original date (Admin, or a Coach of one of the teams)
+// Body: { reason: 'weather' | 'darkness' | 'facility' | 'other', note }
+router.post('/:id/postpone', canChangeMeet, scheduleChangeHandler('postpone', meetScheduleService.postponeMeet));
+
+// POST /api/meets/:id/reschedule - Give a scheduled or postponed meet a new date (Admin, or a Coach of one of the teams)
+// Body: { meet_date, reason (optional), note }
+router.post('/:id/reschedule', canChangeMeet, scheduleChangeHandler('reschedule', meetScheduleService.rescheduleMeet));
+
+// POST /api/meets/:id/suspend - Stop a meet part way, keeping the lines played so far (Admin, or a Coach of one of the teams)
+// Body: { reason, note }
+router.post('/:id/suspend', canChangeMeet, scheduleChangeHandler('suspend', meetScheduleService.suspendMeet));
+
+// POST /api/meets/:id/resume - Resume a suspended meet on a later date (Admin, or a Coach of one of the teams)
+// Body: { meet_date, reason (optional), note }
+router.post('/:id/resume', canChangeMeet, scheduleChangeHandler('resume', meetScheduleService.resumeMeet));
+
+// POST /api/meets/:id/cancel - Cancel a meet; it will not count in the standings (Admin, or a Coach of one of the teams)
+// Body: { reason, note }
+router.post('/:id/cancel', canChangeMeet, scheduleChangeHandler('cancel', meetScheduleService.cancelMeet));
+
+// GET /api/meets/:id/schedule-changes - The meet's history of postponements, reschedules, suspensions and cancellation (Public)
+router.get('/:id/schedule-changes', async (req, res, next) => {
+    try {
+        const meetId = parseInt(req.params.id, 10);
+        if (isNaN(meetId)) {
+            return res.status(400).json({ message: 'Invalid meet ID format' });
+        }
+        const changes = await meetScheduleService.getScheduleChanges(meetId);
+        if (!changes) {
+            return res.status(404).json({ message: 'Meet not found' });
+        }
+        res.json(changes);
+    } catch (err) {
+        console.error('Error in GET /meets/:id/schedule-changes route:', err);
+        res.status(500).json({ message: 'Error fetching schedule changes' });
+    }
+});
+
+// DELETE /api/meets/:id - Delete a meet (Admin; a finalized or cancelled meet needs an override_reason)
+router.delete('/:id', ensureRole(ROLES.ADMIN), acceptOverrideReason, async (req, res, next) => {
+    try {
+        const meetId = parseInt(req.params.id, 10);
+        if (isNaN(meetId)) {
+            return res.status(400).json({ message: 'Invalid meet ID format' });
+        }
+        const deletedMeet = await meetService.deleteMeet(meetId, { overrideReason: req.overrideReason });
         if (!deletedMeet) {
             return res.status(404).json({ message: 'Meet not found' });
         }
         res.json(deletedMeet); // Return deleted meet data
     } catch (err) {
         console.error('Error in DELETE /meets/:id route:', err);
+        if (err.message.includes('finalized') || err.message.includes('cancelled')) {
+            return res.status(409).json({ message: err.message });
+        }
          res.status(500).json({ message: 'Error deleting meet' });
     }
 });
@@ -1,20 +1,30 @@
 const express = require('express');
 const playerService = require('../services/playerService');
-const { ensureAuthenticated } = require('../middleware/authMiddleware');
+const rosterService = require('../services/rosterService');
+const { ensureRole, ensureTeamAccess, idsFromParam, ROLES } = require('../middleware/authMiddleware');
+const { getTeamIdsForPlayer } = require('../services/teamAccessService');
+
+// The team a player is being added or moved to (none if team_id is not given or null)
+const targetTeamIds = async (req) => (typeof req.body.team_id === 'number' ? [req.body.team_id] : []);
+
+// Captaincy is per season, so it is not a player field
+const CAPTAIN_MESSAGE = 'Cannot set is_captain on a player; appoint captains for a season under /api/teams/:teamId/captains instead.';
 
 const router = express.Router();
 
-// POST /api/players - Create a new player record (link user to team)
-router.post('/', ensureAuthenticated, async (req, res, next) => {
+// POST /api/players - Create a new player record (link user to team) (Admin, or the Coach of team_id)
+router.post('/', ensureRole([ROLES.ADMIN, ROLES.COACH]), ensureTeamAccess(targetTeamIds, 'manage_roster'), async (req, res, next) => {
     try {
-        const { user_id, team_id, is_captain } = req.body;
+        const { user_id, team_id } = req.body;
+        if (req.body.is_captain !== undefined) {
+            return res.status(400).json({ message: CAPTAIN_MESSAGE });
+        }
         if (!user_id) {
              return res.status(400).json({ message: 'Missing required field: user_id' });
         }
          // Validate types
          if (typeof user_id !== 'number') return res.status(400).json({ message: 'user_id must be a number' });
          if (team_id !== undefined && team_id !== null && typeof team_id !== 'number') return res.status(400).json({ message: 'team_id must be a number or null' });
-         if (is_captain !== undefined && typeof is_captain !== 'boolean') return res.status(400).json({ message: 'is_captain must be a boolean' });
 
 
         const newPlayer = await playerService.createPlayer(req.body);
@@ -35,12 +45,20 @@ router.post('/', ensureAuthenticated, async (req, res, next) => {
 // GET /api/players - Get all player records
 router.get('/', async (req, res, next) => {
     try {
-        // Optional query param to filter by team_id
+        // Optional query param to filter by team_id, and season_id for the team's roster that season
         const teamId = req.query.team_id ? parseInt(req.query.team_id, 10) : null;
+        const filters = {};
+        if (req.query.season_id) {
+            const seasonId = parseInt(req.query.season_id, 10);
+            if (isNaN(seasonId) || !teamId) {
+                return res.status(400).json({ message: 'Invalid season_id format (it also needs a team_id)' });
+            }
+            filters.season_id = seasonId;
+        }
 
         let players;
         if (teamId && !isNaN(teamId)) {
-            players = await playerService.getPlayersByTeam(teamId);
+            players = await playerService.getPlayersByTeam(teamId, filters);
         } else {
             players = await playerService.getAllPlayers();
         }
@@ -70,21 +88,59 @@ router.get('/:id', async (req, res, next) => {
     }
 });
 
-// PUT /api/players/:id - Update a player's team or captain status
-router.put('/:id', ensureAuthenticated, async (req, res, next) => {
+// GET /api/players/:id/summary - Get a player's career record, by season, line and type, with stat totals
+router.get('/:id/summary', async (req, res, next) => {
     try {
         const playerId = parseInt(req.params.id, 10);
         if (isNaN(playerId)) {
             return res.status(400).json({ message: 'Invalid player ID format' });
         }
+        const summary = await playerService.getPlayerSummary(playerId);
+        if (!summary) {
+            return res.status(404).json({ message: 'Player not found' });
+        }
+        res.json(summary);
+    } catch (err) {
+        console.error('Error in GET /players/:id/summary route:', err);
+        res.status(500).json({ message: 'Error fetching player summary' });
+    }
+});
 
-        const { team_id, is_captain } = req.body;
-        if (team_id === undefined && is_captain === undefined) {
-            return res.status(400).json({ message: 'No update fields provided (team_id or is_captain required)' });
+// GET /api/players/:id/rosters - Get the teams a player has been rostered on, season by season
+router.get('/:id/rosters', async (req, res, next) => {
+    try {
+        const playerId = parseInt(req.params.id, 10);
+        if (isNaN(playerId)) {
+            return res.status(400).json({ message: 'Invalid player ID format' });
+        }
+        const player = await playerService.getPlayerById(playerId);
+        if (!player) {
+            return res.status(404).json({ message: 'Player not found' });
+        }
+        res.json(await rosterService.getRosterEntriesForPlayer(playerId));
+    } catch (err) {
+        console.error('Error in GET /players/:id/rosters route:', err);
+        res.status(500).json({ message: 'Error fetching player rosters' });
+    }
+});
+
+// PUT /api/players/:id - Update a player's current team (Admin, or the Coach of both the current and new team)
+router.put('/:id', ensureRole([ROLES.ADMIN, ROLES.COACH]), ensureTeamAccess(idsFromParam('id', getTeamIdsForPlayer), 'manage_roster'), ensureTeamAccess(targetTeamIds, 'manage_roster'), async (req, res, next) => {
+    try {
+        const playerId = parseInt(req.params.id, 10);
+        if (isNaN(playerId)) {
+            return res.status(400).json({ message: 'Invalid player ID format' });
+        }
+
+        const { team_id } = req.body;
+        if (req.body.is_captain !== undefined) {
+            return res.status(400).json({ message: CAPTAIN_MESSAGE });
+        }
+        if (team_id === undefined) {
+            return res.status(400).json({ message: 'No update fields provided (team_id required)' });
         }
         // Validate types if provided
         if (team_id !== undefined && team_id !== null && typeof team_id !== 'number') return res.status(400).json({ message: 'team_id must be a number or null' });
-        if (is_captain !== undefined && typeof is_captain !== 'boolean') return res.status(400).json({ message: 'is_captain must be a boolean' });
 
 
         const updatedPlayer = await playerService.updatePlayer(playerId, req.body);
@@ -96,8 +152,8 @@ router.put('/:id', ensureAuthenticated, async (req, res, next) => {
         console.error('Error in PUT /players/:id route:', err);
          if (err.message.includes('does not exist')) {
             res.status(400).json({ message: err.message }); // Bad Request (FK violation)
-        } else if (err.message.includes('must be a boolean')) {
-             res.status(400).json({ message: err.message });
+        } else if (err.message.includes('Cannot change team_id')) {
+            res.status(409).json({ message: err.message }); // On another team's roster for the season in progress
         } else {
             res.status(500).json({ message: 'Error updating player' });
         }
@@ -105,14 +161,9 @@ router.put('/:id', ensureAuthenticated, async (req, res, next) => {
 });
 
 
-// DELETE /api/players/:id - Delete a player record (unlinks user from team)
-router.delete('/:id', ensureAuthenticated, async (req, res, next) => {
+// DELETE /api/players/:id - Delete a player record (unlinks user from team) (Admin, or the player's Coach)
+router.delete('/:id', ensureRole([ROLES.ADMIN, ROLES.COACH]), ensureTeamAccess(idsFromParam('id', getTeamIdsForPlayer), 'manage_roster'), async (req, res, next) => {
     try {
-        // Check user role - Only Admin or Coach can delete
-        if (!req.user || !['Admin', 'Coach'].includes(req.user.role_name)) {
-             return res.status(403).json({ message: 'Forbidden: Only Admins or Coaches can delete players.' });
-        }
-
         const playerId = parseInt(req.params.id, 10);
         if (isNaN(playerId)) {
             return res.status(400).json({ message: 'Invalid player ID format' });
@@ -6,7 +6,7 @@ const {
     updateRole,
     deleteRole
 } = require('../services/roleService'); // Import all service functions
-const { ensureAuthenticated } = require('../middleware/authMiddleware'); // Import
+const { ensureRole, ROLES } = require('../middleware/authMiddleware'); // Import
 
 const router = express.Router();
 
@@ -42,8 +42,8 @@ router.get('/:id', async (req, res, next) => {
     }
 });
 
-// POST /api/roles - Create a new role
-router.post('/', ensureAuthenticated, async (req, res, next) => {
+// POST /api/roles - Create a new role (Admin)
+router.post('/', ensureRole(ROLES.ADMIN), async (req, res, next) => {
     try {
         const { name } = req.body;
         if (!name) {
@@ -64,8 +64,8 @@ router.post('/', ensureAuthenticated, async (req, res, next) => {
     }
 });
 
-// PUT /api/roles/:id - Update a role
-router.put('/:id', ensureAuthenticated, async (req, res, next) => {
+// PUT /api/roles/:id - Update a role (Admin)
+router.put('/:id', ensureRole(ROLES.ADMIN), async (req, res, next) => {
     try {
         const roleId = parseInt(req.params.id, 10);
         if (isNaN(roleId)) {
@@ -91,8 +91,8 @@ router.put('/:id', ensureAuthenticated, async (req, res, next) => {
     }
 });
 
-// DELETE /api/roles/:id - Delete a role
-router.delete('/:id', ensureAuthenticated, async (req, res, next) => {
+// DELETE /api/roles/:id - Delete a role (Admin)
+router.delete('/:id', ensureRole(ROLES.ADMIN), async (req, res, next) => {
     try {
         const roleId = parseInt(req.params.id, 10);
         if (isNaN(roleId)) {
@@ -0,0 +1,118 @@
+const express = require('express');
+const rosterService = require('../services/rosterService');
+const teamService = require('../services/teamService'); // To verify team exists
+const { ensureRole, ensureTeamAccess, ROLES } = require('../middleware/authMiddleware');
+
+// Rosters are public; they are managed by Admins and by the team's Coach
+const canManageRoster = [ensureRole([ROLES.ADMIN, ROLES.COACH]), ensureTeamAccess((req) => [req.teamId], 'manage_roster')];
+
+const router = express.Router({ mergeParams: true }); // For /api/teams/:teamId/roster routes
+
+// Middleware to validate teamId for all roster routes
+router.use(async (req, res, next) => {
+    const teamId = parseInt(req.params.teamId, 10);
+    if (isNaN(teamId)) {
+        return res.status(400).json({ message: 'Invalid team ID format in URL' });
+    }
+    try {
+        const team = await teamService.getTeamById(teamId);
+        if (!team) {
+            return res.status(404).json({ message: `Team with ID ${teamId} not found` });
+        }
+    } catch (err) {
+        console.error(`Error checking team ID ${teamId} for roster routes:`, err);
+        return res.status(500).json({ message: 'Error fetching team' });
+    }
+    req.teamId = teamId; // Attach validated teamId to request object
+    next();
+});
+
+// Maps roster errors from the service to status codes
+const sendRosterError = (res, err, fallbackMessage) => {
+    if (err.message.includes('Missing required') || err.message.includes('Invalid') || err.message.includes('does not exist')) {
+        return res.status(400).json({ message: err.message });
+    }
+    if (err.message.includes('already')) {
+        return res.status(409).json({ message: err.message });
+    }
+    res.status(500).json({ message: fallbackMessage });
+};
+
+// GET /api/teams/:teamId/roster - Get the team's roster entries (Public)
+// Query: season_id, status (optional filters)
+router.get('/', async (req, res, next) => {
+    try {
+        const filters = {};
+        if (req.query.season_id) {
+            const seasonId = parseInt(req.query.season_id, 10);
+            if (isNaN(seasonId)) {
+                return res.status(400).json({ message: 'Invalid season_id format' });
+            }
+            filters.season_id = seasonId;
+        }
+        if (req.query.status) {
+            if (!rosterService.ROSTER_STATUSES.includes(req.query.status)) {
+                return res.status(400).json({ message: `Invalid status. Must be one of: ${rosterService.ROSTER_STATUSES.join(', ')}.` });
+            }
+            filters.status = req.query.status;
+        }
+        const roster = await rosterService.getRosterByTeam(req.teamId, filters);
+        res.json(roster);
+    } catch (err) {
+        console.error(`Error in GET /teams/${req.teamId}/roster route:`, err);
+        res.status(500).json({ message: 'Error fetching roster' });
+    }
+});
+
+// POST /api/teams/:teamId/roster - Add a player to the team's roster for a season (Admin or the team's Coach)
+// Body: { player_id, season_id, jersey_number, grad_year, status }
+router.post('/', canManageRoster, async (req, res, next) => {
+    try {
+        const entry = await rosterService.addRosterEntry(req.teamId, req.body);
+        res.status(201).json(entry);
+    } catch (err) {
+        console.error(`Error in POST /teams/${req.teamId}/roster route:`, err);
+        sendRosterError(res, err, 'Error adding roster entry');
+    }
+});
+
+// PUT /api/teams/:teamId/roster/:entryId - Update a roster entry's jersey number, grad year or status (Admin or the team's Coach)
+router.put('/:entryId', canManageRoster, async (req, res, next) => {
+    try {
+        const entryId = parseInt(req.params.entryId, 10);
+        if (isNaN(entryId)) {
+            return res.status(400).json({ message: 'Invalid roster entry ID format' });
+        }
+        if (req.body.player_id !== undefined || req.body.season_id !== undefined) {
+            return res.status(400).json({ message: 'Cannot update player_id or season_id; remove the entry and add a new one instead.' });
+        }
+        const entry = await rosterService.updateRosterEntry(req.teamId, entryId, req.body);
+        if (!entry) {
+            return res.status(404).json({ message: 'Roster entry not found' });
+        }
+        res.json(entry);
+    } catch (err) {
+        console.error(`Error in PUT /teams/${req.teamId}/roster/:entryId route:`, err);
+        sendRosterError(res, err, 'Error updating roster entry');
+    }
+});
+
+// DELETE /api/teams/:teamId/roster/:entryId - Remove a player from the team's roster for a season (Admin or the team's Coach)
+router.delete('/:entryId', canManageRoster, async (req, res, next) => {
+    try {
+        const entryId = parseInt(req.params.entryId, 10);
+        if (isNaN(entryId)) {
+            return res.status(400).json({ message: 'Invalid roster entry ID format' });
+        }
+        const entry = await rosterService.removeRosterEntry(req.teamId, entryId);
+        if (!entry) {
+            return res.status(404).json({ message: 'Roster entry not found' });
+        }
+        res.json(entry);
+    } catch (err) {
+        console.error(`Error in DELETE /teams/${req.teamId}/roster/:entryId route:`, err);
+        res.status(500).json({ message: 'Error removing roster entry' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require('express');
+const schoolService = require('../services/schoolService');
+const { ensureRole, ROLES } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Maps school errors from the service to status codes
+const sendSchoolError = (res, err, fallbackMessage) => {
+    if (err.message.includes('Missing required') || err.message.includes('Invalid')) {
+        return res.status(400).json({ message: err.message });
+    }
+    if (err.message.includes('already exists') || err.message.includes('referenced by teams')) {
+        return res.status(409).json({ message: err.message });
+    }
+    res.status(500).json({ message: fallbackMessage });
+};
+
+// POST /api/schools - Create a school (Admin)
+// Body: { name, short_name, city }
+router.post('/', ensureRole(ROLES.ADMIN), async (req, res, next) => {
+    try {
+        const school = await schoolService.createSchool(req.body);
+        res.status(201).json(school);
+    } catch (err) {
+        console.error('Error in POST /schools route:', err);
+        sendSchoolError(res, err, 'Error creating school');
+    }
+});
+
+// GET /api/schools - Get all schools with their team counts (Public)
+router.get('/', async (req, res, next) => {
+    try {
+        const schools = await schoolService.getAllSchools();
+        res.json(schools);
+    } catch (err) {
+        console.error('Error in GET /schools route:', err);
+        res.status(500).json({ message: 'Error fetching schools' });
+    }
+});
+
+// GET /api/schools/:id - Get a school and its teams (Public)
+router.get('/:id', async (req, res, next) => {
+    try {
+        const schoolId = parseInt(req.params.id, 10);
+        if (isNaN(schoolId)) {
+            return res.status(400).json({ message: 'Invalid school ID format' });
+        }
+        const school = await schoolService.getSchoolById(schoolId);
+        if (!school) {
+            return res.status(404).json({ message: 'School not found' });
+        }
+        res.json(school);
+    } catch (err) {
+        console.error('Error in GET /schools/:id route:', err);
+        res.status(500).json({ message: 'Error fetching school' });
+    }
+});
+
+// PUT /api/schools/:id - Update a school (Admin)
+router.put('/:id', ensureRole(ROLES.ADMIN), async (req, res, next) => {
+    try {
+        const schoolId = parseInt(req.params.id, 10);
+        if (isNaN(schoolId)) {
+            return res.status(400).json({ message: 'Invalid school ID format' });
+        }
+        const school = await schoolService.updateSchool(schoolId, req.body);
+        if (!school) {
+            return res.status(404).json({ message: 'School not found' });
+        }
+        res.json(school);
+    } catch (err) {
+        console.error('Error in PUT /schools/:id route:', err);
+        sendSchoolError(res, err, 'Error updating school');
+    }
+});
+
+// DELETE /api/schools/:id - Delete a school that has no teams (Admin)
+router.delete('/:id', ensureRole(ROLES.ADMIN), async (req, res, next) => {
+    try {
+        const schoolId = parseInt(req.params.id, 10);
+        if (isNaN(schoolId)) {
+            return res.status(400).json({ message: 'Invalid school ID format' });
+        }
+        const school = await schoolService.deleteSchool(schoolId);
+        if (!school) {
+            return res.status(404).json({ message: 'School not found' });
+        }
+        res.json(school);
+    } catch (err) {
+        console.error('Error in DELETE /schools/:id route:', err);
+        sendSchoolError(res, err, 'Error deleting school');
+    }
+});
+
+module.exports = router;
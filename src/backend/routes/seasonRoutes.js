@@ -6,12 +6,13 @@ const {
     updateSeason,
     deleteSeason
 } = require('../services/seasonService');
-const { ensureAuthenticated } = require('../middleware/authMiddleware');
+const { parseTiebreakers, getSeasonStandings } = require('../services/standingsService');
+const { ensureRole, ROLES } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
-// POST /api/seasons - Create a new season (Protected)
-router.post('/', ensureAuthenticated, async (req, res, next) => {
+// POST /api/seasons - Create a new season (Admin)
+router.post('/', ensureRole(ROLES.ADMIN), async (req, res, next) => {
     try {
         // Add validation for required fields and data types (e.g., date format)
         const { name } = req.body;
@@ -73,8 +74,39 @@ router.get('/:id', async (req, res, next) => {
     }
 });
 
-// PUT /api/seasons/:id - Update a season (Protected)
-router.put('/:id', ensureAuthenticated, async (req, res, next) => {
+// GET /api/seasons/:id/standings - Get the season's standings, one table per team level and gender (Public)
+// Optional query: ?tiebreakers=head_to_head,matches_won,sets_won,games_won (applied in order), ?level=varsity,
+// ?gender=girls, ?school_id= (that school's teams, keeping their rank in the full table)
+router.get('/:id/standings', async (req, res, next) => {
+    try {
+        const seasonId = parseInt(req.params.id, 10);
+        if (isNaN(seasonId)) {
+            return res.status(400).json({ message: 'Invalid season ID format' });
+        }
+        let schoolId;
+        if (req.query.school_id) {
+            schoolId = parseInt(req.query.school_id, 10);
+            if (isNaN(schoolId)) {
+                return res.status(400).json({ message: 'Invalid school_id format' });
+            }
+        }
+        const tiebreakers = parseTiebreakers(req.query.tiebreakers);
+        const standings = await getSeasonStandings(seasonId, { tiebreakers, level: req.query.level, gender: req.query.gender, school_id: schoolId });
+        if (!standings) {
+            return res.status(404).json({ message: 'Season not found' });
+        }
+        res.json(standings);
+    } catch (err) {
+        console.error('Error in GET /seasons/:id/standings route:', err);
+        if (err.message.includes('Invalid')) {
+            return res.status(400).json({ message: err.message });
+        }
+        res.status(500).json({ message: err.message || 'Error fetching standings' });
+    }
+});
+
+// PUT /api/seasons/:id - Update a season (Admin)
+router.put('/:id', ensureRole(ROLES.ADMIN), async (req, res, next) => {
     try {
         const seasonId = parseInt(req.params.id, 10);
         if (isNaN(seasonId)) {
@@ -104,8 +136,8 @@ router.put('/:id', ensureAuthenticated, async (req, res, next) => {
     }
 });
 
-// DELETE /api/seasons/:id - Delete a season (Protected)
-router.delete('/:id', ensureAuthenticated, async (req, res, next) => {
+// DELETE /api/seasons/:id - Delete a season (Admin)
+router.delete('/:id', ensureRole(ROLES.ADMIN), async (req, res, next) => {
     try {
         const seasonId = parseInt(req.params.id, 10);
         if (isNaN(seasonId)) {
@@ -7,7 +7,28 @@ const {
     deleteSet
 } = require('../services/setService');
 const matchService = require('../services/matchService'); // To verify match exists
-const { ensureAuthenticated } = require('../middleware/authMiddleware'); // Import
+const { ensureRole, ensureTeamAccess, allowCaptainScoring, ensureResultsUnlocked, acceptOverrideReason, idsFromParam, allowApiTokenScope, ROLES } = require('../middleware/authMiddleware'); // Import
+const { getTeamIdsForMatch, getTeamIdsForSet, getMeetIdsForMatch, getMeetIdsForSet } = require('../services/teamAccessService');
+
+// Scores may be entered by Admins, by the Coaches of the two teams in the meet and by their
+// captains for the season, also with a 'scores' API token (e.g. from a scoring tablet), until the results are submitted.
+// Once the meet is finalized or cancelled only an Admin giving an override_reason can change them.
+const canScoreMatch = [
+    allowApiTokenScope('scores', (req) => getMeetIdsForMatch(req.matchId)),
+    ensureRole([ROLES.ADMIN, ROLES.COACH, ROLES.PLAYER]),
+    allowCaptainScoring((req) => getMeetIdsForMatch(req.matchId)),
+    ensureTeamAccess((req) => getTeamIdsForMatch(req.matchId), 'enter_scores'),
+    ensureResultsUnlocked((req) => getMeetIdsForMatch(req.matchId)),
+    acceptOverrideReason,
+];
+const canChangeSet = [
+    allowApiTokenScope('scores', idsFromParam('id', getMeetIdsForSet)),
+    ensureRole([ROLES.ADMIN, ROLES.COACH, ROLES.PLAYER]),
+    allowCaptainScoring(idsFromParam('id', getMeetIdsForSet)),
+    ensureTeamAccess(idsFromParam('id', getTeamIdsForSet), 'enter_scores'),
+    ensureResultsUnlocked(idsFromParam('id', getMeetIdsForSet)),
+    acceptOverrideReason,
+];
 
 // Create separate routers for top-level and nested routes
 const router = express.Router(); // For /api/sets/:id routes
@@ -41,19 +62,19 @@ nestedRouter.get('/', async (req, res, next) => {
     }
 });
 
-// POST /api/matches/:matchId/sets - Create a new set for a specific match
-nestedRouter.post('/', ensureAuthenticated, async (req, res, next) => {
+// POST /api/matches/:matchId/sets - Create a new set for a specific match (Admin, or a Coach of either team)
+nestedRouter.post('/', canScoreMatch, async (req, res, next) => {
     try {
-        // Add validation for set data (e.g., scores)
+        // Scores are validated against the meet format's scoring type in the service
         const setData = { ...req.body, match_id: req.matchId }; // Inject match_id from URL param
-        const newSet = await createSet(setData);
+        const newSet = await createSet(setData, { overrideReason: req.overrideReason });
         res.status(201).json(newSet);
     } catch (err) {
         console.error(`Error in POST /matches/${req.matchId}/sets route:`, err);
         if (err.message.includes('Missing required') || err.message.includes('Invalid') || err.message.includes('Foreign key') || err.message.includes('Check constraint')) {
             return res.status(400).json({ message: err.message });
         }
-         if (err.message.includes('already exists')) {
+         if (err.message.includes('already exists') || err.message.includes('finalized') || err.message.includes('cancelled')) {
             return res.status(409).json({ message: err.message });
         }
         res.status(500).json({ message: err.message || 'Error creating set for match' });
@@ -81,8 +102,8 @@ router.get('/:id', async (req, res, next) => {
     }
 });
 
-// PUT /api/sets/:id - Update a set by its ID
-router.put('/:id', ensureAuthenticated, async (req, res, next) => {
+// PUT /api/sets/:id - Update a set by its ID (Admin, or a Coach of either team)
+router.put('/:id', canChangeSet, async (req, res, next) => {
     try {
         const setId = parseInt(req.params.id, 10);
         if (isNaN(setId)) {
@@ -98,34 +119,43 @@ router.put('/:id', ensureAuthenticated, async (req, res, next) => {
              return res.status(400).json({ message: 'Cannot update match_id or set_number via this endpoint.' });
          }
 
-        const updatedSet = await updateSet(setId, updateData);
+        const updatedSet = await updateSet(setId, updateData, { overrideReason: req.overrideReason });
         if (!updatedSet) {
             return res.status(404).json({ message: 'Set not found' });
         }
         res.json(updatedSet);
     } catch (err) {
         console.error('Error in PUT /sets/:id route:', err);
-         if (err.message.includes('Check constraint')) {
+         if (err.message.includes('Check constraint') || err.message.includes('Invalid')) {
              return res.status(400).json({ message: err.message });
         }
+        if (err.message.includes('finalized') || err.message.includes('cancelled')) {
+            return res.status(409).json({ message: err.message });
+        }
         res.status(500).json({ message: err.message || 'Error updating set' });
     }
 });
 
-// DELETE /api/sets/:id - Delete a set by its ID
-router.delete('/:id', ensureAuthenticated, async (req, res, next) => {
+// DELETE /api/sets/:id - Delete a set by its ID (Admin, or a Coach of either team)
+router.delete('/:id', canChangeSet, async (req, res, next) => {
     try {
         const setId = parseInt(req.params.id, 10);
         if (isNaN(setId)) {
             return res.status(400).json({ message: 'Invalid set ID format' });
         }
-        const deletedSet = await deleteSet(setId);
+        const deletedSet = await deleteSet(setId, { overrideReason: req.overrideReason });
         if (!deletedSet) {
             return res.status(404).json({ message: 'Set not found' });
         }
         res.json(deletedSet);
     } catch (err) {
         console.error('Error in DELETE /sets/:id route:', err);
+        if (err.message.includes('Invalid')) {
+            return res.status(400).json({ message: err.message }); // The sets left would be out of sequence
+        }
+        if (err.message.includes('finalized') || err.message.includes('cancelled')) {
+            return res.status(409).json({ message: err.message });
+        }
         res.status(500).json({ message: err.message || 'Error deleting set' });
     }
 });
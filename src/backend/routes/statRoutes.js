@@ -0,0 +1,197 @@
+const express = require('express');
+const {
+    getStatDefinitions,
+    recordStat,
+    recordMatchStats,
+    getStatsByMatchId,
+    getStatById,
+    updateStat,
+    deleteStat
+} = require('../services/statService');
+const matchService = require('../services/matchService'); // To verify match exists
+const { ensureRole, ensureTeamAccess, allowCaptainScoring, ensureResultsUnlocked, acceptOverrideReason, idsFromParam, allowApiTokenScope, ROLES } = require('../middleware/authMiddleware');
+const { getTeamIdsForMatch, getTeamIdsForStat, getMeetIdsForMatch, getMeetIdsForStat } = require('../services/teamAccessService');
+
+// Create separate routers for top-level and nested routes
+const router = express.Router(); // For /api/stats routes
+const nestedRouter = express.Router({ mergeParams: true }); // For /api/matches/:matchId/stats routes
+
+// Stats may be entered by Admins, by the Coaches of the two teams in the meet and by their
+// captains for the season, also with a 'scores' API token, until the results are submitted (and, once the meet is finalized or cancelled,
+// by an Admin giving an override_reason)
+const canRecordStats = [
+    allowApiTokenScope('scores', (req) => getMeetIdsForMatch(req.matchId)),
+    ensureRole([ROLES.ADMIN, ROLES.COACH, ROLES.PLAYER]),
+    allowCaptainScoring((req) => getMeetIdsForMatch(req.matchId)),
+    ensureTeamAccess((req) => getTeamIdsForMatch(req.matchId), 'enter_scores'),
+    ensureResultsUnlocked((req) => getMeetIdsForMatch(req.matchId)),
+    acceptOverrideReason,
+];
+const canChangeStat = [
+    allowApiTokenScope('scores', idsFromParam('id', getMeetIdsForStat)),
+    ensureRole([ROLES.ADMIN, ROLES.COACH, ROLES.PLAYER]),
+    allowCaptainScoring(idsFromParam('id', getMeetIdsForStat)),
+    ensureTeamAccess(idsFromParam('id', getTeamIdsForStat), 'enter_scores'),
+    ensureResultsUnlocked(idsFromParam('id', getMeetIdsForStat)),
+    acceptOverrideReason,
+];
+
+// Maps validation errors from the service to 400 responses
+const isValidationError = (err) =>
+    err.message.includes('Missing required') || err.message.includes('Invalid') || err.message.includes('does not exist') || err.message.includes('Foreign key');
+
+// The options passed to the service: an Admin's reason for changing a finalized or cancelled meet
+const overrideOptions = (req) => ({ overrideReason: req.overrideReason });
+
+// --- Nested Routes (/api/matches/:matchId/stats) ---
+
+// Middleware to validate matchId for nested routes
+nestedRouter.use(async (req, res, next) => {
+    const matchId = parseInt(req.params.matchId, 10);
+    if (isNaN(matchId)) {
+        return res.status(400).json({ message: 'Invalid match ID format in URL' });
+    }
+    const match = await matchService.getMatchById(matchId);
+    if (!match) {
+        return res.status(404).json({ message: `Match with ID ${matchId} not found` });
+    }
+    req.matchId = matchId; // Attach validated matchId to request object
+    next();
+});
+
+// GET /api/matches/:matchId/stats - Get all stats for a match (?player_id= to filter)
+nestedRouter.get('/', async (req, res, next) => {
+    try {
+        const filters = {};
+        if (req.query.player_id) {
+            const playerId = parseInt(req.query.player_id, 10);
+            if (isNaN(playerId)) {
+                return res.status(400).json({ message: 'Invalid player_id format' });
+            }
+            filters.player_id = playerId;
+        }
+        const stats = await getStatsByMatchId(req.matchId, filters);
+        res.json(stats);
+    } catch (err) {
+        console.error(`Error in GET /matches/${req.matchId}/stats route:`, err);
+        res.status(500).json({ message: err.message || 'Error fetching stats for match' });
+    }
+});
+
+// POST /api/matches/:matchId/stats - Record one stat for a player in the match (Admin, or a Coach of either team)
+nestedRouter.post('/', canRecordStats, async (req, res, next) => {
+    try {
+        const statData = { ...req.body, match_id: req.matchId }; // Inject match_id from URL param
+        const stat = await recordStat(statData, overrideOptions(req));
+        res.status(201).json(stat);
+    } catch (err) {
+        console.error(`Error in POST /matches/${req.matchId}/stats route:`, err);
+        if (isValidationError(err)) {
+            return res.status(400).json({ message: err.message });
+        }
+        if (err.message.includes('finalized') || err.message.includes('cancelled')) {
+            return res.status(409).json({ message: err.message });
+        }
+        res.status(500).json({ message: err.message || 'Error recording stat' });
+    }
+});
+
+// POST /api/matches/:matchId/stats/bulk - Record many stats for the match at once (Admin, or a Coach of either team)
+// Body: { stats: [{ player_id, stat_key, stat_value }, ...] }
+nestedRouter.post('/bulk', canRecordStats, async (req, res, next) => {
+    try {
+        const stats = await recordMatchStats(req.matchId, req.body.stats, overrideOptions(req));
+        res.status(201).json(stats);
+    } catch (err) {
+        console.error(`Error in POST /matches/${req.matchId}/stats/bulk route:`, err);
+        if (isValidationError(err)) {
+            return res.status(400).json({ message: err.message });
+        }
+        if (err.message.includes('finalized') || err.message.includes('cancelled')) {
+            return res.status(409).json({ message: err.message });
+        }
+        res.status(500).json({ message: err.message || 'Error recording match stats' });
+    }
+});
+
+// --- Top-Level Routes (/api/stats) ---
+
+// GET /api/stats/definitions - Get the catalogue of stats that can be recorded
+router.get('/definitions', async (req, res, next) => {
+    try {
+        const definitions = await getStatDefinitions();
+        res.json(definitions);
+    } catch (err) {
+        console.error('Error in GET /stats/definitions route:', err);
+        res.status(500).json({ message: err.message || 'Error fetching stat definitions' });
+    }
+});
+
+// GET /api/stats/:id - Get a single stat by its ID
+router.get('/:id', async (req, res, next) => {
+    try {
+        const statId = parseInt(req.params.id, 10);
+        if (isNaN(statId)) {
+            return res.status(400).json({ message: 'Invalid stat ID format' });
+        }
+        const stat = await getStatById(statId);
+        if (!stat) {
+            return res.status(404).json({ message: 'Stat not found' });
+        }
+        res.json(stat);
+    } catch (err) {
+        console.error('Error in GET /stats/:id route:', err);
+        res.status(500).json({ message: err.message || 'Error fetching stat' });
+    }
+});
+
+// PUT /api/stats/:id - Update a stat's value (Admin, or a Coach of either team)
+router.put('/:id', canChangeStat, async (req, res, next) => {
+    try {
+        const statId = parseInt(req.params.id, 10);
+        if (isNaN(statId)) {
+            return res.status(400).json({ message: 'Invalid stat ID format' });
+        }
+        if (req.body.stat_value === undefined) {
+            return res.status(400).json({ message: 'Missing required field: stat_value' });
+        }
+        const updatedStat = await updateStat(statId, req.body, overrideOptions(req));
+        if (!updatedStat) {
+            return res.status(404).json({ message: 'Stat not found' });
+        }
+        res.json(updatedStat);
+    } catch (err) {
+        console.error('Error in PUT /stats/:id route:', err);
+        if (isValidationError(err)) {
+            return res.status(400).json({ message: err.message });
+        }
+        if (err.message.includes('finalized') || err.message.includes('cancelled')) {
+            return res.status(409).json({ message: err.message });
+        }
+        res.status(500).json({ message: err.message || 'Error updating stat' });
+    }
+});
+
+// DELETE /api/stats/:id - Delete a stat (Admin, or a Coach of either team)
+router.delete('/:id', canChangeStat, async (req, res, next) => {
+    try {
+        const statId = parseInt(req.params.id, 10);
+        if (isNaN(statId)) {
+            return res.status(400).json({ message: 'Invalid stat ID format' });
+        }
+        const deletedStat = await deleteStat(statId, overrideOptions(req));
+        if (!deletedStat) {
+            return res.status(404).json({ message: 'Stat not found' });
+        }
+        res.json(deletedStat);
+    } catch (err) {
+        console.error('Error in DELETE /stats/:id route:', err);
+        if (err.message.includes('finalized') || err.message.includes('cancelled')) {
+            return res.status(409).json({ message: err.message });
+        }
+        res.status(500).json({ message: err.message || 'Error deleting stat' });
+    }
+});
+
+// Export both routers
+module.exports = { router, nestedRouter };
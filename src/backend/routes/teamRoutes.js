@@ -1,13 +1,40 @@
 const express = require('express');
 const teamService = require('../services/teamService');
-const { ensureAuthenticated } = require('../middleware/authMiddleware');
+const { ensureRole, ensureTeamAccess, idsFromParam, hasRole, ROLES } = require('../middleware/authMiddleware');
+const { getTeamIdsForTeam } = require('../services/teamAccessService');
 
 const router = express.Router();
 
-// GET /api/teams - Get all teams
+// Team errors from the service that are the caller's fault
+const isTeamInputError = (err) => err.message.includes('Invalid') || err.message.includes('does not exist');
+
+// GET /api/teams - Get all teams (?season_id= for the teams taking part in a season)
+// Query: school_id, level, gender (optional filters)
 router.get('/', async (req, res, next) => {
   try {
-    const teams = await teamService.getAllTeams();
+    const filters = {};
+    for (const field of ['season_id', 'school_id']) {
+      if (req.query[field]) {
+        const id = parseInt(req.query[field], 10);
+        if (isNaN(id)) {
+          return res.status(400).json({ message: `Invalid ${field} format` });
+        }
+        filters[field] = id;
+      }
+    }
+    if (req.query.level) {
+      if (!teamService.TEAM_LEVELS.includes(req.query.level)) {
+        return res.status(400).json({ message: `Invalid level. Must be one of: ${teamService.TEAM_LEVELS.join(', ')}.` });
+      }
+      filters.level = req.query.level;
+    }
+    if (req.query.gender) {
+      if (!teamService.TEAM_GENDERS.includes(req.query.gender)) {
+        return res.status(400).json({ message: `Invalid gender. Must be one of: ${teamService.TEAM_GENDERS.join(', ')}.` });
+      }
+      filters.gender = req.query.gender;
+    }
+    const teams = await teamService.getAllTeams(filters);
     res.json(teams);
   } catch (err) {
     console.error('Error in GET /teams route:', err);
@@ -38,8 +65,8 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
-// PUT /api/teams/:id - Update a team
-router.put('/:id', ensureAuthenticated, async (req, res, next) => {
+// PUT /api/teams/:id - Update a team (Admin, or the team's head coach; staff are changed under /api/teams/:id/staff)
+router.put('/:id', ensureRole([ROLES.ADMIN, ROLES.COACH]), ensureTeamAccess(idsFromParam('id', getTeamIdsForTeam), 'manage_team'), async (req, res, next) => {
   try {
     const teamId = parseInt(req.params.id, 10);
     if (isNaN(teamId)) {
@@ -47,9 +74,12 @@ router.put('/:id', ensureAuthenticated, async (req, res, next) => {
     }
 
     // Basic validation: ensure at least one valid field is provided for update
-    const { name, coach_id } = req.body;
-    if (name === undefined && coach_id === undefined) {
-      return res.status(400).json({ message: 'No update fields provided (name or coach_id required)' });
+    const { name, school_id, level, gender, max_captains } = req.body;
+    if (req.body.head_coach_id !== undefined) {
+      return res.status(400).json({ message: `Cannot update head_coach_id here; change the team's staff under /api/teams/${teamId}/staff instead.` });
+    }
+    if (name === undefined && school_id === undefined && level === undefined && gender === undefined && max_captains === undefined) {
+      return res.status(400).json({ message: 'No update fields provided (name, school_id, level, gender or max_captains required)' });
     }
 
     const updatedTeam = await teamService.updateTeam(teamId, req.body);
@@ -62,13 +92,16 @@ router.put('/:id', ensureAuthenticated, async (req, res, next) => {
     res.json(updatedTeam);
   } catch (err) {
     console.error('Error in PUT /teams/:id route:', err);
+    if (isTeamInputError(err)) {
+      return res.status(400).json({ message: err.message });
+    }
     res.status(500).json({ message: 'Error updating team' });
     // Or use next(err)
   }
 });
 
-// DELETE /api/teams/:id - Delete a team
-router.delete('/:id', ensureAuthenticated, async (req, res, next) => {
+// DELETE /api/teams/:id - Delete a team (Admin)
+router.delete('/:id', ensureRole(ROLES.ADMIN), async (req, res, next) => {
   try {
     const teamId = parseInt(req.params.id, 10);
     if (isNaN(teamId)) {
@@ -97,8 +130,8 @@ router.delete('/:id', ensureAuthenticated, async (req, res, next) => {
   }
 });
 
-// POST /api/teams - Create a new team
-router.post('/', ensureAuthenticated, async (req, res, next) => {
+// POST /api/teams - Create a new team (Admin or Coach; a Coach is the head coach of the teams they create)
+router.post('/', ensureRole([ROLES.ADMIN, ROLES.COACH]), async (req, res, next) => {
   try {
     // Updated validation: only 'name' is strictly required
     const { name } = req.body;
@@ -106,13 +139,25 @@ router.post('/', ensureAuthenticated, async (req, res, next) => {
       return res.status(400).json({ message: 'Missing required field: name' });
     }
 
-    // Pass the whole req.body, allowing optional fields like coach_id
-    const newTeam = await teamService.createTeam(req.body);
+    // A Coach is always the head coach of the teams they create; Admins may name any head_coach_id
+    const teamData = { ...req.body };
+    if (!hasRole(req, ROLES.ADMIN)) {
+      if (teamData.head_coach_id !== undefined && teamData.head_coach_id !== req.user.id) {
+        return res.status(403).json({ message: 'Forbidden: Only Admins can assign a team to another coach.' });
+      }
+      teamData.head_coach_id = req.user.id;
+    }
+
+    // Pass the whole body, allowing optional fields like head_coach_id
+    const newTeam = await teamService.createTeam(teamData);
     res.status(201).json(newTeam);
   } catch (err) {
     // Pass error to the central error handler (if implemented)
     // For now, just log and send a generic error
     console.error('Error in POST /teams route:', err);
+    if (isTeamInputError(err)) {
+      return res.status(400).json({ message: err.message });
+    }
     res.status(500).json({ message: 'Error creating team' });
     // Or use next(err) if you have error handling middleware
   }
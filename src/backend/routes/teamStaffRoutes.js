@@ -0,0 +1,114 @@
+const express = require('express');
+const teamStaffService = require('../services/teamStaffService');
+const teamService = require('../services/teamService'); // To verify team exists
+const { ensureRole, ensureTeamAccess, hasRole, ROLES } = require('../middleware/authMiddleware');
+
+// Staff lists are public; the staff is managed by Admins and by the team's head coach, and only
+// Admins can appoint, change or remove the head coach
+const canManageStaff = [ensureRole([ROLES.ADMIN, ROLES.COACH]), ensureTeamAccess((req) => [req.teamId], 'manage_team')];
+const HEAD_COACH_FORBIDDEN = 'Forbidden: Only Admins can change a team\'s head coach.';
+
+const router = express.Router({ mergeParams: true }); // For /api/teams/:teamId/staff routes
+
+// Middleware to validate teamId for all staff routes
+router.use(async (req, res, next) => {
+    const teamId = parseInt(req.params.teamId, 10);
+    if (isNaN(teamId)) {
+        return res.status(400).json({ message: 'Invalid team ID format in URL' });
+    }
+    try {
+        const team = await teamService.getTeamById(teamId);
+        if (!team) {
+            return res.status(404).json({ message: `Team with ID ${teamId} not found` });
+        }
+    } catch (err) {
+        console.error(`Error checking team ID ${teamId} for staff routes:`, err);
+        return res.status(500).json({ message: 'Error fetching team' });
+    }
+    req.teamId = teamId; // Attach validated teamId to request object
+    next();
+});
+
+// Maps staff errors from the service to status codes
+const sendStaffError = (res, err, fallbackMessage) => {
+    if (err.message.includes('Missing required') || err.message.includes('Invalid') || err.message.includes('does not exist')) {
+        return res.status(400).json({ message: err.message });
+    }
+    if (err.message.includes('already')) {
+        return res.status(409).json({ message: err.message });
+    }
+    res.status(500).json({ message: fallbackMessage });
+};
+
+// GET /api/teams/:teamId/staff - Get the team's coaches and staff with their roles (Public)
+router.get('/', async (req, res, next) => {
+    try {
+        const staff = await teamStaffService.getStaffByTeam(req.teamId);
+        res.json(staff);
+    } catch (err) {
+        console.error(`Error in GET /teams/${req.teamId}/staff route:`, err);
+        res.status(500).json({ message: 'Error fetching team staff' });
+    }
+});
+
+// POST /api/teams/:teamId/staff - Add a Coach to the team's staff (Admin or the team's head coach)
+// Body: { user_id, role } (role: head_coach, assistant_coach, manager or scorekeeper)
+router.post('/', canManageStaff, async (req, res, next) => {
+    try {
+        if (req.body.role === 'head_coach' && !hasRole(req, ROLES.ADMIN)) {
+            return res.status(403).json({ message: HEAD_COACH_FORBIDDEN });
+        }
+        const member = await teamStaffService.addStaffMember(req.teamId, req.body);
+        res.status(201).json(await teamStaffService.getStaffMember(req.teamId, member.user_id));
+    } catch (err) {
+        console.error(`Error in POST /teams/${req.teamId}/staff route:`, err);
+        sendStaffError(res, err, 'Error adding team staff member');
+    }
+});
+
+// PUT /api/teams/:teamId/staff/:userId - Change a staff member's role (Admin or the team's head coach)
+// Body: { role }
+router.put('/:userId', canManageStaff, async (req, res, next) => {
+    try {
+        const userId = parseInt(req.params.userId, 10);
+        if (isNaN(userId)) {
+            return res.status(400).json({ message: 'Invalid user ID format' });
+        }
+        const member = await teamStaffService.getStaffMember(req.teamId, userId);
+        if (!member) {
+            return res.status(404).json({ message: 'Staff member not found' });
+        }
+        if ((member.role === 'head_coach' || req.body.role === 'head_coach') && !hasRole(req, ROLES.ADMIN)) {
+            return res.status(403).json({ message: HEAD_COACH_FORBIDDEN });
+        }
+        const updated = await teamStaffService.updateStaffRole(req.teamId, userId, req.body.role);
+        res.json(updated);
+    } catch (err) {
+        console.error(`Error in PUT /teams/${req.teamId}/staff/:userId route:`, err);
+        sendStaffError(res, err, 'Error updating team staff member');
+    }
+});
+
+// DELETE /api/teams/:teamId/staff/:userId - Remove a user from the team's staff (Admin or the team's head coach)
+router.delete('/:userId', canManageStaff, async (req, res, next) => {
+    try {
+        const userId = parseInt(req.params.userId, 10);
+        if (isNaN(userId)) {
+            return res.status(400).json({ message: 'Invalid user ID format' });
+        }
+        const member = await teamStaffService.getStaffMember(req.teamId, userId);
+        if (!member) {
+            return res.status(404).json({ message: 'Staff member not found' });
+        }
+        if (member.role === 'head_coach' && !hasRole(req, ROLES.ADMIN)) {
+            return res.status(403).json({ message: HEAD_COACH_FORBIDDEN });
+        }
+        await teamStaffService.removeStaffMember(req.teamId, userId);
+        res.json(member);
+    } catch (err) {
+        console.error(`Error in DELETE /teams/${req.teamId}/staff/:userId route:`, err);
+        res.status(500).json({ message: 'Error removing team staff member' });
+    }
+});
+
+module.exports = router;
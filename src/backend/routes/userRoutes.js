@@ -1,11 +1,16 @@
 const express = require('express');
 const userService = require('../services/userService');
-const { ensureAuthenticated } = require('../middleware/authMiddleware');
+const roleService = require('../services/roleService');
+const loginAttemptService = require('../services/loginAttemptService');
+const sessionService = require('../services/sessionService');
+const apiTokenService = require('../services/apiTokenService');
+const accountService = require('../services/accountService'); // Verification email for a changed address
+const { ensureAuthenticated, ensureRole, hasRole, ROLES } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
-// POST /api/users - Create a new user
-router.post('/', async (req, res, next) => {
+// POST /api/users - Create a new user (Admin)
+router.post('/', ensureRole(ROLES.ADMIN), async (req, res, next) => {
     try {
         // Add input validation here (e.g., check email format, role_id is int)
         const { email, name, role_id, google_id } = req.body;
@@ -60,34 +65,59 @@ router.get('/:id', async (req, res, next) => {
     }
 });
 
-// PUT /api/users/:id - Update a user
+// PUT /api/users/:id - Update a user (the user themselves, or an Admin; only Admins can change google_id)
+// Roles are changed through PUT /api/users/:id/role, which keeps Admins from changing their own
 router.put('/:id', ensureAuthenticated, async (req, res, next) => {
     try {
         const userId = parseInt(req.params.id, 10);
         if (isNaN(userId)) {
             return res.status(400).json({ message: 'Invalid user ID format' });
         }
+        const isAdmin = hasRole(req, ROLES.ADMIN);
+        if (!isAdmin && req.user.id !== userId) {
+            return res.status(403).json({ message: 'Forbidden: Only Admins can update other users.' });
+        }
 
         // Add more specific input validation if needed (e.g., email format)
         const { email, name, role_id, google_id } = req.body;
          if (email === undefined && name === undefined && role_id === undefined && google_id === undefined) {
             return res.status(400).json({ message: 'No update fields provided' });
         }
-        // Basic role_id validation if provided
-         if (role_id !== undefined && (!Number.isInteger(role_id) || role_id < 1 || role_id > 4)) {
-             return res.status(400).json({ message: 'Invalid role_id. Must be an integer between 1 and 4.' });
+        if (!isAdmin && (role_id !== undefined || google_id !== undefined)) {
+            return res.status(403).json({ message: 'Forbidden: Only Admins can change role_id or google_id.' });
+        }
+        if (role_id !== undefined) {
+            return res.status(400).json({ message: `Invalid request: change a user's role with PUT /api/users/${userId}/role.` });
+        }
+        // The email receives password reset links, so a leaked API token must not be able to change it
+        if (req.apiToken && email !== undefined) {
+            return res.status(403).json({ message: 'Forbidden: Log in to change an email address; API tokens cannot change it.' });
         }
 
+        const existingUser = await userService.getUserById(userId);
+        if (!existingUser) {
+             return res.status(404).json({ message: 'User not found' });
+        }
         const updatedUser = await userService.updateUser(userId, req.body);
         if (!updatedUser) {
             // This check might be redundant if updateUser throws for not found ID, but safe to keep
              return res.status(404).json({ message: 'User not found' });
         }
+        // A changed address is unverified again (see updateUser); the update still succeeds if the email cannot be sent
+        if (updatedUser.email.toLowerCase() !== existingUser.email.toLowerCase()) {
+            try {
+                await accountService.sendVerificationEmail(updatedUser);
+            } catch (mailErr) {
+                console.error('Error sending verification email after an email change:', mailErr);
+            }
+        }
         res.json(updatedUser);
     } catch (err) {
         console.error('Error in PUT /users/:id route:', err);
         if (err.message.includes('already in use')) {
              res.status(409).json({ message: err.message });
+        } else if (err.message.includes('Invalid request')) {
+             res.status(400).json({ message: err.message });
         } else {
              res.status(500).json({ message: 'Error updating user' });
         }
@@ -95,8 +125,134 @@ router.put('/:id', ensureAuthenticated, async (req, res, next) => {
 });
 
 
-// DELETE /api/users/:id - Delete a user
-router.delete('/:id', ensureAuthenticated, async (req, res, next) => {
+// PUT /api/users/:id/role - Change a user's role, e.g. promote a Guest to Coach (Admin)
+router.put('/:id/role', ensureRole(ROLES.ADMIN), async (req, res, next) => {
+    try {
+        const userId = parseInt(req.params.id, 10);
+        if (isNaN(userId)) {
+            return res.status(400).json({ message: 'Invalid user ID format' });
+        }
+        const { role_id } = req.body;
+        if (role_id === undefined) {
+            return res.status(400).json({ message: 'Missing required field: role_id' });
+        }
+        const role = Number.isInteger(role_id) ? await roleService.getRoleById(role_id) : undefined;
+        if (!role) {
+            return res.status(400).json({ message: `Invalid role_id. Role with ID '${role_id}' does not exist.` });
+        }
+        // Stops the last Admin from locking everyone out by accident
+        if (userId === req.user.id) {
+            return res.status(400).json({ message: 'Invalid request: Admins cannot change their own role.' });
+        }
+
+        const updatedUser = await userService.updateUser(userId, { role_id });
+        if (!updatedUser) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        res.json({ ...updatedUser, role_name: role.name });
+    } catch (err) {
+        console.error('Error in PUT /users/:id/role route:', err);
+        res.status(500).json({ message: 'Error updating user role' });
+    }
+});
+
+// POST /api/users/:id/unlock - Unlock an account locked after failed logins (Admin)
+router.post('/:id/unlock', ensureRole(ROLES.ADMIN), async (req, res, next) => {
+    try {
+        const userId = parseInt(req.params.id, 10);
+        if (isNaN(userId)) {
+            return res.status(400).json({ message: 'Invalid user ID format' });
+        }
+        const unlocked = await loginAttemptService.unlockUser(userId);
+        if (!unlocked) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        const user = await userService.getUserById(userId);
+        res.json({ ...user, failed_login_count: unlocked.failed_login_count, locked_until: unlocked.locked_until });
+    } catch (err) {
+        console.error('Error in POST /users/:id/unlock route:', err);
+        res.status(500).json({ message: 'Error unlocking user' });
+    }
+});
+
+// GET /api/users/:id/sessions - A user's active sessions (Admin)
+router.get('/:id/sessions', ensureRole(ROLES.ADMIN), async (req, res, next) => {
+    try {
+        const userId = parseInt(req.params.id, 10);
+        if (isNaN(userId)) {
+            return res.status(400).json({ message: 'Invalid user ID format' });
+        }
+        const user = await userService.getUserById(userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        const sessions = await sessionService.getSessionsForUser(userId, req.sessionID);
+        res.json(sessions);
+    } catch (err) {
+        console.error('Error in GET /users/:id/sessions route:', err);
+        res.status(500).json({ message: 'Error fetching sessions' });
+    }
+});
+
+// DELETE /api/users/:id/sessions - Log a user out everywhere (Admin)
+router.delete('/:id/sessions', ensureRole(ROLES.ADMIN), async (req, res, next) => {
+    try {
+        const userId = parseInt(req.params.id, 10);
+        if (isNaN(userId)) {
+            return res.status(400).json({ message: 'Invalid user ID format' });
+        }
+        const user = await userService.getUserById(userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        const revoked = await sessionService.revokeSessionsForUser(userId);
+        res.json({ message: 'Sessions revoked', revoked });
+    } catch (err) {
+        console.error('Error in DELETE /users/:id/sessions route:', err);
+        res.status(500).json({ message: 'Error revoking sessions' });
+    }
+});
+
+// GET /api/users/:id/tokens - A user's API tokens (Admin)
+router.get('/:id/tokens', ensureRole(ROLES.ADMIN), async (req, res, next) => {
+    try {
+        const userId = parseInt(req.params.id, 10);
+        if (isNaN(userId)) {
+            return res.status(400).json({ message: 'Invalid user ID format' });
+        }
+        const user = await userService.getUserById(userId);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        const tokens = await apiTokenService.getApiTokensForUser(userId);
+        res.json(tokens);
+    } catch (err) {
+        console.error('Error in GET /users/:id/tokens route:', err);
+        res.status(500).json({ message: 'Error fetching API tokens' });
+    }
+});
+
+// DELETE /api/users/:id/tokens/:tokenId - Revoke one of a user's API tokens (Admin)
+router.delete('/:id/tokens/:tokenId', ensureRole(ROLES.ADMIN), async (req, res, next) => {
+    try {
+        const userId = parseInt(req.params.id, 10);
+        const tokenId = parseInt(req.params.tokenId, 10);
+        if (isNaN(userId) || isNaN(tokenId)) {
+            return res.status(400).json({ message: 'Invalid user or token ID format' });
+        }
+        const revokedToken = await apiTokenService.revokeApiToken(userId, tokenId);
+        if (!revokedToken) {
+            return res.status(404).json({ message: 'API token not found' });
+        }
+        res.json(revokedToken);
+    } catch (err) {
+        console.error('Error in DELETE /users/:id/tokens/:tokenId route:', err);
+        res.status(500).json({ message: 'Error revoking API token' });
+    }
+});
+
+// DELETE /api/users/:id - Delete a user (Admin)
+router.delete('/:id', ensureRole(ROLES.ADMIN), async (req, res, next) => {
     try {
         const userId = parseInt(req.params.id, 10);
         if (isNaN(userId)) {
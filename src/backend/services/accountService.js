@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../db');
+const userService = require('./userService');
+const mailService = require('./mailService');
+const roleService = require('./roleService');
+const loginAttemptService = require('./loginAttemptService');
+const sessionService = require('./sessionService'); // Logs out other sessions when the password changes
+
+// Password changes, password resets and email verification for local accounts, and linking
+// Google sign-in to accounts. Reset and verification links carry a random single-use token; only
+// its SHA-256 hash is stored (in user_tokens), so the tokens cannot be read back from the database.
+// Each token also records the address it was mailed to: using it only verifies that address.
+// A user always keeps at least one login method (a password or a linked Google account).
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Role given to people who sign up with Google, as with local registration
+const NEW_USER_ROLE = 'Guest';
+
+// How long emailed tokens stay valid, in minutes
+const TOKEN_LIFETIMES = {
+    password_reset: 60,
+    email_verification: 60 * 48,
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getAppUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+/**
+ * Checks a new password against the password rules.
+ * @param {string} password - The new password.
+ */
+const validatePassword = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Invalid password: Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+    }
+};
+
+/**
+ * Issues a new token for a user, to be mailed to their current address, replacing any unused
+ * token with the same purpose.
+ * @param {object} user - The user (id, email).
+ * @param {string} purpose - 'password_reset' or 'email_verification'.
+ * @returns {Promise<string>} The token (only ever sent to the user).
+ */
+const issueToken = async (user, purpose) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    try {
+        await db.query('DELETE FROM user_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL', [user.id, purpose]);
+        await db.query(
+            `INSERT INTO user_tokens (user_id, purpose, token_hash, email, expires_at)
+             VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))`,
+            [user.id, purpose, hashToken(token), user.email, TOKEN_LIFETIMES[purpose]]
+        );
+    } catch (err) {
+        console.error(`Error issuing ${purpose} token for user ID ${user.id}:`, err);
+        throw new Error('Database error issuing token.');
+    }
+    return token;
+};
+
+/**
+ * Uses up a token, if it is valid.
+ * @param {string} token - The token from the emailed link.
+ * @param {string} purpose - The purpose the token must have been issued for.
+ * @returns {Promise<object>} { user_id, email }: the user the token belongs to and the address it was mailed to.
+ */
+const consumeToken = async (token, purpose) => {
+    if (typeof token !== 'string' || token === '') {
+        throw new Error('Missing required field: token');
+    }
+    let row;
+    try {
+        const result = await db.query(
+            `UPDATE user_tokens SET used_at = NOW()
+             WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+             RETURNING user_id, email;`,
+            [hashToken(token), purpose]
+        );
+        row = result.rows[0];
+    } catch (err) {
+        console.error(`Error using ${purpose} token:`, err);
+        throw new Error('Database error checking token.');
+    }
+    if (!row) {
+        throw new Error('Invalid or expired token.');
+    }
+    return row;
+};
+
+/**
+ * Emails a user a link to verify their email address.
+ * @param {object} user - The user (id, email, name).
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+    const token = await issueToken(user, 'email_verification');
+    await mailService.sendMail({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: `Hi ${user.name},\n\nPlease verify your email address by opening this link:\n${getAppUrl()}/verify-email?token=${token}\n\nThe link expires in 48 hours.`,
+    });
+};
+
+/**
+ * Marks the email address of the token's user as verified, if it is still the address the token was mailed to.
+ * @param {string} token - The verification token.
+ * @returns {Promise<object>} The verified user.
+ */
+const verifyEmail = async (token) => {
+    const { user_id: userId, email } = await consumeToken(token, 'email_verification');
+    const user = await userService.markEmailVerified(userId, email);
+    if (!user) {
+        throw new Error('Invalid or expired token: the account\'s email address has changed since it was sent.');
+    }
+    return user;
+};
+
+/**
+ * Changes the password of a logged-in user, after checking their current password.
+ * The user's other sessions are logged out.
+ * @param {object} user - The logged-in user (req.user).
+ * @param {string} currentPassword - The user's current password.
+ * @param {string} newPassword - The new password.
+ * @param {string} [currentSid] - The session ID of the request, which stays logged in.
+ * @returns {Promise<object>} The updated user.
+ */
+const changePassword = async (user, currentPassword, newPassword, currentSid) => {
+    if (!currentPassword || !newPassword) {
+        throw new Error('Missing required fields: current_password, new_password');
+    }
+    validatePassword(newPassword);
+    const fullUser = await userService.findUserByEmail(user.email);
+    if (!fullUser || !fullUser.password) {
+        throw new Error('Invalid request: this account has no password. Use set-password to add one.');
+    }
+    if (!(await bcrypt.compare(currentPassword, fullUser.password))) {
+        throw new Error('Incorrect current password.');
+    }
+    const updatedUser = await userService.setPassword(user.id, newPassword);
+    await sessionService.revokeSessionsForUser(user.id, currentSid);
+    return updatedUser;
+};
+
+/**
+ * Emails a password reset link, if a user with that email exists.
+ * Always resolves the same way, so callers cannot tell which emails are registered.
+ * @param {string} email - The email address entered on the forgot-password form.
+ * @returns {Promise<void>}
+ */
+const requestPasswordReset = async (email) => {
+    if (!email) {
+        throw new Error('Missing required field: email');
+    }
+    const user = await userService.findUserByEmail(email);
+    if (!user) {
+        return;
+    }
+    const token = await issueToken(user, 'password_reset');
+    await mailService.sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\nSomeone asked to reset the password for your School Tennis account. To choose a new password, open this link:\n${getAppUrl()}/reset-password?token=${token}\n\nThe link expires in one hour. If you did not ask for this, you can ignore this email.`,
+    });
+};
+
+/**
+ * Sets a new password using a reset token.
+ * Following the emailed link also proves the user owns the address it was mailed to (if that is
+ * still their email), and unlocks the account.
+ * All of the user's sessions are logged out.
+ * @param {string} token - The reset token.
+ * @param {string} newPassword - The new password.
+ * @returns {Promise<object>} The updated user.
+ */
+const resetPassword = async (token, newPassword) => {
+    if (!newPassword) {
+        throw new Error('Missing required field: new_password');
+    }
+    validatePassword(newPassword);
+    const { user_id: userId, email } = await consumeToken(token, 'password_reset');
+    const updatedUser = await userService.setPassword(userId, newPassword);
+    await sessionService.revokeSessionsForUser(userId);
+    await loginAttemptService.unlockUser(userId);
+    return (await userService.markEmailVerified(userId, email)) || updatedUser;
+};
+
+/**
+ * Sets a password for an account that does not have one yet (e.g. a Google-only account).
+ * Use changePassword to replace an existing password.
+ * @param {object} user - The logged-in user (req.user).
+ * @param {string} newPassword - The new password.
+ * @returns {Promise<object>} The updated user.
+ */
+const addPassword = async (user, newPassword) => {
+    if (!newPassword) {
+        throw new Error('Missing required field: new_password');
+    }
+    validatePassword(newPassword);
+    const methods = await userService.getLoginMethods(user.id);
+    if (methods.password) {
+        throw new Error('Invalid request: a password is already set. Use change-password to change it.');
+    }
+    return userService.setPassword(user.id, newPassword);
+};
+
+/**
+ * Links a Google account to a user.
+ * @param {number} userId - The ID of the user.
+ * @param {string} googleId - The Google account ID.
+ * @returns {Promise<object>} The updated user.
+ */
+const linkGoogle = async (userId, googleId) => {
+    const owner = await userService.findUserByGoogleId(googleId);
+    if (owner && owner.id !== userId) {
+        throw new Error('Invalid request: this Google account is already linked to another user.');
+    }
+    const user = await userService.getUserById(userId);
+    if (user.google_id === googleId) {
+        return user;
+    }
+    if (user.google_id) {
+        throw new Error('Invalid request: a different Google account is already linked. Unlink it first.');
+    }
+    return userService.updateUser(userId, { google_id: googleId });
+};
+
+/**
+ * Removes Google sign-in from a user, as long as they can still log in with a password.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<object>} The updated user.
+ */
+const unlinkGoogle = async (userId) => {
+    const methods = await userService.getLoginMethods(userId);
+    if (!methods.google) {
+        throw new Error('Invalid request: no Google account is linked.');
+    }
+    if (!methods.password) {
+        throw new Error('Invalid request: Google is your only way to log in. Set a password before unlinking it.');
+    }
+    return userService.updateUser(userId, { google_id: null });
+};
+
+/**
+ * Finds or creates the user for a Google sign-in (used by the Google strategy).
+ * - A logged-in user signing in with Google is linking it to their account.
+ * - A Google account that is already linked logs in as its user.
+ * - Otherwise an account with the same email (ignoring case) gets Google linked, provided both Google
+ *   and the account have verified the address (anyone can register an unverified account for an
+ *   address they don't own); with no such account, a new Guest is created.
+ * @param {object} profile - The Google profile (id, displayName, emails).
+ * @param {object} [currentUser] - The logged-in user, if any.
+ * @returns {Promise<object>} The user to log in.
+ */
+const signInWithGoogle = async (profile, currentUser) => {
+    const googleId = profile.id;
+    if (currentUser) {
+        return linkGoogle(currentUser.id, googleId);
+    }
+
+    const linkedUser = await userService.findUserByGoogleId(googleId);
+    if (linkedUser) {
+        return linkedUser;
+    }
+
+    const primaryEmail = profile.emails && profile.emails.length > 0 ? profile.emails[0] : null;
+    if (!primaryEmail || !primaryEmail.value) {
+        throw new Error('Email not provided by Google.');
+    }
+    const emailVerified = primaryEmail.verified !== false;
+
+    const existingUser = await userService.findUserByEmail(primaryEmail.value);
+    if (existingUser) {
+        if (!emailVerified || !existingUser.email_verified_at) {
+            throw new Error('Invalid request: log in with your password and link Google from your account instead.');
+        }
+        await linkGoogle(existingUser.id, googleId);
+        return userService.markEmailVerified(existingUser.id, existingUser.email);
+    }
+
+    const role = await roleService.getRoleByName(NEW_USER_ROLE);
+    if (!role) {
+        throw new Error(`Role '${NEW_USER_ROLE}' does not exist.`);
+    }
+    const newUser = await userService.createUser({
+        email: primaryEmail.value,
+        name: profile.displayName || primaryEmail.value,
+        role_id: role.id,
+        google_id: googleId,
+    });
+    return emailVerified ? userService.markEmailVerified(newUser.id, newUser.email) : newUser;
+};
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    validatePassword,
+    sendVerificationEmail,
+    verifyEmail,
+    changePassword,
+    requestPasswordReset,
+    resetPassword,
+    addPassword,
+    linkGoogle,
+    unlinkGoogle,
+    signInWithGoogle,
+};
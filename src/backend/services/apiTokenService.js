@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const db = require('../db');
+const meetService = require('./meetService');
+
+// Personal API tokens, for scripts and scoring tablets that cannot hold a login session.
+// A token acts as the user who created it, with that user's current role and team access, and is
+// sent as 'Authorization: Bearer <token>'. Only its SHA-256 hash is stored; the token itself is
+// shown once, when it is created.
+// Scopes:
+// - 'full': anything the user can do.
+// - 'scores': only entering scores and stats (routes that use allowApiTokenScope), optionally
+//   for a single meet.
+
+const TOKEN_PREFIX = 'stt_';
+const TOKEN_SCOPES = ['full', 'scores'];
+const DEFAULT_EXPIRES_IN_DAYS = 90;
+const MAX_EXPIRES_IN_DAYS = 365;
+
+// Columns returned to users (never the hash)
+const TOKEN_COLUMNS = 'id, user_id, name, token_prefix, scope, meet_id, expires_at, last_used_at, revoked_at, created_at';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Creates an API token for a user.
+ * @param {number} userId - The ID of the user the token acts as.
+ * @param {object} tokenData - { name, scope ('full' or 'scores', default 'full'), meet_id (optional, 'scores' only), expires_in_days (1-365, default 90) }.
+ * @returns {Promise<object>} The token record, with the token itself in `token` (only returned here).
+ */
+const createApiToken = async (userId, tokenData) => {
+    const { name, scope = 'full', meet_id = null, expires_in_days = DEFAULT_EXPIRES_IN_DAYS } = tokenData;
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        throw new Error('Missing required field: name');
+    }
+    if (name.trim().length > 100) {
+        throw new Error('Invalid name. Must be at most 100 characters.');
+    }
+    if (!TOKEN_SCOPES.includes(scope)) {
+        throw new Error(`Invalid scope. Must be one of: ${TOKEN_SCOPES.join(', ')}.`);
+    }
+    if (!Number.isInteger(expires_in_days) || expires_in_days < 1 || expires_in_days > MAX_EXPIRES_IN_DAYS) {
+        throw new Error(`Invalid expires_in_days. Must be a whole number between 1 and ${MAX_EXPIRES_IN_DAYS}.`);
+    }
+    if (meet_id !== null) {
+        if (scope !== 'scores') {
+            throw new Error("Invalid meet_id. Only 'scores' tokens can be limited to a meet.");
+        }
+        if (!Number.isInteger(meet_id) || !(await meetService.getMeetById(meet_id))) {
+            throw new Error(`Invalid meet_id: Meet with ID ${meet_id} not found.`);
+        }
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const queryText = `
+        INSERT INTO api_tokens (user_id, name, token_prefix, token_hash, scope, meet_id, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(days => $7))
+        RETURNING ${TOKEN_COLUMNS};
+    `;
+    try {
+        const result = await db.query(queryText, [
+            userId, name.trim(), token.slice(0, TOKEN_PREFIX.length + 6), hashToken(token), scope, meet_id, expires_in_days,
+        ]);
+        return { ...result.rows[0], token };
+    } catch (err) {
+        console.error(`Error creating API token for user ID ${userId}:`, err);
+        throw new Error('Database error creating API token.');
+    }
+};
+
+/**
+ * Fetches a user's API tokens that have not been revoked, newest first (including expired ones).
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<Array<object>>} The tokens.
+ */
+const getApiTokensForUser = async (userId) => {
+    try {
+        const result = await db.query(
+            `SELECT ${TOKEN_COLUMNS} FROM api_tokens WHERE user_id = $1 AND revoked_at IS NULL ORDER BY created_at DESC, id DESC`,
+            [userId]
+        );
+        return result.rows;
+    } catch (err) {
+        console.error(`Error fetching API tokens for user ID ${userId}:`, err);
+        throw new Error('Database error fetching API tokens.');
+    }
+};
+
+/**
+ * Revokes one of a user's API tokens.
+ * @param {number} userId - The ID of the token's owner.
+ * @param {number} tokenId - The ID of the token.
+ * @returns {Promise<object|undefined>} The revoked token, or undefined if the user has no such token.
+ */
+const revokeApiToken = async (userId, tokenId) => {
+    try {
+        const result = await db.query(
+            `UPDATE api_tokens SET revoked_at = NOW()
+             WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+             RETURNING ${TOKEN_COLUMNS};`,
+            [tokenId, userId]
+        );
+        return result.rows[0];
+    } catch (err) {
+        console.error(`Error revoking API token ID ${tokenId}:`, err);
+        throw new Error('Database error revoking API token.');
+    }
+};
+
+/**
+ * Looks up the user for a bearer token and records that the token was used.
+ * @param {string} token - The token from the Authorization header.
+ * @returns {Promise<object|undefined>} { user (as loaded for sessions, with role_name), apiToken }, or undefined if the token is unknown, revoked or expired.
+ */
+const authenticateApiToken = async (token) => {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+        return undefined;
+    }
+    try {
+        const result = await db.query(
+            `UPDATE api_tokens SET last_used_at = NOW()
+             WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+             RETURNING ${TOKEN_COLUMNS};`,
+            [hashToken(token)]
+        );
+        const apiToken = result.rows[0];
+        if (!apiToken) {
+            return undefined;
+        }
+        const userResult = await db.query(
+            `SELECT u.id, u.google_id, u.email, u.name, u.role_id, u.email_verified_at, r.name as role_name
+             FROM users u
+             JOIN roles r ON u.role_id = r.id
+             WHERE u.id = $1;`,
+            [apiToken.user_id]
+        );
+        const user = userResult.rows[0];
+        return user ? { user, apiToken } : undefined;
+    } catch (err) {
+        console.error('Error authenticating API token:', err);
+        throw new Error('Database error checking API token.');
+    }
+};
+
+module.exports = {
+    TOKEN_SCOPES,
+    createApiToken,
+    getApiTokensForUser,
+    revokeApiToken,
+    authenticateApiToken,
+};
@@ -0,0 +1,61 @@
+const db = require('../db');
+
+// Reads the audit trail. Entries are written by the audit_row_change trigger in the database
+// (see database/schema.sql) whenever a row in one of these tables is inserted, updated or deleted;
+// the acting user comes from the request (see db.runWithActor).
+
+const AUDITED_ENTITIES = [
+    'roles', 'users', 'schools', 'teams', 'team_staff', 'players', 'roster_entries', 'seasons', 'meet_formats',
+    'meets', 'matches', 'sets', 'stats', 'result_comments', 'meet_schedule_changes', 'invites', 'api_tokens',
+];
+const AUDIT_ACTIONS = ['insert', 'update', 'delete'];
+
+/**
+ * Fetches audit log entries, newest first.
+ * @param {object} filters - { entity, entity_id, user_id (who made the change), action, limit } (all optional; limit defaults to 100, max 500).
+ * @returns {Promise<Array<object>>} The entries, with the acting user's name as user_name.
+ */
+const getAuditLog = async (filters = {}) => {
+    const { entity, entity_id, user_id, action, limit = 100 } = filters;
+    if (entity !== undefined && !AUDITED_ENTITIES.includes(entity)) {
+        throw new Error(`Invalid entity. Must be one of: ${AUDITED_ENTITIES.join(', ')}.`);
+    }
+    if (action !== undefined && !AUDIT_ACTIONS.includes(action)) {
+        throw new Error(`Invalid action. Must be one of: ${AUDIT_ACTIONS.join(', ')}.`);
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        throw new Error('Invalid limit. Must be a whole number between 1 and 500.');
+    }
+    const conditions = [];
+    const values = [];
+    const addCondition = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replace('?', `$${values.length}`));
+    };
+    if (entity !== undefined) addCondition('a.entity = ?', entity);
+    if (entity_id !== undefined) addCondition('a.entity_id = ?', entity_id);
+    if (user_id !== undefined) addCondition('a.user_id = ?', user_id);
+    if (action !== undefined) addCondition('a.action = ?', action);
+    values.push(limit);
+
+    const queryText = `
+        SELECT a.*, u.name AS user_name
+        FROM audit_log a
+        LEFT JOIN users u ON a.user_id = u.id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY a.created_at DESC, a.id DESC
+        LIMIT $${values.length};
+    `;
+    try {
+        const result = await db.query(queryText, values);
+        return result.rows;
+    } catch (err) {
+        console.error('Error fetching audit log:', err);
+        throw new Error('Database error fetching audit log.');
+    }
+};
+
+module.exports = {
+    AUDITED_ENTITIES,
+    getAuditLog,
+};
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const db = require('../db');
+const userService = require('./userService');
+const playerService = require('./playerService');
+const roleService = require('./roleService');
+
+// Coach invitations. An invite code has the form '<invite id>.<nonce>.<signature>', where the
+// signature is an HMAC of the invite's ID, team and nonce. Codes can therefore not be guessed or
+// altered, and the invites table keeps track of which codes have been used, revoked or have expired.
+
+// Role given to users who register with an invite
+const INVITED_ROLE = 'Player';
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 30;
+
+const getSecret = () => {
+    const secret = process.env.INVITE_SECRET || process.env.SESSION_SECRET;
+    if (!secret) {
+        throw new Error('INVITE_SECRET or SESSION_SECRET must be set to sign invite codes.');
+    }
+    return secret;
+};
+
+const sign = (invite) =>
+    crypto.createHmac('sha256', getSecret()).update(`${invite.id}.${invite.team_id}.${invite.nonce}`).digest('base64url');
+
+const getInviteStatus = (invite) => {
+    if (invite.used_at) return 'used';
+    if (invite.revoked_at) return 'revoked';
+    if (new Date(invite.expires_at) <= new Date()) return 'expired';
+    return 'pending';
+};
+
+// Adds the code and status to an invite row; the nonce itself is not returned
+const formatInvite = (invite) => {
+    const { nonce, ...rest } = invite;
+    return { ...rest, code: `${invite.id}.${nonce}.${sign(invite)}`, status: getInviteStatus(invite) };
+};
+
+/**
+ * Creates an invite to join a team as a Player.
+ * @param {object} inviteData - { team_id, created_by_user_id, [email], [expires_in_days] }.
+ * @returns {Promise<object>} The new invite, including its code.
+ */
+const createInvite = async (inviteData) => {
+    const { team_id, created_by_user_id, email, expires_in_days = DEFAULT_EXPIRY_DAYS } = inviteData;
+    if (!team_id) {
+        throw new Error('Missing required field: team_id');
+    }
+    if (!Number.isInteger(expires_in_days) || expires_in_days < 1 || expires_in_days > MAX_EXPIRY_DAYS) {
+        throw new Error(`Invalid expires_in_days. Must be a whole number between 1 and ${MAX_EXPIRY_DAYS}.`);
+    }
+    if (email !== undefined && email !== null && (typeof email !== 'string' || !email.includes('@'))) {
+        throw new Error('Invalid email for invite.');
+    }
+
+    const queryText = `
+        INSERT INTO invites (team_id, created_by_user_id, email, nonce, expires_at)
+        VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+        RETURNING *;
+    `;
+    const values = [team_id, created_by_user_id || null, email || null, crypto.randomBytes(16).toString('base64url'), expires_in_days];
+    try {
+        const result = await db.query(queryText, values);
+        return formatInvite(result.rows[0]);
+    } catch (err) {
+        console.error('Error creating invite:', err);
+        if (err.code === '23503' && err.constraint === 'invites_team_id_fkey') {
+            throw new Error(`Team with ID ${team_id} not found.`);
+        }
+        throw new Error('Database error creating invite.');
+    }
+};
+
+/**
+ * Fetches the invites issued for a team, newest first.
+ * @param {number} teamId - The ID of the team.
+ * @returns {Promise<Array<object>>} The invites, including their codes and statuses.
+ */
+const getInvitesByTeam = async (teamId) => {
+    try {
+        const result = await db.query('SELECT * FROM invites WHERE team_id = $1 ORDER BY created_at DESC, id DESC', [teamId]);
+        return result.rows.map(formatInvite);
+    } catch (err) {
+        console.error(`Error fetching invites for team ID ${teamId}:`, err);
+        throw new Error('Database error fetching invites.');
+    }
+};
+
+/**
+ * Revokes an unused invite so its code can no longer be used.
+ * @param {number} teamId - The ID of the team the invite belongs to.
+ * @param {number} inviteId - The ID of the invite.
+ * @returns {Promise<object|undefined>} The revoked invite, or undefined if not found.
+ */
+const revokeInvite = async (teamId, inviteId) => {
+    let invite;
+    try {
+        const result = await db.query('SELECT * FROM invites WHERE id = $1 AND team_id = $2', [inviteId, teamId]);
+        invite = result.rows[0];
+        if (!invite) {
+            return undefined;
+        }
+        if (!invite.used_at && !invite.revoked_at) {
+            const updateResult = await db.query('UPDATE invites SET revoked_at = NOW() WHERE id = $1 RETURNING *', [inviteId]);
+            invite = updateResult.rows[0];
+        }
+    } catch (err) {
+        console.error(`Error revoking invite ID ${inviteId}:`, err);
+        throw new Error('Database error revoking invite.');
+    }
+    if (invite.used_at) {
+        throw new Error('Invite has already been used and cannot be revoked.');
+    }
+    return formatInvite(invite);
+};
+
+/**
+ * Checks an invite code's signature and returns its ID and nonce.
+ * @param {string} code - The invite code.
+ * @returns {{ id: number, nonce: string, signature: string }} The code's parts.
+ */
+const parseInviteCode = (code) => {
+    const parts = typeof code === 'string' ? code.trim().split('.') : [];
+    const id = parseInt(parts[0], 10);
+    if (parts.length !== 3 || isNaN(id) || String(id) !== parts[0]) {
+        throw new Error('Invalid invite code.');
+    }
+    return { id, nonce: parts[1], signature: parts[2] };
+};
+
+const signatureMatches = (invite, signature) => {
+    const expected = Buffer.from(sign(invite));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Registers a new user with an invite code: the user gets the Player role and is added to the
+ * invite's team. Runs in one transaction, so a failed registration leaves the invite unused.
+ * @param {string} code - The invite code.
+ * @param {object} userData - { email, name, password }.
+ * @returns {Promise<object>} The new user (without password hash).
+ */
+const acceptInvite = async (code, userData) => {
+    const { id, nonce, signature } = parseInviteCode(code);
+    const role = await roleService.getRoleByName(INVITED_ROLE);
+    if (!role) {
+        throw new Error(`Role '${INVITED_ROLE}' does not exist.`);
+    }
+
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        // Lock the invite so it cannot be used twice at the same time
+        const inviteResult = await client.query('SELECT * FROM invites WHERE id = $1 FOR UPDATE', [id]);
+        const invite = inviteResult.rows[0];
+        if (!invite || invite.nonce !== nonce || !signatureMatches(invite, signature)) {
+            throw new Error('Invalid invite code.');
+        }
+        const status = getInviteStatus(invite);
+        if (status !== 'pending') {
+            throw new Error(`Invalid invite code: this invite has ${status === 'used' ? 'already been used' : `been ${status}`}.`);
+        }
+        if (invite.email && invite.email.toLowerCase() !== String(userData.email).toLowerCase()) {
+            throw new Error('Invalid invite code: this invite was issued for a different email address.');
+        }
+
+        const user = await userService.createUser({ ...userData, role_id: role.id }, client);
+        await playerService.createPlayer({ user_id: user.id, team_id: invite.team_id }, client);
+        await client.query('UPDATE invites SET used_at = NOW(), used_by_user_id = $1 WHERE id = $2', [user.id, invite.id]);
+        await client.query('COMMIT');
+        return user;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = {
+    createInvite,
+    getInvitesByTeam,
+    revokeInvite,
+    acceptInvite,
+};
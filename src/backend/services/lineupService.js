@@ -0,0 +1,309 @@
+const db = require('../db');
+const meetService = require('./meetService'); // Finalized meets can't change
+
+// Lineups: the players each team puts on the Singles and Doubles lines of a meet (the teamN_player
+// columns of the meet's matches). Lineups follow the meet's format and the team's roster:
+// - a Singles line has one player per team, a Doubles line two (or none, for a line left open)
+// - players must be active on the team's roster for the meet's season; for a meet without a
+//   season, they must be on the team (players.team_id, which follows the roster)
+// - a player plays at most one Singles and one Doubles line, and not both if the format sets
+//   allow_singles_and_doubles to false
+// - lineups lock lineup_lock_minutes before the meet (never when null), except for Admins
+
+// Player fields making up each side's lineup for a line
+const SIDE_FIELDS = {
+    1: ['team1_player1_id', 'team1_player2_id'],
+    2: ['team2_player1_id', 'team2_player2_id'],
+};
+
+/**
+ * Fetches a meet with the lineup rules of its format.
+ * @param {number} meetId - The ID of the meet.
+ * @param {object} [client] - A database client, to read inside the caller's transaction.
+ * @returns {Promise<object|undefined>} The meet, or undefined if not found.
+ */
+const getLineupMeet = async (meetId, client = db) => {
+    const result = await client.query(
+        `SELECT m.id, m.season_id, m.meet_date, m.status, m.team1_id, m.team2_id,
+                mf.num_singles_lines, mf.num_doubles_lines, mf.allow_singles_and_doubles, mf.lineup_lock_minutes
+         FROM meets m
+         JOIN meet_formats mf ON m.meet_format_id = mf.id
+         WHERE m.id = $1`,
+        [meetId]
+    );
+    return result.rows[0];
+};
+
+// When a meet's lineups lock, or null if its format doesn't lock them
+const getLocksAt = (meet) => (meet.lineup_lock_minutes === null
+    ? null
+    : new Date(new Date(meet.meet_date).getTime() - meet.lineup_lock_minutes * 60 * 1000));
+
+/**
+ * Rejects lineup changes once the meet's lineups are locked, unless the caller may ignore the lock.
+ * @param {object} meet - The meet, from getLineupMeet.
+ * @param {object} [options] - { ignoreLineupLock } for Admins.
+ */
+const ensureLineupUnlocked = (meet, options = {}) => {
+    const locksAt = getLocksAt(meet);
+    if (locksAt && !options.ignoreLineupLock && Date.now() >= locksAt.getTime()) {
+        throw new Error(`Cannot change the lineup: lineups for meet ${meet.id} locked at ${locksAt.toISOString()}; only an Admin can change them now.`);
+    }
+};
+
+/**
+ * Fetches the IDs of the players a team may put in a meet's lineup: the players active on its
+ * roster for the meet's season or, for a meet without a season, the team's current players.
+ * @param {number} teamId - The ID of the team.
+ * @param {number|null} seasonId - The meet's season.
+ * @param {object} [client] - A database client.
+ * @returns {Promise<Array<number>>} The player IDs.
+ */
+const getEligiblePlayerIds = async (teamId, seasonId, client = db) => {
+    if (seasonId !== null) {
+        const rosterResult = await client.query(
+            `SELECT player_id FROM roster_entries WHERE team_id = $1 AND season_id = $2 AND status = 'active'`,
+            [teamId, seasonId]
+        );
+        return rosterResult.rows.map((entry) => entry.player_id);
+    }
+    const playersResult = await client.query('SELECT id FROM players WHERE team_id = $1', [teamId]);
+    return playersResult.rows.map((player) => player.id);
+};
+
+/**
+ * Checks one team's lineup across the lines of a meet against the rules above.
+ * @param {object} meet - The meet, from getLineupMeet.
+ * @param {number} side - 1 or 2, the team's side of the meet.
+ * @param {Array<object>} lines - { line_type, line_number, player_ids: [player1_id, player2_id] } (null for an open slot).
+ * @param {object} [client] - A database client.
+ */
+const checkLineup = async (meet, side, lines, client = db) => {
+    const teamId = side === 1 ? meet.team1_id : meet.team2_id;
+    const eligibleIds = await getEligiblePlayerIds(teamId, meet.season_id, client);
+    const lineTypesByPlayer = new Map();
+
+    for (const line of lines) {
+        const label = `${line.line_type} line ${line.line_number}`;
+        const [player1Id, player2Id] = line.player_ids;
+        const playerIds = line.player_ids.filter((playerId) => playerId !== null);
+        if (line.line_type === 'Singles' && player2Id !== null) {
+            throw new Error(`Invalid lineup: ${label} takes one player per team, as player1.`);
+        }
+        if (line.line_type === 'Doubles' && playerIds.length === 1) {
+            throw new Error(`Invalid lineup: ${label} needs two players per team, or none.`);
+        }
+        if (player1Id !== null && player1Id === player2Id) {
+            throw new Error(`Invalid lineup: ${label} has player ${player1Id} twice.`);
+        }
+
+        for (const playerId of playerIds) {
+            if (!eligibleIds.includes(playerId)) {
+                throw new Error(`Invalid lineup: player ${playerId} is not eligible for team ${teamId} (not active on its roster for the meet's season).`);
+            }
+            const lineTypes = lineTypesByPlayer.get(playerId) || [];
+            if (lineTypes.includes(line.line_type)) {
+                throw new Error(`Invalid lineup: player ${playerId} is on more than one ${line.line_type} line.`);
+            }
+            if (lineTypes.length > 0 && !meet.allow_singles_and_doubles) {
+                throw new Error(`Invalid lineup: player ${playerId} cannot play both Singles and Doubles under this meet's format.`);
+            }
+            lineTypesByPlayer.set(playerId, [...lineTypes, line.line_type]);
+        }
+    }
+};
+
+// A match's players on one side, with open slots as null
+const sidePlayerIds = (match, side) => SIDE_FIELDS[side].map((field) => match[field] || null);
+
+/**
+ * Checks a match's lineup, as it will be saved through the matches API, against the meet's other lines.
+ * Only the sides whose players change are checked, and only they are subject to the lineup lock.
+ * @param {object} match - The match as it will be saved ({ id (none for a new match), meet_id, line_type, line_number, player fields }).
+ * @param {Array<number>} sides - The sides (1, 2) whose players change.
+ * @param {object} [options] - { ignoreLineupLock } for Admins.
+ */
+const validateMatchLineup = async (match, sides, options = {}) => {
+    if (sides.length === 0) {
+        return;
+    }
+    const meet = await getLineupMeet(match.meet_id);
+    if (!meet) {
+        return; // Saving the match reports the missing meet
+    }
+    ensureLineupUnlocked(meet, options);
+
+    const otherLines = await db.query('SELECT * FROM matches WHERE meet_id = $1 AND id <> $2', [match.meet_id, match.id || 0]);
+    for (const side of sides) {
+        const lines = [...otherLines.rows, match].map((line) => ({
+            line_type: line.line_type,
+            line_number: line.line_number,
+            player_ids: sidePlayerIds(line, side),
+        }));
+        await checkLineup(meet, side, lines);
+    }
+};
+
+/**
+ * Fetches a team's lineup for a meet: every Singles and Doubles line of the meet's format, with the
+ * team's players on it (null for open slots and lines not created yet).
+ * @param {number} meetId - The ID of the meet.
+ * @param {number} teamId - The ID of one of the meet's teams.
+ * @returns {Promise<object|undefined>} { meet_id, team_id, side, locks_at, locked, singles, doubles },
+ *   or undefined if the meet is not found or the team is not playing in it.
+ */
+const getLineup = async (meetId, teamId) => {
+    const meet = await getLineupMeet(meetId);
+    if (!meet || ![meet.team1_id, meet.team2_id].includes(teamId)) {
+        return undefined;
+    }
+    const side = meet.team1_id === teamId ? 1 : 2;
+    const [player1Field, player2Field] = SIDE_FIELDS[side];
+
+    let matches;
+    try {
+        const result = await db.query(
+            `SELECT m.id, m.line_type, m.line_number,
+                    m.${player1Field} AS player1_id, u1.name AS player1_name,
+                    m.${player2Field} AS player2_id, u2.name AS player2_name
+             FROM matches m
+             LEFT JOIN players p1 ON m.${player1Field} = p1.id
+             LEFT JOIN users u1 ON p1.user_id = u1.id
+             LEFT JOIN players p2 ON m.${player2Field} = p2.id
+             LEFT JOIN users u2 ON p2.user_id = u2.id
+             WHERE m.meet_id = $1`,
+            [meetId]
+        );
+        matches = result.rows;
+    } catch (err) {
+        console.error(`Error fetching lineup of team ID ${teamId} for meet ID ${meetId}:`, err);
+        throw new Error('Database error fetching lineup.');
+    }
+
+    const findLine = (lineType, lineNumber) =>
+        matches.find((match) => match.line_type === lineType && match.line_number === lineNumber) || {};
+    const lineNumbers = (count) => Array.from({ length: count }, (_, index) => index + 1);
+
+    const singles = lineNumbers(meet.num_singles_lines).map((lineNumber) => {
+        const match = findLine('Singles', lineNumber);
+        return {
+            line_number: lineNumber,
+            match_id: match.id || null,
+            player_id: match.player1_id || null,
+            player_name: match.player1_name || null,
+        };
+    });
+    const doubles = lineNumbers(meet.num_doubles_lines).map((lineNumber) => {
+        const match = findLine('Doubles', lineNumber);
+        return {
+            line_number: lineNumber,
+            match_id: match.id || null,
+            player1_id: match.player1_id || null,
+            player1_name: match.player1_name || null,
+            player2_id: match.player2_id || null,
+            player2_name: match.player2_name || null,
+        };
+    });
+
+    const locksAt = getLocksAt(meet);
+    return {
+        meet_id: meet.id,
+        team_id: teamId,
+        side,
+        locks_at: locksAt,
+        locked: locksAt !== null && Date.now() >= locksAt.getTime(),
+        singles,
+        doubles,
+    };
+};
+
+// Rejects a list of lines that doesn't give each of the format's lines exactly once
+const checkLineNumbers = (lines, count, lineType) => {
+    const lineNumbers = lines.map((line) => line.line_number).sort((a, b) => a - b);
+    const complete = lineNumbers.length === count && lineNumbers.every((lineNumber, index) => lineNumber === index + 1);
+    if (!complete) {
+        throw new Error(`Invalid lineup: the meet's format has ${count} ${lineType} line(s); give line_number 1 to ${count} once each.`);
+    }
+};
+
+// Rejects player IDs that are neither numbers nor null (open slots)
+const checkPlayerIds = (playerIds) => {
+    if (playerIds.some((playerId) => playerId !== null && !Number.isInteger(playerId))) {
+        throw new Error('Invalid lineup: player IDs must be numbers, or null for an open slot.');
+    }
+};
+
+/**
+ * Sets a team's full lineup for a meet in one go, creating lines that don't exist yet.
+ * The lineup is checked against the meet's format, the team's roster and the duplicate rules
+ * (see above), and can't change once locked unless options.ignoreLineupLock is set.
+ * @param {number} meetId - The ID of the meet.
+ * @param {number} teamId - The ID of one of the meet's teams.
+ * @param {object} lineup - { singles: [{ line_number, player_id }], doubles: [{ line_number, player1_id, player2_id }] },
+ *   with every line of the format (player IDs null for open slots).
+ * @param {object} [options] - { overrideReason } to change a finalized meet and { ignoreLineupLock } (Admin).
+ * @returns {Promise<object|undefined>} The saved lineup (see getLineup), or undefined if the meet is not
+ *   found or the team is not playing in it.
+ */
+const setLineup = async (meetId, teamId, lineup, options = {}) => {
+    const meet = await getLineupMeet(meetId);
+    if (!meet || ![meet.team1_id, meet.team2_id].includes(teamId)) {
+        return undefined;
+    }
+    const { singles, doubles } = lineup;
+    if (!Array.isArray(singles) || !Array.isArray(doubles)) {
+        throw new Error('Missing required fields: singles, doubles (arrays of lines)');
+    }
+    if ([...singles, ...doubles].some((line) => line === null || typeof line !== 'object')) {
+        throw new Error('Invalid lineup: each line must be an object.');
+    }
+    checkLineNumbers(singles, meet.num_singles_lines, 'Singles');
+    checkLineNumbers(doubles, meet.num_doubles_lines, 'Doubles');
+
+    const side = meet.team1_id === teamId ? 1 : 2;
+    const toPlayerId = (playerId) => (playerId === undefined ? null : playerId);
+    const lines = [
+        ...singles.map((line) => ({ line_type: 'Singles', line_number: line.line_number, player_ids: [toPlayerId(line.player_id), null] })),
+        ...doubles.map((line) => ({
+            line_type: 'Doubles',
+            line_number: line.line_number,
+            player_ids: [toPlayerId(line.player1_id), toPlayerId(line.player2_id)],
+        })),
+    ];
+    checkPlayerIds(lines.flatMap((line) => line.player_ids));
+
+    await meetService.ensureMeetEditable(meetId, options);
+    ensureLineupUnlocked(meet, options);
+    await checkLineup(meet, side, lines);
+
+    const [player1Field, player2Field] = SIDE_FIELDS[side];
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        for (const line of lines) {
+            await client.query(
+                `INSERT INTO matches (meet_id, line_number, line_type, ${player1Field}, ${player2Field}, created_at, updated_at)
+                 VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+                 ON CONFLICT (meet_id, line_number, line_type) DO UPDATE
+                 SET ${player1Field} = EXCLUDED.${player1Field}, ${player2Field} = EXCLUDED.${player2Field}, updated_at = NOW()`,
+                [meetId, line.line_number, line.line_type, ...line.player_ids]
+            );
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`Error setting lineup of team ID ${teamId} for meet ID ${meetId}:`, err);
+        throw new Error('Database error setting lineup.');
+    } finally {
+        client.release();
+    }
+    return getLineup(meetId, teamId);
+};
+
+module.exports = {
+    SIDE_FIELDS,
+    getEligiblePlayerIds,
+    validateMatchLineup,
+    getLineup,
+    setLineup,
+};
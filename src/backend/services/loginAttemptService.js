@@ -0,0 +1,233 @@
+const db = require('../db');
+
+// Brute-force protection for local logins. Every attempt is recorded in login_attempts.
+// - Per account: after DELAY_AFTER_FAILURES failed logins in a row, each further attempt must wait
+//   a delay that doubles with every failure; at LOCK_AFTER_FAILURES the account is locked for
+//   LOCK_MINUTES (an Admin can unlock it sooner, and a password reset unlocks it too).
+// - Per IP address: after IP_MAX_FAILURES failed logins within IP_WINDOW_MINUTES, further
+//   attempts from that address are refused until the window has moved on.
+// Refused attempts are recorded (as 'locked' or 'throttled') but do not count as failures.
+// An allowed attempt on an account is counted as a failure up front, in the same UPDATE that checks
+// the delay and lock, and cleared again if the password is right. Parallel guesses are therefore
+// serialized by the row lock: each one sees the failures counted before it.
+
+const LOGIN_LIMITS = {
+    DELAY_AFTER_FAILURES: 3,
+    MAX_DELAY_SECONDS: 60,
+    LOCK_AFTER_FAILURES: 5,
+    LOCK_MINUTES: 15,
+    IP_MAX_FAILURES: 20,
+    IP_WINDOW_MINUTES: 15,
+};
+
+// Failure reasons that count towards the limits
+const COUNTED_REASONS = ['unknown_email', 'wrong_password', 'no_password'];
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+/**
+ * Seconds to wait after the last failure, for an account with the given number of failures.
+ * @param {number} failedCount - Failed logins in a row.
+ * @returns {number} 0 if no delay applies.
+ */
+const getDelaySeconds = (failedCount) => {
+    if (failedCount < LOGIN_LIMITS.DELAY_AFTER_FAILURES) {
+        return 0;
+    }
+    return Math.min(2 ** (failedCount - LOGIN_LIMITS.DELAY_AFTER_FAILURES), LOGIN_LIMITS.MAX_DELAY_SECONDS);
+};
+
+// Why an account refuses attempts right now, from its current row
+const getAccountRefusal = (account) => {
+    if (account.locked_until && new Date(account.locked_until) > new Date()) {
+        return {
+            reason: 'locked',
+            message: 'Account temporarily locked after too many failed login attempts. Try again later or ask an Admin to unlock it.',
+            retryAfter: secondsUntil(account.locked_until),
+        };
+    }
+    const delaySeconds = account.last_failed_login_at ? getDelaySeconds(account.failed_login_count) : 0;
+    const nextAttemptAt = new Date(new Date(account.last_failed_login_at).getTime() + delaySeconds * 1000);
+    return {
+        reason: 'throttled',
+        message: 'Too many failed login attempts. Please wait before trying again.',
+        // The wait may have just ended if another attempt changed the account meanwhile
+        retryAfter: delaySeconds > 0 ? secondsUntil(nextAttemptAt) : 1,
+    };
+};
+
+/**
+ * Counts an attempt on an account as a failure, unless the account is locked or must wait
+ * (see getDelaySeconds, which the query mirrors). Check and count are one UPDATE, so concurrent
+ * attempts can't all pass the check before any of them is counted.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<object|undefined>} undefined if the attempt may go ahead, otherwise the refusal.
+ */
+const reserveAccountAttempt = async (userId) => {
+    try {
+        const result = await db.query(
+            `UPDATE users
+             SET failed_login_count = failed_login_count + 1,
+                 last_failed_login_at = NOW(),
+                 locked_until = CASE WHEN failed_login_count + 1 >= $2 THEN NOW() + make_interval(mins => $3) ELSE locked_until END
+             WHERE id = $1
+               AND (locked_until IS NULL OR locked_until <= NOW())
+               AND (last_failed_login_at IS NULL OR failed_login_count < $4
+                    OR last_failed_login_at + make_interval(secs => LEAST(power(2, failed_login_count - $4), $5)) <= NOW())
+             RETURNING id;`,
+            [userId, LOGIN_LIMITS.LOCK_AFTER_FAILURES, LOGIN_LIMITS.LOCK_MINUTES, LOGIN_LIMITS.DELAY_AFTER_FAILURES, LOGIN_LIMITS.MAX_DELAY_SECONDS]
+        );
+        if (result.rows[0]) {
+            return undefined;
+        }
+        const accountResult = await db.query(
+            'SELECT locked_until, failed_login_count, last_failed_login_at FROM users WHERE id = $1',
+            [userId]
+        );
+        return accountResult.rows[0] ? getAccountRefusal(accountResult.rows[0]) : undefined;
+    } catch (err) {
+        console.error(`Error checking failed logins for user ID ${userId}:`, err);
+        throw new Error('Database error checking login attempts.');
+    }
+};
+
+/**
+ * Checks whether a login attempt may go ahead, before the password is checked.
+ * An allowed attempt on an account counts as a failure until recordSuccessfulLogin clears it.
+ * @param {object|undefined} user - The full user row for the email, if any.
+ * @param {string} ipAddress - The client's IP address.
+ * @returns {Promise<object|undefined>} undefined if allowed, otherwise { reason, message, retryAfter } (retryAfter in seconds).
+ */
+const checkLoginAllowed = async (user, ipAddress) => {
+    let ipFailures;
+    try {
+        const result = await db.query(
+            `SELECT COUNT(*)::int AS failures, MIN(created_at) AS oldest
+             FROM login_attempts
+             WHERE ip_address = $1 AND succeeded = FALSE AND reason = ANY($2::text[])
+               AND created_at > NOW() - make_interval(mins => $3);`,
+            [ipAddress, COUNTED_REASONS, LOGIN_LIMITS.IP_WINDOW_MINUTES]
+        );
+        ipFailures = result.rows[0];
+    } catch (err) {
+        console.error(`Error counting failed logins for IP ${ipAddress}:`, err);
+        throw new Error('Database error checking login attempts.');
+    }
+    if (ipFailures.failures >= LOGIN_LIMITS.IP_MAX_FAILURES) {
+        const windowEnd = new Date(new Date(ipFailures.oldest).getTime() + LOGIN_LIMITS.IP_WINDOW_MINUTES * 60 * 1000);
+        return {
+            reason: 'throttled',
+            message: 'Too many failed login attempts from this address. Please try again later.',
+            retryAfter: secondsUntil(windowEnd),
+        };
+    }
+    return user ? reserveAccountAttempt(user.id) : undefined;
+};
+
+const insertAttempt = async ({ email, user, ipAddress, succeeded, reason }) => {
+    await db.query(
+        'INSERT INTO login_attempts (email, user_id, ip_address, succeeded, reason) VALUES ($1, $2, $3, $4, $5)',
+        [String(email).toLowerCase(), user ? user.id : null, ipAddress || null, succeeded, reason || null]
+    );
+};
+
+/**
+ * Records a failed login. The account's failure was already counted by checkLoginAllowed.
+ * @param {object} attempt - { email, user (full row or undefined), ipAddress, reason }.
+ * @returns {Promise<void>}
+ */
+const recordFailedLogin = async ({ email, user, ipAddress, reason }) => {
+    try {
+        await insertAttempt({ email, user, ipAddress, succeeded: false, reason });
+    } catch (err) {
+        console.error(`Error recording failed login for ${email}:`, err);
+        throw new Error('Database error recording login attempt.');
+    }
+};
+
+/**
+ * Records a successful login and clears the account's failures (including this attempt's, counted
+ * by checkLoginAllowed).
+ * @param {object} attempt - { email, user, ipAddress }.
+ * @returns {Promise<void>}
+ */
+const recordSuccessfulLogin = async ({ email, user, ipAddress }) => {
+    try {
+        await insertAttempt({ email, user, ipAddress, succeeded: true });
+        await db.query(
+            'UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = $1',
+            [user.id]
+        );
+    } catch (err) {
+        console.error(`Error recording login for ${email}:`, err);
+        throw new Error('Database error recording login attempt.');
+    }
+};
+
+/**
+ * Unlocks an account and clears its failed logins.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<object|undefined>} The account's { id, failed_login_count, locked_until }, or undefined if the user was not found.
+ */
+const unlockUser = async (userId) => {
+    try {
+        const result = await db.query(
+            `UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = $1
+             RETURNING id, failed_login_count, locked_until`,
+            [userId]
+        );
+        return result.rows[0];
+    } catch (err) {
+        console.error(`Error unlocking user ID ${userId}:`, err);
+        throw new Error('Database error unlocking user.');
+    }
+};
+
+/**
+ * Fetches recorded login attempts, newest first, with the lockout of the account each one was for
+ * (locked_until, null if it is not locked).
+ * @param {object} filters - { email, user_id, ip_address, failed_only, limit } (all optional; limit defaults to 100, max 500).
+ * @returns {Promise<Array<object>>} The attempts.
+ */
+const getLoginAttempts = async (filters = {}) => {
+    const { email, user_id, ip_address, failed_only, limit = 100 } = filters;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        throw new Error('Invalid limit. Must be a whole number between 1 and 500.');
+    }
+    const conditions = [];
+    const values = [];
+    const addCondition = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replace('?', `$${values.length}`));
+    };
+    if (email !== undefined) addCondition('la.email = ?', String(email).toLowerCase());
+    if (user_id !== undefined) addCondition('la.user_id = ?', user_id);
+    if (ip_address !== undefined) addCondition('la.ip_address = ?', ip_address);
+    if (failed_only) conditions.push('la.succeeded = FALSE');
+    values.push(limit);
+
+    const queryText = `
+        SELECT la.*, u.locked_until
+        FROM login_attempts la
+        LEFT JOIN users u ON la.user_id = u.id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY la.created_at DESC, la.id DESC
+        LIMIT $${values.length};
+    `;
+    try {
+        const result = await db.query(queryText, values);
+        return result.rows;
+    } catch (err) {
+        console.error('Error fetching login attempts:', err);
+        throw new Error('Database error fetching login attempts.');
+    }
+};
+
+module.exports = {
+    LOGIN_LIMITS,
+    checkLoginAllowed,
+    recordFailedLogin,
+    recordSuccessfulLogin,
+    unlockUser,
+    getLoginAttempts,
+};
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+
+// Outgoing email. Messages go through a transport, chosen with MAIL_TRANSPORT:
+//   'console' - logs each message (the default in development; never a default in production,
+//               where it would write reset and verification tokens to the server logs)
+//   'file'    - appends each message as a line of JSON to MAIL_FILE (default: mail.log)
+//   'memory'  - keeps messages in memory (the default when NODE_ENV is 'test'; see getSentMail)
+// A production transport (e.g. SMTP) can be plugged in with setTransport.
+
+const sentMail = [];
+
+const transports = {
+    console: {
+        send: async (message) => {
+            console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+        },
+    },
+    file: {
+        send: async (message) => {
+            const mailFile = process.env.MAIL_FILE || path.join(process.cwd(), 'mail.log');
+            await fs.promises.appendFile(mailFile, `${JSON.stringify({ ...message, sent_at: new Date().toISOString() })}\n`);
+        },
+    },
+    memory: {
+        send: async (message) => {
+            sentMail.push(message);
+        },
+    },
+};
+
+const getDefaultTransport = () => {
+    if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+        throw new Error('MAIL_TRANSPORT must be set in production (or a transport plugged in with setTransport).');
+    }
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'memory' : 'console');
+    if (!transports[name]) {
+        throw new Error(`Invalid MAIL_TRANSPORT '${name}'. Must be one of: ${Object.keys(transports).join(', ')}.`);
+    }
+    return transports[name];
+};
+
+let transport;
+
+/**
+ * Replaces the mail transport.
+ * @param {object} newTransport - An object with an async send({ from, to, subject, text }) method.
+ */
+const setTransport = (newTransport) => {
+    if (!newTransport || typeof newTransport.send !== 'function') {
+        throw new Error('Invalid mail transport: it must have a send(message) function.');
+    }
+    transport = newTransport;
+};
+
+/**
+ * Picks the transport from the environment, unless one has been plugged in already.
+ * Call at startup, so a missing or invalid MAIL_TRANSPORT fails there rather than on the first email.
+ */
+const ensureTransport = () => {
+    if (!transport) {
+        transport = getDefaultTransport();
+    }
+};
+
+/**
+ * Sends an email through the current transport.
+ * @param {object} message - { to, subject, text }.
+ * @returns {Promise<object>} The message as sent.
+ */
+const sendMail = async ({ to, subject, text }) => {
+    if (!to || !subject || !text) {
+        throw new Error('Missing required fields: to, subject, text');
+    }
+    ensureTransport();
+    const message = { from: process.env.MAIL_FROM || 'School Tennis <no-reply@localhost>', to, subject, text };
+    await transport.send(message);
+    return message;
+};
+
+/**
+ * Messages sent through the memory transport, oldest first.
+ * @param {string} [to] - Only return messages sent to this address.
+ * @returns {Array<object>}
+ */
+const getSentMail = (to) => (to === undefined ? [...sentMail] : sentMail.filter((message) => message.to === to));
+
+// Empties the memory transport's outbox
+const clearSentMail = () => {
+    sentMail.length = 0;
+};
+
+module.exports = {
+    ensureTransport,
+    sendMail,
+    setTransport,
+    getSentMail,
+    clearSentMail,
+};
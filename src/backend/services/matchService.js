@@ -1,13 +1,31 @@
 const db = require('../db');
+const { WINNER_CODES, computeMatchWinner } = require('./scoringService');
+const meetService = require('./meetService'); // Rolls match results up into the meet score
+const { SIDE_FIELDS, validateMatchLineup } = require('./lineupService');
+
+const VALID_WINNER_CODES = Object.values(WINNER_CODES);
+
+const validateWinnerCode = (winnerCode) => {
+    if (winnerCode !== undefined && !VALID_WINNER_CODES.includes(winnerCode)) {
+        throw new Error(`Invalid winner_code. Must be one of: ${VALID_WINNER_CODES.join(', ')}.`);
+    }
+};
+
+// The sides (1, 2) whose players the given match fields set
+const changedSides = (matchData) =>
+    [1, 2].filter((side) => SIDE_FIELDS[side].some((field) => matchData[field] !== undefined));
 
 /**
  * Creates a new match within a meet.
+ * Players are checked against the meet's roster and lineup rules (see lineupService).
+ * The meet's score and status are recalculated afterwards.
  * @param {object} matchData - Data for the new match.
  *   Required: meet_id, line_number, line_type.
  *   Optional: team1_player1_id, team1_player2_id, team2_player1_id, team2_player2_id, winner_code, notes.
+ * @param {object} [options] - { overrideReason } to change a finalized meet and { ignoreLineupLock } (Admin).
  * @returns {Promise<object>} The newly created match object.
  */
-const createMatch = async (matchData) => {
+const createMatch = async (matchData, options = {}) => {
     const {
         meet_id,
         line_number,
@@ -24,11 +42,15 @@ const createMatch = async (matchData) => {
     if (!meet_id || !line_number || !line_type) {
         throw new Error('Missing required fields: meet_id, line_number, line_type');
     }
+    if (!Number.isInteger(meet_id)) {
+        throw new Error('Invalid meet_id. Must be an integer.');
+    }
     if (!['Singles', 'Doubles'].includes(line_type)) {
          throw new Error("Invalid line_type. Must be 'Singles' or 'Doubles'.");
     }
-     // Add more validation: check if meet_id exists, player IDs exist, player IDs belong to correct teams in the meet?
-     // Validate doubles matches have 2 players per team if provided?
+    validateWinnerCode(winner_code);
+    await meetService.ensureMeetEditable(meet_id, options);
+    await validateMatchLineup(matchData, changedSides(matchData), options);
 
     const queryText = `
         INSERT INTO matches (meet_id, line_number, line_type, team1_player1_id, team1_player2_id, team2_player1_id, team2_player2_id, winner_code, notes, created_at, updated_at)
@@ -47,9 +69,10 @@ const createMatch = async (matchData) => {
         notes || null
     ];
 
+    let newMatch;
     try {
         const result = await db.query(queryText, values);
-        return result.rows[0];
+        newMatch = result.rows[0];
     } catch (err) {
         console.error('Error creating match:', err);
         if (err.code === '23503') { // Foreign key violation
@@ -64,6 +87,9 @@ const createMatch = async (matchData) => {
         }
         throw new Error('Database error creating match.');
     }
+
+    await meetService.recalculateMeetResult(newMatch.meet_id);
+    return newMatch;
 };
 
 /**
@@ -113,15 +139,67 @@ const getMatchById = async (matchId) => {
     }
 };
 
+/**
+ * Fetches the roster context of a match's players: for each filled player slot, the team the player
+ * played for and their roster entry on that team for the meet's season (null if they had none).
+ * Later roster changes, such as moving up to another team the next season, do not affect it.
+ * @param {number} matchId - The ID of the match.
+ * @returns {Promise<Array<object>>} { slot, player_id, player_name, team_id, roster_entry_id, jersey_number, grad_year, roster_status }.
+ */
+const getMatchRoster = async (matchId) => {
+    const queryText = `
+        SELECT slot.slot, slot.player_id, u.name AS player_name, slot.team_id,
+               r.id AS roster_entry_id, r.jersey_number, r.grad_year, r.status AS roster_status
+        FROM matches m
+        JOIN meets mt ON m.meet_id = mt.id
+        CROSS JOIN LATERAL (VALUES
+            (1, 'team1_player1', m.team1_player1_id, mt.team1_id),
+            (2, 'team1_player2', m.team1_player2_id, mt.team1_id),
+            (3, 'team2_player1', m.team2_player1_id, mt.team2_id),
+            (4, 'team2_player2', m.team2_player2_id, mt.team2_id)
+        ) AS slot(position, slot, player_id, team_id)
+        JOIN players p ON slot.player_id = p.id
+        JOIN users u ON p.user_id = u.id
+        LEFT JOIN roster_entries r ON r.player_id = slot.player_id AND r.team_id = slot.team_id AND r.season_id = mt.season_id
+        WHERE m.id = $1
+        ORDER BY slot.position;
+    `;
+    try {
+        const result = await db.query(queryText, [matchId]);
+        return result.rows;
+    } catch (err) {
+        console.error(`Error fetching roster for match ID ${matchId}:`, err);
+        throw new Error('Database error fetching match roster.');
+    }
+};
+
 /**
  * Updates an existing match.
- * Can update players, winner_code, notes.
+ * Can update players, winner_code, notes. Changed players are checked against the meet's roster and
+ * lineup rules (see lineupService). The meet's score and status are recalculated afterwards.
  * @param {number} matchId - The ID of the match to update.
  * @param {object} updateData - Fields to update.
+ * @param {object} [options] - { overrideReason } to change a finalized meet and { ignoreLineupLock } (Admin).
  * @returns {Promise<object|undefined>} The updated match object or undefined if not found.
  */
-const updateMatch = async (matchId, updateData) => {
+const updateMatch = async (matchId, updateData, options = {}) => {
     const { team1_player1_id, team1_player2_id, team2_player1_id, team2_player2_id, winner_code, notes } = updateData;
+    validateWinnerCode(winner_code);
+    await meetService.ensureMatchEditable(matchId, options);
+    const sides = changedSides(updateData);
+    if (sides.length > 0) {
+        const existingMatch = await getMatchById(matchId);
+        if (!existingMatch) {
+            return undefined; // Match not found
+        }
+        const playerFields = Object.fromEntries(
+            [...SIDE_FIELDS[1], ...SIDE_FIELDS[2]]
+                .filter((field) => updateData[field] !== undefined)
+                .map((field) => [field, updateData[field]])
+        );
+        await validateMatchLineup({ ...existingMatch, ...playerFields }, sides, options);
+    }
+
     const fields = [];
     const values = [];
     let valueIndex = 1;
@@ -155,13 +233,13 @@ const updateMatch = async (matchId, updateData) => {
         RETURNING *;
     `;
 
+    let updatedMatch;
     try {
-        // Add validation: Check if player IDs exist? Check winner_code is valid?
         const result = await db.query(queryText, values);
         if (result.rowCount === 0) {
             return undefined; // Match not found
         }
-        return result.rows[0];
+        updatedMatch = result.rows[0];
     } catch (err) {
         console.error(`Error updating match with ID ${matchId}:`, err);
         if (err.code === '23503') { // FK violation
@@ -172,40 +250,106 @@ const updateMatch = async (matchId, updateData) => {
         }
         throw new Error('Database error updating match.');
     }
+
+    if (winner_code !== undefined) {
+        await meetService.recalculateMeetResult(updatedMatch.meet_id);
+    }
+    return updatedMatch;
 };
 
 /**
  * Deletes a match by its ID.
  * Note: This will also delete associated sets due to ON DELETE CASCADE.
+ * The meet's score and status are recalculated afterwards.
  * @param {number} matchId - The ID of the match to delete.
+ * @param {object} [options] - { overrideReason } to change a finalized meet (Admin).
  * @returns {Promise<object|undefined>} The deleted match object or undefined if not found.
  */
-const deleteMatch = async (matchId) => {
+const deleteMatch = async (matchId, options = {}) => {
+    await meetService.ensureMatchEditable(matchId, options);
     const selectQuery = 'SELECT * FROM matches WHERE id = $1';
     const deleteQuery = 'DELETE FROM matches WHERE id = $1';
     const values = [matchId];
 
+    let matchToDelete;
     try {
         const matchResult = await db.query(selectQuery, values);
-        const matchToDelete = matchResult.rows[0];
+        matchToDelete = matchResult.rows[0];
 
         if (!matchToDelete) {
             return undefined; // Not found
         }
 
         await db.query(deleteQuery, values);
-        return matchToDelete; // Return deleted data
     } catch (err) {
         // FK constraints from other tables (e.g., stats) are handled by ON DELETE CASCADE in schema
         console.error(`Error deleting match with ID ${matchId}:`, err);
         throw new Error('Database error deleting match.');
     }
+
+    await meetService.recalculateMeetResult(matchToDelete.meet_id);
+    return matchToDelete; // Return deleted data
+};
+
+/**
+ * Recomputes a match's winner_code from its sets using the meet format's scoring type,
+ * then rolls a changed result up into the meet. Forfeits (codes 4 and 5) are entered
+ * manually and are never overwritten. A manually entered draw is kept unless the sets
+ * now decide the match.
+ * @param {number} matchId - The ID of the match to recalculate.
+ * @returns {Promise<object|undefined>} The (possibly updated) match object or undefined if not found.
+ */
+const recalculateMatchWinner = async (matchId) => {
+    const matchQuery = `
+        SELECT m.*, mf.scoring_type
+        FROM matches m
+        JOIN meets mt ON m.meet_id = mt.id
+        JOIN meet_formats mf ON mt.meet_format_id = mf.id
+        WHERE m.id = $1;
+    `;
+    let updatedMatch;
+    try {
+        const matchResult = await db.query(matchQuery, [matchId]);
+        const match = matchResult.rows[0];
+        if (!match) {
+            return undefined; // Match not found
+        }
+        const { scoring_type, ...matchRow } = match;
+
+        if (match.winner_code === WINNER_CODES.TEAM1_FORFEIT || match.winner_code === WINNER_CODES.TEAM2_FORFEIT) {
+            return matchRow; // Forfeits are not derived from sets
+        }
+
+        const setsResult = await db.query('SELECT * FROM sets WHERE match_id = $1 ORDER BY set_number ASC', [matchId]);
+        let winnerCode = computeMatchWinner(setsResult.rows, scoring_type);
+        if (winnerCode === WINNER_CODES.IN_PROGRESS && match.winner_code === WINNER_CODES.DRAW) {
+            winnerCode = WINNER_CODES.DRAW; // Sets don't decide the match, keep the recorded draw
+        }
+
+        if (winnerCode === match.winner_code) {
+            return matchRow; // Nothing changed
+        }
+
+        const updateResult = await db.query(
+            'UPDATE matches SET winner_code = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+            [winnerCode, matchId]
+        );
+        updatedMatch = updateResult.rows[0];
+    } catch (err) {
+        console.error(`Error recalculating winner for match ID ${matchId}:`, err);
+        throw new Error('Database error recalculating match winner.');
+    }
+
+    await meetService.recalculateMeetResult(updatedMatch.meet_id);
+    return updatedMatch;
 };
 
 module.exports = {
     createMatch,
     getAllMatches,
     getMatchById,
+    getMatchRoster,
     updateMatch,
     deleteMatch,
+    recalculateMatchWinner,
 }; 
\ No newline at end of file
@@ -0,0 +1,281 @@
+const db = require('../db');
+const { SCORING_TYPES } = require('./scoringService');
+
+// Service functions for interacting with the 'meet_formats' table.
+// Standard formats are seeded by schema.sql and have no created_by_user_id;
+// formats created through the API record the user who created them.
+
+// Fields that define how a meet is played; these cannot change once meets use the format
+const STRUCTURAL_FIELDS = ['num_singles_lines', 'num_doubles_lines', 'scoring_type'];
+
+const selectColumns = 'mf.*, (mf.created_by_user_id IS NULL) AS is_standard';
+
+/**
+ * Validates the lineup rules of a meet format (see lineupService).
+ * Only validates the fields that are present in formatData.
+ * @param {object} formatData - Format fields to validate.
+ */
+const validateLineupRules = (formatData) => {
+    const { allow_singles_and_doubles, lineup_lock_minutes } = formatData;
+    if (allow_singles_and_doubles !== undefined && typeof allow_singles_and_doubles !== 'boolean') {
+        throw new Error('Invalid allow_singles_and_doubles. Must be a boolean.');
+    }
+    if (lineup_lock_minutes !== undefined && lineup_lock_minutes !== null
+        && (!Number.isInteger(lineup_lock_minutes) || lineup_lock_minutes < 0)) {
+        throw new Error('Invalid lineup_lock_minutes. Must be a non-negative integer or null.');
+    }
+};
+
+/**
+ * Validates line counts and scoring type for a meet format.
+ * Only validates the fields that are present in formatData.
+ * @param {object} formatData - Format fields to validate.
+ */
+const validateFormatFields = (formatData) => {
+    const { num_singles_lines, num_doubles_lines, scoring_type } = formatData;
+    if (num_singles_lines !== undefined && (!Number.isInteger(num_singles_lines) || num_singles_lines < 0)) {
+        throw new Error('Invalid num_singles_lines. Must be a non-negative integer.');
+    }
+    if (num_doubles_lines !== undefined && (!Number.isInteger(num_doubles_lines) || num_doubles_lines < 0)) {
+        throw new Error('Invalid num_doubles_lines. Must be a non-negative integer.');
+    }
+    if (scoring_type !== undefined && !SCORING_TYPES.includes(scoring_type)) {
+        throw new Error(`Invalid scoring_type. Must be one of: ${SCORING_TYPES.join(', ')}.`);
+    }
+    validateLineupRules(formatData);
+};
+
+/**
+ * Counts the meets that use a given format.
+ * @param {number} formatId - The ID of the meet format.
+ * @returns {Promise<number>} The number of meets referencing the format.
+ */
+const countMeetsUsingFormat = async (formatId) => {
+    const result = await db.query('SELECT COUNT(*) FROM meets WHERE meet_format_id = $1', [formatId]);
+    return parseInt(result.rows[0].count, 10);
+};
+
+/**
+ * Creates a new custom meet format.
+ * @param {object} formatData - Data for the new format.
+ *   Required: name, num_singles_lines, num_doubles_lines, scoring_type.
+ *   Optional: description, allow_singles_and_doubles (default true), lineup_lock_minutes (default null, no lock).
+ * @param {number} createdByUserId - The ID of the user creating the format.
+ * @returns {Promise<object>} The newly created meet format object.
+ */
+const createMeetFormat = async (formatData, createdByUserId) => {
+    const { name, num_singles_lines, num_doubles_lines, scoring_type, description, allow_singles_and_doubles, lineup_lock_minutes } = formatData;
+
+    if (!name || num_singles_lines === undefined || num_doubles_lines === undefined || !scoring_type) {
+        throw new Error('Missing required fields: name, num_singles_lines, num_doubles_lines, scoring_type');
+    }
+    validateFormatFields(formatData);
+    if (num_singles_lines + num_doubles_lines === 0) {
+        throw new Error('Invalid line counts. A meet format must have at least one line.');
+    }
+
+    const queryText = `
+        INSERT INTO meet_formats (name, num_singles_lines, num_doubles_lines, scoring_type, description,
+                                  allow_singles_and_doubles, lineup_lock_minutes, created_by_user_id, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+        RETURNING *, (created_by_user_id IS NULL) AS is_standard;
+    `;
+    const values = [
+        name, num_singles_lines, num_doubles_lines, scoring_type, description || null,
+        allow_singles_and_doubles !== undefined ? allow_singles_and_doubles : true,
+        lineup_lock_minutes !== undefined ? lineup_lock_minutes : null,
+        createdByUserId || null,
+    ];
+
+    try {
+        const result = await db.query(queryText, values);
+        return result.rows[0];
+    } catch (err) {
+        console.error('Error creating meet format:', err);
+        if (err.code === '23505') { // Unique violation (name)
+            throw new Error(`Meet format with name '${name}' already exists.`);
+        }
+        if (err.code === '23503') { // Foreign key violation (created_by_user_id)
+            throw new Error(`User with ID ${createdByUserId} does not exist.`);
+        }
+        throw new Error('Database error creating meet format.');
+    }
+};
+
+/**
+ * Fetches all meet formats. Retired formats are excluded unless requested.
+ * @param {object} filters - Optional filters (e.g., { include_retired: boolean }).
+ * @returns {Promise<Array<object>>} An array of meet format objects.
+ */
+const getAllMeetFormats = async (filters = {}) => {
+    let queryText = `SELECT ${selectColumns} FROM meet_formats mf`;
+    if (!filters.include_retired) {
+        queryText += ' WHERE mf.is_active = true';
+    }
+    // Standard formats first, then custom formats by name
+    queryText += ' ORDER BY (mf.created_by_user_id IS NULL) DESC, mf.name ASC;';
+
+    try {
+        const result = await db.query(queryText);
+        return result.rows;
+    } catch (err) {
+        console.error('Error fetching meet formats:', err);
+        throw new Error('Database error fetching meet formats.');
+    }
+};
+
+/**
+ * Fetches a single meet format by its ID.
+ * @param {number} formatId - The ID of the meet format.
+ * @returns {Promise<object|undefined>} The meet format object or undefined if not found.
+ */
+const getMeetFormatById = async (formatId) => {
+    const queryText = `SELECT ${selectColumns} FROM meet_formats mf WHERE mf.id = $1`;
+    try {
+        const result = await db.query(queryText, [formatId]);
+        return result.rows[0];
+    } catch (err) {
+        console.error(`Error fetching meet format with ID ${formatId}:`, err);
+        throw new Error('Database error fetching meet format by ID.');
+    }
+};
+
+/**
+ * Updates an existing meet format.
+ * Line counts and scoring type are locked once any meet uses the format;
+ * create a new format (and retire this one) instead.
+ * Lineup rules (allow_singles_and_doubles, lineup_lock_minutes) can change at any time and apply to
+ * lineups set from then on.
+ * @param {number} formatId - The ID of the meet format to update.
+ * @param {object} updateData - Fields to update (name, num_singles_lines, num_doubles_lines, scoring_type, description,
+ *   allow_singles_and_doubles, lineup_lock_minutes, is_active).
+ * @returns {Promise<object|undefined>} The updated meet format or undefined if not found.
+ */
+const updateMeetFormat = async (formatId, updateData) => {
+    const { name, num_singles_lines, num_doubles_lines, scoring_type, description, allow_singles_and_doubles, lineup_lock_minutes, is_active } = updateData;
+
+    validateFormatFields(updateData);
+    if (is_active !== undefined && typeof is_active !== 'boolean') {
+        throw new Error('Invalid is_active. Must be a boolean.');
+    }
+
+    const existing = await getMeetFormatById(formatId);
+    if (!existing) {
+        return undefined;
+    }
+
+    const changedStructuralFields = STRUCTURAL_FIELDS.filter(
+        (field) => updateData[field] !== undefined && updateData[field] !== existing[field]
+    );
+    if (changedStructuralFields.length > 0) {
+        const meetCount = await countMeetsUsingFormat(formatId);
+        if (meetCount > 0) {
+            throw new Error(`Cannot change ${changedStructuralFields.join(', ')} of meet format ID ${formatId} because it is in use by ${meetCount} meet(s). Create a new format instead.`);
+        }
+        const singles = num_singles_lines !== undefined ? num_singles_lines : existing.num_singles_lines;
+        const doubles = num_doubles_lines !== undefined ? num_doubles_lines : existing.num_doubles_lines;
+        if (singles + doubles === 0) {
+            throw new Error('Invalid line counts. A meet format must have at least one line.');
+        }
+    }
+
+    const fields = [];
+    const values = [];
+    let valueIndex = 1;
+
+    const addField = (field, value) => {
+        if (value !== undefined) {
+            fields.push(`${field} = $${valueIndex++}`);
+            values.push(value);
+        }
+    };
+
+    addField('name', name);
+    addField('num_singles_lines', num_singles_lines);
+    addField('num_doubles_lines', num_doubles_lines);
+    addField('scoring_type', scoring_type);
+    addField('description', description);
+    addField('allow_singles_and_doubles', allow_singles_and_doubles);
+    addField('lineup_lock_minutes', lineup_lock_minutes);
+    addField('is_active', is_active);
+
+    if (fields.length === 0) {
+        return existing; // Nothing to update
+    }
+
+    fields.push(`updated_at = NOW()`);
+    values.push(formatId); // For WHERE clause
+
+    const queryText = `
+        UPDATE meet_formats
+        SET ${fields.join(', ')}
+        WHERE id = $${valueIndex}
+        RETURNING *, (created_by_user_id IS NULL) AS is_standard;
+    `;
+
+    try {
+        const result = await db.query(queryText, values);
+        return result.rows[0];
+    } catch (err) {
+        console.error(`Error updating meet format with ID ${formatId}:`, err);
+        if (err.code === '23505') {
+            throw new Error(`Meet format with name '${name}' already exists.`);
+        }
+        throw new Error('Database error updating meet format.');
+    }
+};
+
+/**
+ * Retires a meet format so it can no longer be used for new meets.
+ * Existing meets keep their format.
+ * @param {number} formatId - The ID of the meet format to retire.
+ * @returns {Promise<object|undefined>} The retired meet format or undefined if not found.
+ */
+const retireMeetFormat = async (formatId) => updateMeetFormat(formatId, { is_active: false });
+
+/**
+ * Restores a retired meet format.
+ * @param {number} formatId - The ID of the meet format to restore.
+ * @returns {Promise<object|undefined>} The restored meet format or undefined if not found.
+ */
+const restoreMeetFormat = async (formatId) => updateMeetFormat(formatId, { is_active: true });
+
+/**
+ * Deletes a meet format by its ID.
+ * Formats referenced by meets cannot be deleted; retire them instead.
+ * @param {number} formatId - The ID of the meet format to delete.
+ * @returns {Promise<object|undefined>} The deleted meet format or undefined if not found.
+ */
+const deleteMeetFormat = async (formatId) => {
+    const formatToDelete = await getMeetFormatById(formatId);
+    if (!formatToDelete) {
+        return undefined; // Not found
+    }
+
+    const meetCount = await countMeetsUsingFormat(formatId);
+    if (meetCount > 0) {
+        throw new Error(`Cannot delete meet format ID ${formatId} because it is referenced by ${meetCount} meet(s). Retire it instead.`);
+    }
+
+    try {
+        await db.query('DELETE FROM meet_formats WHERE id = $1', [formatId]);
+        return formatToDelete; // Return deleted data
+    } catch (err) {
+        console.error(`Error deleting meet format with ID ${formatId}:`, err);
+        if (err.code === '23503') { // A meet was created between the check and the delete
+            throw new Error(`Cannot delete meet format ID ${formatId} because it is referenced by meets. Retire it instead.`);
+        }
+        throw new Error('Database error deleting meet format.');
+    }
+};
+
+module.exports = {
+    SCORING_TYPES,
+    createMeetFormat,
+    getAllMeetFormats,
+    getMeetFormatById,
+    updateMeetFormat,
+    retireMeetFormat,
+    restoreMeetFormat,
+    deleteMeetFormat,
+};
@@ -0,0 +1,259 @@
+const db = require('../db');
+const meetService = require('./meetService');
+
+// Confirmation of meet results between the two teams.
+// - pending: results can be entered and changed by the Coaches of either team.
+// - submitted: one team's Coach has submitted the results (every line must have a result). They are
+//   locked while the opposing Coach confirms or disputes them.
+// - confirmed: the opposing Coach (or an Admin resolving a dispute) accepted the results. The meet is
+//   finalized: from then on only an Admin giving an override_reason can change it (see meetService).
+// - disputed: the opposing Coach disagreed, with a comment. Results can be corrected and submitted again,
+//   or an Admin resolves the dispute.
+// Admins can always change results, with a reason once the meet is finalized. Every step is recorded in the meet's comment thread (result_comments).
+
+const LOCKED_RESULT_STATUSES = ['submitted', 'confirmed'];
+
+const RESULT_COLUMNS = `id AS meet_id, team1_id, team2_id, status, result_status, result_submitted_by_user_id,
+    result_submitted_by_team_id, result_submitted_at, result_confirmed_by_user_id, result_confirmed_at`;
+
+// Fetches a meet's result fields, locking the row when run in a transaction
+const getMeetForUpdate = async (client, meetId) => {
+    const result = await client.query(`SELECT ${RESULT_COLUMNS} FROM meets WHERE id = $1 FOR UPDATE`, [meetId]);
+    return result.rows[0];
+};
+
+const insertComment = async (client, meetId, userId, kind, body) => {
+    const result = await client.query(
+        'INSERT INTO result_comments (meet_id, user_id, kind, body) VALUES ($1, $2, $3, $4) RETURNING *',
+        [meetId, userId, kind, body || null]
+    );
+    return result.rows[0];
+};
+
+// Runs fn(client, meet) in a transaction with the meet row locked; undefined if the meet does not exist
+const withMeet = async (meetId, fn) => {
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        const meet = await getMeetForUpdate(client, meetId);
+        if (!meet) {
+            await client.query('ROLLBACK');
+            return undefined;
+        }
+        await fn(client, meet);
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+    return getResult(meetId);
+};
+
+const requireBody = (body, field) => {
+    if (!body || typeof body !== 'string' || !body.trim()) {
+        throw new Error(`Missing required field: ${field}`);
+    }
+    return body.trim();
+};
+
+/**
+ * Fetches a meet's result status and comment thread (oldest first).
+ * @param {number} meetId - The ID of the meet.
+ * @returns {Promise<object|undefined>} The result, or undefined if the meet does not exist.
+ */
+const getResult = async (meetId) => {
+    try {
+        const meetResult = await db.query(`SELECT ${RESULT_COLUMNS} FROM meets WHERE id = $1`, [meetId]);
+        const meet = meetResult.rows[0];
+        if (!meet) {
+            return undefined;
+        }
+        const commentsResult = await db.query(
+            `SELECT c.*, u.name AS user_name
+             FROM result_comments c
+             LEFT JOIN users u ON c.user_id = u.id
+             WHERE c.meet_id = $1
+             ORDER BY c.created_at ASC, c.id ASC`,
+            [meetId]
+        );
+        return { ...meet, comments: commentsResult.rows };
+    } catch (err) {
+        console.error(`Error fetching result for meet ID ${meetId}:`, err);
+        throw new Error('Database error fetching meet result.');
+    }
+};
+
+/**
+ * Explains why a meet's results cannot be changed by a Coach, if they are locked.
+ * @param {number} meetId - The ID of the meet.
+ * @returns {Promise<string|undefined>} The reason, or undefined if the results can be changed (or the meet does not exist).
+ */
+const getResultLockReason = async (meetId) => {
+    let meet;
+    try {
+        const result = await db.query('SELECT result_status FROM meets WHERE id = $1', [meetId]);
+        meet = result.rows[0];
+    } catch (err) {
+        console.error(`Error checking result lock for meet ID ${meetId}:`, err);
+        throw new Error('Database error checking meet result.');
+    }
+    if (!meet || !LOCKED_RESULT_STATUSES.includes(meet.result_status)) {
+        return undefined;
+    }
+    return meet.result_status === 'confirmed'
+        ? 'Results for this meet have been confirmed and are locked.'
+        : 'Results for this meet have been submitted and are locked until the opposing coach confirms or disputes them.';
+};
+
+/**
+ * Submits a meet's results for confirmation by the opposing team.
+ * @param {number} meetId - The ID of the meet.
+ * @param {object} actor - { userId, teamIds (the teams the user can submit results for; null for Admins) }.
+ * @param {string} [comment] - Optional note for the opposing coach.
+ * @returns {Promise<object|undefined>} The result (see getResult), or undefined if the meet does not exist.
+ */
+const submitResult = (meetId, actor, comment) =>
+    withMeet(meetId, async (client, meet) => {
+        if (LOCKED_RESULT_STATUSES.includes(meet.result_status)) {
+            throw new Error(`Cannot submit results: they have already been ${meet.result_status}.`);
+        }
+        if (meet.status !== 'completed') {
+            throw new Error('Cannot submit results: every line of the meet needs a result first.');
+        }
+        const submittingTeamId = actor.teamIds
+            ? [meet.team1_id, meet.team2_id].find((teamId) => actor.teamIds.includes(teamId))
+            : null;
+        await client.query(
+            `UPDATE meets
+             SET result_status = 'submitted', result_submitted_by_user_id = $2, result_submitted_by_team_id = $3,
+                 result_submitted_at = NOW(), result_confirmed_by_user_id = NULL, result_confirmed_at = NULL
+             WHERE id = $1`,
+            [meetId, actor.userId, submittingTeamId]
+        );
+        await insertComment(client, meetId, actor.userId, 'submission', comment);
+    });
+
+// The opposing coach is a Coach of the other team who did not submit the results
+const ensureOpposingCoach = (meet, actor, action) => {
+    const opposingTeamIds = [meet.team1_id, meet.team2_id].filter((teamId) => teamId !== meet.result_submitted_by_team_id);
+    if (actor.userId === meet.result_submitted_by_user_id || !opposingTeamIds.some((teamId) => actor.teamIds.includes(teamId))) {
+        throw new Error(`Forbidden: Only the opposing team's coach can ${action} these results.`);
+    }
+};
+
+/**
+ * Confirms submitted results, locking them and finalizing the meet.
+ * @param {number} meetId - The ID of the meet.
+ * @param {object} actor - { userId, teamIds } of the opposing team's Coach.
+ * @returns {Promise<object|undefined>} The result, or undefined if the meet does not exist.
+ */
+const confirmResult = (meetId, actor) =>
+    withMeet(meetId, async (client, meet) => {
+        if (meet.result_status !== 'submitted') {
+            throw new Error('Cannot confirm results that have not been submitted.');
+        }
+        ensureOpposingCoach(meet, actor, 'confirm');
+        await client.query(
+            `UPDATE meets
+             SET result_status = 'confirmed', status = 'finalized', result_confirmed_by_user_id = $2, result_confirmed_at = NOW()
+             WHERE id = $1`,
+            [meetId, actor.userId]
+        );
+        await insertComment(client, meetId, actor.userId, 'confirmation', null);
+    });
+
+/**
+ * Disputes submitted results, unlocking them for correction.
+ * @param {number} meetId - The ID of the meet.
+ * @param {object} actor - { userId, teamIds } of the opposing team's Coach.
+ * @param {string} comment - What is wrong with the results (required).
+ * @returns {Promise<object|undefined>} The result, or undefined if the meet does not exist.
+ */
+const disputeResult = (meetId, actor, comment) =>
+    withMeet(meetId, async (client, meet) => {
+        const body = requireBody(comment, 'comment');
+        if (meet.result_status !== 'submitted') {
+            throw new Error('Cannot dispute results that have not been submitted.');
+        }
+        ensureOpposingCoach(meet, actor, 'dispute');
+        await client.query(`UPDATE meets SET result_status = 'disputed' WHERE id = $1`, [meetId]);
+        await insertComment(client, meetId, actor.userId, 'dispute', body);
+    });
+
+/**
+ * Adds a comment to a meet's result thread.
+ * @param {number} meetId - The ID of the meet.
+ * @param {number} userId - The ID of the commenting user.
+ * @param {string} body - The comment.
+ * @returns {Promise<object|undefined>} The comment, or undefined if the meet does not exist.
+ */
+const addComment = async (meetId, userId, body) => {
+    const text = requireBody(body, 'body');
+    try {
+        const meetResult = await db.query('SELECT id FROM meets WHERE id = $1', [meetId]);
+        if (!meetResult.rows[0]) {
+            return undefined;
+        }
+        return await insertComment(db, meetId, userId, 'comment', text);
+    } catch (err) {
+        console.error(`Error adding result comment for meet ID ${meetId}:`, err);
+        throw new Error('Database error adding comment.');
+    }
+};
+
+/**
+ * Resolves a meet's results as an Admin: confirms them (finalizing the meet), or reopens them for the
+ * coaches (a finalized meet goes back to the status its lines give it).
+ * @param {number} meetId - The ID of the meet.
+ * @param {number} userId - The ID of the Admin.
+ * @param {object} resolution - { decision ('confirm' or 'reopen'), comment (required) }.
+ * @returns {Promise<object|undefined>} The result, or undefined if the meet does not exist.
+ */
+const resolveResult = async (meetId, userId, resolution) => {
+    const result = await withMeet(meetId, async (client, meet) => {
+        const { decision, comment } = resolution;
+        if (!['confirm', 'reopen'].includes(decision)) {
+            throw new Error("Invalid decision. Must be 'confirm' or 'reopen'.");
+        }
+        const body = requireBody(comment, 'comment');
+        if (decision === 'confirm') {
+            if (!['completed', 'finalized'].includes(meet.status)) {
+                throw new Error('Cannot confirm results: every line of the meet needs a result first.');
+            }
+            await client.query(
+                `UPDATE meets
+                 SET result_status = 'confirmed', status = 'finalized', result_confirmed_by_user_id = $2, result_confirmed_at = NOW()
+                 WHERE id = $1`,
+                [meetId, userId]
+            );
+        } else {
+            await client.query(
+                `UPDATE meets
+                 SET result_status = 'pending', result_submitted_by_user_id = NULL, result_submitted_by_team_id = NULL,
+                     result_submitted_at = NULL, result_confirmed_by_user_id = NULL, result_confirmed_at = NULL,
+                     status = CASE WHEN status = 'finalized' THEN 'completed' ELSE status END
+                 WHERE id = $1`,
+                [meetId]
+            );
+        }
+        await insertComment(client, meetId, userId, 'resolution', `${decision === 'confirm' ? 'Confirmed' : 'Reopened'}: ${body}`);
+    });
+    if (result && resolution.decision === 'reopen') {
+        // Lines may have been changed by an Admin override while the meet was finalized
+        await meetService.recalculateMeetResult(meetId);
+        return getResult(meetId);
+    }
+    return result;
+};
+
+module.exports = {
+    getResult,
+    getResultLockReason,
+    submitResult,
+    confirmResult,
+    disputeResult,
+    addComment,
+    resolveResult,
+};
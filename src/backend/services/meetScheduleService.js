@@ -0,0 +1,189 @@
+const db = require('../db');
+const meetService = require('./meetService');
+
+// Postponing, rescheduling, suspending, resuming and cancelling meets. Every change keeps the meet's
+// first scheduled date (original_meet_date) and is recorded in its schedule history (meet_schedule_changes).
+// - postpone: a meet that has not started is put off, with no new date yet.
+// - reschedule: a scheduled or postponed meet gets a new date and is scheduled again.
+// - suspend: play is stopped part way (e.g. by darkness); lines and results entered so far are kept.
+// - resume: a suspended meet carries on, on a later date; its status is recalculated from its lines.
+// - cancel: the meet will not be played. It does not count in the standings, and like a finalized
+//   meet only an Admin giving an override_reason can change its lines, results or lineups.
+// Postponed, suspended and cancelled meets keep their status when results are recalculated (see meetService).
+
+const SCHEDULE_REASONS = ['weather', 'darkness', 'facility', 'other'];
+
+// The statuses each action can be taken from, and the status it leaves the meet in
+const SCHEDULE_ACTIONS = {
+    postpone: { from: ['scheduled'], status: 'postponed' },
+    reschedule: { from: ['scheduled', 'postponed'], status: 'scheduled' },
+    suspend: { from: ['scheduled', 'in_progress'], status: 'suspended' },
+    resume: { from: ['suspended'], status: 'in_progress' },
+    cancel: { from: ['scheduled', 'in_progress', 'postponed', 'suspended'], status: 'cancelled' },
+};
+
+const validateReason = (reason, isRequired) => {
+    if (reason === undefined || reason === null) {
+        if (isRequired) {
+            throw new Error(`Missing required field: reason (one of: ${SCHEDULE_REASONS.join(', ')})`);
+        }
+        return null;
+    }
+    if (!SCHEDULE_REASONS.includes(reason)) {
+        throw new Error(`Invalid reason. Must be one of: ${SCHEDULE_REASONS.join(', ')}.`);
+    }
+    return reason;
+};
+
+const validateMeetDate = (meetDate) => {
+    if (meetDate === undefined || meetDate === null || meetDate === '') {
+        throw new Error('Missing required field: meet_date');
+    }
+    const date = new Date(meetDate);
+    if (typeof meetDate !== 'string' || isNaN(date.getTime())) {
+        throw new Error('Invalid meet_date. Must be a date and time, e.g. 2025-04-12T15:30:00Z.');
+    }
+    return date;
+};
+
+/**
+ * Applies a schedule action to a meet, in a transaction with the meet row locked.
+ * @param {number} meetId - The ID of the meet.
+ * @param {number} userId - The ID of the user making the change.
+ * @param {string} action - One of the SCHEDULE_ACTIONS.
+ * @param {object} change - { reason, note, meet_date } as the action requires.
+ * @returns {Promise<object|undefined>} The updated meet, or undefined if not found.
+ */
+const changeSchedule = async (meetId, userId, action, change) => {
+    const { from, status } = SCHEDULE_ACTIONS[action];
+    const needsDate = action === 'reschedule' || action === 'resume';
+    const reason = validateReason(change.reason, !needsDate);
+    const newDate = needsDate ? validateMeetDate(change.meet_date) : null;
+    if (change.note !== undefined && change.note !== null && typeof change.note !== 'string') {
+        throw new Error('Invalid note. Must be a string.');
+    }
+    const note = change.note ? change.note.trim() || null : null;
+
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        const meetResult = await client.query('SELECT id, status, meet_date FROM meets WHERE id = $1 FOR UPDATE', [meetId]);
+        const meet = meetResult.rows[0];
+        if (!meet) {
+            await client.query('ROLLBACK');
+            return undefined;
+        }
+        if (!from.includes(meet.status)) {
+            throw new Error(`Cannot ${action} a meet that is ${meet.status.replace('_', ' ')}.`);
+        }
+        if (action === 'resume' && newDate <= meet.meet_date) {
+            throw new Error('Invalid meet_date. A suspended meet must resume on a later date.');
+        }
+        // The reason stays on the meet while it is postponed, suspended or cancelled
+        await client.query(
+            `UPDATE meets
+             SET status = $2, status_reason = $3, meet_date = COALESCE($4, meet_date),
+                 original_meet_date = COALESCE(original_meet_date, meet_date), updated_at = NOW()
+             WHERE id = $1`,
+            [meetId, status, needsDate ? null : reason, newDate]
+        );
+        await client.query(
+            `INSERT INTO meet_schedule_changes (meet_id, user_id, action, reason, note, previous_status, previous_meet_date, new_meet_date)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [meetId, userId, action, reason, note, meet.status, meet.meet_date, newDate]
+        );
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    if (action === 'resume') {
+        // Carry on from the lines already played: in progress, or completed if they all have results
+        await meetService.recalculateMeetResult(meetId);
+    }
+    return meetService.getMeetById(meetId);
+};
+
+/**
+ * Postpones a meet that has not started; it gets a new date when rescheduled.
+ * @param {number} meetId - The ID of the meet.
+ * @param {number} userId - The ID of the user postponing it.
+ * @param {object} change - { reason (required, one of SCHEDULE_REASONS), note }.
+ * @returns {Promise<object|undefined>} The updated meet, or undefined if not found.
+ */
+const postponeMeet = (meetId, userId, change) => changeSchedule(meetId, userId, 'postpone', change);
+
+/**
+ * Moves a scheduled or postponed meet to a new date.
+ * @param {number} meetId - The ID of the meet.
+ * @param {number} userId - The ID of the user rescheduling it.
+ * @param {object} change - { meet_date (required), reason, note }.
+ * @returns {Promise<object|undefined>} The updated meet, or undefined if not found.
+ */
+const rescheduleMeet = (meetId, userId, change) => changeSchedule(meetId, userId, 'reschedule', change);
+
+/**
+ * Suspends a meet part way through, keeping the lines and results entered so far.
+ * @param {number} meetId - The ID of the meet.
+ * @param {number} userId - The ID of the user suspending it.
+ * @param {object} change - { reason (required), note }.
+ * @returns {Promise<object|undefined>} The updated meet, or undefined if not found.
+ */
+const suspendMeet = (meetId, userId, change) => changeSchedule(meetId, userId, 'suspend', change);
+
+/**
+ * Resumes a suspended meet on a later date.
+ * @param {number} meetId - The ID of the meet.
+ * @param {number} userId - The ID of the user resuming it.
+ * @param {object} change - { meet_date (required, after the current date), reason, note }.
+ * @returns {Promise<object|undefined>} The updated meet, or undefined if not found.
+ */
+const resumeMeet = (meetId, userId, change) => changeSchedule(meetId, userId, 'resume', change);
+
+/**
+ * Cancels a meet that has not been completed.
+ * @param {number} meetId - The ID of the meet.
+ * @param {number} userId - The ID of the user cancelling it.
+ * @param {object} change - { reason (required), note }.
+ * @returns {Promise<object|undefined>} The updated meet, or undefined if not found.
+ */
+const cancelMeet = (meetId, userId, change) => changeSchedule(meetId, userId, 'cancel', change);
+
+/**
+ * Fetches a meet's schedule history, oldest first.
+ * @param {number} meetId - The ID of the meet.
+ * @returns {Promise<Array<object>|undefined>} The changes, with the user's name as user_name, or undefined if the meet does not exist.
+ */
+const getScheduleChanges = async (meetId) => {
+    try {
+        const meetResult = await db.query('SELECT id FROM meets WHERE id = $1', [meetId]);
+        if (!meetResult.rows[0]) {
+            return undefined;
+        }
+        const result = await db.query(
+            `SELECT c.*, u.name AS user_name
+             FROM meet_schedule_changes c
+             LEFT JOIN users u ON c.user_id = u.id
+             WHERE c.meet_id = $1
+             ORDER BY c.created_at ASC, c.id ASC`,
+            [meetId]
+        );
+        return result.rows;
+    } catch (err) {
+        console.error(`Error fetching schedule changes for meet ID ${meetId}:`, err);
+        throw new Error('Database error fetching schedule changes.');
+    }
+};
+
+module.exports = {
+    SCHEDULE_REASONS,
+    postponeMeet,
+    rescheduleMeet,
+    suspendMeet,
+    resumeMeet,
+    cancelMeet,
+    getScheduleChanges,
+};
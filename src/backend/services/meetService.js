@@ -1,4 +1,55 @@
 const db = require('../db');
+const { WINNER_CODES, getLineWinner } = require('./scoringService');
+
+// Rejects formats that have been retired; existing meets keep their format but new assignments must use an active one.
+const ensureFormatIsActive = async (meetFormatId) => {
+    const result = await db.query('SELECT is_active FROM meet_formats WHERE id = $1', [meetFormatId]);
+    const format = result.rows[0];
+    if (format && !format.is_active) {
+        throw new Error(`Meet format with meet_format_id ${meetFormatId} is retired and cannot be used for meets.`);
+    }
+};
+
+// Statuses set explicitly rather than calculated from match results; recalculating keeps them
+const MANUAL_STATUSES = ['finalized', 'postponed', 'suspended', 'cancelled'];
+
+// Statuses that lock a meet: finalized meets have their results, and cancelled meets will not be played
+const LOCKED_STATUSES = ['finalized', 'cancelled'];
+
+/**
+ * Rejects changes to a finalized or cancelled meet (its results, lines, lineups or details) unless
+ * an Admin gives a reason. The reason is recorded on the audit log entries of the change (see acceptOverrideReason).
+ * @param {object|undefined} meet - The meet's { id, status }, or undefined if not found (allowed, so callers answer 404).
+ * @param {object} [options] - { overrideReason } from an Admin.
+ */
+const ensureEditable = (meet, options = {}) => {
+    if (meet && LOCKED_STATUSES.includes(meet.status) && !options.overrideReason) {
+        throw new Error(`Meet ${meet.id} is ${meet.status}; only an Admin giving an override_reason can change it.`);
+    }
+};
+
+/**
+ * Rejects changes to a finalized or cancelled meet unless an Admin gives a reason (see ensureEditable).
+ * @param {number} meetId - The ID of the meet.
+ * @param {object} [options] - { overrideReason }.
+ */
+const ensureMeetEditable = async (meetId, options = {}) => {
+    const result = await db.query('SELECT id, status FROM meets WHERE id = $1', [meetId]);
+    ensureEditable(result.rows[0], options);
+};
+
+/**
+ * Rejects changes to a match (or its sets and stats) in a finalized or cancelled meet unless an Admin gives a reason.
+ * @param {number} matchId - The ID of the match.
+ * @param {object} [options] - { overrideReason }.
+ */
+const ensureMatchEditable = async (matchId, options = {}) => {
+    const result = await db.query(
+        'SELECT mt.id, mt.status FROM matches m JOIN meets mt ON m.meet_id = mt.id WHERE m.id = $1',
+        [matchId]
+    );
+    ensureEditable(result.rows[0], options);
+};
 
 const createMeet = async (meetData) => {
     const {
@@ -7,7 +58,8 @@ const createMeet = async (meetData) => {
         location,  // Optional
         team1_id,  // Required
         team2_id,  // Required
-        meet_format_id // Required
+        meet_format_id, // Required
+        generate_lines  // Optional: create the format's empty Singles/Doubles lines right away
         // winner_team_id, team1_score, team2_score will be updated later
     } = meetData;
 
@@ -17,7 +69,8 @@ const createMeet = async (meetData) => {
     if (team1_id === team2_id) {
          throw new Error('team1_id and team2_id cannot be the same.');
     }
-     // Add validation for existence of season, teams, format later
+     // Add validation for existence of season, teams later
+    await ensureFormatIsActive(meet_format_id);
 
     const queryText = `
         INSERT INTO meets (season_id, meet_date, location, team1_id, team2_id, meet_format_id, created_at, updated_at)
@@ -25,9 +78,10 @@ const createMeet = async (meetData) => {
         RETURNING *;
     `;
     const values = [season_id || null, meet_date, location || null, team1_id, team2_id, meet_format_id];
+    let newMeet;
     try {
         const result = await db.query(queryText, values);
-        return result.rows[0];
+        newMeet = result.rows[0];
     } catch (err) {
         console.error('Error creating meet:', err);
         // Check foreign key violations
@@ -41,6 +95,12 @@ const createMeet = async (meetData) => {
         }
         throw err;
     }
+
+    if (generate_lines) {
+        const { matches } = await generateMeetLines(newMeet.id);
+        return { ...newMeet, matches };
+    }
+    return newMeet;
 };
 
 const getAllMeets = async (filters = {}) => {
@@ -113,12 +173,21 @@ const getMeetById = async (meetId) => {
 };
 
 // Update meet details (date, location, score, winner, etc.)
-const updateMeet = async (meetId, meetData) => {
+// Finalized meets need options.overrideReason (Admin)
+const updateMeet = async (meetId, meetData, options = {}) => {
+     // winner_team_id, team1_score, team2_score and status are derived from match results (see recalculateMeetResult)
      const {
-        season_id, meet_date, location, team1_id, team2_id, winner_team_id,
-        team1_score, team2_score, meet_format_id
+        season_id, meet_date, location, team1_id, team2_id, meet_format_id
     } = meetData;
 
+    await ensureMeetEditable(meetId, options);
+
+    if (meet_format_id !== undefined) {
+        await ensureFormatIsActive(meet_format_id);
+        // Fail before changing anything if the new format would drop lines that already have results
+        await planLineChanges(meetId, meet_format_id);
+    }
+
     const fields = [];
     const values = [];
     let valueIndex = 1;
@@ -129,9 +198,6 @@ const updateMeet = async (meetId, meetData) => {
      if (location !== undefined) { fields.push(`location = $${valueIndex++}`); values.push(location); }
      if (team1_id !== undefined) { fields.push(`team1_id = $${valueIndex++}`); values.push(team1_id); }
      if (team2_id !== undefined) { fields.push(`team2_id = $${valueIndex++}`); values.push(team2_id); }
-     if (winner_team_id !== undefined) { fields.push(`winner_team_id = $${valueIndex++}`); values.push(winner_team_id); }
-     if (team1_score !== undefined) { fields.push(`team1_score = $${valueIndex++}`); values.push(team1_score); }
-     if (team2_score !== undefined) { fields.push(`team2_score = $${valueIndex++}`); values.push(team2_score); }
      if (meet_format_id !== undefined) { fields.push(`meet_format_id = $${valueIndex++}`); values.push(meet_format_id); }
 
 
@@ -150,9 +216,10 @@ const updateMeet = async (meetId, meetData) => {
         WHERE id = $${valueIndex}
         RETURNING *;
     `;
+    let updatedMeet;
     try {
         const result = await db.query(queryText, values);
-        return result.rows[0];
+        updatedMeet = result.rows[0];
     } catch (err) {
         console.error(`Error updating meet with ID ${meetId}:`, err);
          // Add more specific FK error handling if needed
@@ -165,10 +232,17 @@ const updateMeet = async (meetId, meetData) => {
         }
         throw err;
     }
+
+    if (updatedMeet && meet_format_id !== undefined) {
+        // Add or remove lines to match the new format; this also recalculates the meet result
+        await generateMeetLines(meetId, options);
+        return getMeetById(meetId);
+    }
+    return updatedMeet;
 };
 
 
-const deleteMeet = async (meetId) => {
+const deleteMeet = async (meetId, options = {}) => {
     // Deleting a meet will cascade delete related matches due to schema constraint.
     const selectQuery = 'SELECT * FROM meets WHERE id = $1'; // Fetch before delete
     const deleteQuery = 'DELETE FROM meets WHERE id = $1';
@@ -179,6 +253,7 @@ const deleteMeet = async (meetId) => {
         if (!meetToDelete) {
             return null; // Not found
         }
+        ensureEditable(meetToDelete, options);
         await db.query(deleteQuery, values);
         return meetToDelete; // Return deleted meet data
     } catch (err) {
@@ -188,11 +263,190 @@ const deleteMeet = async (meetId) => {
     }
 };
 
+/**
+ * Recalculates a meet's team scores, winner and status from its match results.
+ * Wins and opponent forfeits earn a team one point; draws are a final result but earn no points.
+ * The meet is completed (and a winner set) only once every Singles and Doubles line
+ * required by its meet format has a final result. A tied completed meet has no winner.
+ * Finalized, postponed, suspended and cancelled meets keep their status.
+ * @param {number} meetId - The ID of the meet to recalculate.
+ * @returns {Promise<object|undefined>} The updated meet or undefined if not found.
+ */
+const recalculateMeetResult = async (meetId) => {
+    const meetQuery = `
+        SELECT m.*, mf.num_singles_lines, mf.num_doubles_lines
+        FROM meets m
+        JOIN meet_formats mf ON m.meet_format_id = mf.id
+        WHERE m.id = $1;
+    `;
+    try {
+        const meetResult = await db.query(meetQuery, [meetId]);
+        const meet = meetResult.rows[0];
+        if (!meet) {
+            return undefined; // Meet not found
+        }
+
+        const matchesResult = await db.query(
+            'SELECT line_type, line_number, winner_code FROM matches WHERE meet_id = $1',
+            [meetId]
+        );
+        const matches = matchesResult.rows;
+
+        const isFinal = (winnerCode) => winnerCode !== null && winnerCode !== WINNER_CODES.IN_PROGRESS;
+        let team1Score = 0;
+        let team2Score = 0;
+        const finalLines = new Set();
+
+        matches.forEach((match) => {
+            const lineWinner = getLineWinner(match.winner_code);
+            if (lineWinner === 1) {
+                team1Score++;
+            } else if (lineWinner === 2) {
+                team2Score++;
+            }
+            if (isFinal(match.winner_code)) {
+                finalLines.add(`${match.line_type} ${match.line_number}`);
+            }
+        });
+
+        const requiredLines = [];
+        for (let line = 1; line <= meet.num_singles_lines; line++) requiredLines.push(`Singles ${line}`);
+        for (let line = 1; line <= meet.num_doubles_lines; line++) requiredLines.push(`Doubles ${line}`);
+        const isComplete = requiredLines.every((line) => finalLines.has(line));
+
+        let status = 'scheduled';
+        if (MANUAL_STATUSES.includes(meet.status)) {
+            status = meet.status;
+        } else if (isComplete) {
+            status = 'completed';
+        } else if (finalLines.size > 0) {
+            status = 'in_progress';
+        }
+
+        let winnerTeamId = null;
+        if (isComplete && team1Score !== team2Score) {
+            winnerTeamId = team1Score > team2Score ? meet.team1_id : meet.team2_id;
+        }
+
+        const updateResult = await db.query(
+            `UPDATE meets
+             SET team1_score = $1, team2_score = $2, winner_team_id = $3, status = $4, updated_at = NOW()
+             WHERE id = $5
+             RETURNING *;`,
+            [team1Score, team2Score, winnerTeamId, status, meetId]
+        );
+        return updateResult.rows[0];
+    } catch (err) {
+        console.error(`Error recalculating result for meet ID ${meetId}:`, err);
+        throw new Error('Database error recalculating meet result.');
+    }
+};
+
+/**
+ * Works out which match lines a meet needs added or removed to match a meet format.
+ * Lines with results (sets entered or a non-zero winner_code) are never removed; if the
+ * format would drop one, an error explains which lines must be cleared first.
+ * @param {number} meetId - The ID of the meet.
+ * @param {number} meetFormatId - The ID of the meet format to plan for.
+ * @returns {Promise<object|undefined>} { toCreate: [{ line_type, line_number }], toRemove: [match] } or undefined if the meet does not exist.
+ */
+const planLineChanges = async (meetId, meetFormatId) => {
+    const formatResult = await db.query('SELECT num_singles_lines, num_doubles_lines FROM meet_formats WHERE id = $1', [meetFormatId]);
+    const format = formatResult.rows[0];
+    if (!format) {
+        throw new Error(`Meet format with meet_format_id ${meetFormatId} does not exist.`);
+    }
+
+    const matchesResult = await db.query(
+        `SELECT m.*, EXISTS (SELECT 1 FROM sets s WHERE s.match_id = m.id) AS has_sets
+         FROM matches m
+         WHERE m.meet_id = $1
+         ORDER BY m.line_type ASC, m.line_number ASC;`,
+        [meetId]
+    );
+    const existingLines = matchesResult.rows;
+
+    const lineCounts = { Singles: format.num_singles_lines, Doubles: format.num_doubles_lines };
+    const toCreate = [];
+    Object.entries(lineCounts).forEach(([lineType, count]) => {
+        for (let lineNumber = 1; lineNumber <= count; lineNumber++) {
+            const exists = existingLines.some((match) => match.line_type === lineType && match.line_number === lineNumber);
+            if (!exists) toCreate.push({ line_type: lineType, line_number: lineNumber });
+        }
+    });
+
+    const toRemove = existingLines.filter((match) => match.line_number > lineCounts[match.line_type]);
+    const linesWithResults = toRemove.filter((match) => match.has_sets || (match.winner_code !== null && match.winner_code !== WINNER_CODES.IN_PROGRESS));
+    if (linesWithResults.length > 0) {
+        const names = linesWithResults.map((match) => `${match.line_type} ${match.line_number}`).join(', ');
+        throw new Error(`Cannot remove ${names} from meet ID ${meetId} because results have been entered. Delete those results first.`);
+    }
+
+    return { toCreate, toRemove };
+};
+
+/**
+ * Creates the empty Singles 1..N and Doubles 1..M match lines defined by a meet's format,
+ * and removes lines beyond those counts (only if they have no results).
+ * Existing lines are left untouched, so this is safe to call repeatedly.
+ * @param {number} meetId - The ID of the meet.
+ * @param {object} [options] - { overrideReason } to change a finalized meet (Admin).
+ * @returns {Promise<object|undefined>} { created, removed, matches } or undefined if the meet does not exist.
+ */
+const generateMeetLines = async (meetId, options = {}) => {
+    const meetResult = await db.query('SELECT id, meet_format_id, status FROM meets WHERE id = $1', [meetId]);
+    const meet = meetResult.rows[0];
+    if (!meet) {
+        return undefined; // Meet not found
+    }
+    ensureEditable(meet, options);
+
+    const { toCreate, toRemove } = await planLineChanges(meetId, meet.meet_format_id);
+
+    const client = await db.connect();
+    const created = [];
+    try {
+        await client.query('BEGIN');
+        for (const line of toCreate) {
+            const insertResult = await client.query(
+                `INSERT INTO matches (meet_id, line_number, line_type, winner_code, created_at, updated_at)
+                 VALUES ($1, $2, $3, $4, NOW(), NOW())
+                 RETURNING *;`,
+                [meetId, line.line_number, line.line_type, WINNER_CODES.IN_PROGRESS]
+            );
+            created.push(insertResult.rows[0]);
+        }
+        if (toRemove.length > 0) {
+            await client.query('DELETE FROM matches WHERE id = ANY($1::int[])', [toRemove.map((match) => match.id)]);
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`Error generating lines for meet ID ${meetId}:`, err);
+        throw new Error('Database error generating meet lines.');
+    } finally {
+        client.release();
+    }
+
+    await recalculateMeetResult(meetId);
+
+    const matchesResult = await db.query(
+        'SELECT * FROM matches WHERE meet_id = $1 ORDER BY line_type ASC, line_number ASC',
+        [meetId]
+    );
+    const removed = toRemove.map(({ has_sets, ...match }) => match);
+    return { created, removed, matches: matchesResult.rows };
+};
 
 module.exports = {
+  MANUAL_STATUSES,
+  ensureMeetEditable,
+  ensureMatchEditable,
   createMeet,
   getAllMeets,
   getMeetById,
   updateMeet,
   deleteMeet,
+  recalculateMeetResult,
+  generateMeetLines,
 }; 
\ No newline at end of file
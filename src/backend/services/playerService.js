@@ -1,10 +1,15 @@
 const db = require('../db');
+const { WINNER_CODES, getLineWinner, getSetWinner, isMatchTiebreakSet } = require('./scoringService');
+const rosterService = require('./rosterService');
 
 // Note: A 'player' is essentially a user linked to a team.
-// The 'players' table acts as a join table with extra info (is_captain).
+// The team for each season is kept in roster_entries (see rosterService), along with whether the
+// player captains it that season. players.team_id, the current team, follows the roster; giving a
+// player a team_id puts them on that team's roster for the season in progress.
 
-const createPlayer = async (playerData) => {
-    const { user_id, team_id, is_captain = false } = playerData; // Default is_captain to false
+// Pass a transaction client to create the player as part of a larger change
+const createPlayer = async (playerData, client = db) => {
+    const { user_id, team_id } = playerData;
     if (!user_id) {
         throw new Error('Missing required field: user_id');
     }
@@ -13,14 +18,18 @@ const createPlayer = async (playerData) => {
     // Add validation later: check user_id exists in users, team_id exists in teams if provided
 
     const queryText = `
-        INSERT INTO players (user_id, team_id, is_captain, created_at, updated_at)
-        VALUES ($1, $2, $3, NOW(), NOW())
+        INSERT INTO players (user_id, team_id, created_at, updated_at)
+        VALUES ($1, $2, NOW(), NOW())
         RETURNING *;
     `;
-    const values = [user_id, team_id || null, is_captain]; // Ensure team_id is null if not provided
+    const values = [user_id, team_id || null]; // Ensure team_id is null if not provided
     try {
-        const result = await db.query(queryText, values);
-        return result.rows[0];
+        const result = await client.query(queryText, values);
+        const player = result.rows[0];
+        if (player.team_id !== null) {
+            await rosterService.enrollForCurrentSeason(player.id, player.team_id, client);
+        }
+        return player;
     } catch (err) {
         console.error('Error creating player:', err);
         // Check for unique constraint violation (e.g., user_id must be unique in players)
@@ -52,16 +61,29 @@ const getAllPlayers = async () => {
     }
 };
 
-// Maybe more useful: Get players by team?
-const getPlayersByTeam = async (teamId) => {
-     const queryText = `
+// Players on a team: its current players, or with filters.season_id, the team's roster for that
+// season (including each player's jersey_number, grad_year, roster status and captaincy)
+const getPlayersByTeam = async (teamId, filters = {}) => {
+    let queryText = `
         SELECT p.*, u.name as user_name, u.email as user_email
         FROM players p
         JOIN users u ON p.user_id = u.id
         WHERE p.team_id = $1
         ORDER BY u.name ASC;
-     `;
-     const values = [teamId];
+    `;
+    const values = [teamId];
+    if (filters.season_id !== undefined) {
+        queryText = `
+            SELECT p.*, u.name as user_name, u.email as user_email,
+                   r.id AS roster_entry_id, r.season_id, r.jersey_number, r.grad_year, r.status AS roster_status, r.is_captain
+            FROM roster_entries r
+            JOIN players p ON r.player_id = p.id
+            JOIN users u ON p.user_id = u.id
+            WHERE r.team_id = $1 AND r.season_id = $2
+            ORDER BY u.name ASC;
+        `;
+        values.push(filters.season_id);
+    }
     try {
         const result = await db.query(queryText, values);
         return result.rows;
@@ -87,9 +109,10 @@ const getPlayerById = async (playerId) => {
     }
 };
 
-// Update player's team assignment or captain status
+// Update player's team assignment (captains are appointed per season, see rosterService).
+// A new team also puts the player on its roster for the season in progress.
 const updatePlayer = async (playerId, playerData) => {
-    const { team_id, is_captain } = playerData;
+    const { team_id } = playerData;
     const fields = [];
     const values = [];
     let valueIndex = 1;
@@ -101,11 +124,6 @@ const updatePlayer = async (playerId, playerData) => {
         fields.push(`team_id = $${valueIndex++}`);
         values.push(team_id);
     }
-     if (is_captain !== undefined) {
-         if (typeof is_captain !== 'boolean') throw new Error('is_captain must be a boolean');
-        fields.push(`is_captain = $${valueIndex++}`);
-        values.push(is_captain);
-    }
 
     // Always update the updated_at timestamp
     fields.push(`updated_at = NOW()`);
@@ -122,17 +140,31 @@ const updatePlayer = async (playerId, playerData) => {
         WHERE id = $${valueIndex}
         RETURNING *;
     `;
+    const client = await db.connect();
     try {
-        const result = await db.query(queryText, values);
-        return result.rows[0];
+        await client.query('BEGIN');
+        const result = await client.query(queryText, values);
+        if (!result.rows[0]) {
+            await client.query('ROLLBACK');
+            return undefined;
+        }
+        await rosterService.enrollForCurrentSeason(playerId, team_id, client);
+        if (team_id !== null) {
+            await rosterService.syncCurrentTeam(playerId, client);
+        }
+        await client.query('COMMIT');
     } catch (err) {
+        await client.query('ROLLBACK');
         console.error(`Error updating player with ID ${playerId}:`, err);
         // Check for foreign key violations
         if (err.code === '23503' && err.constraint === 'players_team_id_fkey') {
             throw new Error(`Team with team_id ${team_id} does not exist.`);
         }
         throw err;
+    } finally {
+        client.release();
     }
+    return getPlayerById(playerId);
 };
 
 
@@ -158,6 +190,170 @@ const deletePlayer = async (playerId) => {
 };
 
 
+// --- Player summary (career and season record) ---
+
+// Win/loss tally for a group of matches. Matches still in progress are not counted.
+const emptyRecord = () => ({ played: 0, wins: 0, losses: 0, draws: 0 });
+
+// Percentage rounded to one decimal place, or null when nothing was played
+const percentage = (won, lost) => (won + lost === 0 ? null : Math.round((won / (won + lost)) * 1000) / 10);
+
+// Result of a match from the point of view of the side the player was on
+const getMatchOutcome = (winnerCode, side) => {
+    if (winnerCode === WINNER_CODES.DRAW) {
+        return 'draw';
+    }
+    const lineWinner = getLineWinner(winnerCode);
+    if (lineWinner === null) {
+        return null; // In progress
+    }
+    return lineWinner === side ? 'win' : 'loss';
+};
+
+const addOutcome = (record, outcome) => {
+    record.played++;
+    if (outcome === 'win') record.wins++;
+    if (outcome === 'loss') record.losses++;
+    if (outcome === 'draw') record.draws++;
+};
+
+const withWinPct = (record) => ({ ...record, win_pct: percentage(record.wins, record.losses) });
+
+// Builds a player's record from every match they played in: win/loss overall, by season
+// (with the team they played for), singles vs doubles and by line, sets and games won,
+// tiebreaks, and stat totals, plus their roster entries. Returns undefined if the player does not exist.
+const getPlayerSummary = async (playerId) => {
+    const player = await getPlayerById(playerId);
+    if (!player) {
+        return undefined;
+    }
+
+    const matchesQuery = `
+        SELECT m.id, m.line_type, m.line_number, m.winner_code,
+               CASE WHEN $1 IN (m.team1_player1_id, m.team1_player2_id) THEN 1 ELSE 2 END AS side,
+               t.id AS team_id, t.name AS team_name,
+               mt.season_id, s.name AS season_name, mf.scoring_type
+        FROM matches m
+        JOIN meets mt ON m.meet_id = mt.id
+        JOIN meet_formats mf ON mt.meet_format_id = mf.id
+        JOIN teams t ON t.id = CASE WHEN $1 IN (m.team1_player1_id, m.team1_player2_id) THEN mt.team1_id ELSE mt.team2_id END
+        LEFT JOIN seasons s ON mt.season_id = s.id
+        WHERE $1 IN (m.team1_player1_id, m.team1_player2_id, m.team2_player1_id, m.team2_player2_id)
+        ORDER BY mt.meet_date ASC, m.id ASC;
+    `;
+    const setsQuery = `
+        SELECT st.*
+        FROM sets st
+        JOIN matches m ON st.match_id = m.id
+        WHERE $1 IN (m.team1_player1_id, m.team1_player2_id, m.team2_player1_id, m.team2_player2_id);
+    `;
+    // Counts are summed; percentages are averaged over the matches they were recorded for
+    const statsQuery = `
+        SELECT sd.stat_key, sd.label, sd.value_type, COUNT(st.id)::int AS matches,
+               CASE WHEN sd.value_type = 'percentage' THEN ROUND(AVG(st.stat_value), 1) ELSE SUM(st.stat_value) END AS value
+        FROM stats st
+        JOIN stat_definitions sd ON st.stat_key = sd.stat_key
+        WHERE st.player_id = $1
+        GROUP BY sd.stat_key, sd.label, sd.value_type, sd.sort_order
+        ORDER BY sd.sort_order ASC;
+    `;
+
+    let matches, sets, stats, rosters;
+    try {
+        [matches, sets, stats, rosters] = await Promise.all([
+            db.query(matchesQuery, [playerId]).then((result) => result.rows),
+            db.query(setsQuery, [playerId]).then((result) => result.rows),
+            db.query(statsQuery, [playerId]).then((result) => result.rows),
+            rosterService.getRosterEntriesForPlayer(playerId),
+        ]);
+    } catch (err) {
+        console.error(`Error building summary for player ID ${playerId}:`, err);
+        throw err;
+    }
+
+    const overall = emptyRecord();
+    const bySeason = new Map();
+    const byLineType = { singles: emptyRecord(), doubles: emptyRecord() };
+    const byLine = new Map();
+    const setTotals = { won: 0, lost: 0 };
+    const gameTotals = { won: 0, lost: 0 };
+    const tiebreaks = { won: 0, lost: 0 };
+    const matchTiebreaks = { won: 0, lost: 0 };
+
+    const setsByMatch = new Map();
+    sets.forEach((set) => {
+        if (!setsByMatch.has(set.match_id)) setsByMatch.set(set.match_id, []);
+        setsByMatch.get(set.match_id).push(set);
+    });
+
+    matches.forEach((match) => {
+        const outcome = getMatchOutcome(match.winner_code, match.side);
+        if (outcome) {
+            addOutcome(overall, outcome);
+
+            const seasonKey = match.season_id === null ? 'none' : match.season_id;
+            if (!bySeason.has(seasonKey)) {
+                // The team is the one the player played for that season, wherever they are now
+                bySeason.set(seasonKey, {
+                    season_id: match.season_id,
+                    season_name: match.season_name,
+                    team_id: match.team_id,
+                    team_name: match.team_name,
+                    ...emptyRecord(),
+                });
+            }
+            addOutcome(bySeason.get(seasonKey), outcome);
+
+            addOutcome(byLineType[match.line_type === 'Doubles' ? 'doubles' : 'singles'], outcome);
+
+            const lineKey = `${match.line_type} ${match.line_number}`;
+            if (!byLine.has(lineKey)) {
+                byLine.set(lineKey, { line_type: match.line_type, line_number: match.line_number, ...emptyRecord() });
+            }
+            addOutcome(byLine.get(lineKey), outcome);
+        }
+
+        (setsByMatch.get(match.id) || []).forEach((set) => {
+            const setWinner = getSetWinner(set, match.scoring_type);
+            if (setWinner === null) {
+                return; // Unfinished sets are left out
+            }
+            const wonSet = setWinner === match.side;
+            if (isMatchTiebreakSet(match.scoring_type, set.set_number)) {
+                // A match tiebreak replaces the final set; its 1-0 game score is not counted as games
+                matchTiebreaks[wonSet ? 'won' : 'lost']++;
+            } else {
+                const ownGames = match.side === 1 ? set.team1_games_won : set.team2_games_won;
+                const opponentGames = match.side === 1 ? set.team2_games_won : set.team1_games_won;
+                gameTotals.won += ownGames;
+                gameTotals.lost += opponentGames;
+                if (set.tiebreak_score_team1 !== null && set.tiebreak_score_team2 !== null) {
+                    tiebreaks[wonSet ? 'won' : 'lost']++;
+                }
+            }
+            setTotals[wonSet ? 'won' : 'lost']++;
+        });
+    });
+
+    const byLineOrder = (a, b) => a.line_type.localeCompare(b.line_type) || a.line_number - b.line_number;
+
+    return {
+        player_id: player.id,
+        user_id: player.user_id,
+        team_id: player.team_id,
+        rosters,
+        overall: withWinPct(overall),
+        by_season: [...bySeason.values()].map(withWinPct),
+        by_line_type: { singles: withWinPct(byLineType.singles), doubles: withWinPct(byLineType.doubles) },
+        by_line: [...byLine.values()].sort(byLineOrder).map(withWinPct),
+        sets: { ...setTotals, win_pct: percentage(setTotals.won, setTotals.lost) },
+        games: { ...gameTotals, win_pct: percentage(gameTotals.won, gameTotals.lost) },
+        tiebreaks: { ...tiebreaks, match_tiebreaks: matchTiebreaks },
+        stats: stats.map((stat) => ({ ...stat, value: Number(stat.value) })),
+    };
+};
+
+
 module.exports = {
   createPlayer,
   getAllPlayers,
@@ -165,4 +361,5 @@ module.exports = {
   getPlayerById,
   updatePlayer,
   deletePlayer,
+  getPlayerSummary,
 }; 
\ No newline at end of file
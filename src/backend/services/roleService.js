@@ -34,6 +34,21 @@ const getRoleById = async (roleId) => {
     }
 };
 
+/**
+ * Fetches a single role by its name (e.g. 'Guest').
+ * @param {string} name - The name of the role to fetch.
+ * @returns {Promise<object|undefined>} A promise that resolves to the role object or undefined if not found.
+ */
+const getRoleByName = async (name) => {
+    try {
+        const result = await db.query('SELECT * FROM roles WHERE name = $1', [name]);
+        return result.rows[0];
+    } catch (err) {
+        console.error(`Error fetching role with name ${name}:`, err);
+        throw new Error('Database error fetching role by name.');
+    }
+};
+
 /**
  * Creates a new role in the database.
  * @param {object} roleData - Data for the new role (should include 'name').
@@ -140,6 +155,7 @@ const deleteRole = async (roleId) => {
 module.exports = {
     getAllRoles,
     getRoleById,
+    getRoleByName,
     createRole,
     updateRole,
     deleteRole,
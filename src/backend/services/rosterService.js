@@ -0,0 +1,399 @@
+const db = require('../db');
+
+// Season rosters: a player's membership of a team for one season, with their jersey number,
+// graduation year and status. A player is on one team per season, so moving up (say from
+// middle school to JV) adds a roster entry for the new season and leaves earlier seasons as they were.
+// players.team_id is derived from the roster: it is the player's team for their latest season
+// (see syncCurrentTeam), and giving a player a team_id puts them on that team's roster for the
+// season in progress (see enrollForCurrentSeason).
+// Captains are appointed per season too (roster_entries.is_captain), up to the team's max_captains;
+// several captains in a season are co-captains.
+
+const ROSTER_STATUSES = ['active', 'injured', 'inactive', 'withdrawn'];
+
+const ROSTER_COLUMNS = `r.*, p.user_id, u.name AS player_name, t.name AS team_name, s.name AS season_name`;
+const ROSTER_JOINS = `
+    FROM roster_entries r
+    JOIN players p ON r.player_id = p.id
+    JOIN users u ON p.user_id = u.id
+    JOIN teams t ON r.team_id = t.id
+    JOIN seasons s ON r.season_id = s.id
+`;
+
+const validateRosterFields = ({ jersey_number, grad_year, status }) => {
+    if (jersey_number !== undefined && jersey_number !== null && (!Number.isInteger(jersey_number) || jersey_number < 0)) {
+        throw new Error('Invalid jersey_number. Must be a whole number of 0 or more.');
+    }
+    if (grad_year !== undefined && grad_year !== null && (!Number.isInteger(grad_year) || grad_year < 1900 || grad_year > 2100)) {
+        throw new Error('Invalid grad_year. Must be a year such as 2027.');
+    }
+    if (status !== undefined && !ROSTER_STATUSES.includes(status)) {
+        throw new Error(`Invalid status. Must be one of: ${ROSTER_STATUSES.join(', ')}.`);
+    }
+};
+
+// Turns constraint violations into messages for the caller
+const rosterError = (err, data) => {
+    if (err.code === '23505' && err.constraint === 'roster_entries_player_id_season_id_key') {
+        return new Error(`Player with player_id ${data.player_id} is already on a roster for season ${data.season_id}.`);
+    }
+    if (err.code === '23505') {
+        return new Error(`Jersey number ${data.jersey_number} already exists on this team's roster for the season.`);
+    }
+    if (err.code === '23503' && err.constraint === 'roster_entries_player_id_fkey') {
+        return new Error(`Player with player_id ${data.player_id} does not exist.`);
+    }
+    if (err.code === '23503' && err.constraint === 'roster_entries_season_id_fkey') {
+        return new Error(`Season with season_id ${data.season_id} does not exist.`);
+    }
+    return err;
+};
+
+/**
+ * Fetches a team's roster entries, ordered by season then player name.
+ * @param {number} teamId - The ID of the team.
+ * @param {object} filters - Optional filters ({ season_id, status }).
+ * @returns {Promise<Array<object>>} The entries, with player, team and season names.
+ */
+const getRosterByTeam = async (teamId, filters = {}) => {
+    const conditions = ['r.team_id = $1'];
+    const values = [teamId];
+    if (filters.season_id !== undefined) {
+        values.push(filters.season_id);
+        conditions.push(`r.season_id = $${values.length}`);
+    }
+    if (filters.status !== undefined) {
+        values.push(filters.status);
+        conditions.push(`r.status = $${values.length}`);
+    }
+    try {
+        const result = await db.query(
+            `SELECT ${ROSTER_COLUMNS} ${ROSTER_JOINS}
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY s.start_date DESC NULLS LAST, r.season_id DESC, u.name ASC`,
+            values
+        );
+        return result.rows;
+    } catch (err) {
+        console.error(`Error fetching roster for team ID ${teamId}:`, err);
+        throw new Error('Database error fetching roster.');
+    }
+};
+
+/**
+ * Fetches every roster entry a player has had, oldest season first.
+ * @param {number} playerId - The ID of the player.
+ * @returns {Promise<Array<object>>} The entries, with team and season names.
+ */
+const getRosterEntriesForPlayer = async (playerId) => {
+    try {
+        const result = await db.query(
+            `SELECT ${ROSTER_COLUMNS} ${ROSTER_JOINS}
+             WHERE r.player_id = $1
+             ORDER BY s.start_date ASC NULLS LAST, r.season_id ASC`,
+            [playerId]
+        );
+        return result.rows;
+    } catch (err) {
+        console.error(`Error fetching roster entries for player ID ${playerId}:`, err);
+        throw new Error('Database error fetching roster entries.');
+    }
+};
+
+/**
+ * Fetches one roster entry of a team.
+ * @param {number} teamId - The ID of the team.
+ * @param {number} entryId - The ID of the roster entry.
+ * @returns {Promise<object|undefined>} The entry, or undefined if the team has no such entry.
+ */
+const getRosterEntry = async (teamId, entryId) => {
+    try {
+        const result = await db.query(`SELECT ${ROSTER_COLUMNS} ${ROSTER_JOINS} WHERE r.id = $1 AND r.team_id = $2`, [entryId, teamId]);
+        return result.rows[0];
+    } catch (err) {
+        console.error(`Error fetching roster entry ID ${entryId}:`, err);
+        throw new Error('Database error fetching roster entry.');
+    }
+};
+
+/**
+ * Fetches the season in progress: the latest-starting season whose dates include today.
+ * @param {object} [client] - A database client, to read inside the caller's transaction.
+ * @returns {Promise<object|undefined>} The season, or undefined if none is in progress.
+ */
+const getCurrentSeason = async (client = db) => {
+    const result = await client.query(
+        `SELECT * FROM seasons
+         WHERE start_date <= CURRENT_DATE AND (end_date IS NULL OR end_date >= CURRENT_DATE)
+         ORDER BY start_date DESC, id DESC
+         LIMIT 1`
+    );
+    return result.rows[0];
+};
+
+/**
+ * Keeps a player's team_id in step with their roster: the team of their entry for the latest
+ * season. Players with no roster entries keep the team_id they were given.
+ * @param {number} playerId - The ID of the player.
+ * @param {object} [client] - A database client, to update inside the caller's transaction.
+ */
+const syncCurrentTeam = async (playerId, client = db) => {
+    await client.query(
+        `UPDATE players p SET team_id = latest.team_id, updated_at = NOW()
+         FROM (SELECT r.team_id
+               FROM roster_entries r
+               JOIN seasons s ON r.season_id = s.id
+               WHERE r.player_id = $1
+               ORDER BY s.start_date DESC NULLS LAST, r.season_id DESC
+               LIMIT 1) latest
+         WHERE p.id = $1 AND p.team_id IS DISTINCT FROM latest.team_id`,
+        [playerId]
+    );
+};
+
+/**
+ * Puts a player given a team_id on that team's roster for the season in progress, if there is one.
+ * A player already on another team's roster for the season has to be moved through the rosters.
+ * @param {number} playerId - The ID of the player.
+ * @param {number|null} teamId - The player's new team_id (null takes them off their team).
+ * @param {object} [client] - A database client, to add the entry inside the caller's transaction.
+ */
+const enrollForCurrentSeason = async (playerId, teamId, client = db) => {
+    const season = await getCurrentSeason(client);
+    if (!season) {
+        return;
+    }
+    const entryResult = await client.query(
+        `SELECT r.team_id, t.name AS team_name
+         FROM roster_entries r JOIN teams t ON r.team_id = t.id
+         WHERE r.player_id = $1 AND r.season_id = $2`,
+        [playerId, season.id]
+    );
+    const entry = entryResult.rows[0];
+    if (entry && entry.team_id === teamId) {
+        return;
+    }
+    if (entry) {
+        throw new Error(`Cannot change team_id: player ${playerId} is on ${entry.team_name}'s roster for ${season.name}. Change the team rosters instead.`);
+    }
+    if (teamId !== null) {
+        await client.query(
+            'INSERT INTO roster_entries (player_id, team_id, season_id) VALUES ($1, $2, $3)',
+            [playerId, teamId, season.id]
+        );
+    }
+};
+
+/**
+ * Adds a player to a team's roster for a season.
+ * @param {number} teamId - The ID of the team.
+ * @param {object} entryData - { player_id, season_id } (required), { jersey_number, grad_year, status } (optional; status defaults to 'active').
+ * @returns {Promise<object>} The new roster entry.
+ */
+const addRosterEntry = async (teamId, entryData) => {
+    const { player_id, season_id, jersey_number = null, grad_year = null, status = 'active' } = entryData;
+    if (!player_id || !season_id) {
+        throw new Error('Missing required fields: player_id, season_id');
+    }
+    if (!Number.isInteger(player_id) || !Number.isInteger(season_id)) {
+        throw new Error('Invalid player_id or season_id. Must be numbers.');
+    }
+    validateRosterFields({ jersey_number, grad_year, status });
+
+    let entryId;
+    try {
+        const result = await db.query(
+            `INSERT INTO roster_entries (player_id, team_id, season_id, jersey_number, grad_year, status)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING id`,
+            [player_id, teamId, season_id, jersey_number, grad_year, status]
+        );
+        entryId = result.rows[0].id;
+        await syncCurrentTeam(player_id);
+    } catch (err) {
+        console.error(`Error adding roster entry for team ID ${teamId}:`, err);
+        throw rosterError(err, entryData);
+    }
+    return getRosterEntry(teamId, entryId);
+};
+
+/**
+ * Updates a roster entry's jersey number, graduation year or status.
+ * @param {number} teamId - The ID of the team.
+ * @param {number} entryId - The ID of the roster entry.
+ * @param {object} entryData - { jersey_number, grad_year, status } (any of them).
+ * @returns {Promise<object|undefined>} The updated entry, or undefined if the team has no such entry.
+ */
+const updateRosterEntry = async (teamId, entryId, entryData) => {
+    validateRosterFields(entryData);
+    const fields = [];
+    const values = [];
+    ['jersey_number', 'grad_year', 'status'].forEach((field) => {
+        if (entryData[field] !== undefined) {
+            values.push(entryData[field]);
+            fields.push(`${field} = $${values.length}`);
+        }
+    });
+    if (fields.length === 0) {
+        throw new Error('Missing required field: one of jersey_number, grad_year, status');
+    }
+    values.push(entryId, teamId);
+    try {
+        const result = await db.query(
+            `UPDATE roster_entries SET ${fields.join(', ')}, updated_at = NOW()
+             WHERE id = $${values.length - 1} AND team_id = $${values.length}
+             RETURNING id`,
+            values
+        );
+        if (!result.rows[0]) {
+            return undefined;
+        }
+    } catch (err) {
+        console.error(`Error updating roster entry ID ${entryId}:`, err);
+        throw rosterError(err, entryData);
+    }
+    return getRosterEntry(teamId, entryId);
+};
+
+/**
+ * Removes a player from a team's roster for a season. Matches they played keep their team.
+ * @param {number} teamId - The ID of the team.
+ * @param {number} entryId - The ID of the roster entry.
+ * @returns {Promise<object|undefined>} The removed entry, or undefined if the team has no such entry.
+ */
+const removeRosterEntry = async (teamId, entryId) => {
+    try {
+        const result = await db.query('DELETE FROM roster_entries WHERE id = $1 AND team_id = $2 RETURNING *', [entryId, teamId]);
+        const entry = result.rows[0];
+        if (entry) {
+            await syncCurrentTeam(entry.player_id);
+        }
+        return entry;
+    } catch (err) {
+        console.error(`Error removing roster entry ID ${entryId}:`, err);
+        throw new Error('Database error removing roster entry.');
+    }
+};
+
+/**
+ * Fetches a team's captains, most recent season first.
+ * @param {number} teamId - The ID of the team.
+ * @param {object} filters - Optional filters ({ season_id }).
+ * @returns {Promise<Array<object>>} The captains' roster entries.
+ */
+const getCaptains = async (teamId, filters = {}) => {
+    const conditions = ['r.team_id = $1', 'r.is_captain'];
+    const values = [teamId];
+    if (filters.season_id !== undefined) {
+        values.push(filters.season_id);
+        conditions.push(`r.season_id = $${values.length}`);
+    }
+    try {
+        const result = await db.query(
+            `SELECT ${ROSTER_COLUMNS} ${ROSTER_JOINS}
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY s.start_date DESC NULLS LAST, r.season_id DESC, u.name ASC`,
+            values
+        );
+        return result.rows;
+    } catch (err) {
+        console.error(`Error fetching captains for team ID ${teamId}:`, err);
+        throw new Error('Database error fetching captains.');
+    }
+};
+
+/**
+ * Appoints a player on the team's roster for a season as a captain (a co-captain if the season
+ * has captains already), unless the season already has the team's max_captains.
+ * @param {number} teamId - The ID of the team.
+ * @param {object} captainData - { player_id, season_id } (both required).
+ * @returns {Promise<object>} The captain's roster entry.
+ */
+const appointCaptain = async (teamId, captainData) => {
+    const { player_id, season_id } = captainData;
+    if (!player_id || !season_id) {
+        throw new Error('Missing required fields: player_id, season_id');
+    }
+    if (!Number.isInteger(player_id) || !Number.isInteger(season_id)) {
+        throw new Error('Invalid player_id or season_id. Must be numbers.');
+    }
+
+    let entryId;
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        // Lock the team so two appointments can't both take the last place
+        const teamResult = await client.query('SELECT max_captains FROM teams WHERE id = $1 FOR UPDATE', [teamId]);
+        const { max_captains: maxCaptains } = teamResult.rows[0];
+        const entryResult = await client.query(
+            'SELECT id, is_captain FROM roster_entries WHERE team_id = $1 AND player_id = $2 AND season_id = $3',
+            [teamId, player_id, season_id]
+        );
+        const entry = entryResult.rows[0];
+        if (!entry) {
+            throw new Error(`Invalid player_id. Player ${player_id} is not on this team's roster for season ${season_id}.`);
+        }
+        if (entry.is_captain) {
+            throw new Error(`Player with player_id ${player_id} is already a captain for season ${season_id}.`);
+        }
+        const countResult = await client.query(
+            'SELECT COUNT(*)::int AS captains FROM roster_entries WHERE team_id = $1 AND season_id = $2 AND is_captain',
+            [teamId, season_id]
+        );
+        if (countResult.rows[0].captains >= maxCaptains) {
+            throw new Error(`Cannot appoint another captain: the team already has ${maxCaptains} for the season (its max_captains).`);
+        }
+        await client.query('UPDATE roster_entries SET is_captain = true, updated_at = NOW() WHERE id = $1', [entry.id]);
+        await client.query('COMMIT');
+        entryId = entry.id;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+    return getRosterEntry(teamId, entryId);
+};
+
+/**
+ * Removes a player's captaincy for a season; they stay on the roster.
+ * @param {number} teamId - The ID of the team.
+ * @param {number} playerId - The ID of the player.
+ * @param {number} seasonId - The ID of the season.
+ * @returns {Promise<object|undefined>} The roster entry, or undefined if the player was not a captain that season.
+ */
+const removeCaptain = async (teamId, playerId, seasonId) => {
+    let entryId;
+    try {
+        const result = await db.query(
+            `UPDATE roster_entries SET is_captain = false, updated_at = NOW()
+             WHERE team_id = $1 AND player_id = $2 AND season_id = $3 AND is_captain
+             RETURNING id`,
+            [teamId, playerId, seasonId]
+        );
+        if (!result.rows[0]) {
+            return undefined;
+        }
+        entryId = result.rows[0].id;
+    } catch (err) {
+        console.error(`Error removing captaincy of player ID ${playerId} on team ID ${teamId}:`, err);
+        throw new Error('Database error removing captain.');
+    }
+    return getRosterEntry(teamId, entryId);
+};
+
+module.exports = {
+    ROSTER_STATUSES,
+    getRosterByTeam,
+    getRosterEntriesForPlayer,
+    getRosterEntry,
+    getCurrentSeason,
+    syncCurrentTeam,
+    enrollForCurrentSeason,
+    addRosterEntry,
+    updateRosterEntry,
+    removeRosterEntry,
+    getCaptains,
+    appointCaptain,
+    removeCaptain,
+};
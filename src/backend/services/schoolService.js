@@ -0,0 +1,154 @@
+const db = require('../db');
+
+// Schools (programs): a school's tennis program owns its teams, e.g. boys' varsity, girls' JV and a
+// middle school team. Teams point at their school with teams.school_id.
+
+const SCHOOL_FIELDS = ['name', 'short_name', 'city'];
+
+const validateSchoolFields = (schoolData) => {
+    SCHOOL_FIELDS.forEach((field) => {
+        const value = schoolData[field];
+        if (value !== undefined && value !== null && typeof value !== 'string') {
+            throw new Error(`Invalid ${field}. Must be a string.`);
+        }
+    });
+    if (schoolData.name !== undefined && (schoolData.name === null || !schoolData.name.trim())) {
+        throw new Error('Invalid name. It cannot be empty.');
+    }
+};
+
+/**
+ * Creates a new school.
+ * @param {object} schoolData - { name } (required), { short_name, city } (optional).
+ * @returns {Promise<object>} The new school.
+ */
+const createSchool = async (schoolData) => {
+    const { name, short_name = null, city = null } = schoolData;
+    if (!name) {
+        throw new Error('Missing required field: name');
+    }
+    validateSchoolFields(schoolData);
+    try {
+        const result = await db.query(
+            `INSERT INTO schools (name, short_name, city, created_at, updated_at)
+             VALUES ($1, $2, $3, NOW(), NOW())
+             RETURNING *`,
+            [name.trim(), short_name, city]
+        );
+        return result.rows[0];
+    } catch (err) {
+        console.error('Error creating school:', err);
+        if (err.code === '23505') { // Unique violation on name
+            throw new Error(`School with name '${name}' already exists.`);
+        }
+        throw new Error('Database error creating school.');
+    }
+};
+
+/**
+ * Fetches all schools, ordered by name, with the number of teams each has.
+ * @returns {Promise<Array<object>>} The schools.
+ */
+const getAllSchools = async () => {
+    try {
+        const result = await db.query(
+            `SELECT s.*, (SELECT COUNT(*)::int FROM teams t WHERE t.school_id = s.id) AS team_count
+             FROM schools s
+             ORDER BY s.name ASC`
+        );
+        return result.rows;
+    } catch (err) {
+        console.error('Error fetching all schools:', err);
+        throw new Error('Database error fetching schools.');
+    }
+};
+
+/**
+ * Fetches a school with its teams, ordered by level then gender then name.
+ * @param {number} schoolId - The ID of the school.
+ * @returns {Promise<object|undefined>} The school with a teams array, or undefined if not found.
+ */
+const getSchoolById = async (schoolId) => {
+    try {
+        const result = await db.query('SELECT * FROM schools WHERE id = $1', [schoolId]);
+        const school = result.rows[0];
+        if (!school) {
+            return undefined;
+        }
+        const teamsResult = await db.query(
+            `SELECT * FROM teams
+             WHERE school_id = $1
+             ORDER BY array_position(ARRAY['varsity', 'junior_varsity', 'middle_school'], level),
+                      array_position(ARRAY['boys', 'girls', 'coed'], gender), name ASC`,
+            [schoolId]
+        );
+        school.teams = teamsResult.rows;
+        return school;
+    } catch (err) {
+        console.error(`Error fetching school with ID ${schoolId}:`, err);
+        throw new Error('Database error fetching school.');
+    }
+};
+
+/**
+ * Updates a school's name, short name or city.
+ * @param {number} schoolId - The ID of the school.
+ * @param {object} schoolData - { name, short_name, city } (any of them).
+ * @returns {Promise<object|undefined>} The updated school, or undefined if not found.
+ */
+const updateSchool = async (schoolId, schoolData) => {
+    validateSchoolFields(schoolData);
+    const fields = [];
+    const values = [];
+    SCHOOL_FIELDS.forEach((field) => {
+        if (schoolData[field] !== undefined) {
+            values.push(field === 'name' ? schoolData.name.trim() : schoolData[field]);
+            fields.push(`${field} = $${values.length}`);
+        }
+    });
+    if (fields.length === 0) {
+        throw new Error('Missing required field: one of name, short_name, city');
+    }
+    values.push(schoolId);
+    try {
+        const result = await db.query(
+            `UPDATE schools SET ${fields.join(', ')}, updated_at = NOW()
+             WHERE id = $${values.length}
+             RETURNING *`,
+            values
+        );
+        return result.rows[0];
+    } catch (err) {
+        console.error(`Error updating school with ID ${schoolId}:`, err);
+        if (err.code === '23505') {
+            throw new Error(`School with name '${schoolData.name}' already exists.`);
+        }
+        throw new Error('Database error updating school.');
+    }
+};
+
+/**
+ * Deletes a school that has no teams.
+ * @param {number} schoolId - The ID of the school.
+ * @returns {Promise<object|undefined>} The deleted school, or undefined if not found.
+ */
+const deleteSchool = async (schoolId) => {
+    try {
+        const result = await db.query('DELETE FROM schools WHERE id = $1 RETURNING *', [schoolId]);
+        return result.rows[0];
+    } catch (err) {
+        console.error(`Error deleting school with ID ${schoolId}:`, err);
+        if (err.code === '23001' || err.code === '23503') { // Restrict or foreign key violation from teams
+            throw new Error(`Cannot delete school ID ${schoolId} because it is referenced by teams.`);
+        }
+        throw new Error('Database error deleting school.');
+    }
+};
+
+module.exports = {
+    createSchool,
+    getAllSchools,
+    getSchoolById,
+    updateSchool,
+    deleteSchool,
+};
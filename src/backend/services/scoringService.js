@@ -0,0 +1,252 @@
+// Tennis scoring rules shared by the match, set and meet services.
+// These are pure functions with no database access.
+
+// Values stored in matches.winner_code
+const WINNER_CODES = {
+    IN_PROGRESS: 0,
+    TEAM1_WIN: 1,
+    TEAM2_WIN: 2,
+    DRAW: 3,
+    TEAM1_FORFEIT: 4, // Team 1 forfeits, so Team 2 wins the line
+    TEAM2_FORFEIT: 5, // Team 2 forfeits, so Team 1 wins the line
+};
+
+// How a match is played for each meet_formats.scoring_type.
+//   setsToWin: number of sets needed to win the match
+//   gamesPerSet: games needed to win a regular set (by two, tiebreak at gamesPerSet-all)
+//   matchTiebreakSet: set number played as a 10-point match tiebreak instead of a full set
+//   description: how a set is played, used in validation messages
+const SCORING_RULES = {
+    best_of_3_sets: {
+        setsToWin: 2, gamesPerSet: 6, matchTiebreakSet: null,
+        description: 'standard set (first to 6 games, win by 2, 7-point tiebreak at 6-6)',
+    },
+    '8_game_pro_set': {
+        setsToWin: 1, gamesPerSet: 8, matchTiebreakSet: null,
+        description: '8-game pro set (first to 8 games, win by 2, 7-point tiebreak at 8-8)',
+    },
+    best_of_3_match_tiebreak: {
+        setsToWin: 2, gamesPerSet: 6, matchTiebreakSet: 3,
+        description: 'standard set (first to 6 games, win by 2, 7-point tiebreak at 6-6)',
+    },
+};
+
+const SET_TIEBREAK_POINTS = 7; // Tiebreak played at gamesPerSet-all
+const MATCH_TIEBREAK_POINTS = 10; // Match tiebreak played in lieu of a final set
+
+const SCORING_TYPES = Object.keys(SCORING_RULES);
+
+const DEFAULT_SCORING_TYPE = 'best_of_3_sets';
+
+/**
+ * Returns the scoring rules for a scoring type.
+ * Unknown types fall back to best of three full sets.
+ * @param {string} scoringType - The meet format's scoring_type.
+ * @returns {object} The scoring rules.
+ */
+const getScoringRules = (scoringType) => SCORING_RULES[scoringType] || SCORING_RULES[DEFAULT_SCORING_TYPE];
+
+/**
+ * Whether a set number is played as a match tiebreak under the given scoring type.
+ * @param {string} scoringType - The meet format's scoring_type.
+ * @param {number} setNumber - The set number.
+ * @returns {boolean}
+ */
+const isMatchTiebreakSet = (scoringType, setNumber) => getScoringRules(scoringType).matchTiebreakSet === setNumber;
+
+/**
+ * Determines which team won a completed set.
+ * Regular sets are won by reaching gamesPerSet with a two-game lead, or by winning the
+ * tiebreak at gamesPerSet-all (recorded as gamesPerSet+1 to gamesPerSet).
+ * Match tiebreaks are decided on tiebreak points (first to 10, win by two); if the points
+ * were not recorded, the 1-0 game score is used.
+ * @param {object} set - A set row (team1_games_won, team2_games_won, tiebreak scores, set_number).
+ * @param {string} scoringType - The meet format's scoring_type.
+ * @returns {number|null} 1 or 2 for the winning team, or null if the set is not complete.
+ */
+const getSetWinner = (set, scoringType) => {
+    const team1Games = set.team1_games_won;
+    const team2Games = set.team2_games_won;
+
+    if (isMatchTiebreakSet(scoringType, set.set_number)) {
+        const team1Points = set.tiebreak_score_team1;
+        const team2Points = set.tiebreak_score_team2;
+        if (team1Points !== null && team1Points !== undefined && team2Points !== null && team2Points !== undefined) {
+            if (team1Points >= MATCH_TIEBREAK_POINTS && team1Points - team2Points >= 2) return 1;
+            if (team2Points >= MATCH_TIEBREAK_POINTS && team2Points - team1Points >= 2) return 2;
+            return null;
+        }
+        if (team1Games === 1 && team2Games === 0) return 1;
+        if (team2Games === 1 && team1Games === 0) return 2;
+        return null;
+    }
+
+    const { gamesPerSet } = getScoringRules(scoringType);
+    const wonSet = (games, opponentGames) =>
+        (games >= gamesPerSet && games - opponentGames >= 2) ||
+        (games === gamesPerSet + 1 && opponentGames === gamesPerSet);
+
+    if (wonSet(team1Games, team2Games)) return 1;
+    if (wonSet(team2Games, team1Games)) return 2;
+    return null;
+};
+
+/**
+ * Computes the match result from its sets.
+ * @param {Array<object>} sets - The match's set rows.
+ * @param {string} scoringType - The meet format's scoring_type.
+ * @returns {number} WINNER_CODES.TEAM1_WIN, WINNER_CODES.TEAM2_WIN or WINNER_CODES.IN_PROGRESS.
+ */
+const computeMatchWinner = (sets, scoringType) => {
+    const { setsToWin } = getScoringRules(scoringType);
+    const orderedSets = [...sets].sort((a, b) => a.set_number - b.set_number);
+    const setsWon = { 1: 0, 2: 0 };
+
+    for (const set of orderedSets) {
+        const setWinner = getSetWinner(set, scoringType);
+        if (setWinner === null) {
+            continue; // Incomplete sets don't count toward the match
+        }
+        setsWon[setWinner]++;
+        if (setsWon[setWinner] >= setsToWin) {
+            return setWinner === 1 ? WINNER_CODES.TEAM1_WIN : WINNER_CODES.TEAM2_WIN;
+        }
+    }
+    return WINNER_CODES.IN_PROGRESS;
+};
+
+/**
+ * Returns the team credited with a line's result.
+ * A forfeit credits the opponent; draws and matches in progress credit neither team.
+ * @param {number} winnerCode - The match's winner_code.
+ * @returns {number|null} 1 or 2 for the team that won the line, or null.
+ */
+const getLineWinner = (winnerCode) => {
+    if (winnerCode === WINNER_CODES.TEAM1_WIN || winnerCode === WINNER_CODES.TEAM2_FORFEIT) return 1;
+    if (winnerCode === WINNER_CODES.TEAM2_WIN || winnerCode === WINNER_CODES.TEAM1_FORFEIT) return 2;
+    return null;
+};
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+/**
+ * Checks that a tiebreak ended legally: the winner reached the target with a two-point lead,
+ * and play stopped as soon as the lead was two (so 9-7 is legal but 10-7 is not in a 7-point tiebreak).
+ * @returns {boolean}
+ */
+const isLegalTiebreak = (winnerPoints, loserPoints, target) => {
+    if (winnerPoints < target || winnerPoints - loserPoints < 2) return false;
+    return winnerPoints === target || winnerPoints - loserPoints === 2;
+};
+
+/**
+ * Validates that a single set holds a legal final score for the scoring type.
+ * Throws an Error whose message starts with 'Invalid set score' and names the broken rule.
+ * @param {object} set - The set (set_number, team1_games_won, team2_games_won, tiebreak_score_team1, tiebreak_score_team2).
+ * @param {string} scoringType - The meet format's scoring_type.
+ */
+const validateSetScore = (set, scoringType) => {
+    const rules = getScoringRules(scoringType);
+    const { set_number, team1_games_won: team1Games, team2_games_won: team2Games } = set;
+    const team1Points = set.tiebreak_score_team1;
+    const team2Points = set.tiebreak_score_team2;
+    const score = `${team1Games}-${team2Games}`;
+    const maxSets = rules.setsToWin * 2 - 1;
+
+    if (!Number.isInteger(set_number) || set_number < 1 || set_number > maxSets) {
+        throw new Error(`Invalid set score: set_number must be between 1 and ${maxSets} for scoring type '${scoringType}'.`);
+    }
+    if (!Number.isInteger(team1Games) || !Number.isInteger(team2Games) || team1Games < 0 || team2Games < 0) {
+        throw new Error('Invalid set score: games won must be non-negative integers.');
+    }
+    if (hasValue(team1Points) !== hasValue(team2Points)) {
+        throw new Error('Invalid set score: tiebreak scores must be provided for both teams or neither.');
+    }
+    const hasTiebreak = hasValue(team1Points);
+    if (hasTiebreak && (!Number.isInteger(team1Points) || !Number.isInteger(team2Points) || team1Points < 0 || team2Points < 0)) {
+        throw new Error('Invalid set score: tiebreak scores must be non-negative integers.');
+    }
+
+    if (isMatchTiebreakSet(scoringType, set_number)) {
+        if (!hasTiebreak) {
+            throw new Error(`Invalid set score: set ${set_number} is a ${MATCH_TIEBREAK_POINTS}-point match tiebreak, so tiebreak_score_team1 and tiebreak_score_team2 are required.`);
+        }
+        const pointsWinner = team1Points > team2Points ? 1 : 2;
+        const [winnerPoints, loserPoints] = pointsWinner === 1 ? [team1Points, team2Points] : [team2Points, team1Points];
+        if (!isLegalTiebreak(winnerPoints, loserPoints, MATCH_TIEBREAK_POINTS)) {
+            throw new Error(`Invalid set score: match tiebreak ${team1Points}-${team2Points} is not a legal final score (first to ${MATCH_TIEBREAK_POINTS} points, win by 2).`);
+        }
+        const expectedGames = pointsWinner === 1 ? '1-0' : '0-1';
+        if (score !== expectedGames) {
+            throw new Error(`Invalid set score: a match tiebreak is recorded as one game to the tiebreak winner (${expectedGames}), not ${score}.`);
+        }
+        return;
+    }
+
+    const { gamesPerSet } = rules;
+    const winnerGames = Math.max(team1Games, team2Games);
+    const loserGames = Math.min(team1Games, team2Games);
+    const isTiebreakSet = winnerGames === gamesPerSet + 1 && loserGames === gamesPerSet;
+    const isLegalScore =
+        (winnerGames === gamesPerSet && loserGames <= gamesPerSet - 2) ||
+        (winnerGames === gamesPerSet + 1 && loserGames === gamesPerSet - 1) ||
+        isTiebreakSet;
+
+    if (!isLegalScore) {
+        throw new Error(`Invalid set score: ${score} is not a legal final score for a ${rules.description}.`);
+    }
+    if (isTiebreakSet && !hasTiebreak) {
+        throw new Error(`Invalid set score: a ${score} set was decided by a tiebreak, so tiebreak_score_team1 and tiebreak_score_team2 are required.`);
+    }
+    if (!isTiebreakSet && hasTiebreak) {
+        throw new Error(`Invalid set score: tiebreak scores are only recorded for ${gamesPerSet + 1}-${gamesPerSet} sets, not ${score}.`);
+    }
+    if (isTiebreakSet) {
+        const setWinner = team1Games > team2Games ? 1 : 2;
+        const [winnerPoints, loserPoints] = setWinner === 1 ? [team1Points, team2Points] : [team2Points, team1Points];
+        if (!isLegalTiebreak(winnerPoints, loserPoints, SET_TIEBREAK_POINTS)) {
+            throw new Error(`Invalid set score: tiebreak ${team1Points}-${team2Points} is not a legal final score for the winner of a ${score} set (first to ${SET_TIEBREAK_POINTS} points, win by 2).`);
+        }
+    }
+};
+
+/**
+ * Validates all sets of a match together: each set must be a legal final score, sets must be
+ * numbered consecutively from 1, and no set may follow the one that decided the match.
+ * Throws an Error whose message starts with 'Invalid set' and names the broken rule.
+ * @param {Array<object>} sets - All sets of the match, including the one being created or updated.
+ * @param {string} scoringType - The meet format's scoring_type.
+ */
+const validateMatchSets = (sets, scoringType) => {
+    const { setsToWin } = getScoringRules(scoringType);
+    const orderedSets = [...sets].sort((a, b) => a.set_number - b.set_number);
+    const setsWon = { 1: 0, 2: 0 };
+    let decidedAfterSet = null;
+
+    orderedSets.forEach((set, index) => {
+        validateSetScore(set, scoringType);
+        if (set.set_number !== index + 1) {
+            throw new Error(`Invalid set: set ${set.set_number} cannot be entered before set ${index + 1}.`);
+        }
+        if (decidedAfterSet !== null) {
+            throw new Error(`Invalid set: the match was already decided after set ${decidedAfterSet}, so set ${set.set_number} cannot be played.`);
+        }
+        const setWinner = getSetWinner(set, scoringType);
+        setsWon[setWinner]++;
+        if (setsWon[setWinner] >= setsToWin) {
+            decidedAfterSet = set.set_number;
+        }
+    });
+};
+
+module.exports = {
+    WINNER_CODES,
+    SCORING_TYPES,
+    getScoringRules,
+    isMatchTiebreakSet,
+    getSetWinner,
+    computeMatchWinner,
+    getLineWinner,
+    validateSetScore,
+    validateMatchSets,
+};
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const db = require('../db');
+const { SESSION_TABLE, SESSION_MAX_AGE_MS } = require('../config/session');
+
+// Lists and revokes the login sessions kept in the session store.
+// Sessions are identified to users by a hash of the session ID, never the ID itself,
+// since anyone holding a session ID could use it as a login cookie.
+
+const sessionHash = (sid) => crypto.createHash('sha256').update(sid).digest('hex');
+
+/**
+ * Stores details about the login in the session, for the session list. Call after req.login.
+ * @param {object} req - The request that logged the user in.
+ */
+const recordLoginDetails = (req) => {
+    req.session.login_at = new Date().toISOString();
+    req.session.user_agent = req.get('user-agent') || null;
+    req.session.ip_address = req.ip || null;
+};
+
+const formatSession = (row, currentSid) => {
+    const expiresAt = new Date(row.expire);
+    return {
+        id: sessionHash(row.sid),
+        current: row.sid === currentSid,
+        login_at: row.sess.login_at || null,
+        // The expiry is pushed back on every request, so it shows when the session was last used
+        last_seen_at: new Date(expiresAt.getTime() - SESSION_MAX_AGE_MS).toISOString(),
+        expires_at: expiresAt.toISOString(),
+        user_agent: row.sess.user_agent || null,
+        ip_address: row.sess.ip_address || null,
+    };
+};
+
+/**
+ * Fetches a user's active sessions, most recently used first.
+ * @param {number} userId - The ID of the user.
+ * @param {string} [currentSid] - The session ID of the request, to mark the current session.
+ * @returns {Promise<Array<object>>} The sessions.
+ */
+const getSessionsForUser = async (userId, currentSid) => {
+    try {
+        const result = await db.query(
+            `SELECT sid, sess, expire FROM ${SESSION_TABLE} WHERE user_id = $1 AND expire >= NOW() ORDER BY expire DESC`,
+            [userId]
+        );
+        return result.rows.map((row) => formatSession(row, currentSid));
+    } catch (err) {
+        console.error(`Error fetching sessions for user ID ${userId}:`, err);
+        throw new Error('Database error fetching sessions.');
+    }
+};
+
+/**
+ * Revokes one of a user's sessions.
+ * @param {number} userId - The ID of the user.
+ * @param {string} sessionId - The session's public ID (as listed by getSessionsForUser).
+ * @returns {Promise<boolean>} false if the user has no such session.
+ */
+const revokeSession = async (userId, sessionId) => {
+    try {
+        const result = await db.query(`SELECT sid FROM ${SESSION_TABLE} WHERE user_id = $1`, [userId]);
+        const match = result.rows.find((row) => sessionHash(row.sid) === sessionId);
+        if (!match) {
+            return false;
+        }
+        await db.query(`DELETE FROM ${SESSION_TABLE} WHERE sid = $1`, [match.sid]);
+        return true;
+    } catch (err) {
+        console.error(`Error revoking session for user ID ${userId}:`, err);
+        throw new Error('Database error revoking session.');
+    }
+};
+
+/**
+ * Revokes all of a user's sessions, optionally keeping one.
+ * @param {number} userId - The ID of the user.
+ * @param {string} [exceptSid] - A session ID to keep (e.g. the current session).
+ * @returns {Promise<number>} The number of sessions revoked.
+ */
+const revokeSessionsForUser = async (userId, exceptSid) => {
+    try {
+        const result = await db.query(
+            `DELETE FROM ${SESSION_TABLE} WHERE user_id = $1 AND sid IS DISTINCT FROM $2`,
+            [userId, exceptSid || null]
+        );
+        return result.rowCount;
+    } catch (err) {
+        console.error(`Error revoking sessions for user ID ${userId}:`, err);
+        throw new Error('Database error revoking sessions.');
+    }
+};
+
+module.exports = {
+    recordLoginDetails,
+    getSessionsForUser,
+    revokeSession,
+    revokeSessionsForUser,
+};
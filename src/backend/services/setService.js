@@ -1,13 +1,45 @@
 const db = require('../db');
+const matchService = require('./matchService'); // Keeps matches.winner_code in sync with the sets
+const meetService = require('./meetService'); // Finalized meets cannot be changed
+const { validateMatchSets } = require('./scoringService');
+
+/**
+ * Loads the scoring type of a match's meet format and the match's existing sets.
+ * @param {number} matchId - The ID of the match.
+ * @returns {Promise<object|undefined>} { scoringType, sets } or undefined if the match does not exist.
+ */
+const getMatchScoringContext = async (matchId) => {
+    const formatQuery = `
+        SELECT mf.scoring_type
+        FROM matches m
+        JOIN meets mt ON m.meet_id = mt.id
+        JOIN meet_formats mf ON mt.meet_format_id = mf.id
+        WHERE m.id = $1;
+    `;
+    try {
+        const formatResult = await db.query(formatQuery, [matchId]);
+        if (formatResult.rows.length === 0) {
+            return undefined;
+        }
+        const setsResult = await db.query('SELECT * FROM sets WHERE match_id = $1 ORDER BY set_number ASC', [matchId]);
+        return { scoringType: formatResult.rows[0].scoring_type, sets: setsResult.rows };
+    } catch (err) {
+        console.error(`Error loading scoring context for match ID ${matchId}:`, err);
+        throw new Error('Database error loading match scoring rules.');
+    }
+};
 
 /**
  * Creates a new set record for a match.
+ * The score is validated against the meet format's scoring type and the match's other sets,
+ * and the match winner is recomputed afterwards.
  * @param {object} setData - Data for the new set.
  *   Required: match_id, set_number, team1_games_won, team2_games_won.
  *   Optional: tiebreak_score_team1, tiebreak_score_team2.
+ * @param {object} [options] - { overrideReason } to change a finalized meet (Admin).
  * @returns {Promise<object>} The newly created set object.
  */
-const createSet = async (setData) => {
+const createSet = async (setData, options = {}) => {
     const { match_id, set_number, team1_games_won, team2_games_won, tiebreak_score_team1, tiebreak_score_team2 } = setData;
 
     // Basic validation
@@ -17,8 +49,16 @@ const createSet = async (setData) => {
     if (typeof match_id !== 'number' || typeof set_number !== 'number' || typeof team1_games_won !== 'number' || typeof team2_games_won !== 'number') {
         throw new Error('Invalid data type for required fields (must be numbers).');
     }
-     // Add more validation: check match_id exists? check games_won are non-negative (schema does this)?
-     // Validate tiebreak scores if provided?
+    await meetService.ensureMatchEditable(match_id, options);
+
+    const scoringContext = await getMatchScoringContext(match_id);
+    if (!scoringContext) {
+        throw new Error(`Foreign key constraint violation: Match with ID ${match_id} does not exist.`);
+    }
+    if (scoringContext.sets.some((set) => set.set_number === set_number)) {
+        throw new Error(`Set number ${set_number} already exists for match ID ${match_id}.`);
+    }
+    validateMatchSets([...scoringContext.sets, setData], scoringContext.scoringType);
 
     const queryText = `
         INSERT INTO sets (match_id, set_number, team1_games_won, team2_games_won, tiebreak_score_team1, tiebreak_score_team2, created_at, updated_at)
@@ -34,9 +74,10 @@ const createSet = async (setData) => {
         tiebreak_score_team2 === undefined ? null : tiebreak_score_team2
     ];
 
+    let newSet;
     try {
         const result = await db.query(queryText, values);
-        return result.rows[0];
+        newSet = result.rows[0];
     } catch (err) {
         console.error('Error creating set:', err);
         if (err.code === '23503') { // Foreign key violation (match_id)
@@ -50,6 +91,9 @@ const createSet = async (setData) => {
         }
         throw new Error('Database error creating set.');
     }
+
+    await matchService.recalculateMatchWinner(newSet.match_id);
+    return newSet;
 };
 
 /**
@@ -91,12 +135,14 @@ const getSetById = async (setId) => {
 
 /**
  * Updates an existing set.
- * Can update scores.
+ * Can update scores. The updated score is validated like a new set,
+ * and the match winner is recomputed afterwards.
  * @param {number} setId - The ID of the set to update.
  * @param {object} updateData - Fields to update (team1_games_won, team2_games_won, tiebreak scores).
+ * @param {object} [options] - { overrideReason } to change a finalized meet (Admin).
  * @returns {Promise<object|undefined>} The updated set object or undefined if not found.
  */
-const updateSet = async (setId, updateData) => {
+const updateSet = async (setId, updateData, options = {}) => {
     const { team1_games_won, team2_games_won, tiebreak_score_team1, tiebreak_score_team2 } = updateData;
     const fields = [];
     const values = [];
@@ -119,6 +165,19 @@ const updateSet = async (setId, updateData) => {
         return getSetById(setId); // Nothing to update
     }
 
+    const existingSet = await getSetById(setId);
+    if (!existingSet) {
+        return undefined; // Set not found
+    }
+    await meetService.ensureMatchEditable(existingSet.match_id, options);
+    const scoringContext = await getMatchScoringContext(existingSet.match_id);
+    const mergedSet = { ...existingSet };
+    ['team1_games_won', 'team2_games_won', 'tiebreak_score_team1', 'tiebreak_score_team2'].forEach((field) => {
+        if (updateData[field] !== undefined) mergedSet[field] = updateData[field];
+    });
+    const otherSets = scoringContext.sets.filter((set) => set.id !== setId);
+    validateMatchSets([...otherSets, mergedSet], scoringContext.scoringType);
+
     fields.push(`updated_at = NOW()`);
     values.push(setId); // For WHERE clause
 
@@ -129,13 +188,13 @@ const updateSet = async (setId, updateData) => {
         RETURNING *;
     `;
 
+    let updatedSet;
     try {
-         // Add validation: games_won non-negative? tiebreak scores valid?
         const result = await db.query(queryText, values);
         if (result.rowCount === 0) {
             return undefined; // Set not found
         }
-        return result.rows[0];
+        updatedSet = result.rows[0];
     } catch (err) {
         console.error(`Error updating set with ID ${setId}:`, err);
         if (err.code === '23514') { // Check constraint violation
@@ -143,32 +202,48 @@ const updateSet = async (setId, updateData) => {
         }
         throw new Error('Database error updating set.');
     }
+
+    await matchService.recalculateMatchWinner(updatedSet.match_id);
+    return updatedSet;
 };
 
 /**
  * Deletes a set by its ID.
+ * The sets left must still be valid (so only the last set can go), and the match winner is recomputed afterwards.
  * @param {number} setId - The ID of the set to delete.
+ * @param {object} [options] - { overrideReason } to change a finalized meet (Admin).
  * @returns {Promise<object|undefined>} The deleted set object or undefined if not found.
  */
-const deleteSet = async (setId) => {
+const deleteSet = async (setId, options = {}) => {
     const selectQuery = 'SELECT * FROM sets WHERE id = $1';
     const deleteQuery = 'DELETE FROM sets WHERE id = $1';
     const values = [setId];
 
+    const existingSet = await getSetById(setId);
+    if (existingSet) {
+        await meetService.ensureMatchEditable(existingSet.match_id, options);
+        const scoringContext = await getMatchScoringContext(existingSet.match_id);
+        const remainingSets = scoringContext.sets.filter((set) => set.id !== setId);
+        validateMatchSets(remainingSets, scoringContext.scoringType);
+    }
+
+    let setToDelete;
     try {
         const setResult = await db.query(selectQuery, values);
-        const setToDelete = setResult.rows[0];
+        setToDelete = setResult.rows[0];
 
         if (!setToDelete) {
             return undefined; // Not found
         }
 
         await db.query(deleteQuery, values);
-        return setToDelete; // Return deleted data
     } catch (err) {
         console.error(`Error deleting set with ID ${setId}:`, err);
         throw new Error('Database error deleting set.');
     }
+
+    await matchService.recalculateMatchWinner(setToDelete.match_id);
+    return setToDelete; // Return deleted data
 };
 
 module.exports = {
@@ -0,0 +1,258 @@
+const db = require('../db');
+const { getLineWinner, getSetWinner, isMatchTiebreakSet } = require('./scoringService');
+const { TEAM_LEVELS, TEAM_GENDERS } = require('./teamService');
+
+// Season standings: teams are ranked by meet wins within their level and gender (boys' varsity,
+// girls' JV, ...). Filtering by school keeps each team's rank within the whole level and gender.
+// Only completed and finalized meets count, so postponed, suspended and cancelled meets never do.
+// Teams level on meet wins are separated by the tiebreakers, applied in order; whenever a
+// tiebreaker splits a group, each smaller group that is still tied starts again from the first
+// tiebreaker (so head-to-head is re-evaluated among fewer teams).
+
+// Supported tiebreakers, in the default order
+const TIEBREAKERS = ['head_to_head', 'matches_won', 'sets_won', 'games_won'];
+
+/**
+ * Parses a comma-separated tiebreaker list (e.g. from ?tiebreakers=).
+ * @param {string|undefined} value - The list, or undefined for the default order.
+ * @returns {Array<string>} The tiebreakers in order.
+ */
+const parseTiebreakers = (value) => {
+    if (value === undefined) {
+        return TIEBREAKERS;
+    }
+    const tiebreakers = value.split(',').map((item) => item.trim()).filter((item) => item !== '');
+    tiebreakers.forEach((tiebreaker) => {
+        if (!TIEBREAKERS.includes(tiebreaker)) {
+            throw new Error(`Invalid tiebreaker '${tiebreaker}'. Must be one of: ${TIEBREAKERS.join(', ')}.`);
+        }
+    });
+    if (new Set(tiebreakers).size !== tiebreakers.length) {
+        throw new Error('Invalid tiebreakers: each tiebreaker may only be listed once.');
+    }
+    return tiebreakers;
+};
+
+const emptyRow = (team) => ({
+    team_id: team.id,
+    team_name: team.name,
+    level: team.level,
+    gender: team.gender,
+    school_id: team.school_id,
+    meets_played: 0,
+    wins: 0,
+    losses: 0,
+    ties: 0,
+    matches_won: 0,
+    matches_lost: 0,
+    sets_won: 0,
+    sets_lost: 0,
+    games_won: 0,
+    games_lost: 0,
+});
+
+/**
+ * Meet wins among a group of teams, counting only meets played between them.
+ * @returns {Map<number, number>} Team ID to head-to-head meet wins.
+ */
+const getHeadToHeadWins = (teamIds, meets) => {
+    const wins = new Map(teamIds.map((teamId) => [teamId, 0]));
+    meets.forEach((meet) => {
+        if (wins.has(meet.team1_id) && wins.has(meet.team2_id) && meet.winner_team_id !== null) {
+            wins.set(meet.winner_team_id, wins.get(meet.winner_team_id) + 1);
+        }
+    });
+    return wins;
+};
+
+/**
+ * Orders a group of teams that are level on meet wins.
+ * @param {Array<object>} rows - Standings rows that are tied.
+ * @param {Array<string>} tiebreakers - The tiebreakers still to apply to this group.
+ * @param {Array<string>} allTiebreakers - The full tiebreaker order, restarted when a group splits.
+ * @param {Array<object>} meets - The completed meets, for head-to-head.
+ * @returns {Array<Array<object>>} Ordered groups; teams in the same group remain tied.
+ */
+const breakTies = (rows, tiebreakers, allTiebreakers, meets) => {
+    if (rows.length === 1 || tiebreakers.length === 0) {
+        return [rows];
+    }
+    const [tiebreaker, ...remaining] = tiebreakers;
+
+    let valueOf;
+    if (tiebreaker === 'head_to_head') {
+        const headToHeadWins = getHeadToHeadWins(rows.map((row) => row.team_id), meets);
+        valueOf = (row) => headToHeadWins.get(row.team_id);
+    } else {
+        valueOf = (row) => row[tiebreaker];
+    }
+
+    const groups = new Map();
+    rows.forEach((row) => {
+        const value = valueOf(row);
+        if (!groups.has(value)) groups.set(value, []);
+        groups.get(value).push(row);
+    });
+    if (groups.size === 1) {
+        return breakTies(rows, remaining, allTiebreakers, meets);
+    }
+
+    return [...groups.entries()]
+        .sort(([a], [b]) => b - a)
+        .flatMap(([, group]) => breakTies(group, allTiebreakers, allTiebreakers, meets));
+};
+
+/**
+ * Ranks the standings rows of one level and gender.
+ * Teams still tied after every tiebreaker share a rank and are listed by name.
+ * @returns {Array<object>} The rows in order, each with its rank.
+ */
+const rankRows = (rows, tiebreakers, meets) => {
+    const byWins = new Map();
+    rows.forEach((row) => {
+        if (!byWins.has(row.wins)) byWins.set(row.wins, []);
+        byWins.get(row.wins).push(row);
+    });
+
+    const tiedGroups = [...byWins.entries()]
+        .sort(([a], [b]) => b - a)
+        .flatMap(([, group]) => breakTies(group, tiebreakers, tiebreakers, meets));
+
+    const ranked = [];
+    tiedGroups.forEach((group) => {
+        const rank = ranked.length + 1;
+        [...group]
+            .sort((a, b) => a.team_name.localeCompare(b.team_name))
+            .forEach((row) => ranked.push({ rank, ...row }));
+    });
+    return ranked;
+};
+
+/**
+ * Computes the standings of a season, one table per team level and gender, ordered as TEAM_LEVELS then TEAM_GENDERS.
+ * Every team with a meet in the season is listed, including teams yet to complete a meet.
+ * @param {number} seasonId - The ID of the season.
+ * @param {object} options - { tiebreakers: Array<string>, level: string, gender: string, school_id: number } (all optional).
+ * @returns {Promise<object|undefined>} { season, tiebreakers, tables } or undefined if the season is not found.
+ */
+const getSeasonStandings = async (seasonId, options = {}) => {
+    const tiebreakers = options.tiebreakers || TIEBREAKERS;
+    const { level, gender, school_id: schoolId } = options;
+    if (level !== undefined && !TEAM_LEVELS.includes(level)) {
+        throw new Error(`Invalid level '${level}'. Must be one of: ${TEAM_LEVELS.join(', ')}.`);
+    }
+    if (gender !== undefined && !TEAM_GENDERS.includes(gender)) {
+        throw new Error(`Invalid gender '${gender}'. Must be one of: ${TEAM_GENDERS.join(', ')}.`);
+    }
+
+    let season, teams, meets, matches, sets;
+    try {
+        const seasonResult = await db.query('SELECT * FROM seasons WHERE id = $1', [seasonId]);
+        season = seasonResult.rows[0];
+        if (!season) {
+            return undefined;
+        }
+
+        const teamsResult = await db.query(
+            `SELECT DISTINCT t.id, t.name, t.level, t.gender, t.school_id
+             FROM teams t
+             JOIN meets m ON t.id IN (m.team1_id, m.team2_id)
+             WHERE m.season_id = $1;`,
+            [seasonId]
+        );
+        teams = teamsResult.rows;
+
+        const meetsResult = await db.query(
+            `SELECT m.id, m.team1_id, m.team2_id, m.winner_team_id, mf.scoring_type
+             FROM meets m
+             JOIN meet_formats mf ON m.meet_format_id = mf.id
+             WHERE m.season_id = $1 AND m.status IN ('completed', 'finalized');`,
+            [seasonId]
+        );
+        meets = meetsResult.rows;
+
+        const meetIds = meets.map((meet) => meet.id);
+        const matchesResult = await db.query('SELECT id, meet_id, winner_code FROM matches WHERE meet_id = ANY($1::int[]);', [meetIds]);
+        matches = matchesResult.rows;
+        const setsResult = await db.query(
+            `SELECT s.* FROM sets s JOIN matches m ON s.match_id = m.id WHERE m.meet_id = ANY($1::int[]);`,
+            [meetIds]
+        );
+        sets = setsResult.rows;
+    } catch (err) {
+        console.error(`Error fetching standings data for season ID ${seasonId}:`, err);
+        throw new Error('Database error fetching standings.');
+    }
+
+    const rows = new Map(teams.map((team) => [team.id, emptyRow(team)]));
+    const meetsById = new Map(meets.map((meet) => [meet.id, meet]));
+    const matchesById = new Map(matches.map((match) => [match.id, match]));
+
+    // Adds a result for the meet's team 1 (side 1) or team 2 (side 2)
+    const credit = (meet, side, field, amount = 1) => {
+        const teamId = side === 1 ? meet.team1_id : meet.team2_id;
+        rows.get(teamId)[field] += amount;
+    };
+
+    meets.forEach((meet) => {
+        credit(meet, 1, 'meets_played');
+        credit(meet, 2, 'meets_played');
+        if (meet.winner_team_id === null) {
+            credit(meet, 1, 'ties');
+            credit(meet, 2, 'ties');
+        } else {
+            const winnerSide = meet.winner_team_id === meet.team1_id ? 1 : 2;
+            credit(meet, winnerSide, 'wins');
+            credit(meet, 3 - winnerSide, 'losses');
+        }
+    });
+
+    matches.forEach((match) => {
+        const lineWinner = getLineWinner(match.winner_code);
+        if (lineWinner !== null) {
+            const meet = meetsById.get(match.meet_id);
+            credit(meet, lineWinner, 'matches_won');
+            credit(meet, 3 - lineWinner, 'matches_lost');
+        }
+    });
+
+    sets.forEach((set) => {
+        const meet = meetsById.get(matchesById.get(set.match_id).meet_id);
+        const setWinner = getSetWinner(set, meet.scoring_type);
+        if (setWinner === null) {
+            return; // Unfinished sets are left out
+        }
+        credit(meet, setWinner, 'sets_won');
+        credit(meet, 3 - setWinner, 'sets_lost');
+        // A match tiebreak's 1-0 game score is not counted as games
+        if (!isMatchTiebreakSet(meet.scoring_type, set.set_number)) {
+            credit(meet, 1, 'games_won', set.team1_games_won);
+            credit(meet, 1, 'games_lost', set.team2_games_won);
+            credit(meet, 2, 'games_won', set.team2_games_won);
+            credit(meet, 2, 'games_lost', set.team1_games_won);
+        }
+    });
+
+    const levels = level === undefined ? TEAM_LEVELS : [level];
+    const genders = gender === undefined ? TEAM_GENDERS : [gender];
+    const tables = levels
+        .flatMap((tableLevel) => genders.map((tableGender) => {
+            const tableRows = [...rows.values()].filter((row) => row.level === tableLevel && row.gender === tableGender);
+            const ranked = rankRows(tableRows, tiebreakers, meets);
+            return {
+                level: tableLevel,
+                gender: tableGender,
+                standings: schoolId === undefined ? ranked : ranked.filter((row) => row.school_id === schoolId),
+            };
+        }))
+        // An empty table is only kept when the filters ask for exactly that table
+        .filter((table) => table.standings.length > 0 || (level !== undefined && gender !== undefined));
+
+    return { season, tiebreakers, tables };
+};
+
+module.exports = {
+    TIEBREAKERS,
+    parseTiebreakers,
+    getSeasonStandings,
+};
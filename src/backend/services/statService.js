@@ -0,0 +1,249 @@
+const db = require('../db');
+const meetService = require('./meetService'); // Finalized meets cannot be changed
+
+// Service functions for per-player, per-match stats.
+// Stat keys come from the stat_definitions catalogue; values are numeric and checked
+// against the definition's value_type ('count' or 'percentage').
+
+// pg returns NUMERIC columns as strings; stats are always sent back as numbers
+const formatStat = (row) => ({ ...row, stat_value: Number(row.stat_value) });
+
+/**
+ * Fetches the catalogue of stats that can be recorded.
+ * @returns {Promise<Array<object>>} An array of stat definitions in display order.
+ */
+const getStatDefinitions = async () => {
+    try {
+        const result = await db.query('SELECT * FROM stat_definitions ORDER BY sort_order ASC, stat_key ASC');
+        return result.rows;
+    } catch (err) {
+        console.error('Error fetching stat definitions:', err);
+        throw new Error('Database error fetching stat definitions.');
+    }
+};
+
+/**
+ * Validates a stat value against its definition.
+ * @param {object} definition - The stat definition.
+ * @param {*} value - The value to validate.
+ */
+const validateStatValue = (definition, value) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`Invalid stat_value for '${definition.stat_key}'. Must be a number.`);
+    }
+    if (definition.value_type === 'count' && (!Number.isInteger(value) || value < 0)) {
+        throw new Error(`Invalid stat_value for '${definition.stat_key}'. Must be a whole number of 0 or more.`);
+    }
+    if (definition.value_type === 'percentage' && (value < 0 || value > 100)) {
+        throw new Error(`Invalid stat_value for '${definition.stat_key}'. Must be a percentage between 0 and 100.`);
+    }
+};
+
+/**
+ * Validates a batch of stat entries for one match.
+ * Every entry needs a catalogued stat_key, a valid value, and a player who played in the match.
+ * @param {number} matchId - The ID of the match.
+ * @param {Array<object>} entries - Entries of { player_id, stat_key, stat_value }.
+ */
+const validateStatEntries = async (matchId, entries) => {
+    const matchResult = await db.query('SELECT * FROM matches WHERE id = $1', [matchId]);
+    const match = matchResult.rows[0];
+    if (!match) {
+        throw new Error(`Match with ID ${matchId} does not exist.`);
+    }
+    const matchPlayerIds = [match.team1_player1_id, match.team1_player2_id, match.team2_player1_id, match.team2_player2_id]
+        .filter((playerId) => playerId !== null);
+
+    const definitions = await getStatDefinitions();
+    const definitionsByKey = new Map(definitions.map((definition) => [definition.stat_key, definition]));
+    const seen = new Set();
+
+    entries.forEach((entry) => {
+        const { player_id, stat_key, stat_value } = entry;
+        if (player_id === undefined || stat_key === undefined || stat_value === undefined) {
+            throw new Error('Missing required fields: player_id, stat_key, stat_value');
+        }
+        const definition = definitionsByKey.get(stat_key);
+        if (!definition) {
+            throw new Error(`Invalid stat_key '${stat_key}'. Must be one of: ${definitions.map((d) => d.stat_key).join(', ')}.`);
+        }
+        validateStatValue(definition, stat_value);
+        if (!matchPlayerIds.includes(player_id)) {
+            throw new Error(`Invalid player_id ${player_id}. The player did not play in match ID ${matchId}.`);
+        }
+        const entryKey = `${player_id}:${stat_key}`;
+        if (seen.has(entryKey)) {
+            throw new Error(`Invalid stats: '${stat_key}' is listed more than once for player ID ${player_id}.`);
+        }
+        seen.add(entryKey);
+    });
+};
+
+const upsertQuery = `
+    INSERT INTO stats (match_id, player_id, stat_key, stat_value, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, NOW(), NOW())
+    ON CONFLICT (match_id, player_id, stat_key)
+    DO UPDATE SET stat_value = EXCLUDED.stat_value, updated_at = NOW()
+    RETURNING *;
+`;
+
+/**
+ * Records a single stat for a player in a match.
+ * An existing value for the same player, match and stat is replaced.
+ * @param {object} statData - { match_id, player_id, stat_key, stat_value }.
+ * @param {object} [options] - { overrideReason } to change a finalized meet (Admin).
+ * @returns {Promise<object>} The stored stat.
+ */
+const recordStat = async (statData, options = {}) => {
+    const { match_id, player_id, stat_key, stat_value } = statData;
+    await validateStatEntries(match_id, [{ player_id, stat_key, stat_value }]);
+    await meetService.ensureMatchEditable(match_id, options);
+
+    try {
+        const result = await db.query(upsertQuery, [match_id, player_id, stat_key, stat_value]);
+        return formatStat(result.rows[0]);
+    } catch (err) {
+        console.error('Error recording stat:', err);
+        if (err.code === '23503') { // Foreign key violation (player deleted meanwhile)
+            throw new Error(`Foreign key constraint violation. Check that player ID ${player_id} exists.`);
+        }
+        throw new Error('Database error recording stat.');
+    }
+};
+
+/**
+ * Records many stats for a match at once, e.g. a scorer's sheet for every player.
+ * All entries are validated before anything is written, and they are stored in one transaction.
+ * @param {number} matchId - The ID of the match.
+ * @param {Array<object>} entries - Entries of { player_id, stat_key, stat_value }.
+ * @param {object} [options] - { overrideReason } to change a finalized meet (Admin).
+ * @returns {Promise<Array<object>>} The stored stats.
+ */
+const recordMatchStats = async (matchId, entries, options = {}) => {
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('Missing required field: stats (a non-empty array)');
+    }
+    await validateStatEntries(matchId, entries);
+    await meetService.ensureMatchEditable(matchId, options);
+
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        const stored = [];
+        for (const { player_id, stat_key, stat_value } of entries) {
+            const result = await client.query(upsertQuery, [matchId, player_id, stat_key, stat_value]);
+            stored.push(formatStat(result.rows[0]));
+        }
+        await client.query('COMMIT');
+        return stored;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(`Error recording stats for match ID ${matchId}:`, err);
+        throw new Error('Database error recording match stats.');
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Fetches the stats recorded for a match, optionally for one player.
+ * @param {number} matchId - The ID of the match.
+ * @param {object} filters - Optional filters (e.g., { player_id: number }).
+ * @returns {Promise<Array<object>>} An array of stats with their labels.
+ */
+const getStatsByMatchId = async (matchId, filters = {}) => {
+    let queryText = `
+        SELECT s.*, sd.label, sd.value_type
+        FROM stats s
+        JOIN stat_definitions sd ON s.stat_key = sd.stat_key
+        WHERE s.match_id = $1
+    `;
+    const values = [matchId];
+    if (filters.player_id) {
+        queryText += ' AND s.player_id = $2';
+        values.push(filters.player_id);
+    }
+    queryText += ' ORDER BY s.player_id ASC, sd.sort_order ASC;';
+
+    try {
+        const result = await db.query(queryText, values);
+        return result.rows.map(formatStat);
+    } catch (err) {
+        console.error(`Error fetching stats for match ID ${matchId}:`, err);
+        throw new Error('Database error fetching stats.');
+    }
+};
+
+/**
+ * Fetches a single stat by its ID.
+ * @param {number} statId - The ID of the stat.
+ * @returns {Promise<object|undefined>} The stat or undefined if not found.
+ */
+const getStatById = async (statId) => {
+    try {
+        const result = await db.query('SELECT * FROM stats WHERE id = $1', [statId]);
+        return result.rows[0] && formatStat(result.rows[0]);
+    } catch (err) {
+        console.error(`Error fetching stat with ID ${statId}:`, err);
+        throw new Error('Database error fetching stat by ID.');
+    }
+};
+
+/**
+ * Updates the value of an existing stat.
+ * @param {number} statId - The ID of the stat.
+ * @param {object} updateData - { stat_value }.
+ * @param {object} [options] - { overrideReason } to change a finalized meet (Admin).
+ * @returns {Promise<object|undefined>} The updated stat or undefined if not found.
+ */
+const updateStat = async (statId, updateData, options = {}) => {
+    const { stat_value } = updateData;
+    const existing = await getStatById(statId);
+    if (!existing) {
+        return undefined;
+    }
+    await meetService.ensureMatchEditable(existing.match_id, options);
+    const definitionResult = await db.query('SELECT * FROM stat_definitions WHERE stat_key = $1', [existing.stat_key]);
+    validateStatValue(definitionResult.rows[0], stat_value);
+
+    try {
+        const result = await db.query(
+            'UPDATE stats SET stat_value = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+            [stat_value, statId]
+        );
+        return formatStat(result.rows[0]);
+    } catch (err) {
+        console.error(`Error updating stat with ID ${statId}:`, err);
+        throw new Error('Database error updating stat.');
+    }
+};
+
+/**
+ * Deletes a stat by its ID.
+ * @param {number} statId - The ID of the stat.
+ * @param {object} [options] - { overrideReason } to change a finalized meet (Admin).
+ * @returns {Promise<object|undefined>} The deleted stat or undefined if not found.
+ */
+const deleteStat = async (statId, options = {}) => {
+    const existing = await getStatById(statId);
+    if (existing) {
+        await meetService.ensureMatchEditable(existing.match_id, options);
+    }
+    try {
+        const result = await db.query('DELETE FROM stats WHERE id = $1 RETURNING *', [statId]);
+        return result.rows[0] && formatStat(result.rows[0]);
+    } catch (err) {
+        console.error(`Error deleting stat with ID ${statId}:`, err);
+        throw new Error('Database error deleting stat.');
+    }
+};
+
+module.exports = {
+    getStatDefinitions,
+    recordStat,
+    recordMatchStats,
+    getStatsByMatchId,
+    getStatById,
+    updateStat,
+    deleteStat,
+};
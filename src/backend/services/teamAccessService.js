@@ -0,0 +1,176 @@
+const db = require('../db');
+
+// Works out which teams a record belongs to, so team staff can be limited to their own teams' data.
+// Each resolver returns an array of team IDs, or undefined if the record does not exist
+// (the route then answers 404 as usual). The meet resolvers at the end work the same way, for
+// API tokens limited to one meet.
+
+// Team staff roles (team_staff.role) and what each lets its holder change for the team:
+// - manage_team: the team's details and staff
+// - manage_roster: players, season rosters and invites
+// - manage_captains: appointing the season's captains
+// - manage_schedule: meets, their lines and schedule changes
+// - enter_scores: lineups, line results, sets and stats
+// - confirm_results: submitting, confirming and disputing meet results
+const STAFF_PERMISSIONS = {
+    head_coach: ['manage_team', 'manage_roster', 'manage_captains', 'manage_schedule', 'enter_scores', 'confirm_results'],
+    assistant_coach: ['manage_roster', 'manage_captains', 'manage_schedule', 'enter_scores', 'confirm_results'],
+    manager: ['manage_roster', 'manage_schedule'],
+    scorekeeper: ['enter_scores'],
+};
+const STAFF_ROLES = Object.keys(STAFF_PERMISSIONS);
+const PERMISSIONS = STAFF_PERMISSIONS.head_coach;
+
+/**
+ * Fetches the IDs of the teams a user is on the staff of, with a role granting the permission.
+ * @param {number} userId - The ID of the user.
+ * @param {string} [permission] - One of PERMISSIONS; omit for every team the user is on the staff of.
+ * @returns {Promise<Array<number>>} The team IDs.
+ */
+const getStaffTeamIds = async (userId, permission) => {
+    const roles = permission === undefined
+        ? STAFF_ROLES
+        : STAFF_ROLES.filter((role) => STAFF_PERMISSIONS[role].includes(permission));
+    try {
+        const result = await db.query('SELECT team_id FROM team_staff WHERE user_id = $1 AND role = ANY($2::text[])', [userId, roles]);
+        return result.rows.map((row) => row.team_id);
+    } catch (err) {
+        console.error(`Error fetching staff teams for user ID ${userId}:`, err);
+        throw new Error('Database error fetching staff teams.');
+    }
+};
+
+/**
+ * Fetches the IDs of the teams in a meet that a user captains in the meet's season.
+ * Captains may enter scores for their own team's meets.
+ * @param {number} userId - The ID of the user.
+ * @param {number} meetId - The ID of the meet.
+ * @returns {Promise<Array<number>>} The team IDs (empty if the user captains neither team).
+ */
+const getCaptainTeamIdsForMeet = async (userId, meetId) => {
+    try {
+        const result = await db.query(
+            `SELECT r.team_id
+             FROM meets m
+             JOIN roster_entries r ON r.team_id IN (m.team1_id, m.team2_id) AND r.season_id = m.season_id
+             JOIN players p ON r.player_id = p.id
+             WHERE m.id = $1 AND p.user_id = $2 AND r.is_captain`,
+            [meetId, userId]
+        );
+        return result.rows.map((row) => row.team_id);
+    } catch (err) {
+        console.error(`Error fetching captaincies of user ID ${userId} for meet ID ${meetId}:`, err);
+        throw new Error('Database error fetching captaincies.');
+    }
+};
+
+// Runs a query returning ID columns for one record; undefined when there is no row
+const queryIds = async (queryText, values, description) => {
+    try {
+        const result = await db.query(queryText, values);
+        const row = result.rows[0];
+        if (!row) {
+            return undefined;
+        }
+        return Object.values(row).filter((teamId) => teamId !== null);
+    } catch (err) {
+        console.error(`Error resolving access for ${description}:`, err);
+        throw new Error('Database error resolving team access.');
+    }
+};
+
+/**
+ * The team itself, if it exists.
+ * @param {number} teamId - The ID of the team.
+ */
+const getTeamIdsForTeam = (teamId) =>
+    queryIds('SELECT id FROM teams WHERE id = $1', [teamId], `team ID ${teamId}`);
+
+/**
+ * The team a player is on (an empty array for a player not on any team).
+ * @param {number} playerId - The ID of the player.
+ */
+const getTeamIdsForPlayer = (playerId) =>
+    queryIds('SELECT team_id FROM players WHERE id = $1', [playerId], `player ID ${playerId}`);
+
+/**
+ * The two teams playing a meet.
+ * @param {number} meetId - The ID of the meet.
+ */
+const getTeamIdsForMeet = (meetId) =>
+    queryIds('SELECT team1_id, team2_id FROM meets WHERE id = $1', [meetId], `meet ID ${meetId}`);
+
+/**
+ * The two teams playing the meet a match belongs to.
+ * @param {number} matchId - The ID of the match.
+ */
+const getTeamIdsForMatch = (matchId) =>
+    queryIds(
+        `SELECT mt.team1_id, mt.team2_id FROM matches m JOIN meets mt ON m.meet_id = mt.id WHERE m.id = $1`,
+        [matchId],
+        `match ID ${matchId}`
+    );
+
+/**
+ * The two teams playing the meet a set was played in.
+ * @param {number} setId - The ID of the set.
+ */
+const getTeamIdsForSet = (setId) =>
+    queryIds(
+        `SELECT mt.team1_id, mt.team2_id
+         FROM sets s JOIN matches m ON s.match_id = m.id JOIN meets mt ON m.meet_id = mt.id
+         WHERE s.id = $1`,
+        [setId],
+        `set ID ${setId}`
+    );
+
+/**
+ * The two teams playing the meet a stat was recorded in.
+ * @param {number} statId - The ID of the stat.
+ */
+const getTeamIdsForStat = (statId) =>
+    queryIds(
+        `SELECT mt.team1_id, mt.team2_id
+         FROM stats s JOIN matches m ON s.match_id = m.id JOIN meets mt ON m.meet_id = mt.id
+         WHERE s.id = $1`,
+        [statId],
+        `stat ID ${statId}`
+    );
+
+/**
+ * The meet a match belongs to.
+ * @param {number} matchId - The ID of the match.
+ */
+const getMeetIdsForMatch = (matchId) =>
+    queryIds('SELECT meet_id FROM matches WHERE id = $1', [matchId], `match ID ${matchId}`);
+
+/**
+ * The meet a set was played in.
+ * @param {number} setId - The ID of the set.
+ */
+const getMeetIdsForSet = (setId) =>
+    queryIds('SELECT m.meet_id FROM sets s JOIN matches m ON s.match_id = m.id WHERE s.id = $1', [setId], `set ID ${setId}`);
+
+/**
+ * The meet a stat was recorded in.
+ * @param {number} statId - The ID of the stat.
+ */
+const getMeetIdsForStat = (statId) =>
+    queryIds('SELECT m.meet_id FROM stats s JOIN matches m ON s.match_id = m.id WHERE s.id = $1', [statId], `stat ID ${statId}`);
+
+module.exports = {
+    STAFF_ROLES,
+    STAFF_PERMISSIONS,
+    PERMISSIONS,
+    getStaffTeamIds,
+    getCaptainTeamIdsForMeet,
+    getTeamIdsForTeam,
+    getTeamIdsForPlayer,
+    getTeamIdsForMeet,
+    getTeamIdsForMatch,
+    getTeamIdsForSet,
+    getTeamIdsForStat,
+    getMeetIdsForMatch,
+    getMeetIdsForSet,
+    getMeetIdsForStat,
+};
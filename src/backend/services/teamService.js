@@ -1,27 +1,114 @@
 const db = require('../db');
+const teamStaffService = require('./teamStaffService');
 
+// Allowed values for teams.level (standings are kept separately per level)
+const TEAM_LEVELS = ['varsity', 'junior_varsity', 'middle_school'];
+
+const validateLevel = (level) => {
+  if (!TEAM_LEVELS.includes(level)) {
+    throw new Error(`Invalid level '${level}'. Must be one of: ${TEAM_LEVELS.join(', ')}.`);
+  }
+};
+
+// Allowed values for teams.gender (standings are also kept separately per gender)
+const TEAM_GENDERS = ['boys', 'girls', 'coed'];
+
+const validateGender = (gender) => {
+  if (!TEAM_GENDERS.includes(gender)) {
+    throw new Error(`Invalid gender '${gender}'. Must be one of: ${TEAM_GENDERS.join(', ')}.`);
+  }
+};
+
+const validateSchoolId = (schoolId) => {
+  if (schoolId !== null && !Number.isInteger(schoolId)) {
+    throw new Error('Invalid school_id. Must be a number or null.');
+  }
+};
+
+const validateMaxCaptains = (maxCaptains) => {
+  if (!Number.isInteger(maxCaptains) || maxCaptains < 1) {
+    throw new Error('Invalid max_captains. Must be a whole number of 1 or more.');
+  }
+};
+
+// Turns a missing school into a message for the caller
+const schoolError = (err, schoolId) => {
+  if (err.code === '23503' && err.constraint === 'teams_school_id_fkey') {
+    return new Error(`School with school_id ${schoolId} does not exist.`);
+  }
+  return err;
+};
+
+// Teams come with their school's name and their head coach (from team_staff)
+const TEAM_COLUMNS = 't.*, s.name AS school_name, hc.user_id AS head_coach_id, hcu.name AS head_coach_name';
+const TEAM_JOINS = `
+    FROM teams t
+    LEFT JOIN schools s ON t.school_id = s.id
+    LEFT JOIN team_staff hc ON hc.team_id = t.id AND hc.role = 'head_coach'
+    LEFT JOIN users hcu ON hc.user_id = hcu.id
+`;
+
+// Creates a team, with head_coach_id (optional) added to its staff as head coach
 const createTeam = async (teamData) => {
-  const { name, coach_id } = teamData;
+  const { name, head_coach_id = null, school_id = null, level = 'varsity', gender = 'coed', max_captains = 2 } = teamData;
+  validateLevel(level);
+  validateGender(gender);
+  validateSchoolId(school_id);
+  validateMaxCaptains(max_captains);
   const queryText = `
-    INSERT INTO teams (name, coach_id, created_at, updated_at)
-    VALUES ($1, $2, NOW(), NOW())
-    RETURNING *;
+    INSERT INTO teams (name, school_id, level, gender, max_captains, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+    RETURNING id;
   `;
-  const values = [name, coach_id];
+  const values = [name, school_id, level, gender, max_captains];
 
+  let teamId;
+  const client = await db.connect();
   try {
-    const result = await db.query(queryText, values);
-    return result.rows[0];
+    await client.query('BEGIN');
+    const result = await client.query(queryText, values);
+    teamId = result.rows[0].id;
+    if (head_coach_id !== null) {
+      await teamStaffService.addStaffMember(teamId, { user_id: head_coach_id, role: 'head_coach' }, client);
+    }
+    await client.query('COMMIT');
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error('Error creating team:', err);
-    throw err;
+    throw schoolError(err, school_id);
+  } finally {
+    client.release();
   }
+  return getTeamById(teamId);
 };
 
-const getAllTeams = async () => {
-  const queryText = 'SELECT * FROM teams ORDER BY name ASC;';
+// All teams with their school's name and head coach, filtered by filters.school_id, level and gender. With
+// filters.season_id, only the teams taking part in that season (with players on their roster
+// for it, or meets in it), with the size of that season's roster
+const getAllTeams = async (filters = {}) => {
+  const conditions = [];
+  const values = [];
+  let rosterSize = '';
+  if (filters.season_id !== undefined) {
+    values.push(filters.season_id);
+    rosterSize = ', (SELECT COUNT(*)::int FROM roster_entries r WHERE r.team_id = t.id AND r.season_id = $1) AS roster_size';
+    conditions.push(`(EXISTS (SELECT 1 FROM roster_entries r WHERE r.team_id = t.id AND r.season_id = $1)
+         OR EXISTS (SELECT 1 FROM meets m WHERE t.id IN (m.team1_id, m.team2_id) AND m.season_id = $1))`);
+  }
+  ['school_id', 'level', 'gender'].forEach((field) => {
+    if (filters[field] !== undefined) {
+      values.push(filters[field]);
+      conditions.push(`t.${field} = $${values.length}`);
+    }
+  });
+  const queryText = `
+    SELECT ${TEAM_COLUMNS}${rosterSize}
+    ${TEAM_JOINS}
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY t.name ASC;
+  `;
   try {
-    const result = await db.query(queryText);
+    const result = await db.query(queryText, values);
     return result.rows;
   } catch (err) {
     console.error('Error fetching all teams:', err);
@@ -30,7 +117,11 @@ const getAllTeams = async () => {
 };
 
 const getTeamById = async (teamId) => {
-  const queryText = 'SELECT * FROM teams WHERE id = $1';
+  const queryText = `
+    SELECT ${TEAM_COLUMNS}
+    ${TEAM_JOINS}
+    WHERE t.id = $1
+  `;
   const values = [teamId];
 
   try {
@@ -43,7 +134,8 @@ const getTeamById = async (teamId) => {
 };
 
 const updateTeam = async (teamId, teamData) => {
-  const { name, coach_id } = teamData;
+  // The head coach and other staff are changed with teamStaffService
+  const { name, school_id, level, gender, max_captains } = teamData;
   // Build the SET part of the query dynamically based on provided fields
   const fields = [];
   const values = [];
@@ -53,10 +145,27 @@ const updateTeam = async (teamId, teamData) => {
     fields.push(`name = $${valueIndex++}`);
     values.push(name);
   }
-  if (coach_id !== undefined) {
-    // Allow setting coach_id to null
-    fields.push(`coach_id = $${valueIndex++}`);
-    values.push(coach_id);
+  if (level !== undefined) {
+    validateLevel(level);
+    fields.push(`level = $${valueIndex++}`);
+    values.push(level);
+  }
+  if (gender !== undefined) {
+    validateGender(gender);
+    fields.push(`gender = $${valueIndex++}`);
+    values.push(gender);
+  }
+  if (max_captains !== undefined) {
+    // Lowering the limit keeps the captains already appointed
+    validateMaxCaptains(max_captains);
+    fields.push(`max_captains = $${valueIndex++}`);
+    values.push(max_captains);
+  }
+  if (school_id !== undefined) {
+    // Allow removing the team from its school with null
+    validateSchoolId(school_id);
+    fields.push(`school_id = $${valueIndex++}`);
+    values.push(school_id);
   }
 
   // Always update the updated_at timestamp
@@ -75,16 +184,19 @@ const updateTeam = async (teamId, teamData) => {
     UPDATE teams
     SET ${fields.join(', ')}
     WHERE id = $${valueIndex}
-    RETURNING *;
+    RETURNING id;
   `;
 
   try {
     const result = await db.query(queryText, values);
-    return result.rows[0]; // Returns the updated team or undefined if ID not found
+    if (!result.rows[0]) {
+      return undefined; // Team ID not found
+    }
   } catch (err) {
     console.error(`Error updating team with ID ${teamId}:`, err);
-    throw err;
+    throw schoolError(err, school_id);
   }
+  return getTeamById(teamId); // With its school and head coach
 };
 
 const deleteTeam = async (teamId) => {
@@ -114,6 +226,8 @@ const deleteTeam = async (teamId) => {
 };
 
 module.exports = {
+  TEAM_LEVELS,
+  TEAM_GENDERS,
   createTeam,
   getAllTeams,
   getTeamById,
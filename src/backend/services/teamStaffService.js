@@ -0,0 +1,159 @@
+const db = require('../db');
+const { STAFF_ROLES } = require('./teamAccessService');
+
+// Team staff: the head coach, assistant coaches, managers and scorekeepers of a team. Staff are
+// users with the Coach role; their staff role decides what they can change for the team
+// (see teamAccessService.STAFF_PERMISSIONS). A team has at most one head coach.
+
+const STAFF_COLUMNS = `ts.*, u.name AS user_name, u.email`;
+const STAFF_JOINS = `
+    FROM team_staff ts
+    JOIN users u ON ts.user_id = u.id
+`;
+
+const validateRole = (role) => {
+    if (!STAFF_ROLES.includes(role)) {
+        throw new Error(`Invalid role. Must be one of: ${STAFF_ROLES.join(', ')}.`);
+    }
+};
+
+// Turns constraint violations into messages for the caller
+const staffError = (err, userId) => {
+    if (err.code === '23505' && err.constraint === 'team_staff_one_head_coach') {
+        return new Error('The team already has a head coach. Change their role first.');
+    }
+    if (err.code === '23505') {
+        return new Error(`User with user_id ${userId} is already on the team's staff.`);
+    }
+    return err;
+};
+
+/**
+ * Fetches a team's staff, head coach first, then by role and name.
+ * @param {number} teamId - The ID of the team.
+ * @returns {Promise<Array<object>>} The staff, with each user's name and email.
+ */
+const getStaffByTeam = async (teamId) => {
+    try {
+        const result = await db.query(
+            `SELECT ${STAFF_COLUMNS} ${STAFF_JOINS}
+             WHERE ts.team_id = $1
+             ORDER BY array_position($2::text[], ts.role), u.name ASC`,
+            [teamId, STAFF_ROLES]
+        );
+        return result.rows;
+    } catch (err) {
+        console.error(`Error fetching staff for team ID ${teamId}:`, err);
+        throw new Error('Database error fetching team staff.');
+    }
+};
+
+/**
+ * Fetches one member of a team's staff.
+ * @param {number} teamId - The ID of the team.
+ * @param {number} userId - The ID of the staff member's user.
+ * @returns {Promise<object|undefined>} The staff member, or undefined if the user is not on the team's staff.
+ */
+const getStaffMember = async (teamId, userId) => {
+    try {
+        const result = await db.query(`SELECT ${STAFF_COLUMNS} ${STAFF_JOINS} WHERE ts.team_id = $1 AND ts.user_id = $2`, [teamId, userId]);
+        return result.rows[0];
+    } catch (err) {
+        console.error(`Error fetching staff member user ID ${userId} of team ID ${teamId}:`, err);
+        throw new Error('Database error fetching team staff member.');
+    }
+};
+
+/**
+ * Adds a Coach to a team's staff.
+ * @param {number} teamId - The ID of the team.
+ * @param {object} staffData - { user_id, role } (both required; role is one of STAFF_ROLES).
+ * @param {object} [client] - A database client, to add the staff member inside the caller's transaction.
+ * @returns {Promise<object>} The new staff member.
+ */
+const addStaffMember = async (teamId, staffData, client = db) => {
+    const { user_id, role } = staffData;
+    if (user_id === undefined || user_id === null || !role) {
+        throw new Error('Missing required fields: user_id, role');
+    }
+    if (!Number.isInteger(user_id)) {
+        throw new Error('Invalid user_id. Must be a number.');
+    }
+    validateRole(role);
+
+    const userResult = await client.query(
+        'SELECT r.name AS role_name FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = $1',
+        [user_id]
+    );
+    if (!userResult.rows[0]) {
+        throw new Error(`User with user_id ${user_id} does not exist.`);
+    }
+    if (userResult.rows[0].role_name !== 'Coach') {
+        throw new Error(`Invalid user_id. Team staff must have the Coach role, but user ${user_id} is a ${userResult.rows[0].role_name}.`);
+    }
+
+    try {
+        const result = await client.query(
+            'INSERT INTO team_staff (team_id, user_id, role) VALUES ($1, $2, $3) RETURNING *',
+            [teamId, user_id, role]
+        );
+        return result.rows[0];
+    } catch (err) {
+        console.error(`Error adding user ID ${user_id} to the staff of team ID ${teamId}:`, err);
+        throw staffError(err, user_id);
+    }
+};
+
+/**
+ * Changes a staff member's role.
+ * @param {number} teamId - The ID of the team.
+ * @param {number} userId - The ID of the staff member's user.
+ * @param {string} role - The new role, one of STAFF_ROLES.
+ * @returns {Promise<object|undefined>} The updated staff member, or undefined if the user is not on the team's staff.
+ */
+const updateStaffRole = async (teamId, userId, role) => {
+    if (!role) {
+        throw new Error('Missing required field: role');
+    }
+    validateRole(role);
+    try {
+        const result = await db.query(
+            `UPDATE team_staff SET role = $3, updated_at = NOW()
+             WHERE team_id = $1 AND user_id = $2
+             RETURNING id`,
+            [teamId, userId, role]
+        );
+        if (!result.rows[0]) {
+            return undefined;
+        }
+    } catch (err) {
+        console.error(`Error changing the staff role of user ID ${userId} on team ID ${teamId}:`, err);
+        throw staffError(err, userId);
+    }
+    return getStaffMember(teamId, userId);
+};
+
+/**
+ * Removes a user from a team's staff.
+ * @param {number} teamId - The ID of the team.
+ * @param {number} userId - The ID of the staff member's user.
+ * @returns {Promise<object|undefined>} The removed staff member, or undefined if the user was not on the team's staff.
+ */
+const removeStaffMember = async (teamId, userId) => {
+    try {
+        const result = await db.query('DELETE FROM team_staff WHERE team_id = $1 AND user_id = $2 RETURNING *', [teamId, userId]);
+        return result.rows[0];
+    } catch (err) {
+        console.error(`Error removing user ID ${userId} from the staff of team ID ${teamId}:`, err);
+        throw new Error('Database error removing team staff member.');
+    }
+};
+
+module.exports = {
+    STAFF_ROLES,
+    getStaffByTeam,
+    getStaffMember,
+    addStaffMember,
+    updateStaffRole,
+    removeStaffMember,
+};
@@ -1,38 +1,44 @@
 const db = require('../db');
 const bcrypt = require('bcryptjs');
 
+// Columns returned for a user (never the password hash, nor the login lockout state, which only
+// Admins see through the unlock and login attempt endpoints)
+const USER_COLUMNS = 'id, google_id, email, name, role_id, email_verified_at, created_at, updated_at';
+
+const hashPassword = async (password) => {
+    const salt = await bcrypt.genSalt(10);
+    return bcrypt.hash(password, salt);
+};
+
 /**
  * Creates a new user.
  * Hashes the password if provided.
  * @param {object} userData - User data (email, name, role_id, [password], [google_id]).
+ * @param {object} [client] - A transaction client to run the insert on (defaults to the pool).
  * @returns {Promise<object>} The newly created user object (without password hash).
  */
-const createUser = async (userData) => {
+const createUser = async (userData, client = db) => {
     const { email, name, role_id, password, google_id } = userData;
     if (!email || !name || !role_id) {
         throw new Error('Missing required fields: email, name, role_id');
     }
 
-    let hashedPassword = null;
-    if (password) {
-         // Hash the password before storing
-         const salt = await bcrypt.genSalt(10);
-         hashedPassword = await bcrypt.hash(password, salt);
-    }
+    // Hash the password before storing
+    const hashedPassword = password ? await hashPassword(password) : null;
 
     const queryText = `
         INSERT INTO users (email, name, role_id, password, google_id, created_at, updated_at)
         VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
-        RETURNING id, google_id, email, name, role_id, created_at, updated_at; -- Exclude password hash
+        RETURNING ${USER_COLUMNS}; -- Exclude password hash
     `;
     const values = [email, name, role_id, hashedPassword, google_id || null];
 
     try {
-        const result = await db.query(queryText, values);
+        const result = await client.query(queryText, values);
         return result.rows[0];
     } catch (err) {
         if (err.code === '23505') { // Unique violation (email or google_id)
-            if (err.constraint === 'users_email_key') {
+            if (err.constraint === 'users_email_key' || err.constraint === 'users_email_lower_key') {
                  throw new Error(`User with email '${email}' already exists.`);
             }
              if (err.constraint === 'users_google_id_key') {
@@ -48,7 +54,7 @@ const createUser = async (userData) => {
 };
 
 /**
- * Finds a user by their email address.
+ * Finds a user by their email address (ignoring case).
  * Returns the full user object including the password hash.
  * @param {string} email - The email to search for.
  * @returns {Promise<object|undefined>} The user object or undefined if not found.
@@ -56,7 +62,7 @@ const createUser = async (userData) => {
 const findUserByEmail = async (email) => {
      if (!email) return undefined;
      try {
-         const result = await db.query('SELECT * FROM users WHERE email = $1', [email]);
+         const result = await db.query('SELECT * FROM users WHERE LOWER(email) = LOWER($1)', [email]);
          return result.rows[0];
      } catch (err) {
          console.error(`Error finding user by email ${email}:`, err);
@@ -73,7 +79,7 @@ const findUserByEmail = async (email) => {
  const findUserByGoogleId = async (googleId) => {
     if (!googleId) return undefined;
      try {
-         const result = await db.query('SELECT id, google_id, email, name, role_id, created_at, updated_at FROM users WHERE google_id = $1', [googleId]);
+         const result = await db.query(`SELECT ${USER_COLUMNS} FROM users WHERE google_id = $1`, [googleId]);
          return result.rows[0];
      } catch (err) {
          console.error(`Error finding user by googleId ${googleId}:`, err);
@@ -82,7 +88,7 @@ const findUserByEmail = async (email) => {
  };
 
 const getAllUsers = async () => {
-    const queryText = 'SELECT id, google_id, email, name, role_id, created_at, updated_at FROM users ORDER BY id ASC;';
+    const queryText = `SELECT ${USER_COLUMNS} FROM users ORDER BY id ASC;`;
     try {
         const result = await db.query(queryText);
         return result.rows;
@@ -93,7 +99,7 @@ const getAllUsers = async () => {
 };
 
 const getUserById = async (userId) => {
-    const queryText = 'SELECT id, google_id, email, name, role_id, created_at, updated_at FROM users WHERE id = $1';
+    const queryText = `SELECT ${USER_COLUMNS} FROM users WHERE id = $1`;
     const values = [userId];
     try {
         const result = await db.query(queryText, values);
@@ -117,13 +123,25 @@ const updateUser = async (userId, userData) => {
 
     const addField = (field, value) => {
         if (value !== undefined) {
-             // Allow setting google_id to null?
+             // null clears the field (e.g. unlinking Google)
             fields.push(`${field} = $${valueIndex++}`);
             values.push(value);
         }
     };
 
+    // Removing Google from an account without a password would leave no way to log in
+    if (google_id === null) {
+        const methods = await getLoginMethods(userId);
+        if (methods && !methods.password) {
+            throw new Error('Invalid request: cannot remove Google sign-in from an account without a password.');
+        }
+    }
+
     addField('email', email);
+    if (email !== undefined) {
+        // A new address has to be verified again (the SET sees the row's old email)
+        fields.push(`email_verified_at = CASE WHEN LOWER(email) = LOWER($${valueIndex - 1}) THEN email_verified_at ELSE NULL END`);
+    }
     addField('name', name);
     addField('role_id', role_id);
     addField('google_id', google_id);
@@ -139,7 +157,7 @@ const updateUser = async (userId, userData) => {
         UPDATE users
         SET ${fields.join(', ')}
         WHERE id = $${valueIndex}
-        RETURNING id, google_id, email, name, role_id, created_at, updated_at;
+        RETURNING ${USER_COLUMNS};
     `;
 
     try {
@@ -160,6 +178,64 @@ const updateUser = async (userId, userData) => {
     }
 };
 
+/**
+ * The ways a user can log in.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<{password: boolean, google: boolean}|undefined>} The login methods, or undefined if not found.
+ */
+const getLoginMethods = async (userId) => {
+    try {
+        const result = await db.query('SELECT password IS NOT NULL AS password, google_id IS NOT NULL AS google FROM users WHERE id = $1', [userId]);
+        return result.rows[0];
+    } catch (err) {
+        console.error(`Error fetching login methods for user ID ${userId}:`, err);
+        throw new Error('Database error fetching login methods.');
+    }
+};
+
+/**
+ * Sets a user's local password (stored as a bcrypt hash).
+ * Only for the dedicated password routes; updateUser refuses password changes.
+ * @param {number} userId - The ID of the user.
+ * @param {string} password - The new plain-text password.
+ * @returns {Promise<object|undefined>} The updated user, or undefined if not found.
+ */
+const setPassword = async (userId, password) => {
+    const hashedPassword = await hashPassword(password);
+    try {
+        const result = await db.query(
+            `UPDATE users SET password = $1, updated_at = NOW() WHERE id = $2 RETURNING ${USER_COLUMNS};`,
+            [hashedPassword, userId]
+        );
+        return result.rows[0];
+    } catch (err) {
+        console.error(`Error setting password for user ID ${userId}:`, err);
+        throw new Error('Database error setting password.');
+    }
+};
+
+/**
+ * Marks a user's email address as verified (keeps the first verification time), if it is still
+ * the address that was proved (e.g. the one an emailed token was sent to).
+ * @param {number} userId - The ID of the user.
+ * @param {string} email - The address that was proved.
+ * @returns {Promise<object|undefined>} The updated user, or undefined if not found or the user's email has changed.
+ */
+const markEmailVerified = async (userId, email) => {
+    try {
+        const result = await db.query(
+            `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+             WHERE id = $1 AND LOWER(email) = LOWER($2)
+             RETURNING ${USER_COLUMNS};`,
+            [userId, email]
+        );
+        return result.rows[0];
+    } catch (err) {
+        console.error(`Error marking email verified for user ID ${userId}:`, err);
+        throw new Error('Database error verifying email.');
+    }
+};
+
 const deleteUser = async (userId) => {
     const selectQuery = 'SELECT id, email, name FROM users WHERE id = $1'; // Don't need password
     const deleteQuery = 'DELETE FROM users WHERE id = $1';
@@ -185,5 +261,8 @@ module.exports = {
     getAllUsers,
     getUserById,
     updateUser,
+    getLoginMethods,
+    setPassword,
+    markEmailVerified,
     deleteUser,
 }; 
\ No newline at end of file
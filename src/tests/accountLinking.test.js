@@ -0,0 +1,139 @@
+// src/tests/accountLinking.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const accountService = require('../backend/services/accountService');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Linking Google and local logins', () => {
+    let server;
+    const credentials = { email: 'linked.user@example.com', password: 'password123', name: 'Linked User' };
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    beforeEach(cleanTables);
+
+    const registerAgent = async (userCredentials = credentials) => {
+        const agent = request.agent(app);
+        const regRes = await agent.post('/api/auth/register').send(userCredentials);
+        expect(regRes.statusCode).toBe(201);
+        return { agent, user: regRes.body };
+    };
+
+    // A profile as passport-google-oauth20 builds it
+    const googleProfile = (id, email, verified = true) => ({ id, displayName: 'Google Name', emails: [{ value: email, verified }] });
+
+    describe('Google sign-in', () => {
+        it('should create a verified Guest for a new Google user and log them in next time', async () => {
+            const user = await accountService.signInWithGoogle(googleProfile('google-new', 'new.google@example.com'));
+            expect(user).toMatchObject({ email: 'new.google@example.com', google_id: 'google-new', role_id: 4 });
+            expect(user.email_verified_at).not.toBeNull();
+
+            const again = await accountService.signInWithGoogle(googleProfile('google-new', 'new.google@example.com'));
+            expect(again.id).toBe(user.id);
+        });
+
+        it('should link Google to an existing verified account with the same email, ignoring case', async () => {
+            const { user } = await registerAgent();
+            await db.query('UPDATE users SET email_verified_at = NOW() WHERE id = $1', [user.id]);
+            const signedIn = await accountService.signInWithGoogle(googleProfile('google-existing', 'Linked.User@Example.com'));
+            expect(signedIn).toMatchObject({ id: user.id, google_id: 'google-existing' });
+
+            const countRes = await db.query('SELECT COUNT(*) FROM users');
+            expect(parseInt(countRes.rows[0].count, 10)).toBe(1);
+        });
+
+        it('should not link by email to an account that has not verified the address', async () => {
+            const { user } = await registerAgent();
+            await expect(accountService.signInWithGoogle(googleProfile('google-squatted', credentials.email)))
+                .rejects.toThrow(/link Google from your account/);
+
+            const userRes = await db.query('SELECT google_id, email_verified_at FROM users WHERE id = $1', [user.id]);
+            expect(userRes.rows[0]).toEqual({ google_id: null, email_verified_at: null });
+        });
+
+        it('should not link by email when Google has not verified the address', async () => {
+            await registerAgent();
+            await expect(accountService.signInWithGoogle(googleProfile('google-unverified', credentials.email, false)))
+                .rejects.toThrow(/link Google from your account/);
+        });
+
+        it('should link Google to the logged-in user, once per Google account', async () => {
+            const { user } = await registerAgent();
+            const { user: other } = await registerAgent({ ...credentials, email: 'other.user@example.com' });
+            await db.query('UPDATE users SET email_verified_at = NOW() WHERE id = $1', [other.id]);
+            await accountService.signInWithGoogle(googleProfile('google-other', 'other.user@example.com'));
+
+            const linked = await accountService.signInWithGoogle(googleProfile('google-mine', 'anything@example.com'), user);
+            expect(linked).toMatchObject({ id: user.id, google_id: 'google-mine' });
+
+            await expect(accountService.signInWithGoogle(googleProfile('google-other', 'x@example.com'), user))
+                .rejects.toThrow(/already linked to another user/);
+            await expect(accountService.signInWithGoogle(googleProfile('google-second', 'x@example.com'), other))
+                .rejects.toThrow(/different Google account is already linked/);
+        });
+    });
+
+    describe('Passwords and unlinking', () => {
+        it('should let a Google-only user set a password and then unlink Google', async () => {
+            const { agent, user } = await registerAgent();
+            await db.query('UPDATE users SET password = NULL, google_id = $1 WHERE id = $2', ['google-only', user.id]);
+
+            expect((await agent.get('/api/auth/login-methods')).body).toEqual({ password: false, google: true });
+            const lastMethodRes = await agent.delete('/api/auth/google');
+            expect(lastMethodRes.statusCode).toBe(400);
+            expect(lastMethodRes.body.message).toMatch(/only way to log in/);
+
+            expect((await agent.post('/api/auth/set-password').send({ new_password: '123' })).statusCode).toBe(400);
+            expect((await agent.post('/api/auth/set-password').send({ new_password: 'newpassword1' })).statusCode).toBe(200);
+            expect((await agent.post('/api/auth/set-password').send({ new_password: 'otherpassword' })).statusCode).toBe(400);
+
+            const unlinkRes = await agent.delete('/api/auth/google');
+            expect(unlinkRes.statusCode).toBe(200);
+            expect(unlinkRes.body.google_id).toBeNull();
+            expect((await agent.get('/api/auth/login-methods')).body).toEqual({ password: true, google: false });
+            expect((await agent.delete('/api/auth/google')).statusCode).toBe(400);
+
+            const loginRes = await request(app).post('/api/auth/login').send({ email: credentials.email, password: 'newpassword1' });
+            expect(loginRes.statusCode).toBe(200);
+        });
+
+        it('should not let an Admin remove the last login method either', async () => {
+            const { user } = await registerAgent();
+            await db.query('UPDATE users SET password = NULL, google_id = $1 WHERE id = $2', ['google-only', user.id]);
+            const { agent: admin, user: adminUser } = await registerAgent({ ...credentials, email: 'link.admin@example.com' });
+            await setUserRole(adminUser.id, 1);
+
+            const response = await admin.put(`/api/users/${user.id}`).send({ google_id: null });
+            expect(response.statusCode).toBe(400);
+            const dbRes = await db.query('SELECT google_id FROM users WHERE id = $1', [user.id]);
+            expect(dbRes.rows[0].google_id).toBe('google-only');
+        });
+
+        it('should require login', async () => {
+            expect((await request(app).get('/api/auth/login-methods')).statusCode).toBe(401);
+            expect((await request(app).post('/api/auth/set-password').send({ new_password: 'newpassword1' })).statusCode).toBe(401);
+            expect((await request(app).delete('/api/auth/google')).statusCode).toBe(401);
+            expect((await request(app).get('/api/auth/google/link')).statusCode).toBe(401);
+        });
+    });
+
+    describe('Case-insensitive emails', () => {
+        it('should log in and detect duplicates regardless of email case', async () => {
+            await registerAgent();
+            const loginRes = await request(app).post('/api/auth/login').send({ email: 'LINKED.USER@example.com', password: credentials.password });
+            expect(loginRes.statusCode).toBe(200);
+
+            const duplicateRes = await request(app).post('/api/auth/register').send({ ...credentials, email: 'Linked.User@example.com' });
+            expect(duplicateRes.statusCode).toBe(409);
+        });
+    });
+});
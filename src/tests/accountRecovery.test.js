@@ -0,0 +1,191 @@
+// src/tests/accountRecovery.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const mailService = require('../backend/services/mailService');
+const { cleanTables } = require('./setup'); // Import cleanTables
+
+describe('Password changes, resets and email verification', () => {
+    let server;
+    const credentials = { email: 'recovery.user@example.com', password: 'password123', name: 'Recovery User' };
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    beforeEach(async () => {
+        await cleanTables();
+        mailService.clearSentMail();
+    });
+
+    // Registers the test user and returns their logged-in agent
+    const registerAgent = async () => {
+        const agent = request.agent(app);
+        const regRes = await agent.post('/api/auth/register').send(credentials);
+        expect(regRes.statusCode).toBe(201);
+        return agent;
+    };
+
+    // The token from the link in the latest email sent to the address
+    const latestToken = (email) => {
+        const messages = mailService.getSentMail(email);
+        expect(messages.length).toBeGreaterThan(0);
+        return messages[messages.length - 1].text.match(/token=([\w-]+)/)[1];
+    };
+
+    const login = (password) => request(app).post('/api/auth/login').send({ email: credentials.email, password });
+
+    describe('Email verification', () => {
+        it('should send a verification email on registration and verify with its token once', async () => {
+            const agent = await registerAgent();
+            const [message] = mailService.getSentMail(credentials.email);
+            expect(message.subject).toMatch(/Verify your email/);
+            expect((await agent.get('/api/auth/status')).body.email_verified_at).toBeNull();
+
+            const token = latestToken(credentials.email);
+            const verifyRes = await request(app).post('/api/auth/verify-email').send({ token });
+            expect(verifyRes.statusCode).toBe(200);
+            expect(verifyRes.body.email_verified_at).not.toBeNull();
+            expect((await agent.get('/api/auth/status')).body.email_verified_at).not.toBeNull();
+
+            const reuseRes = await request(app).post('/api/auth/verify-email').send({ token });
+            expect(reuseRes.statusCode).toBe(400);
+            expect((await agent.post('/api/auth/resend-verification')).statusCode).toBe(400);
+        });
+
+        it('should replace the previous token when verification is resent', async () => {
+            const agent = await registerAgent();
+            const firstToken = latestToken(credentials.email);
+
+            expect((await agent.post('/api/auth/resend-verification')).statusCode).toBe(200);
+            const secondToken = latestToken(credentials.email);
+            expect(secondToken).not.toBe(firstToken);
+
+            expect((await request(app).post('/api/auth/verify-email').send({ token: firstToken })).statusCode).toBe(400);
+            expect((await request(app).post('/api/auth/verify-email').send({ token: secondToken })).statusCode).toBe(200);
+            expect((await request(app).post('/api/auth/resend-verification')).statusCode).toBe(401);
+        });
+
+        it('should require a changed email address to be verified again', async () => {
+            const agent = await registerAgent();
+            const userId = (await agent.get('/api/auth/status')).body.id;
+            await request(app).post('/api/auth/verify-email').send({ token: latestToken(credentials.email) });
+
+            // Changing only the case keeps the address verified
+            const caseRes = await agent.put(`/api/users/${userId}`).send({ email: credentials.email.toUpperCase() });
+            expect(caseRes.statusCode).toBe(200);
+            expect(caseRes.body.email_verified_at).not.toBeNull();
+
+            const newEmail = 'changed.user@example.com';
+            const changeRes = await agent.put(`/api/users/${userId}`).send({ email: newEmail });
+            expect(changeRes.statusCode).toBe(200);
+            expect(changeRes.body.email_verified_at).toBeNull();
+            expect((await agent.get('/api/auth/status')).body.email_verified_at).toBeNull();
+
+            const [message] = mailService.getSentMail(newEmail);
+            expect(message.subject).toMatch(/Verify your email/);
+            const verifyRes = await request(app).post('/api/auth/verify-email').send({ token: latestToken(newEmail) });
+            expect(verifyRes.statusCode).toBe(200);
+            expect(verifyRes.body.email_verified_at).not.toBeNull();
+        });
+    });
+
+    describe('POST /api/auth/change-password', () => {
+        it('should change the password after checking the current one and log out other sessions', async () => {
+            const agent = await registerAgent();
+            const otherAgent = request.agent(app);
+            expect((await otherAgent.post('/api/auth/login').send({ email: credentials.email, password: credentials.password })).statusCode).toBe(200);
+            const wrongRes = await agent.post('/api/auth/change-password').send({ current_password: 'wrongpassword', new_password: 'newpassword1' });
+            expect(wrongRes.statusCode).toBe(400);
+            expect(wrongRes.body.message).toMatch(/Incorrect current password/);
+            const shortRes = await agent.post('/api/auth/change-password').send({ current_password: credentials.password, new_password: '123' });
+            expect(shortRes.statusCode).toBe(400);
+
+            const response = await agent.post('/api/auth/change-password').send({ current_password: credentials.password, new_password: 'newpassword1' });
+            expect(response.statusCode).toBe(200);
+            expect((await login(credentials.password)).statusCode).toBe(401);
+            expect((await login('newpassword1')).statusCode).toBe(200);
+            expect((await agent.get('/api/auth/status')).statusCode).toBe(200);
+            expect((await otherAgent.get('/api/auth/status')).statusCode).toBe(401);
+        });
+
+        it('should require login and a local password', async () => {
+            expect((await request(app).post('/api/auth/change-password').send({ current_password: 'a', new_password: 'newpassword1' })).statusCode).toBe(401);
+
+            const agent = await registerAgent();
+            await db.query('UPDATE users SET password = NULL, google_id = $1 WHERE email = $2', ['google-recovery', credentials.email]);
+            const response = await agent.post('/api/auth/change-password').send({ current_password: credentials.password, new_password: 'newpassword1' });
+            expect(response.statusCode).toBe(400);
+            expect(response.body.message).toMatch(/no password/);
+        });
+    });
+
+    describe('Forgot and reset password', () => {
+        it('should email a single-use reset link that sets a new password and logs out every session', async () => {
+            const agent = await registerAgent();
+            mailService.clearSentMail();
+
+            const forgotRes = await request(app).post('/api/auth/forgot-password').send({ email: credentials.email });
+            expect(forgotRes.statusCode).toBe(200);
+            const [message] = mailService.getSentMail(credentials.email);
+            expect(message.subject).toMatch(/Reset your password/);
+            const token = latestToken(credentials.email);
+
+            // A password that breaks the rules does not use up the token
+            expect((await request(app).post('/api/auth/reset-password').send({ token, new_password: '123' })).statusCode).toBe(400);
+
+            const resetRes = await request(app).post('/api/auth/reset-password').send({ token, new_password: 'resetpassword1' });
+            expect(resetRes.statusCode).toBe(200);
+            expect((await agent.get('/api/auth/status')).statusCode).toBe(401);
+            expect((await login('resetpassword1')).statusCode).toBe(200);
+
+            const reuseRes = await request(app).post('/api/auth/reset-password').send({ token, new_password: 'anotherpassword' });
+            expect(reuseRes.statusCode).toBe(400);
+            expect(reuseRes.body.message).toMatch(/Invalid or expired token/);
+
+            // Following the link proves the email address belongs to the user
+            const dbRes = await db.query('SELECT email_verified_at FROM users WHERE email = $1', [credentials.email]);
+            expect(dbRes.rows[0].email_verified_at).not.toBeNull();
+        });
+
+        it('should not verify an address changed after the reset link was sent', async () => {
+            const agent = await registerAgent();
+            const userId = (await agent.get('/api/auth/status')).body.id;
+            await request(app).post('/api/auth/forgot-password').send({ email: credentials.email });
+            const token = latestToken(credentials.email);
+
+            const newEmail = 'unproved.user@example.com';
+            expect((await agent.put(`/api/users/${userId}`).send({ email: newEmail })).statusCode).toBe(200);
+
+            // The link still resets the password, but only proves the address it was mailed to
+            const resetRes = await request(app).post('/api/auth/reset-password').send({ token, new_password: 'resetpassword1' });
+            expect(resetRes.statusCode).toBe(200);
+            const dbRes = await db.query('SELECT email, email_verified_at FROM users WHERE id = $1', [userId]);
+            expect(dbRes.rows[0]).toEqual({ email: newEmail, email_verified_at: null });
+        });
+
+        it('should answer the same way for unknown emails without sending mail', async () => {
+            const response = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+            expect(response.statusCode).toBe(200);
+            expect(mailService.getSentMail()).toEqual([]);
+            expect((await request(app).post('/api/auth/forgot-password').send({})).statusCode).toBe(400);
+        });
+
+        it('should reject expired and made-up tokens', async () => {
+            await registerAgent();
+            await request(app).post('/api/auth/forgot-password').send({ email: credentials.email });
+            const token = latestToken(credentials.email);
+            await db.query(`UPDATE user_tokens SET expires_at = NOW() - INTERVAL '1 minute' WHERE purpose = 'password_reset'`);
+
+            expect((await request(app).post('/api/auth/reset-password').send({ token, new_password: 'resetpassword1' })).statusCode).toBe(400);
+            expect((await request(app).post('/api/auth/reset-password').send({ token: 'made-up', new_password: 'resetpassword1' })).statusCode).toBe(400);
+            expect((await login(credentials.password)).statusCode).toBe(200);
+        });
+    });
+});
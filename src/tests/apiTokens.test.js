@@ -0,0 +1,197 @@
+// src/tests/apiTokens.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Personal API tokens', () => {
+    let server;
+    let coach, admin;
+    let teamA, teamB;
+    let formatId;
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    const registerAgent = async (name, roleId) => {
+        const agent = request.agent(app);
+        const regRes = await agent.post('/api/auth/register').send({
+            email: `${name.toLowerCase().replace(/\s+/g, '-')}@example.com`,
+            password: 'password123',
+            name,
+        });
+        expect(regRes.statusCode).toBe(201);
+        await setUserRole(regRes.body.id, roleId);
+        return { agent, userId: regRes.body.id };
+    };
+
+    const createMeet = async () => {
+        const meetRes = await coach.agent.post('/api/meets').send({
+            meet_date: new Date().toISOString(),
+            team1_id: teamA.id,
+            team2_id: teamB.id,
+            meet_format_id: formatId,
+            generate_lines: true,
+        });
+        expect(meetRes.statusCode).toBe(201);
+        return meetRes.body;
+    };
+
+    const createToken = async (tokenData) => {
+        const tokenRes = await coach.agent.post('/api/auth/tokens').send(tokenData);
+        expect(tokenRes.statusCode).toBe(201);
+        return tokenRes.body;
+    };
+
+    const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+    beforeEach(async () => {
+        await cleanTables();
+        coach = await registerAgent('Token Coach', 2);
+        admin = await registerAgent('Token Admin', 1);
+        teamA = (await coach.agent.post('/api/teams').send({ name: 'Token Team A' })).body;
+        teamB = (await admin.agent.post('/api/teams').send({ name: 'Token Team B' })).body;
+        formatId = (await db.query(
+            `INSERT INTO meet_formats (name, num_singles_lines, num_doubles_lines, scoring_type)
+             VALUES ('Token 1S', 1, 0, '8_game_pro_set') RETURNING id`
+        )).rows[0].id;
+    });
+
+    it('should create a token shown once, store only its hash and list it', async () => {
+        const created = await createToken({ name: 'Import script' });
+        expect(created.token).toMatch(/^stt_[\w-]{43}$/);
+        expect(created).toMatchObject({ name: 'Import script', scope: 'full', meet_id: null, last_used_at: null });
+        expect(created.token.startsWith(created.token_prefix)).toBe(true);
+
+        const dbRes = await db.query('SELECT token_hash FROM api_tokens');
+        expect(dbRes.rows[0].token_hash).not.toContain(created.token);
+
+        const listRes = await coach.agent.get('/api/auth/tokens');
+        expect(listRes.statusCode).toBe(200);
+        expect(listRes.body).toHaveLength(1);
+        expect(listRes.body[0].token).toBeUndefined();
+        expect(listRes.body[0].token_hash).toBeUndefined();
+    });
+
+    it('should validate new tokens', async () => {
+        const meet = await createMeet();
+        const invalid = [
+            {},
+            { name: 'x', scope: 'admin' },
+            { name: 'x', expires_in_days: 0 },
+            { name: 'x', expires_in_days: 366 },
+            { name: 'x', scope: 'full', meet_id: meet.id },
+            { name: 'x', scope: 'scores', meet_id: 9999 },
+        ];
+        for (const tokenData of invalid) {
+            expect((await coach.agent.post('/api/auth/tokens').send(tokenData)).statusCode).toBe(400);
+        }
+        expect((await request(app).post('/api/auth/tokens').send({ name: 'x' })).statusCode).toBe(401);
+    });
+
+    it('should accept a full token as the user and record when it was used', async () => {
+        const { token } = await createToken({ name: 'Full access' });
+
+        const statusRes = await request(app).get('/api/auth/status').set(bearer(token));
+        expect(statusRes.statusCode).toBe(200);
+        expect(statusRes.body.id).toBe(coach.userId);
+
+        const teamRes = await request(app).put(`/api/teams/${teamA.id}`).set(bearer(token)).send({ name: 'Renamed by script' });
+        expect(teamRes.statusCode).toBe(200);
+        // The token has the user's access, no more
+        expect((await request(app).put(`/api/teams/${teamB.id}`).set(bearer(token)).send({ name: 'Nope' })).statusCode).toBe(403);
+
+        const [listed] = (await coach.agent.get('/api/auth/tokens')).body;
+        expect(listed.last_used_at).not.toBeNull();
+
+        // Tokens cannot be used to manage tokens
+        expect((await request(app).post('/api/auth/tokens').set(bearer(token)).send({ name: 'Another' })).statusCode).toBe(403);
+    });
+
+    it('should not let even a full token manage the account\'s logins or sessions', async () => {
+        const { token } = await createToken({ name: 'Leaked' });
+        await db.query('UPDATE users SET google_id = $1 WHERE id = $2', ['google-token-user', coach.userId]);
+        const withToken = (method, path, body = {}) => request(app)[method](path).set(bearer(token)).send(body);
+
+        const refused = [
+            await withToken('post', '/api/auth/change-password', { current_password: 'password123', new_password: 'takenover1' }),
+            await withToken('post', '/api/auth/set-password', { new_password: 'takenover1' }),
+            await withToken('get', '/api/auth/google/link'),
+            await withToken('delete', '/api/auth/google'),
+            await withToken('get', '/api/auth/sessions'),
+            await withToken('delete', '/api/auth/sessions/others'),
+            await withToken('delete', '/api/auth/sessions/some-session'),
+            await withToken('put', `/api/users/${coach.userId}`, { email: 'attacker@example.com' }),
+        ];
+        for (const response of refused) {
+            expect(response.statusCode).toBe(403);
+            expect(response.body.message).toMatch(/API tokens/);
+        }
+
+        const userRes = await db.query('SELECT email, google_id FROM users WHERE id = $1', [coach.userId]);
+        expect(userRes.rows[0]).toEqual({ email: 'token-coach@example.com', google_id: 'google-token-user' });
+        expect((await coach.agent.get('/api/auth/sessions')).statusCode).toBe(200);
+        expect((await withToken('put', `/api/users/${coach.userId}`, { name: 'Renamed Coach' })).statusCode).toBe(200);
+    });
+
+    it('should refuse unknown, revoked and expired tokens', async () => {
+        expect((await request(app).get('/api/auth/status').set(bearer('stt_not-a-real-token'))).statusCode).toBe(401);
+
+        const revoked = await createToken({ name: 'Lost tablet' });
+        const revokeRes = await coach.agent.delete(`/api/auth/tokens/${revoked.id}`);
+        expect(revokeRes.statusCode).toBe(200);
+        expect(revokeRes.body.revoked_at).not.toBeNull();
+        expect((await request(app).get('/api/auth/status').set(bearer(revoked.token))).statusCode).toBe(401);
+        expect((await coach.agent.delete(`/api/auth/tokens/${revoked.id}`)).statusCode).toBe(404);
+        expect((await coach.agent.get('/api/auth/tokens')).body).toHaveLength(0);
+
+        const expired = await createToken({ name: 'Old script', expires_in_days: 1 });
+        await db.query(`UPDATE api_tokens SET expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1`, [expired.id]);
+        expect((await request(app).get('/api/auth/status').set(bearer(expired.token))).statusCode).toBe(401);
+    });
+
+    it('should limit a scores token to entering scores and stats for its meet', async () => {
+        const meet = await createMeet();
+        const otherMeet = await createMeet();
+        const { token } = await createToken({ name: 'Court 1 tablet', scope: 'scores', meet_id: meet.id });
+        const [line] = meet.matches;
+
+        const setRes = await request(app).post(`/api/matches/${line.id}/sets`).set(bearer(token))
+            .send({ set_number: 1, team1_games_won: 8, team2_games_won: 6 });
+        expect(setRes.statusCode).toBe(201);
+        expect((await request(app).put(`/api/sets/${setRes.body.id}`).set(bearer(token))
+            .send({ team1_games_won: 8, team2_games_won: 4 })).statusCode).toBe(200);
+
+        const otherSetRes = await request(app).post(`/api/matches/${otherMeet.matches[0].id}/sets`).set(bearer(token))
+            .send({ set_number: 1, team1_games_won: 8, team2_games_won: 6 });
+        expect(otherSetRes.statusCode).toBe(403);
+
+        // Everything else is off limits
+        expect((await request(app).put(`/api/teams/${teamA.id}`).set(bearer(token)).send({ name: 'Nope' })).statusCode).toBe(403);
+        expect((await request(app).put(`/api/matches/${line.id}`).set(bearer(token)).send({ team1_player1_id: null })).statusCode).toBe(403);
+        expect((await request(app).get('/api/auth/sessions').set(bearer(token))).statusCode).toBe(403);
+        // Public reads still work
+        expect((await request(app).get(`/api/matches/${line.id}/sets`).set(bearer(token))).statusCode).toBe(200);
+    });
+
+    it('should let Admins view and revoke a user\'s tokens', async () => {
+        const created = await createToken({ name: 'Scoreboard', scope: 'scores' });
+
+        const listRes = await admin.agent.get(`/api/users/${coach.userId}/tokens`);
+        expect(listRes.statusCode).toBe(200);
+        expect(listRes.body.map((token) => token.name)).toEqual(['Scoreboard']);
+        expect((await coach.agent.get(`/api/users/${admin.userId}/tokens`)).statusCode).toBe(403);
+        expect((await admin.agent.get('/api/users/9999/tokens')).statusCode).toBe(404);
+
+        expect((await admin.agent.delete(`/api/users/${admin.userId}/tokens/${created.id}`)).statusCode).toBe(404);
+        expect((await admin.agent.delete(`/api/users/${coach.userId}/tokens/${created.id}`)).statusCode).toBe(200);
+        expect((await request(app).get('/api/auth/status').set(bearer(created.token))).statusCode).toBe(401);
+    });
+});
@@ -0,0 +1,110 @@
+// src/tests/audit.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Audit log', () => {
+    let server;
+    let coach, admin;
+    let team;
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    const registerAgent = async (name, roleId) => {
+        const agent = request.agent(app);
+        const regRes = await agent.post('/api/auth/register').send({
+            email: `${name.toLowerCase().replace(/\s+/g, '-')}@example.com`,
+            password: 'password123',
+            name,
+        });
+        expect(regRes.statusCode).toBe(201);
+        await setUserRole(regRes.body.id, roleId);
+        return { agent, userId: regRes.body.id };
+    };
+
+    beforeEach(async () => {
+        await cleanTables();
+        coach = await registerAgent('Audit Coach', 2);
+        admin = await registerAgent('Audit Admin', 1);
+        team = (await coach.agent.post('/api/teams').send({ name: 'Audit Team' })).body;
+    });
+
+    const getAudit = async (query) => {
+        const response = await admin.agent.get(`/api/audit${query}`);
+        expect(response.statusCode).toBe(200);
+        return response.body;
+    };
+
+    it('should record who changed a score and the old and new values', async () => {
+        const formatId = (await db.query(
+            `INSERT INTO meet_formats (name, num_singles_lines, num_doubles_lines, scoring_type)
+             VALUES ('Audit 1S', 1, 0, '8_game_pro_set') RETURNING id`
+        )).rows[0].id;
+        const otherTeam = (await admin.agent.post('/api/teams').send({ name: 'Audit Opponent' })).body;
+        const meet = (await coach.agent.post('/api/meets').send({
+            meet_date: new Date().toISOString(),
+            team1_id: team.id,
+            team2_id: otherTeam.id,
+            meet_format_id: formatId,
+            generate_lines: true,
+        })).body;
+        const set = (await coach.agent.post(`/api/matches/${meet.matches[0].id}/sets`)
+            .send({ set_number: 1, team1_games_won: 8, team2_games_won: 6 })).body;
+        expect((await admin.agent.put(`/api/sets/${set.id}`).send({ team1_games_won: 6, team2_games_won: 8 })).statusCode).toBe(200);
+
+        const entries = await getAudit(`?entity=sets&entity_id=${set.id}`);
+        expect(entries.map((entry) => [entry.action, entry.user_id])).toEqual([['update', admin.userId], ['insert', coach.userId]]);
+        const [update] = entries;
+        expect(update.user_name).toBe('Audit Admin');
+        expect(update.old_values).toMatchObject({ team1_games_won: 8, team2_games_won: 6 });
+        expect(update.new_values).toMatchObject({ team1_games_won: 6, team2_games_won: 8 });
+        expect(update.created_at).not.toBeNull();
+    });
+
+    it('should record a deleted player with the values it had', async () => {
+        const userRes = await db.query(`INSERT INTO users (email, name, role_id) VALUES ('audited.player@example.com', 'Audited Player', 3) RETURNING id`);
+        const player = (await coach.agent.post('/api/players').send({ user_id: userRes.rows[0].id, team_id: team.id })).body;
+        expect((await admin.agent.delete(`/api/players/${player.id}`)).statusCode).toBe(200);
+
+        const [deleted] = await getAudit(`?entity=players&action=delete`);
+        expect(deleted).toMatchObject({ entity_id: player.id, user_id: admin.userId, new_values: null });
+        expect(deleted.old_values).toMatchObject({ user_id: userRes.rows[0].id, team_id: team.id });
+
+        const byCoach = await getAudit(`?user_id=${coach.userId}`);
+        expect(byCoach.map((entry) => entry.entity)).toEqual(['players', 'team_staff', 'teams']);
+    });
+
+    it('should leave secrets and login bookkeeping out of the trail', async () => {
+        await request(app).post('/api/auth/login').send({ email: 'audit-coach@example.com', password: 'wrongpassword' });
+        const token = (await coach.agent.post('/api/auth/tokens').send({ name: 'Audit script' })).body;
+        await request(app).get('/api/auth/status').set('Authorization', `Bearer ${token.token}`);
+
+        const userEntries = await getAudit(`?entity=users&entity_id=${coach.userId}`);
+        // Registration, then the role change by the test helper; the failed login is not recorded
+        expect(userEntries.map((entry) => entry.action)).toEqual(['update', 'insert']);
+        expect(userEntries.every((entry) => !('password' in (entry.new_values || {})))).toBe(true);
+
+        const tokenEntries = await getAudit('?entity=api_tokens');
+        expect(tokenEntries).toHaveLength(1);
+        expect(tokenEntries[0].new_values.token_hash).toBeUndefined();
+    });
+
+    it('should only be available to Admins and validate filters', async () => {
+        expect((await coach.agent.get('/api/audit')).statusCode).toBe(403);
+        expect((await request(app).get('/api/audit')).statusCode).toBe(401);
+        expect((await admin.agent.get('/api/audit?entity=user_sessions')).statusCode).toBe(400);
+        expect((await admin.agent.get('/api/audit?action=truncate')).statusCode).toBe(400);
+        expect((await admin.agent.get('/api/audit?entity_id=abc')).statusCode).toBe(400);
+        expect((await admin.agent.get('/api/audit?limit=501')).statusCode).toBe(400);
+        expect(await getAudit('?limit=1')).toHaveLength(1);
+    });
+});
@@ -30,7 +30,6 @@ describe('Authentication API - /api/auth', () => {
         email: 'test.user@example.com',
         password: 'password123',
         name: 'Test User',
-        role_id: 3, // Added role_id (assuming 3 is 'Player' from schema seed)
       };
 
       const response = await agent.post('/api/auth/register').send(newUser);
@@ -43,7 +42,7 @@ describe('Authentication API - /api/auth', () => {
       expect(response.body).toHaveProperty('email', newUser.email);
       expect(response.body).toHaveProperty('name', newUser.name);
       expect(response.body).not.toHaveProperty('password');
-      expect(response.body).toHaveProperty('role_id'); // Check that a role was assigned
+      expect(response.body).toHaveProperty('role_id', 4); // New accounts are Guests
 
       // 3. Check Database (Verify user exists and password was hashed)
       const dbRes = await db.query('SELECT * FROM users WHERE email = $1', [newUser.email]);
@@ -61,7 +60,6 @@ describe('Authentication API - /api/auth', () => {
         email: 'existing.user@example.com',
         password: 'password123',
         name: 'Existing User',
-        role_id: 3,
       };
       // 1. Register the initial user (stateless)
       const firstResponse = await request(app).post('/api/auth/register').send(initialUser);
@@ -72,7 +70,6 @@ describe('Authentication API - /api/auth', () => {
         email: 'existing.user@example.com', // Same email
         password: 'anotherpassword',
         name: 'Duplicate User',
-        role_id: 3,
       };
       const secondResponse = await request(app).post('/api/auth/register').send(duplicateUser);
 
@@ -91,7 +88,6 @@ describe('Authentication API - /api/auth', () => {
             email: 'missing.fields@example.com',
             password: 'password123',
             name: 'Missing Fields',
-            role_id: 3,
         };
         // Test missing email
         let response = await request(app).post('/api/auth/register').send({ ...baseUser, email: undefined });
@@ -105,10 +101,21 @@ describe('Authentication API - /api/auth', () => {
         response = await request(app).post('/api/auth/register').send({ ...baseUser, name: undefined });
         expect(response.statusCode).toBe(400);
         expect(response.body.message).toMatch(/Missing required fields/i);
-        // Test missing role_id
-        response = await request(app).post('/api/auth/register').send({ ...baseUser, role_id: undefined });
-        expect(response.statusCode).toBe(400);
-        expect(response.body.message).toMatch(/Missing required fields/i);
+    });
+
+    it('should return 400 Bad Request if a role_id is chosen', async () => {
+      const adminWannabe = {
+        email: 'wannabe.admin@example.com',
+        password: 'password123',
+        name: 'Wannabe Admin',
+        role_id: 1,
+      };
+      const response = await request(app).post('/api/auth/register').send(adminWannabe);
+      expect(response.statusCode).toBe(400);
+      expect(response.body.message).toMatch(/role_id cannot be chosen/i);
+
+      const dbRes = await db.query('SELECT COUNT(*) FROM users WHERE email = $1', [adminWannabe.email]);
+      expect(parseInt(dbRes.rows[0].count, 10)).toBe(0);
     });
 
     it('should return 400 Bad Request if password is too short', async () => {
@@ -116,7 +123,6 @@ describe('Authentication API - /api/auth', () => {
         email: 'short.pass@example.com',
         password: '12345', // Less than 6 chars
         name: 'Short Pass',
-        role_id: 3,
       };
       const response = await request(app).post('/api/auth/register').send(shortPasswordUser);
       expect(response.statusCode).toBe(400);
@@ -133,7 +139,6 @@ describe('Authentication API - /api/auth', () => {
         email: 'login.test@example.com',
         password: 'password123',
         name: 'Login Test User',
-        role_id: 3,
     };
 
     it('should log in successfully with correct credentials and set session cookie', async () => {
@@ -196,7 +201,6 @@ describe('Authentication API - /api/auth', () => {
       email: 'status.test@example.com',
       password: 'password123',
       name: 'Status Test User',
-      role_id: 3,
     };
 
     it('should return user info (200 OK) when logged in', async () => {
@@ -224,7 +228,6 @@ describe('Authentication API - /api/auth', () => {
       email: 'logout.test@example.com',
       password: 'password123',
       name: 'Logout Test User',
-      role_id: 3,
     };
 
     it('should log out successfully (200 OK) when logged in', async () => {
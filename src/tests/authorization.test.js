@@ -2,7 +2,7 @@
 const request = require('supertest');
 const app = require('../../server');
 const db = require('../backend/db');
-const { cleanTables } = require('./setup'); // Import cleanTables
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
 
 describe('Authorization Tests', () => {
   let server;
@@ -36,7 +36,6 @@ describe('Authorization Tests', () => {
             email: 'auth-access@example.com',
             password: 'password123',
             name: 'Auth Access User',
-            role_id: 3,
         };
         // Register user (this also logs them in via req.login)
         const regResponse = await agent.post('/api/auth/register').send(loginCredentials);
@@ -58,17 +57,17 @@ describe('Authorization Tests', () => {
       expect(response.statusCode).toBe(401);
     });
 
-    it('should return 201 Created when accessing POST /api/teams WITH authentication', async () => {
+    it('should return 201 Created when accessing POST /api/teams WITH authentication as a Coach', async () => {
       const agent = request.agent(app); // New agent
       const loginCredentials = {
           email: 'post-teams-user@example.com',
           password: 'password123',
           name: 'POST Teams User',
-          role_id: 3,
       };
       // Register user (this also logs them in via req.login)
       const regResponse = await agent.post('/api/auth/register').send(loginCredentials);
       expect(regResponse.statusCode).toBe(201); // Verify registration worked
+      await setUserRole(regResponse.body.id, 2); // Coach role (Players and Guests may not create teams)
 
       // Act: Attempt to create a team using the now authenticated agent
       const newTeamData = { name: 'Authenticated Test Team' };
@@ -87,29 +86,34 @@ describe('Authorization Tests', () => {
     // TODO: Add tests for other protected routes (PUT, DELETE for various resources)
   });
 
+  // Registers a user with the given role and returns an agent logged in as them, plus the user ID
+  const registerAgent = async (roleId, emailSuffix) => {
+      const agent = request.agent(app);
+      const regRes = await agent.post('/api/auth/register').send({
+          email: `role-test-${emailSuffix}@example.com`,
+          password: 'password123',
+          name: `Role Test ${emailSuffix}`,
+      });
+      expect(regRes.statusCode).toBe(201); // Ensure registration works
+      await setUserRole(regRes.body.id, roleId);
+      return { agent, userId: regRes.body.id, sessionCookie: regRes.header['set-cookie'] };
+  };
+
   describe('Role-Based Permissions', () => {
 
     // Helper function to create user and player record for tests
     // Returns an agent logged in as that user, the user ID, and the player ID
-    const setupUserAndPlayer = async (roleId, emailSuffix) => {
-        const agent = request.agent(app);
-        const userCredentials = {
-            email: `role-test-${emailSuffix}@example.com`,
-            password: 'password123',
-            name: `Role Test ${emailSuffix}`,
-            role_id: roleId,
-        };
-        // Register user
-        const regRes = await agent.post('/api/auth/register').send(userCredentials);
-        expect(regRes.statusCode).toBe(201); // Ensure registration works
-        const userId = regRes.body.id;
-        const sessionCookie = regRes.header['set-cookie']; // Capture the cookie
+    // coachId optionally makes that user the coach of the new team
+    const setupUserAndPlayer = async (roleId, emailSuffix, coachId = null) => {
+        const { agent, userId } = await registerAgent(roleId, emailSuffix);
+        // Teams and player records are created by an Admin
+        const { sessionCookie } = await registerAgent(1, `${emailSuffix}-setup-admin`);
 
         // Create a dummy team (needed for player creation)
-        // Use stateless request with the captured cookie
+        // Use stateless request with the admin's cookie
         const teamRes = await request(app).post('/api/teams')
                                     .set('Cookie', sessionCookie)
-                                    .send({ name: `Test Team for ${emailSuffix}`});
+                                    .send({ name: `Test Team for ${emailSuffix}`, head_coach_id: coachId });
         if (teamRes.statusCode !== 201) {
             console.error(`Failed to create team for ${emailSuffix}. Status: ${teamRes.statusCode}, Body:`, teamRes.body);
         }
@@ -117,7 +121,7 @@ describe('Authorization Tests', () => {
         const teamId = teamRes.body.id;
 
         // Create a player record linking the user to the team
-        // Use stateless request with the captured cookie
+        // Use stateless request with the admin's cookie
         const playerRes = await request(app).post('/api/players')
                                       .set('Cookie', sessionCookie)
                                       .send({ user_id: userId, team_id: teamId });
@@ -146,23 +150,23 @@ describe('Authorization Tests', () => {
         expect(parseInt(dbRes.rows[0].count, 10)).toBe(1);
     });
 
-    it('should return 200 OK when a Coach tries to DELETE /api/players/:id', async () => {
+    it('should return 200 OK when a Coach tries to DELETE /api/players/:id of their own team', async () => {
         // Arrange:
-        // 1. Create a player to be deleted
-        const { playerId: targetPlayerId, userId: targetUserId } = await setupUserAndPlayer(3, 'deletee');
-
-        // 2. Register a Coach user and get an authenticated agent for them
+        // 1. Register a Coach user and get an authenticated agent for them
         const coachAgent = request.agent(app);
         const coachCredentials = {
             email: `role-test-coach@example.com`,
             password: 'password123',
             name: `Role Test coach`,
-            role_id: 2,
         };
         const coachRegRes = await coachAgent.post('/api/auth/register').send(coachCredentials);
         expect(coachRegRes.statusCode).toBe(201); // Ensure coach registration worked
+        await setUserRole(coachRegRes.body.id, 2);
 
-        // Act: Attempt to delete the FIRST player record using the Coach's agent
+        // 2. Create a player to be deleted, on a team the Coach coaches
+        const { playerId: targetPlayerId } = await setupUserAndPlayer(3, 'deletee', coachRegRes.body.id);
+
+        // Act: Attempt to delete the player record using the Coach's agent
         const response = await coachAgent.delete(`/api/players/${targetPlayerId}`);
 
         // Assert
@@ -185,10 +189,10 @@ describe('Authorization Tests', () => {
             email: `role-test-admin@example.com`,
             password: 'password123',
             name: `Role Test admin`,
-            role_id: 1,
         };
         const adminRegRes = await adminAgent.post('/api/auth/register').send(adminCredentials);
         expect(adminRegRes.statusCode).toBe(201); // Ensure admin registration worked
+        await setUserRole(adminRegRes.body.id, 1);
 
         // Act: Attempt to delete the FIRST player record using the Admin's agent
         const response = await adminAgent.delete(`/api/players/${targetPlayerId}`);
@@ -204,4 +208,111 @@ describe('Authorization Tests', () => {
 
   });
 
+  describe('Role enforcement on mutating routes', () => {
+    const ROLE_IDS = { Admin: 1, Coach: 2, Player: 3, Guest: 4 };
+    let agents;
+    let fixture;
+
+    beforeEach(async () => {
+        agents = {};
+        for (const [roleName, roleId] of Object.entries(ROLE_IDS)) {
+            agents[roleName] = await registerAgent(roleId, roleName.toLowerCase());
+        }
+        const admin = agents.Admin.agent;
+        // The Coach coaches team 1, so their changes to it and its meet are in scope
+        const team1 = (await admin.post('/api/teams').send({ name: 'Enforcement Team 1', head_coach_id: agents.Coach.userId })).body;
+        const team2 = (await admin.post('/api/teams').send({ name: 'Enforcement Team 2' })).body;
+        // Standard formats have no creator (cleanTables removes the seeded ones)
+        const standardFormat = (await db.query(
+            `INSERT INTO meet_formats (name, num_singles_lines, num_doubles_lines, scoring_type)
+             VALUES ('Enforcement Standard', 2, 1, 'best_of_3_sets') RETURNING id`
+        )).rows[0];
+        const meet = (await admin.post('/api/meets').send({
+            meet_date: new Date().toISOString(),
+            team1_id: team1.id,
+            team2_id: team2.id,
+            meet_format_id: standardFormat.id,
+        })).body;
+        const match = (await admin.post('/api/matches').send({ meet_id: meet.id, line_number: 1, line_type: 'Singles' })).body;
+        fixture = { team1, meet, match, standardFormatId: standardFormat.id };
+    });
+
+    // [description, method, path, body, roles allowed]
+    // Run in order against one fixture, so the deletes come last
+    const cases = [
+        ['create a team', 'post', () => '/api/teams', { name: 'New Team' }, ['Admin', 'Coach']],
+        ['update a team', 'put', () => `/api/teams/${fixture.team1.id}`, { name: 'Renamed' }, ['Admin', 'Coach']],
+        ['create a player', 'post', () => '/api/players', () => ({ user_id: agents.Player.userId }), ['Admin', 'Coach']],
+        ['create a role', 'post', () => '/api/roles', { name: 'Scorekeeper' }, ['Admin']],
+        ['create a season', 'post', () => '/api/seasons', { name: 'Enforcement Season' }, ['Admin']],
+        ['create a meet', 'post', () => '/api/meets', () => ({
+            meet_date: new Date().toISOString(), team1_id: fixture.meet.team1_id, team2_id: fixture.meet.team2_id, meet_format_id: fixture.standardFormatId,
+        }), ['Admin', 'Coach']],
+        ['create a match', 'post', () => '/api/matches', () => ({ meet_id: fixture.meet.id, line_number: 2, line_type: 'Singles' }), ['Admin', 'Coach']],
+        ['enter a set', 'post', () => `/api/matches/${fixture.match.id}/sets`, { set_number: 1, team1_games_won: 6, team2_games_won: 2 }, ['Admin', 'Coach']],
+        ['create a meet format', 'post', () => '/api/meet-formats', { name: 'Enforcement Format', num_singles_lines: 2, num_doubles_lines: 1, scoring_type: '8_game_pro_set' }, ['Admin', 'Coach']],
+        ['change a standard meet format', 'put', () => `/api/meet-formats/${fixture.standardFormatId}`, { description: 'Changed' }, ['Admin']],
+        ['change the role of a user', 'put', () => `/api/users/${agents.Guest.userId}/role`, { role_id: 4 }, ['Admin']],
+        ['create a user', 'post', () => '/api/users', { email: 'created@example.com', name: 'Created User', role_id: 4 }, ['Admin']],
+        ['delete another user', 'delete', () => `/api/users/${agents.Guest.userId}`, undefined, ['Admin']],
+        ['delete a meet', 'delete', () => `/api/meets/${fixture.meet.id}`, undefined, ['Admin']],
+        ['delete a team', 'delete', () => `/api/teams/${fixture.team1.id}`, undefined, ['Admin']],
+    ];
+
+    it.each(Object.keys(ROLE_IDS))('should only let the %s role make the changes it allows', async (roleName) => {
+        const results = [];
+        for (const [description, method, path, body, allowedRoles] of cases) {
+            const payload = typeof body === 'function' ? body() : body;
+            const response = await agents[roleName].agent[method](path()).send(payload);
+            const allowed = allowedRoles.includes(roleName);
+            const ok = allowed ? response.statusCode < 300 : response.statusCode === 403 && /^Forbidden/.test(response.body.message);
+            results.push({ description, status: response.statusCode, ok });
+        }
+        expect(results.filter((result) => !result.ok)).toEqual([]);
+    });
+
+    it('should tell forbidden users which roles are allowed', async () => {
+        const response = await agents.Player.agent.post('/api/teams').send({ name: 'Nope' });
+        expect(response.body.message).toBe('Forbidden: Only Admins or Coaches can perform this action.');
+    });
+
+    it('should let any user update their own name but not their role', async () => {
+        const { agent, userId } = agents.Player;
+        const nameRes = await agent.put(`/api/users/${userId}`).send({ name: 'Renamed Player' });
+        expect(nameRes.statusCode).toBe(200);
+
+        const roleRes = await agent.put(`/api/users/${userId}`).send({ role_id: 1 });
+        expect(roleRes.statusCode).toBe(403);
+        const dbRes = await db.query('SELECT role_id FROM users WHERE id = $1', [userId]);
+        expect(dbRes.rows[0].role_id).toBe(3);
+    });
+
+    it('should not let a non-Admin update another user', async () => {
+        const response = await agents.Coach.agent.put(`/api/users/${agents.Player.userId}`).send({ name: 'Hijacked' });
+        expect(response.statusCode).toBe(403);
+    });
+
+    it('should only let the creating Coach or an Admin change a custom meet format', async () => {
+        const formatRes = await agents.Coach.agent.post('/api/meet-formats').send({
+            name: 'Coach Format', num_singles_lines: 2, num_doubles_lines: 1, scoring_type: '8_game_pro_set',
+        });
+        expect(formatRes.statusCode).toBe(201);
+
+        const { agent: otherCoach } = await registerAgent(2, 'other-coach');
+        const otherRes = await otherCoach.put(`/api/meet-formats/${formatRes.body.id}`).send({ description: 'Mine now' });
+        expect(otherRes.statusCode).toBe(403);
+
+        const ownerRes = await agents.Coach.agent.put(`/api/meet-formats/${formatRes.body.id}`).send({ description: 'Still mine' });
+        expect(ownerRes.statusCode).toBe(200);
+
+        const adminRes = await agents.Admin.agent.post(`/api/meet-formats/${formatRes.body.id}/retire`);
+        expect(adminRes.statusCode).toBe(200);
+    });
+
+    it('should return 401 rather than 403 when not logged in', async () => {
+        const response = await unauthenticatedAgent.delete(`/api/meets/${fixture.meet.id}`);
+        expect(response.statusCode).toBe(401);
+    });
+  });
+
 });
\ No newline at end of file
@@ -0,0 +1,146 @@
+// src/tests/captains.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Season captains', () => {
+    let server;
+    let headCoach, manager, opposingCoach;
+    let team, opponent, lastSeasonId, thisSeasonId, formatId;
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    const registerAgent = async (name, roleId) => {
+        const agent = request.agent(app);
+        const regRes = await agent.post('/api/auth/register').send({
+            email: `${name.toLowerCase().replace(/\s+/g, '-')}@example.com`,
+            password: 'password123',
+            name,
+        });
+        expect(regRes.statusCode).toBe(201);
+        await setUserRole(regRes.body.id, roleId);
+        return { agent, userId: regRes.body.id };
+    };
+
+    // A logged-in Player on the team's roster for the season
+    const addPlayer = async (name, seasonId, rosterTeam = team, coach = headCoach) => {
+        const player = await registerAgent(name, 3);
+        player.id = (await db.query('INSERT INTO players (user_id, team_id) VALUES ($1, $2) RETURNING id', [player.userId, rosterTeam.id])).rows[0].id;
+        const rosterRes = await coach.agent.post(`/api/teams/${rosterTeam.id}/roster`).send({ player_id: player.id, season_id: seasonId });
+        expect(rosterRes.statusCode).toBe(201);
+        return player;
+    };
+
+    const appoint = (by, player, seasonId = thisSeasonId) =>
+        by.agent.post(`/api/teams/${team.id}/captains`).send({ player_id: player.id, season_id: seasonId });
+
+    beforeEach(async () => {
+        await cleanTables();
+        headCoach = await registerAgent('Captains Coach', 2);
+        manager = await registerAgent('Captains Manager', 2);
+        opposingCoach = await registerAgent('Opposing Captains Coach', 2);
+        team = (await headCoach.agent.post('/api/teams').send({ name: 'Captained Team' })).body;
+        opponent = (await opposingCoach.agent.post('/api/teams').send({ name: 'Other Captained Team' })).body;
+        await headCoach.agent.post(`/api/teams/${team.id}/staff`).send({ user_id: manager.userId, role: 'manager' });
+
+        const seasonRes = await db.query(
+            `INSERT INTO seasons (name, start_date) VALUES ('Spring 2024', '2024-03-01'), ('Spring 2025', '2025-03-01') RETURNING id`
+        );
+        [lastSeasonId, thisSeasonId] = seasonRes.rows.map((row) => row.id);
+        formatId = (await db.query(
+            `INSERT INTO meet_formats (name, num_singles_lines, num_doubles_lines, scoring_type)
+             VALUES ('Captains 1S', 1, 0, '8_game_pro_set') RETURNING id`
+        )).rows[0].id;
+    });
+
+    it('should appoint captains and co-captains per season up to the team\'s limit', async () => {
+        const first = await addPlayer('First Captain', thisSeasonId);
+        const second = await addPlayer('Second Captain', thisSeasonId);
+        const third = await addPlayer('Third Captain', thisSeasonId);
+        const lastYear = await addPlayer('Last Year Captain', lastSeasonId);
+
+        const firstRes = await appoint(headCoach, first);
+        expect(firstRes.statusCode).toBe(201);
+        expect(firstRes.body).toMatchObject({ player_id: first.id, season_id: thisSeasonId, is_captain: true, player_name: 'First Captain' });
+        expect((await appoint(headCoach, first)).statusCode).toBe(409);
+        expect((await appoint(headCoach, second)).statusCode).toBe(201);
+        expect((await appoint(headCoach, lastYear, lastSeasonId)).statusCode).toBe(201);
+
+        // Two per season by default
+        const overLimit = await appoint(headCoach, third);
+        expect(overLimit.statusCode).toBe(409);
+        expect(overLimit.body.message).toContain('max_captains');
+        expect((await headCoach.agent.put(`/api/teams/${team.id}`).send({ max_captains: 0 })).statusCode).toBe(400);
+        expect((await headCoach.agent.put(`/api/teams/${team.id}`).send({ max_captains: 3 })).body.max_captains).toBe(3);
+        expect((await appoint(headCoach, third)).statusCode).toBe(201);
+
+        const captainsRes = await request(app).get(`/api/teams/${team.id}/captains?season_id=${thisSeasonId}`);
+        expect(captainsRes.body.map((entry) => entry.player_name)).toEqual(['First Captain', 'Second Captain', 'Third Captain']);
+        const lastSeasonRes = await request(app).get(`/api/players?team_id=${team.id}&season_id=${lastSeasonId}`);
+        expect(lastSeasonRes.body.map((row) => [row.user_name, row.is_captain])).toEqual([['Last Year Captain', true]]);
+
+        expect((await headCoach.agent.delete(`/api/teams/${team.id}/captains/${second.id}?season_id=${thisSeasonId}`)).statusCode).toBe(200);
+        expect((await headCoach.agent.delete(`/api/teams/${team.id}/captains/${second.id}?season_id=${thisSeasonId}`)).statusCode).toBe(404);
+        expect((await headCoach.agent.delete(`/api/teams/${team.id}/captains/${first.id}`)).statusCode).toBe(400);
+        expect((await request(app).get(`/api/teams/${team.id}/captains?season_id=${thisSeasonId}`)).body).toHaveLength(2);
+    });
+
+    it('should only let the team\'s coaches appoint captains from its roster', async () => {
+        const player = await addPlayer('Hopeful Captain', thisSeasonId);
+        const outsider = await addPlayer('Outside Player', thisSeasonId, opponent, opposingCoach);
+
+        expect((await appoint(manager, player)).statusCode).toBe(403);
+        expect((await appoint(opposingCoach, player)).statusCode).toBe(403);
+        expect((await appoint(player, player)).statusCode).toBe(403);
+        expect((await appoint(headCoach, outsider)).statusCode).toBe(400);
+        expect((await appoint(headCoach, player, lastSeasonId)).statusCode).toBe(400);
+        expect((await headCoach.agent.post(`/api/teams/${team.id}/captains`).send({ player_id: player.id })).statusCode).toBe(400);
+
+        // Captaincy is no longer a player field
+        expect((await headCoach.agent.put(`/api/players/${player.id}`).send({ is_captain: true })).statusCode).toBe(400);
+    });
+
+    it('should let a captain enter scores for their own team\'s meets that season', async () => {
+        const captain = await addPlayer('Scoring Captain', thisSeasonId);
+        const teammate = await addPlayer('Scoring Teammate', thisSeasonId);
+        const formerCaptain = await addPlayer('Former Captain', lastSeasonId);
+        await appoint(headCoach, captain);
+        await appoint(headCoach, formerCaptain, lastSeasonId);
+
+        const createMeet = async (coach, team1, team2, seasonId = thisSeasonId) => (await coach.agent.post('/api/meets').send({
+            meet_date: '2025-04-10T15:30:00Z', season_id: seasonId, team1_id: team1.id, team2_id: team2.id, meet_format_id: formatId, generate_lines: true,
+        })).body;
+        const meet = await createMeet(headCoach, team, opponent);
+        const [line] = meet.matches;
+        const setScore = { set_number: 1, team1_games_won: 8, team2_games_won: 5 };
+
+        const setRes = await captain.agent.post(`/api/matches/${line.id}/sets`).send(setScore);
+        expect(setRes.statusCode).toBe(201);
+        expect((await captain.agent.put(`/api/sets/${setRes.body.id}`).send({ team1_games_won: 8, team2_games_won: 6 })).statusCode).toBe(200);
+
+        const teammateRes = await teammate.agent.put(`/api/sets/${setRes.body.id}`).send({ team1_games_won: 8, team2_games_won: 0 });
+        expect(teammateRes.statusCode).toBe(403);
+        expect(teammateRes.body.message).toContain('captain');
+        expect((await formerCaptain.agent.put(`/api/sets/${setRes.body.id}`).send({ team1_games_won: 8, team2_games_won: 0 })).statusCode).toBe(403);
+
+        // Only their own team's meets, and only scores
+        const thirdTeam = (await opposingCoach.agent.post('/api/teams').send({ name: 'Third Team' })).body;
+        const otherMeet = await createMeet(opposingCoach, opponent, thirdTeam);
+        expect((await captain.agent.post(`/api/matches/${otherMeet.matches[0].id}/sets`).send(setScore)).statusCode).toBe(403);
+        expect((await captain.agent.put(`/api/matches/${line.id}`).send({ winner_code: 1 })).statusCode).toBe(403);
+        expect((await captain.agent.post(`/api/meets/${meet.id}/postpone`).send({ reason: 'weather' })).statusCode).toBe(403);
+
+        // Losing the captaincy takes the access away
+        await headCoach.agent.delete(`/api/teams/${team.id}/captains/${captain.id}?season_id=${thisSeasonId}`);
+        expect((await captain.agent.delete(`/api/sets/${setRes.body.id}`)).statusCode).toBe(403);
+    });
+});
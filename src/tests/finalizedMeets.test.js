@@ -0,0 +1,122 @@
+// src/tests/finalizedMeets.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Finalized meets', () => {
+    let server;
+    let homeCoach, awayCoach, admin;
+    let meet, line, set;
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    const registerAgent = async (name, roleId) => {
+        const agent = request.agent(app);
+        const regRes = await agent.post('/api/auth/register').send({
+            email: `${name.toLowerCase().replace(/\s+/g, '-')}@example.com`,
+            password: 'password123',
+            name,
+        });
+        expect(regRes.statusCode).toBe(201);
+        await setUserRole(regRes.body.id, roleId);
+        return { agent, userId: regRes.body.id };
+    };
+
+    // A one-line meet with its result entered, submitted and confirmed
+    beforeEach(async () => {
+        await cleanTables();
+        homeCoach = await registerAgent('Final Home Coach', 2);
+        awayCoach = await registerAgent('Final Away Coach', 2);
+        admin = await registerAgent('Final Admin', 1);
+
+        const homeTeam = (await homeCoach.agent.post('/api/teams').send({ name: 'Final Home' })).body;
+        const awayTeam = (await awayCoach.agent.post('/api/teams').send({ name: 'Final Away' })).body;
+        const formatId = (await db.query(
+            `INSERT INTO meet_formats (name, num_singles_lines, num_doubles_lines, scoring_type)
+             VALUES ('Final 1S', 1, 0, '8_game_pro_set') RETURNING id`
+        )).rows[0].id;
+        meet = (await homeCoach.agent.post('/api/meets').send({
+            meet_date: new Date().toISOString(),
+            team1_id: homeTeam.id,
+            team2_id: awayTeam.id,
+            meet_format_id: formatId,
+            generate_lines: true,
+        })).body;
+        [line] = meet.matches;
+        set = (await homeCoach.agent.post(`/api/matches/${line.id}/sets`).send({ set_number: 1, team1_games_won: 8, team2_games_won: 6 })).body;
+        expect((await homeCoach.agent.post(`/api/meets/${meet.id}/result/submit`).send({})).statusCode).toBe(200);
+        expect((await awayCoach.agent.post(`/api/meets/${meet.id}/result/confirm`)).statusCode).toBe(200);
+    });
+
+    it('should finalize a meet once its results are confirmed', async () => {
+        const meetRes = await request(app).get(`/api/meets/${meet.id}`);
+        expect(meetRes.body).toMatchObject({ status: 'finalized', team1_score: 1, team2_score: 0 });
+
+        // Recalculating keeps the status
+        const recalculateRes = await admin.agent.post(`/api/meets/${meet.id}/recalculate`);
+        expect(recalculateRes.statusCode).toBe(200);
+        expect(recalculateRes.body.status).toBe('finalized');
+    });
+
+    it('should reject changes to a finalized meet without an Admin override reason', async () => {
+        const setRes = await admin.agent.put(`/api/sets/${set.id}`).send({ team1_games_won: 6, team2_games_won: 8 });
+        expect(setRes.statusCode).toBe(409);
+        expect(setRes.body.message).toMatch(/finalized/);
+        expect((await admin.agent.delete(`/api/matches/${line.id}`)).statusCode).toBe(409);
+        expect((await admin.agent.put(`/api/meets/${meet.id}`).send({ location: 'Elsewhere' })).statusCode).toBe(409);
+        expect((await admin.agent.post(`/api/meets/${meet.id}/generate-lines`)).statusCode).toBe(409);
+        expect((await admin.agent.delete(`/api/meets/${meet.id}`)).statusCode).toBe(409);
+
+        // Coaches cannot change confirmed results at all, and an Admin's reason cannot be empty
+        expect((await homeCoach.agent.put(`/api/sets/${set.id}`).send({ team1_games_won: 6, team2_games_won: 8, override_reason: 'Mistake' })).statusCode).toBe(409);
+        expect((await admin.agent.put(`/api/sets/${set.id}`).send({ team1_games_won: 6, team2_games_won: 8, override_reason: '  ' })).statusCode).toBe(400);
+
+        expect((await request(app).get(`/api/sets/${set.id}`)).body).toMatchObject({ team1_games_won: 8, team2_games_won: 6 });
+    });
+
+    it('should let an Admin change a finalized meet with a reason that is logged', async () => {
+        const setRes = await admin.agent.put(`/api/sets/${set.id}`).send({ team1_games_won: 6, team2_games_won: 8, override_reason: 'Scorecard was misread' });
+        expect(setRes.statusCode).toBe(200);
+        expect(setRes.body).toMatchObject({ team1_games_won: 6, team2_games_won: 8 });
+
+        // The meet is rescored but stays finalized
+        const meetRes = await request(app).get(`/api/meets/${meet.id}`);
+        expect(meetRes.body).toMatchObject({ status: 'finalized', team1_score: 0, team2_score: 1 });
+
+        const meetUpdateRes = await admin.agent.put(`/api/meets/${meet.id}`).send({ location: 'Court 3', override_reason: 'Wrong venue recorded' });
+        expect(meetUpdateRes.statusCode).toBe(200);
+        expect(meetUpdateRes.body.location).toBe('Court 3');
+
+        const auditRes = await admin.agent.get(`/api/audit?entity=sets&entity_id=${set.id}&action=update`);
+        expect(auditRes.body[0]).toMatchObject({ user_id: admin.userId, reason: 'Scorecard was misread' });
+        const meetAuditRes = await admin.agent.get(`/api/audit?entity=meets&entity_id=${meet.id}&limit=1`);
+        expect(meetAuditRes.body[0]).toMatchObject({ action: 'update', reason: 'Wrong venue recorded' });
+        expect(meetAuditRes.body[0].new_values.location).toBe('Court 3');
+
+        // Changes made without an override carry no reason
+        const insertAuditRes = await admin.agent.get(`/api/audit?entity=sets&entity_id=${set.id}&action=insert`);
+        expect(insertAuditRes.body[0].reason).toBeNull();
+    });
+
+    it('should unlock the meet when an Admin reopens its results', async () => {
+        const reopenRes = await admin.agent.post(`/api/meets/${meet.id}/result/resolve`).send({ decision: 'reopen', comment: 'Line 1 needs checking' });
+        expect(reopenRes.statusCode).toBe(200);
+        expect(reopenRes.body).toMatchObject({ result_status: 'pending', status: 'completed' });
+
+        // Only Admins may give an override reason
+        expect((await homeCoach.agent.put(`/api/sets/${set.id}`).send({ team1_games_won: 6, team2_games_won: 8, override_reason: 'Mistake' })).statusCode).toBe(403);
+        expect((await homeCoach.agent.put(`/api/sets/${set.id}`).send({ team1_games_won: 6, team2_games_won: 8 })).statusCode).toBe(200);
+
+        const confirmRes = await admin.agent.post(`/api/meets/${meet.id}/result/resolve`).send({ decision: 'confirm', comment: 'Checked' });
+        expect(confirmRes.body).toMatchObject({ result_status: 'confirmed', status: 'finalized' });
+    });
+});
@@ -0,0 +1,183 @@
+// src/tests/invites.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Invites and role changes', () => {
+    let server;
+    let coach, otherCoach, admin;
+    let team, otherTeam;
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    const emailFor = (name) => `${name.toLowerCase().replace(/\s+/g, '-')}@example.com`;
+
+    const register = (agent, name, extra = {}) =>
+        agent.post('/api/auth/register').send({ email: emailFor(name), password: 'password123', name, ...extra });
+
+    const registerAgent = async (name, roleId) => {
+        const agent = request.agent(app);
+        const regRes = await register(agent, name);
+        expect(regRes.statusCode).toBe(201);
+        if (roleId) {
+            await setUserRole(regRes.body.id, roleId);
+        }
+        return { agent, userId: regRes.body.id };
+    };
+
+    const createInvite = async (body = {}) => {
+        const inviteRes = await coach.agent.post(`/api/teams/${team.id}/invites`).send(body);
+        expect(inviteRes.statusCode).toBe(201);
+        return inviteRes.body;
+    };
+
+    beforeEach(async () => {
+        await cleanTables();
+        coach = await registerAgent('Invite Coach', 2);
+        otherCoach = await registerAgent('Other Coach', 2);
+        admin = await registerAgent('Invite Admin', 1);
+        team = (await coach.agent.post('/api/teams').send({ name: 'Invite Team' })).body;
+        otherTeam = (await otherCoach.agent.post('/api/teams').send({ name: 'Other Team' })).body;
+    });
+
+    describe('Issuing invites', () => {
+        it('should let a Coach issue and list invites for their own team only', async () => {
+            const invite = await createInvite({ email: 'new.player@example.com' });
+            expect(invite).toMatchObject({ team_id: team.id, created_by_user_id: coach.userId, email: 'new.player@example.com', status: 'pending' });
+            expect(invite.code).toMatch(/^\d+\.[\w-]+\.[\w-]+$/);
+            expect(invite).not.toHaveProperty('nonce');
+
+            const listRes = await coach.agent.get(`/api/teams/${team.id}/invites`);
+            expect(listRes.statusCode).toBe(200);
+            expect(listRes.body.map((item) => item.code)).toEqual([invite.code]);
+
+            expect((await otherCoach.agent.post(`/api/teams/${team.id}/invites`).send({})).statusCode).toBe(403);
+            expect((await otherCoach.agent.get(`/api/teams/${team.id}/invites`)).statusCode).toBe(403);
+            expect((await admin.agent.post(`/api/teams/${otherTeam.id}/invites`).send({})).statusCode).toBe(201);
+        });
+
+        it('should not let Players or Guests issue invites', async () => {
+            const { agent: guest } = await registerAgent('Some Guest');
+            expect((await guest.post(`/api/teams/${team.id}/invites`).send({})).statusCode).toBe(403);
+            expect((await request(app).post(`/api/teams/${team.id}/invites`).send({})).statusCode).toBe(401);
+        });
+
+        it('should validate the team and the expiry', async () => {
+            expect((await admin.agent.post('/api/teams/9999/invites').send({})).statusCode).toBe(404);
+            expect((await coach.agent.post(`/api/teams/${team.id}/invites`).send({ expires_in_days: 0 })).statusCode).toBe(400);
+            expect((await coach.agent.post(`/api/teams/${team.id}/invites`).send({ expires_in_days: 31 })).statusCode).toBe(400);
+        });
+    });
+
+    describe('Registering with an invite', () => {
+        it('should register a Player on the invite\'s team and use up the invite', async () => {
+            const invite = await createInvite();
+            const agent = request.agent(app);
+            const regRes = await register(agent, 'Invited Player', { invite_code: invite.code });
+            expect(regRes.statusCode).toBe(201);
+            expect(regRes.body.role_id).toBe(3);
+
+            const playerRes = await db.query('SELECT team_id FROM players WHERE user_id = $1', [regRes.body.id]);
+            expect(playerRes.rows).toEqual([{ team_id: team.id }]);
+            const statusRes = await agent.get('/api/auth/status');
+            expect(statusRes.body.role_name).toBe('Player');
+
+            const [usedInvite] = (await coach.agent.get(`/api/teams/${team.id}/invites`)).body;
+            expect(usedInvite).toMatchObject({ status: 'used', used_by_user_id: regRes.body.id });
+
+            const reuseRes = await register(request(app), 'Second Player', { invite_code: invite.code });
+            expect(reuseRes.statusCode).toBe(400);
+            expect(reuseRes.body.message).toMatch(/already been used/);
+        });
+
+        it('should reject tampered, revoked, expired and mismatched invites', async () => {
+            const invite = await createInvite();
+            const [id, nonce] = invite.code.split('.');
+            const tampered = await register(request(app), 'Tampered Player', { invite_code: `${id}.${nonce}.forged` });
+            expect(tampered.statusCode).toBe(400);
+            expect((await register(request(app), 'Garbled Player', { invite_code: 'not-a-code' })).statusCode).toBe(400);
+
+            const revokeRes = await coach.agent.delete(`/api/teams/${team.id}/invites/${invite.id}`);
+            expect(revokeRes.statusCode).toBe(200);
+            expect(revokeRes.body.status).toBe('revoked');
+            const revoked = await register(request(app), 'Revoked Player', { invite_code: invite.code });
+            expect(revoked.statusCode).toBe(400);
+            expect(revoked.body.message).toMatch(/revoked/);
+
+            const expiring = await createInvite();
+            await db.query(`UPDATE invites SET expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1`, [expiring.id]);
+            const expired = await register(request(app), 'Late Player', { invite_code: expiring.code });
+            expect(expired.statusCode).toBe(400);
+            expect(expired.body.message).toMatch(/expired/);
+
+            const personal = await createInvite({ email: emailFor('Intended Player') });
+            expect((await register(request(app), 'Someone Else', { invite_code: personal.code })).statusCode).toBe(400);
+            expect((await register(request(app), 'Intended Player', { invite_code: personal.code })).statusCode).toBe(201);
+
+            const userCount = await db.query(`SELECT COUNT(*) FROM users WHERE role_id = 3`);
+            expect(parseInt(userCount.rows[0].count, 10)).toBe(1);
+        });
+
+        it('should leave the invite unused when registration fails', async () => {
+            const invite = await createInvite();
+            const duplicate = await register(request(app), 'Invite Coach', { invite_code: invite.code });
+            expect(duplicate.statusCode).toBe(409);
+
+            const [unused] = (await coach.agent.get(`/api/teams/${team.id}/invites`)).body;
+            expect(unused.status).toBe('pending');
+            const playerCount = await db.query('SELECT COUNT(*) FROM players');
+            expect(parseInt(playerCount.rows[0].count, 10)).toBe(0);
+        });
+
+        it('should not revoke an invite that has been used', async () => {
+            const invite = await createInvite();
+            await register(request(app), 'Quick Player', { invite_code: invite.code });
+            expect((await coach.agent.delete(`/api/teams/${team.id}/invites/${invite.id}`)).statusCode).toBe(409);
+            expect((await coach.agent.delete(`/api/teams/${team.id}/invites/9999`)).statusCode).toBe(404);
+        });
+    });
+
+    describe('PUT /api/users/:id/role', () => {
+        it('should let an Admin promote a Guest', async () => {
+            const guest = await registerAgent('Future Coach');
+            const response = await admin.agent.put(`/api/users/${guest.userId}/role`).send({ role_id: 2 });
+            expect(response.statusCode).toBe(200);
+            expect(response.body).toMatchObject({ id: guest.userId, role_id: 2, role_name: 'Coach' });
+
+            // The new role applies to the user's existing session
+            expect((await guest.agent.post('/api/teams').send({ name: 'Promoted Team' })).statusCode).toBe(201);
+        });
+
+        it('should only let Admins change roles, and not their own', async () => {
+            const guest = await registerAgent('Hopeful Guest');
+            expect((await coach.agent.put(`/api/users/${guest.userId}/role`).send({ role_id: 2 })).statusCode).toBe(403);
+            expect((await guest.agent.put(`/api/users/${guest.userId}/role`).send({ role_id: 1 })).statusCode).toBe(403);
+            expect((await admin.agent.put(`/api/users/${admin.userId}/role`).send({ role_id: 4 })).statusCode).toBe(400);
+
+            // Nor through the general user update
+            const updateRes = await admin.agent.put(`/api/users/${admin.userId}`).send({ role_id: 4 });
+            expect(updateRes.statusCode).toBe(400);
+            expect(updateRes.body.message).toMatch(/\/role/);
+            expect((await admin.agent.put(`/api/users/${guest.userId}`).send({ name: 'Renamed Guest', role_id: 1 })).statusCode).toBe(400);
+            const roleRes = await db.query('SELECT id, role_id FROM users WHERE id = ANY($1) ORDER BY id', [[admin.userId, guest.userId]]);
+            expect(roleRes.rows.map((row) => row.role_id)).toEqual([1, 4]);
+        });
+
+        it('should validate the role and the user', async () => {
+            const guest = await registerAgent('Plain Guest');
+            expect((await admin.agent.put(`/api/users/${guest.userId}/role`).send({})).statusCode).toBe(400);
+            expect((await admin.agent.put(`/api/users/${guest.userId}/role`).send({ role_id: 99 })).statusCode).toBe(400);
+            expect((await admin.agent.put(`/api/users/${guest.userId}/role`).send({ role_id: 'Admin' })).statusCode).toBe(400);
+            expect((await admin.agent.put('/api/users/9999/role').send({ role_id: 2 })).statusCode).toBe(404);
+        });
+    });
+});
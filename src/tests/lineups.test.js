@@ -0,0 +1,184 @@
+// src/tests/lineups.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Meet lineups', () => {
+    let server;
+    let admin, coach, opposingCoach;
+    let team, opponent, thirdTeam, seasonId, formatId;
+    let players, opposingPlayer, outsider;
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    const registerAgent = async (name, roleId) => {
+        const agent = request.agent(app);
+        const regRes = await agent.post('/api/auth/register').send({
+            email: `${name.toLowerCase().replace(/\s+/g, '-')}@example.com`,
+            password: 'password123',
+            name,
+        });
+        expect(regRes.statusCode).toBe(201);
+        await setUserRole(regRes.body.id, roleId);
+        return { agent, userId: regRes.body.id };
+    };
+
+    // A player on the team's roster for the season
+    const addPlayer = async (name, rosterTeam) => {
+        const userRes = await db.query(
+            `INSERT INTO users (email, name, role_id) VALUES ($1, $2, 3) RETURNING id`,
+            [`${name.toLowerCase().replace(/\s+/g, '-')}@example.com`, name]
+        );
+        const player = (await db.query('INSERT INTO players (user_id, team_id) VALUES ($1, $2) RETURNING *', [userRes.rows[0].id, rosterTeam.id])).rows[0];
+        await db.query('INSERT INTO roster_entries (player_id, team_id, season_id) VALUES ($1, $2, $3)', [player.id, rosterTeam.id, seasonId]);
+        return player;
+    };
+
+    const createMeet = async (minutesFromNow = 7 * 24 * 60) => (await coach.agent.post('/api/meets').send({
+        meet_date: new Date(Date.now() + minutesFromNow * 60 * 1000).toISOString(),
+        season_id: seasonId,
+        team1_id: team.id,
+        team2_id: opponent.id,
+        meet_format_id: formatId,
+    })).body;
+
+    // A full lineup for the 2 Singles / 1 Doubles format
+    const lineupOf = (singles1, singles2, doubles1, doubles2) => ({
+        singles: [{ line_number: 1, player_id: singles1 }, { line_number: 2, player_id: singles2 }],
+        doubles: [{ line_number: 1, player1_id: doubles1, player2_id: doubles2 }],
+    });
+
+    beforeEach(async () => {
+        await cleanTables();
+        admin = await registerAgent('Lineup Admin', 1);
+        coach = await registerAgent('Lineup Coach', 2);
+        opposingCoach = await registerAgent('Opposing Lineup Coach', 2);
+        team = (await coach.agent.post('/api/teams').send({ name: 'Lineup Team' })).body;
+        opponent = (await opposingCoach.agent.post('/api/teams').send({ name: 'Opposing Lineup Team' })).body;
+        thirdTeam = (await opposingCoach.agent.post('/api/teams').send({ name: 'Third Lineup Team' })).body;
+        seasonId = (await db.query(`INSERT INTO seasons (name) VALUES ('Lineup Season') RETURNING id`)).rows[0].id;
+
+        const formatRes = await coach.agent.post('/api/meet-formats').send({
+            name: 'Lineup 2S/1D', num_singles_lines: 2, num_doubles_lines: 1, scoring_type: '8_game_pro_set', allow_singles_and_doubles: false,
+        });
+        expect(formatRes.statusCode).toBe(201);
+        expect(formatRes.body).toMatchObject({ allow_singles_and_doubles: false, lineup_lock_minutes: null });
+        formatId = formatRes.body.id;
+
+        players = [];
+        for (const name of ['Ann', 'Bea', 'Cat', 'Dee', 'Eve']) {
+            players.push(await addPlayer(`Lineup ${name}`, team));
+        }
+        opposingPlayer = await addPlayer('Opposing Player', opponent);
+        outsider = await addPlayer('Third Team Player', thirdTeam);
+    });
+
+    it('should set a team\'s full lineup, checked against the format, roster and duplicate rules', async () => {
+        const meet = await createMeet();
+        const [ann, bea, cat, dee, eve] = players.map((player) => player.id);
+        const putLineup = (by, lineup, teamId = team.id) => by.agent.put(`/api/meets/${meet.id}/lineups/${teamId}`).send(lineup);
+
+        const setRes = await putLineup(coach, lineupOf(ann, bea, cat, dee));
+        expect(setRes.statusCode).toBe(200);
+        expect(setRes.body).toMatchObject({ team_id: team.id, side: 1, locked: false, locks_at: null });
+        expect(setRes.body.singles.map((line) => line.player_name)).toEqual(['Lineup Ann', 'Lineup Bea']);
+        expect(setRes.body.doubles[0]).toMatchObject({ player1_name: 'Lineup Cat', player2_name: 'Lineup Dee' });
+
+        // The lines were created, and the other team's side left open
+        const matchesRes = await request(app).get(`/api/matches?meet_id=${meet.id}`);
+        expect(matchesRes.body).toHaveLength(3);
+        expect(matchesRes.body.every((match) => match.team2_player1_id === null)).toBe(true);
+        const opponentRes = await request(app).get(`/api/meets/${meet.id}/lineups/${opponent.id}`);
+        expect(opponentRes.body.singles.map((line) => line.player_id)).toEqual([null, null]);
+
+        // Changing it keeps the lines
+        expect((await putLineup(coach, lineupOf(eve, bea, cat, dee))).body.singles[0].player_name).toBe('Lineup Eve');
+        expect((await request(app).get(`/api/matches?meet_id=${meet.id}`)).body).toHaveLength(3);
+
+        // Validation
+        const invalidLineups = [
+            { singles: [{ line_number: 1, player_id: ann }], doubles: [{ line_number: 1, player1_id: cat, player2_id: dee }] }, // Missing a line
+            lineupOf(ann, bea, cat, null), // Half a doubles team
+            lineupOf(ann, ann, cat, dee), // Two singles lines
+            lineupOf(ann, bea, ann, dee), // Singles and doubles, which the format forbids
+            lineupOf(ann, outsider.id, cat, dee), // Another team's player
+            lineupOf(ann, bea, 'cat', dee),
+            { singles: [] },
+        ];
+        for (const lineup of invalidLineups) {
+            expect((await putLineup(coach, lineup)).statusCode).toBe(400);
+        }
+        await db.query(`UPDATE roster_entries SET status = 'injured' WHERE player_id = $1`, [eve]);
+        const injuredRes = await putLineup(coach, lineupOf(eve, bea, cat, dee));
+        expect(injuredRes.statusCode).toBe(400);
+        expect(injuredRes.body.message).toContain('not eligible');
+
+        // Once the format allows it, a player may play singles and doubles
+        await coach.agent.put(`/api/meet-formats/${formatId}`).send({ allow_singles_and_doubles: true });
+        expect((await putLineup(coach, lineupOf(ann, bea, ann, dee))).statusCode).toBe(200);
+
+        // Only the team's own staff set its lineup
+        expect((await putLineup(opposingCoach, lineupOf(ann, bea, cat, dee))).statusCode).toBe(403);
+        expect((await putLineup(opposingCoach, lineupOf(opposingPlayer.id, null, null, null), opponent.id)).statusCode).toBe(200);
+        expect((await putLineup(admin, lineupOf(null, null, null, null), thirdTeam.id)).statusCode).toBe(404);
+        expect((await request(app).get(`/api/meets/${meet.id}/lineups/${thirdTeam.id}`)).statusCode).toBe(404);
+    });
+
+    it('should apply the same rules to players entered line by line', async () => {
+        const meet = await createMeet();
+        const [ann, bea, cat] = players.map((player) => player.id);
+        const newLine = (lineType, lineNumber, fields) =>
+            coach.agent.post('/api/matches').send({ meet_id: meet.id, line_type: lineType, line_number: lineNumber, ...fields });
+
+        const singlesRes = await newLine('Singles', 1, { team1_player1_id: ann });
+        expect(singlesRes.statusCode).toBe(201);
+        expect((await newLine('Singles', 2, { team1_player1_id: ann })).statusCode).toBe(400);
+        expect((await newLine('Singles', 2, { team1_player1_id: bea, team1_player2_id: cat })).statusCode).toBe(400);
+        expect((await newLine('Doubles', 1, { team1_player1_id: bea })).statusCode).toBe(400);
+        expect((await newLine('Doubles', 1, { team1_player1_id: bea, team1_player2_id: cat })).statusCode).toBe(201);
+
+        const line = singlesRes.body;
+        const outsiderRes = await coach.agent.put(`/api/matches/${line.id}`).send({ team1_player1_id: outsider.id });
+        expect(outsiderRes.statusCode).toBe(400);
+        expect(outsiderRes.body.message).toContain('not eligible');
+        expect((await coach.agent.put(`/api/matches/${line.id}`).send({ team1_player1_id: bea })).statusCode).toBe(400);
+        expect((await opposingCoach.agent.put(`/api/matches/${line.id}`).send({ team2_player1_id: opposingPlayer.id })).statusCode).toBe(200);
+    });
+
+    it('should lock lineups the format\'s lineup_lock_minutes before the meet, except for Admins', async () => {
+        expect((await coach.agent.put(`/api/meet-formats/${formatId}`).send({ lineup_lock_minutes: -5 })).statusCode).toBe(400);
+        expect((await coach.agent.put(`/api/meet-formats/${formatId}`).send({ lineup_lock_minutes: 60 })).body.lineup_lock_minutes).toBe(60);
+        const [ann, bea, cat, dee] = players.map((player) => player.id);
+
+        const laterMeet = await createMeet(3 * 60);
+        const laterRes = await coach.agent.put(`/api/meets/${laterMeet.id}/lineups/${team.id}`).send(lineupOf(ann, bea, cat, dee));
+        expect(laterRes.statusCode).toBe(200);
+        expect(laterRes.body.locked).toBe(false);
+        expect(new Date(laterRes.body.locks_at).getTime()).toBe(new Date(laterMeet.meet_date).getTime() - 60 * 60 * 1000);
+
+        const soonMeet = await createMeet(30);
+        const lockedRes = await coach.agent.put(`/api/meets/${soonMeet.id}/lineups/${team.id}`).send(lineupOf(ann, bea, cat, dee));
+        expect(lockedRes.statusCode).toBe(409);
+        expect(lockedRes.body.message).toContain('locked');
+        expect((await request(app).get(`/api/meets/${soonMeet.id}/lineups/${team.id}`)).body.locked).toBe(true);
+
+        // Line results can still be entered, but not players
+        const lineRes = await admin.agent.post('/api/matches').send({ meet_id: soonMeet.id, line_type: 'Singles', line_number: 1 });
+        expect(lineRes.statusCode).toBe(201);
+        expect((await coach.agent.put(`/api/matches/${lineRes.body.id}`).send({ team1_player1_id: ann })).statusCode).toBe(409);
+        expect((await coach.agent.put(`/api/matches/${lineRes.body.id}`).send({ winner_code: 1 })).statusCode).toBe(200);
+
+        const adminRes = await admin.agent.put(`/api/meets/${soonMeet.id}/lineups/${team.id}`).send(lineupOf(ann, bea, cat, dee));
+        expect(adminRes.statusCode).toBe(200);
+        expect(adminRes.body.singles[0].match_id).toBe(lineRes.body.id);
+    });
+});
@@ -0,0 +1,141 @@
+// src/tests/loginThrottling.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const mailService = require('../backend/services/mailService');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Login throttling and lockout', () => {
+    let server;
+    let userId;
+    const credentials = { email: 'guessed.user@example.com', password: 'password123', name: 'Guessed User' };
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    beforeEach(async () => {
+        await cleanTables();
+        mailService.clearSentMail();
+        const regRes = await request(app).post('/api/auth/register').send(credentials);
+        expect(regRes.statusCode).toBe(201);
+        userId = regRes.body.id;
+    });
+
+    const login = (password, email = credentials.email) => request(app).post('/api/auth/login').send({ email, password });
+
+    // Moves the last failure back in time, so the progressive delay has passed
+    const skipDelay = () => db.query(`UPDATE users SET last_failed_login_at = NOW() - INTERVAL '1 hour' WHERE id = $1`, [userId]);
+
+    const failTimes = async (count) => {
+        for (let i = 0; i < count; i++) {
+            await skipDelay();
+            expect((await login('wrongpassword')).statusCode).toBe(401);
+        }
+    };
+
+    const registerAdmin = async () => {
+        const agent = request.agent(app);
+        const regRes = await agent.post('/api/auth/register').send({ ...credentials, email: 'throttle.admin@example.com' });
+        await setUserRole(regRes.body.id, 1);
+        return agent;
+    };
+
+    it('should make the account wait after repeated failures, then reset on success', async () => {
+        await failTimes(3);
+        const throttledRes = await login(credentials.password);
+        expect(throttledRes.statusCode).toBe(429);
+        expect(throttledRes.headers['retry-after']).toBe('1');
+        expect(throttledRes.body.message).toMatch(/wait before trying again/);
+
+        await skipDelay();
+        expect((await login(credentials.password)).statusCode).toBe(200);
+        const dbRes = await db.query('SELECT failed_login_count, locked_until FROM users WHERE id = $1', [userId]);
+        expect(dbRes.rows[0]).toEqual({ failed_login_count: 0, locked_until: null });
+    });
+
+    it('should count parallel guesses before deciding on each of them', async () => {
+        const responses = await Promise.all(Array.from({ length: 8 }, () => login('wrongpassword')));
+        const statusCodes = responses.map((response) => response.statusCode);
+
+        // Only the guesses allowed before the progressive delay get a password check
+        expect(statusCodes.filter((statusCode) => statusCode === 401)).toHaveLength(3);
+        expect(statusCodes.filter((statusCode) => statusCode === 429)).toHaveLength(5);
+        const dbRes = await db.query('SELECT failed_login_count FROM users WHERE id = $1', [userId]);
+        expect(dbRes.rows[0].failed_login_count).toBe(3);
+    });
+
+    it('should lock the account after five failures until an Admin unlocks it', async () => {
+        await failTimes(5);
+        await skipDelay();
+        const lockedRes = await login(credentials.password);
+        expect(lockedRes.statusCode).toBe(429);
+        expect(lockedRes.body.message).toMatch(/Account temporarily locked/);
+        expect(Number(lockedRes.headers['retry-after'])).toBeGreaterThan(14 * 60);
+
+        // Only Admins can see which accounts are locked
+        expect((await request(app).get(`/api/users/${userId}`)).body).not.toHaveProperty('locked_until');
+        expect((await request(app).get('/api/users')).body.every((user) => !('locked_until' in user))).toBe(true);
+
+        const admin = await registerAdmin();
+        const [latestAttempt] = (await admin.get(`/api/login-attempts?user_id=${userId}&limit=1`)).body;
+        expect(new Date(latestAttempt.locked_until).getTime()).toBeGreaterThan(Date.now());
+        expect((await request(app).post(`/api/users/${userId}/unlock`)).statusCode).toBe(401);
+        const unlockRes = await admin.post(`/api/users/${userId}/unlock`);
+        expect(unlockRes.statusCode).toBe(200);
+        expect(unlockRes.body.locked_until).toBeNull();
+        expect((await admin.post('/api/users/9999/unlock')).statusCode).toBe(404);
+
+        expect((await login(credentials.password)).statusCode).toBe(200);
+    });
+
+    it('should unlock the account when the password is reset', async () => {
+        await failTimes(5);
+        await request(app).post('/api/auth/forgot-password').send({ email: credentials.email });
+        const [message] = mailService.getSentMail(credentials.email).slice(-1);
+        const token = message.text.match(/token=([\w-]+)/)[1];
+        expect((await request(app).post('/api/auth/reset-password').send({ token, new_password: 'newpassword1' })).statusCode).toBe(200);
+
+        expect((await login('newpassword1')).statusCode).toBe(200);
+    });
+
+    it('should refuse an IP address with too many recent failures', async () => {
+        for (let i = 0; i < 20; i++) {
+            expect((await login('whatever', `unknown-${i}@example.com`)).statusCode).toBe(401);
+        }
+        const blockedRes = await login(credentials.password);
+        expect(blockedRes.statusCode).toBe(429);
+        expect(blockedRes.body.message).toMatch(/from this address/);
+
+        // Failures older than the window no longer count
+        await db.query(`UPDATE login_attempts SET created_at = NOW() - INTERVAL '16 minutes'`);
+        expect((await login(credentials.password)).statusCode).toBe(200);
+    });
+
+    it('should keep an audit record of login attempts for Admins', async () => {
+        await login('wrongpassword');
+        await login('anything', 'nobody@example.com');
+        await skipDelay();
+        await login(credentials.password);
+
+        const admin = await registerAdmin();
+        const response = await admin.get(`/api/login-attempts?email=${encodeURIComponent('Guessed.User@example.com')}`);
+        expect(response.statusCode).toBe(200);
+        expect(response.body.map((attempt) => [attempt.succeeded, attempt.reason])).toEqual([[true, null], [false, 'wrong_password']]);
+        expect(response.body[0]).toMatchObject({ user_id: userId, email: credentials.email });
+
+        const failedRes = await admin.get('/api/login-attempts?failed=true');
+        expect(failedRes.body.map((attempt) => attempt.reason)).toEqual(['unknown_email', 'wrong_password']);
+        expect((await admin.get('/api/login-attempts?limit=0')).statusCode).toBe(400);
+
+        const guest = request.agent(app);
+        await guest.post('/api/auth/login').send({ email: credentials.email, password: credentials.password });
+        expect((await guest.get('/api/login-attempts')).statusCode).toBe(403);
+    });
+});
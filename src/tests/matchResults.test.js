@@ -0,0 +1,271 @@
+// src/tests/matchResults.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Match results computed from sets', () => {
+    let server;
+    let loggedInAgent;
+    let testTeam1, testTeam2;
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    beforeEach(async () => {
+        await cleanTables();
+        loggedInAgent = request.agent(app);
+
+        const userRes = await loggedInAgent.post('/api/auth/register').send({
+            email: 'results-tester@example.com',
+            password: 'password123',
+            name: 'Results Tester',
+        });
+        expect(userRes.statusCode).toBe(201);
+        await setUserRole(userRes.body.id, 2); // Coach role
+
+        const team1Res = await loggedInAgent.post('/api/teams').send({ name: 'Results Team 1' });
+        testTeam1 = team1Res.body;
+        const team2Res = await loggedInAgent.post('/api/teams').send({ name: 'Results Team 2' });
+        testTeam2 = team2Res.body;
+    });
+
+    // Creates a meet whose format has the given scoring type and line counts
+    const createMeet = async (scoringType, numSingles = 1, numDoubles = 0) => {
+        const formatRes = await db.query(
+            `INSERT INTO meet_formats (name, num_singles_lines, num_doubles_lines, scoring_type) VALUES ($1, $2, $3, $4) RETURNING id`,
+            [`Results Format ${scoringType} ${numSingles}S/${numDoubles}D`, numSingles, numDoubles, scoringType]
+        );
+        const meetRes = await loggedInAgent.post('/api/meets').send({
+            meet_date: new Date().toISOString(),
+            team1_id: testTeam1.id,
+            team2_id: testTeam2.id,
+            meet_format_id: formatRes.rows[0].id,
+        });
+        expect(meetRes.statusCode).toBe(201);
+        return meetRes.body;
+    };
+
+    const createLine = async (meetId, lineType = 'Singles', lineNumber = 1) => {
+        const matchRes = await loggedInAgent.post('/api/matches').send({
+            meet_id: meetId,
+            line_number: lineNumber,
+            line_type: lineType,
+        });
+        expect(matchRes.statusCode).toBe(201);
+        return matchRes.body;
+    };
+
+    // Creates a meet with a single singles line played under the given scoring type
+    const createMatch = async (scoringType) => {
+        const meet = await createMeet(scoringType);
+        return createLine(meet.id);
+    };
+
+    const getWinnerCode = async (matchId) => {
+        const response = await loggedInAgent.get(`/api/matches/${matchId}`);
+        return response.body.winner_code;
+    };
+
+    const addSet = (matchId, setData) => loggedInAgent.post(`/api/matches/${matchId}/sets`).send(setData);
+
+    it('should mark the match won once a team takes two sets in best of 3', async () => {
+        const match = await createMatch('best_of_3_sets');
+
+        await addSet(match.id, { set_number: 1, team1_games_won: 6, team2_games_won: 4 });
+        expect(await getWinnerCode(match.id)).toBe(0);
+
+        await addSet(match.id, { set_number: 2, team1_games_won: 3, team2_games_won: 6 });
+        expect(await getWinnerCode(match.id)).toBe(0);
+
+        await addSet(match.id, { set_number: 3, team1_games_won: 7, team2_games_won: 6, tiebreak_score_team1: 7, tiebreak_score_team2: 4 });
+        expect(await getWinnerCode(match.id)).toBe(1);
+    });
+
+    it('should decide a pro set match on its only set', async () => {
+        const match = await createMatch('8_game_pro_set');
+        await addSet(match.id, { set_number: 1, team1_games_won: 5, team2_games_won: 8 });
+        expect(await getWinnerCode(match.id)).toBe(2);
+    });
+
+    it('should decide a match tiebreak third set on tiebreak points', async () => {
+        const match = await createMatch('best_of_3_match_tiebreak');
+        await addSet(match.id, { set_number: 1, team1_games_won: 6, team2_games_won: 2 });
+        await addSet(match.id, { set_number: 2, team1_games_won: 4, team2_games_won: 6 });
+        await addSet(match.id, { set_number: 3, team1_games_won: 0, team2_games_won: 1, tiebreak_score_team1: 8, tiebreak_score_team2: 10 });
+        expect(await getWinnerCode(match.id)).toBe(2);
+    });
+
+    it('should recompute the winner when a set is edited or deleted', async () => {
+        const match = await createMatch('best_of_3_sets');
+        await addSet(match.id, { set_number: 1, team1_games_won: 6, team2_games_won: 1 });
+        const set2Res = await addSet(match.id, { set_number: 2, team1_games_won: 6, team2_games_won: 3 });
+        expect(await getWinnerCode(match.id)).toBe(1);
+
+        const updateRes = await loggedInAgent.put(`/api/sets/${set2Res.body.id}`).send({ team1_games_won: 3, team2_games_won: 6 });
+        expect(updateRes.statusCode).toBe(200);
+        expect(await getWinnerCode(match.id)).toBe(0);
+
+        await loggedInAgent.put(`/api/sets/${set2Res.body.id}`).send({ team1_games_won: 6, team2_games_won: 3 });
+        expect(await getWinnerCode(match.id)).toBe(1);
+
+        const deleteRes = await loggedInAgent.delete(`/api/sets/${set2Res.body.id}`);
+        expect(deleteRes.statusCode).toBe(200);
+        expect(await getWinnerCode(match.id)).toBe(0);
+    });
+
+    it('should leave forfeit codes untouched when sets change', async () => {
+        const match = await createMatch('best_of_3_sets');
+        await loggedInAgent.put(`/api/matches/${match.id}`).send({ winner_code: 5 });
+
+        await addSet(match.id, { set_number: 1, team1_games_won: 2, team2_games_won: 6 });
+        await addSet(match.id, { set_number: 2, team1_games_won: 1, team2_games_won: 6 });
+        expect(await getWinnerCode(match.id)).toBe(5);
+    });
+
+    describe('Set score validation', () => {
+        it.each([
+            ['a standard set that ran past 6 games', { set_number: 1, team1_games_won: 9, team2_games_won: 2 }, /9-2 is not a legal final score/],
+            ['a standard set without a two-game lead', { set_number: 1, team1_games_won: 6, team2_games_won: 5 }, /6-5 is not a legal final score/],
+            ['a 7-6 set without tiebreak scores', { set_number: 1, team1_games_won: 7, team2_games_won: 6 }, /tiebreak_score_team1 and tiebreak_score_team2 are required/],
+            ['a tiebreak won by the set loser', { set_number: 1, team1_games_won: 7, team2_games_won: 6, tiebreak_score_team1: 3, tiebreak_score_team2: 7 }, /tiebreak 3-7 is not a legal final score/],
+            ['tiebreak scores on a set without a tiebreak', { set_number: 1, team1_games_won: 6, team2_games_won: 3, tiebreak_score_team1: 7, tiebreak_score_team2: 5 }, /only recorded for 7-6 sets/],
+            ['a fourth set', { set_number: 4, team1_games_won: 6, team2_games_won: 3 }, /set_number must be between 1 and 3/],
+        ])('should return 400 for %s', async (description, setData, expectedMessage) => {
+            const match = await createMatch('best_of_3_sets');
+            const response = await addSet(match.id, setData);
+            expect(response.statusCode).toBe(400);
+            expect(response.body.message).toMatch(expectedMessage);
+        });
+
+        it('should accept legal 8-game pro set scores and reject standard set scores', async () => {
+            const match = await createMatch('8_game_pro_set');
+            const rejected = await addSet(match.id, { set_number: 1, team1_games_won: 6, team2_games_won: 4 });
+            expect(rejected.statusCode).toBe(400);
+            expect(rejected.body.message).toMatch(/8-game pro set/);
+
+            const accepted = await addSet(match.id, { set_number: 1, team1_games_won: 9, team2_games_won: 8, tiebreak_score_team1: 7, tiebreak_score_team2: 3 });
+            expect(accepted.statusCode).toBe(201);
+        });
+
+        it('should require a 10-point match tiebreak in lieu of a third set', async () => {
+            const match = await createMatch('best_of_3_match_tiebreak');
+            await addSet(match.id, { set_number: 1, team1_games_won: 6, team2_games_won: 2 });
+            await addSet(match.id, { set_number: 2, team1_games_won: 4, team2_games_won: 6 });
+
+            const fullSet = await addSet(match.id, { set_number: 3, team1_games_won: 6, team2_games_won: 4 });
+            expect(fullSet.statusCode).toBe(400);
+            expect(fullSet.body.message).toMatch(/match tiebreak/);
+
+            const shortTiebreak = await addSet(match.id, { set_number: 3, team1_games_won: 1, team2_games_won: 0, tiebreak_score_team1: 10, tiebreak_score_team2: 9 });
+            expect(shortTiebreak.statusCode).toBe(400);
+            expect(shortTiebreak.body.message).toMatch(/win by 2/);
+        });
+
+        it('should reject sets entered out of order or after the match is decided', async () => {
+            const match = await createMatch('best_of_3_sets');
+            const outOfOrder = await addSet(match.id, { set_number: 2, team1_games_won: 6, team2_games_won: 3 });
+            expect(outOfOrder.statusCode).toBe(400);
+            expect(outOfOrder.body.message).toMatch(/cannot be entered before set 1/);
+
+            await addSet(match.id, { set_number: 1, team1_games_won: 6, team2_games_won: 3 });
+            await addSet(match.id, { set_number: 2, team1_games_won: 6, team2_games_won: 4 });
+            const afterDecided = await addSet(match.id, { set_number: 3, team1_games_won: 6, team2_games_won: 0 });
+            expect(afterDecided.statusCode).toBe(400);
+            expect(afterDecided.body.message).toMatch(/already decided after set 2/);
+        });
+
+        it('should validate updates against the same rules', async () => {
+            const match = await createMatch('best_of_3_sets');
+            const setRes = await addSet(match.id, { set_number: 1, team1_games_won: 6, team2_games_won: 3 });
+            const response = await loggedInAgent.put(`/api/sets/${setRes.body.id}`).send({ team1_games_won: 8 });
+            expect(response.statusCode).toBe(400);
+            expect(response.body.message).toMatch(/8-3 is not a legal final score/);
+        });
+
+        it('should only delete a set that leaves the others in sequence', async () => {
+            const match = await createMatch('best_of_3_sets');
+            const set1Res = await addSet(match.id, { set_number: 1, team1_games_won: 6, team2_games_won: 3 });
+            const set2Res = await addSet(match.id, { set_number: 2, team1_games_won: 4, team2_games_won: 6 });
+            await addSet(match.id, { set_number: 3, team1_games_won: 6, team2_games_won: 2 });
+
+            for (const setRes of [set1Res, set2Res]) {
+                const response = await loggedInAgent.delete(`/api/sets/${setRes.body.id}`);
+                expect(response.statusCode).toBe(400);
+                expect(response.body.message).toMatch(/cannot be entered before set/);
+            }
+            expect((await loggedInAgent.get(`/api/matches/${match.id}/sets`)).body).toHaveLength(3);
+            expect(await getWinnerCode(match.id)).toBe(1);
+        });
+    });
+
+    describe('Meet score roll-up', () => {
+        const getMeet = async (meetId) => (await loggedInAgent.get(`/api/meets/${meetId}`)).body;
+
+        it('should count wins and forfeits and complete the meet once every line is final', async () => {
+            const meet = await createMeet('8_game_pro_set', 2, 1);
+            const singles1 = await createLine(meet.id, 'Singles', 1);
+            const singles2 = await createLine(meet.id, 'Singles', 2);
+            const doubles1 = await createLine(meet.id, 'Doubles', 1);
+
+            await addSet(singles1.id, { set_number: 1, team1_games_won: 8, team2_games_won: 3 });
+            let updatedMeet = await getMeet(meet.id);
+            expect(updatedMeet.team1_score).toBe(1);
+            expect(updatedMeet.team2_score).toBe(0);
+            expect(updatedMeet.status).toBe('in_progress');
+            expect(updatedMeet.winner_team_id).toBeNull();
+
+            // Team 1 forfeits Singles 2, so Team 2 gets the point
+            await loggedInAgent.put(`/api/matches/${singles2.id}`).send({ winner_code: 4 });
+            await addSet(doubles1.id, { set_number: 1, team1_games_won: 9, team2_games_won: 7 });
+
+            updatedMeet = await getMeet(meet.id);
+            expect(updatedMeet.team1_score).toBe(2);
+            expect(updatedMeet.team2_score).toBe(1);
+            expect(updatedMeet.status).toBe('completed');
+            expect(updatedMeet.winner_team_id).toBe(testTeam1.id);
+        });
+
+        it('should treat a draw as final without awarding a point', async () => {
+            const meet = await createMeet('8_game_pro_set', 2, 0);
+            const singles1 = await createLine(meet.id, 'Singles', 1);
+            const singles2 = await createLine(meet.id, 'Singles', 2);
+
+            await addSet(singles1.id, { set_number: 1, team1_games_won: 2, team2_games_won: 8 });
+            await loggedInAgent.put(`/api/matches/${singles2.id}`).send({ winner_code: 3 });
+
+            const updatedMeet = await getMeet(meet.id);
+            expect(updatedMeet.team1_score).toBe(0);
+            expect(updatedMeet.team2_score).toBe(1);
+            expect(updatedMeet.status).toBe('completed');
+            expect(updatedMeet.winner_team_id).toBe(testTeam2.id);
+        });
+
+        it('should reopen the meet when a result is removed', async () => {
+            const meet = await createMeet('8_game_pro_set', 1, 0);
+            const singles1 = await createLine(meet.id, 'Singles', 1);
+            const setRes = await addSet(singles1.id, { set_number: 1, team1_games_won: 8, team2_games_won: 6 });
+            expect((await getMeet(meet.id)).status).toBe('completed');
+
+            await loggedInAgent.delete(`/api/sets/${setRes.body.id}`);
+            const updatedMeet = await getMeet(meet.id);
+            expect(updatedMeet.status).toBe('scheduled');
+            expect(updatedMeet.team1_score).toBe(0);
+            expect(updatedMeet.winner_team_id).toBeNull();
+        });
+
+        it('should reject direct edits to calculated meet fields', async () => {
+            const meet = await createMeet('8_game_pro_set', 1, 0);
+            const response = await loggedInAgent.put(`/api/meets/${meet.id}`).send({ team1_score: 5, winner_team_id: testTeam1.id });
+            expect(response.statusCode).toBe(400);
+            expect(response.body.message).toMatch(/calculated from match results/i);
+        });
+    });
+});
@@ -0,0 +1,178 @@
+// src/tests/meetFormats.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Meet Formats API - /api/meet-formats', () => {
+    let server;
+    const unauthenticatedAgent = request(app);
+    let loggedInAgent;
+    let testUser;
+
+    const customFormat = {
+        name: 'Custom Format (3S/2D, Pro Set)',
+        num_singles_lines: 3,
+        num_doubles_lines: 2,
+        scoring_type: '8_game_pro_set',
+        description: 'Short meet for scrimmages',
+    };
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    // Clean tables and log in a fresh coach before each test
+    beforeEach(async () => {
+        await cleanTables();
+        loggedInAgent = request.agent(app);
+        const userRes = await loggedInAgent.post('/api/auth/register').send({
+            email: 'format-tester@example.com',
+            password: 'password123',
+            name: 'Format Tester',
+        });
+        expect(userRes.statusCode).toBe(201);
+        await setUserRole(userRes.body.id, 2); // Coach role
+        testUser = userRes.body;
+    });
+
+    // Creates a meet using the given format so the format counts as "in use"
+    const createMeetWithFormat = async (formatId) => {
+        const team1Res = await loggedInAgent.post('/api/teams').send({ name: 'Format Team 1' });
+        const team2Res = await loggedInAgent.post('/api/teams').send({ name: 'Format Team 2' });
+        const meetRes = await loggedInAgent.post('/api/meets').send({
+            meet_date: new Date().toISOString(),
+            team1_id: team1Res.body.id,
+            team2_id: team2Res.body.id,
+            meet_format_id: formatId,
+        });
+        expect(meetRes.statusCode).toBe(201);
+        return meetRes.body;
+    };
+
+    describe('POST /api/meet-formats', () => {
+        it('should create a custom format and record who created it', async () => {
+            const response = await loggedInAgent.post('/api/meet-formats').send(customFormat);
+
+            expect(response.statusCode).toBe(201);
+            expect(response.body).toHaveProperty('id');
+            expect(response.body.name).toBe(customFormat.name);
+            expect(response.body.created_by_user_id).toBe(testUser.id);
+            expect(response.body.is_standard).toBe(false);
+            expect(response.body.is_active).toBe(true);
+        });
+
+        it('should return 400 for an unknown scoring_type', async () => {
+            const response = await loggedInAgent.post('/api/meet-formats').send({ ...customFormat, scoring_type: 'first_to_21' });
+            expect(response.statusCode).toBe(400);
+            expect(response.body.message).toMatch(/Invalid scoring_type/i);
+        });
+
+        it('should return 400 for a format with no lines', async () => {
+            const response = await loggedInAgent.post('/api/meet-formats').send({ ...customFormat, num_singles_lines: 0, num_doubles_lines: 0 });
+            expect(response.statusCode).toBe(400);
+            expect(response.body.message).toMatch(/at least one line/i);
+        });
+
+        it('should return 409 for a duplicate name', async () => {
+            await loggedInAgent.post('/api/meet-formats').send(customFormat);
+            const response = await loggedInAgent.post('/api/meet-formats').send(customFormat);
+            expect(response.statusCode).toBe(409);
+            expect(response.body.message).toMatch(/already exists/i);
+        });
+
+        it('should return 401 if not authenticated', async () => {
+            const response = await unauthenticatedAgent.post('/api/meet-formats').send(customFormat);
+            expect(response.statusCode).toBe(401);
+        });
+    });
+
+    describe('GET /api/meet-formats', () => {
+        it('should list active formats and hide retired ones unless requested', async () => {
+            const activeRes = await loggedInAgent.post('/api/meet-formats').send(customFormat);
+            const retiredRes = await loggedInAgent.post('/api/meet-formats').send({ ...customFormat, name: 'Old Format' });
+            await loggedInAgent.post(`/api/meet-formats/${retiredRes.body.id}/retire`);
+
+            const response = await unauthenticatedAgent.get('/api/meet-formats');
+            expect(response.statusCode).toBe(200);
+            expect(response.body.map((f) => f.id)).toEqual([activeRes.body.id]);
+
+            const allResponse = await unauthenticatedAgent.get('/api/meet-formats?include_retired=true');
+            expect(allResponse.body.map((f) => f.id).sort()).toEqual([activeRes.body.id, retiredRes.body.id].sort());
+        });
+    });
+
+    describe('PUT /api/meet-formats/:id', () => {
+        it('should update line counts of a format that no meet uses', async () => {
+            const createRes = await loggedInAgent.post('/api/meet-formats').send(customFormat);
+            const response = await loggedInAgent.put(`/api/meet-formats/${createRes.body.id}`).send({ num_singles_lines: 4 });
+            expect(response.statusCode).toBe(200);
+            expect(response.body.num_singles_lines).toBe(4);
+        });
+
+        it('should return 409 when changing the structure of a format used by a meet', async () => {
+            const createRes = await loggedInAgent.post('/api/meet-formats').send(customFormat);
+            await createMeetWithFormat(createRes.body.id);
+
+            const response = await loggedInAgent.put(`/api/meet-formats/${createRes.body.id}`).send({ scoring_type: 'best_of_3_sets' });
+            expect(response.statusCode).toBe(409);
+            expect(response.body.message).toMatch(/in use by 1 meet/i);
+
+            // Non-structural fields can still change
+            const renameRes = await loggedInAgent.put(`/api/meet-formats/${createRes.body.id}`).send({ description: 'Updated' });
+            expect(renameRes.statusCode).toBe(200);
+        });
+
+        it('should return 404 for a non-existent format', async () => {
+            const response = await loggedInAgent.put('/api/meet-formats/9999').send({ description: 'Nope' });
+            expect(response.statusCode).toBe(404);
+        });
+    });
+
+    describe('Retiring and deleting formats', () => {
+        it('should not allow new meets to use a retired format', async () => {
+            const createRes = await loggedInAgent.post('/api/meet-formats').send(customFormat);
+            const retireRes = await loggedInAgent.post(`/api/meet-formats/${createRes.body.id}/retire`);
+            expect(retireRes.statusCode).toBe(200);
+            expect(retireRes.body.is_active).toBe(false);
+
+            const team1Res = await loggedInAgent.post('/api/teams').send({ name: 'Retired Team 1' });
+            const team2Res = await loggedInAgent.post('/api/teams').send({ name: 'Retired Team 2' });
+            const meetRes = await loggedInAgent.post('/api/meets').send({
+                meet_date: new Date().toISOString(),
+                team1_id: team1Res.body.id,
+                team2_id: team2Res.body.id,
+                meet_format_id: createRes.body.id,
+            });
+            expect(meetRes.statusCode).toBe(400);
+            expect(meetRes.body.message).toMatch(/is retired/i);
+        });
+
+        it('should delete a format that no meet uses', async () => {
+            const createRes = await loggedInAgent.post('/api/meet-formats').send(customFormat);
+            const response = await loggedInAgent.delete(`/api/meet-formats/${createRes.body.id}`);
+            expect(response.statusCode).toBe(200);
+
+            const dbRes = await db.query('SELECT COUNT(*) FROM meet_formats WHERE id = $1', [createRes.body.id]);
+            expect(parseInt(dbRes.rows[0].count, 10)).toBe(0);
+        });
+
+        it('should return 409 when deleting a format referenced by meets', async () => {
+            const createRes = await loggedInAgent.post('/api/meet-formats').send(customFormat);
+            await createMeetWithFormat(createRes.body.id);
+
+            const response = await loggedInAgent.delete(`/api/meet-formats/${createRes.body.id}`);
+            expect(response.statusCode).toBe(409);
+            expect(response.body.message).toMatch(/Retire it instead/i);
+
+            const dbRes = await db.query('SELECT COUNT(*) FROM meet_formats WHERE id = $1', [createRes.body.id]);
+            expect(parseInt(dbRes.rows[0].count, 10)).toBe(1);
+        });
+    });
+});
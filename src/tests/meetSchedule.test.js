@@ -0,0 +1,180 @@
+// src/tests/meetSchedule.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Postponed, suspended and cancelled meets', () => {
+    let server;
+    let coach, otherCoach;
+    let home, away, seasonId, formatId;
+
+    const originalDate = '2025-04-10T15:30:00.000Z';
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    const registerAgent = async (name, roleId) => {
+        const agent = request.agent(app);
+        const regRes = await agent.post('/api/auth/register').send({
+            email: `${name.toLowerCase().replace(/\s+/g, '-')}@example.com`,
+            password: 'password123',
+            name,
+        });
+        expect(regRes.statusCode).toBe(201);
+        await setUserRole(regRes.body.id, roleId);
+        return { agent, userId: regRes.body.id };
+    };
+
+    beforeEach(async () => {
+        await cleanTables();
+        coach = await registerAgent('Schedule Coach', 2);
+        otherCoach = await registerAgent('Other Schedule Coach', 2);
+        home = (await coach.agent.post('/api/teams').send({ name: 'Schedule Home' })).body;
+        away = (await coach.agent.post('/api/teams').send({ name: 'Schedule Away' })).body;
+        seasonId = (await db.query(`INSERT INTO seasons (name) VALUES ('Schedule Season') RETURNING id`)).rows[0].id;
+        formatId = (await db.query(
+            `INSERT INTO meet_formats (name, num_singles_lines, num_doubles_lines, scoring_type)
+             VALUES ('Schedule 3S', 3, 0, '8_game_pro_set') RETURNING id`
+        )).rows[0].id;
+    });
+
+    const createMeet = async () => {
+        const meetRes = await coach.agent.post('/api/meets').send({
+            meet_date: originalDate,
+            season_id: seasonId,
+            team1_id: home.id,
+            team2_id: away.id,
+            meet_format_id: formatId,
+            generate_lines: true,
+        });
+        expect(meetRes.statusCode).toBe(201);
+        return meetRes.body;
+    };
+
+    const finishLine = (line, winnerCode = 1) => coach.agent.put(`/api/matches/${line.id}`).send({ winner_code: winnerCode });
+
+    it('should postpone a meet and reschedule it, keeping the original date and reason', async () => {
+        const meet = await createMeet();
+
+        expect((await coach.agent.post(`/api/meets/${meet.id}/postpone`).send({})).statusCode).toBe(400);
+        expect((await coach.agent.post(`/api/meets/${meet.id}/postpone`).send({ reason: 'hail' })).statusCode).toBe(400);
+        expect((await otherCoach.agent.post(`/api/meets/${meet.id}/postpone`).send({ reason: 'weather' })).statusCode).toBe(403);
+
+        const postponeRes = await coach.agent.post(`/api/meets/${meet.id}/postpone`).send({ reason: 'weather', note: 'Courts flooded' });
+        expect(postponeRes.statusCode).toBe(200);
+        expect(postponeRes.body).toMatchObject({ status: 'postponed', status_reason: 'weather' });
+        expect(new Date(postponeRes.body.original_meet_date).toISOString()).toBe(originalDate);
+        expect((await coach.agent.post(`/api/meets/${meet.id}/postpone`).send({ reason: 'weather' })).statusCode).toBe(409);
+
+        expect((await coach.agent.post(`/api/meets/${meet.id}/reschedule`).send({ meet_date: 'next week' })).statusCode).toBe(400);
+        const rescheduleRes = await coach.agent.post(`/api/meets/${meet.id}/reschedule`).send({ meet_date: '2025-04-17T15:30:00.000Z' });
+        expect(rescheduleRes.statusCode).toBe(200);
+        expect(rescheduleRes.body).toMatchObject({ status: 'scheduled', status_reason: null });
+        expect(new Date(rescheduleRes.body.meet_date).toISOString()).toBe('2025-04-17T15:30:00.000Z');
+        expect(new Date(rescheduleRes.body.original_meet_date).toISOString()).toBe(originalDate);
+
+        const historyRes = await request(app).get(`/api/meets/${meet.id}/schedule-changes`);
+        expect(historyRes.statusCode).toBe(200);
+        expect(historyRes.body.map((change) => [change.action, change.reason, change.previous_status])).toEqual([
+            ['postpone', 'weather', 'scheduled'],
+            ['reschedule', null, 'postponed'],
+        ]);
+        expect(historyRes.body[0]).toMatchObject({ note: 'Courts flooded', user_name: 'Schedule Coach', new_meet_date: null });
+        expect((await request(app).get('/api/meets/9999/schedule-changes')).statusCode).toBe(404);
+    });
+
+    it('should suspend a meet part way and resume it later with the finished lines kept', async () => {
+        const meet = await createMeet();
+        await finishLine(meet.matches[0]);
+
+        expect((await coach.agent.post(`/api/meets/${meet.id}/postpone`).send({ reason: 'darkness' })).statusCode).toBe(409);
+        const suspendRes = await coach.agent.post(`/api/meets/${meet.id}/suspend`).send({ reason: 'darkness' });
+        expect(suspendRes.statusCode).toBe(200);
+        expect(suspendRes.body).toMatchObject({ status: 'suspended', status_reason: 'darkness', team1_score: 1 });
+
+        // Results can still be entered; the meet stays suspended until it resumes
+        await finishLine(meet.matches[1]);
+        expect((await request(app).get(`/api/meets/${meet.id}`)).body).toMatchObject({ status: 'suspended', team1_score: 2 });
+
+        expect((await coach.agent.post(`/api/meets/${meet.id}/resume`).send({ meet_date: '2025-04-09T15:30:00.000Z' })).statusCode).toBe(400);
+        const resumeRes = await coach.agent.post(`/api/meets/${meet.id}/resume`).send({ meet_date: '2025-04-11T15:30:00.000Z', note: 'Line 3 restarts at 4-4' });
+        expect(resumeRes.statusCode).toBe(200);
+        expect(resumeRes.body).toMatchObject({ status: 'in_progress', status_reason: null, team1_score: 2 });
+        const linesRes = await request(app).get(`/api/matches?meet_id=${meet.id}`);
+        expect(linesRes.body.filter((line) => line.winner_code === 1)).toHaveLength(2);
+        expect(new Date(resumeRes.body.original_meet_date).toISOString()).toBe(originalDate);
+
+        await finishLine(meet.matches[2], 2);
+        expect((await request(app).get(`/api/meets/${meet.id}`)).body).toMatchObject({ status: 'completed', winner_team_id: home.id });
+    });
+
+    it('should leave cancelled meets out of the standings', async () => {
+        const played = await createMeet();
+        for (const line of played.matches) {
+            await finishLine(line);
+        }
+        const cancelled = await createMeet();
+        await finishLine(cancelled.matches[0], 2);
+
+        const cancelRes = await coach.agent.post(`/api/meets/${cancelled.id}/cancel`).send({ reason: 'facility', note: 'Courts resurfaced' });
+        expect(cancelRes.statusCode).toBe(200);
+        expect(cancelRes.body).toMatchObject({ status: 'cancelled', status_reason: 'facility' });
+        expect((await coach.agent.post(`/api/meets/${cancelled.id}/reschedule`).send({ meet_date: originalDate })).statusCode).toBe(409);
+        expect((await coach.agent.post(`/api/meets/${played.id}/cancel`).send({ reason: 'other' })).statusCode).toBe(409);
+
+        // The remaining lines cannot be finished, so the meet stays cancelled
+        expect((await finishLine(cancelled.matches[1], 2)).statusCode).toBe(409);
+        expect((await request(app).get(`/api/meets/${cancelled.id}`)).body.status).toBe('cancelled');
+
+        const standingsRes = await coach.agent.get(`/api/seasons/${seasonId}/standings`);
+        const rows = standingsRes.body.tables[0].standings;
+        expect(rows.find((row) => row.team_id === home.id)).toMatchObject({ meets_played: 1, wins: 1, losses: 0 });
+        expect(rows.find((row) => row.team_id === away.id)).toMatchObject({ meets_played: 1, wins: 0, losses: 1 });
+    });
+
+    it('should lock a cancelled meet\'s lines, sets, stats and lineups, except for an Admin override', async () => {
+        const admin = await registerAgent('Schedule Admin', 1);
+        const userId = (await db.query(`INSERT INTO users (email, name, role_id) VALUES ('schedule-player@example.com', 'Schedule Player', 3) RETURNING id`)).rows[0].id;
+        const playerId = (await db.query('INSERT INTO players (user_id, team_id) VALUES ($1, $2) RETURNING id', [userId, home.id])).rows[0].id;
+        await db.query('INSERT INTO roster_entries (player_id, team_id, season_id) VALUES ($1, $2, $3)', [playerId, home.id, seasonId]);
+
+        const meet = await createMeet();
+        const [line] = meet.matches;
+        expect((await coach.agent.put(`/api/matches/${line.id}`).send({ team1_player1_id: playerId })).statusCode).toBe(200);
+        const setRes = await coach.agent.post(`/api/matches/${line.id}/sets`).send({ set_number: 1, team1_games_won: 8, team2_games_won: 5 });
+        expect(setRes.statusCode).toBe(201);
+        const stat = { player_id: playerId, stat_key: 'aces', stat_value: 2 };
+        expect((await coach.agent.post(`/api/matches/${line.id}/stats`).send(stat)).statusCode).toBe(201);
+        expect((await coach.agent.post(`/api/meets/${meet.id}/cancel`).send({ reason: 'weather' })).statusCode).toBe(200);
+
+        const lineup = { singles: [1, 2, 3].map((lineNumber) => ({ line_number: lineNumber, player_id: null })), doubles: [] };
+        const writes = [
+            (by, extra = {}) => by.agent.put(`/api/matches/${line.id}`).send({ team1_player1_id: null, ...extra }),
+            (by, extra = {}) => by.agent.post(`/api/matches/${line.id}/sets`).send({ set_number: 2, team1_games_won: 1, team2_games_won: 0, ...extra }),
+            (by, extra = {}) => by.agent.put(`/api/sets/${setRes.body.id}`).send({ team2_games_won: 6, ...extra }),
+            (by, extra = {}) => by.agent.post(`/api/matches/${line.id}/stats`).send({ ...stat, stat_value: 3, ...extra }),
+            (by, extra = {}) => by.agent.put(`/api/meets/${meet.id}/lineups/${home.id}`).send({ ...lineup, ...extra }),
+        ];
+        for (const write of writes) {
+            const lockedRes = await write(coach);
+            expect(lockedRes.statusCode).toBe(409);
+            expect(lockedRes.body.message).toContain('cancelled');
+            expect((await write(admin)).statusCode).toBe(409);
+        }
+        expect((await request(app).get(`/api/matches/${line.id}/sets`)).body).toHaveLength(1);
+
+        // An Admin can still correct it, giving a reason
+        const overrideRes = await writes[2](admin, { override_reason: 'Score entered before the rain' });
+        expect(overrideRes.statusCode).toBe(200);
+        expect(overrideRes.body.team2_games_won).toBe(6);
+        expect((await request(app).get(`/api/meets/${meet.id}`)).body.status).toBe('cancelled');
+    });
+});
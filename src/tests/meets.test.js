@@ -0,0 +1,122 @@
+// src/tests/meets.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Meets API - /api/meets', () => {
+    let server;
+    let loggedInAgent;
+    let testTeam1, testTeam2;
+    let sixAndThreeFormatId, fourAndTwoFormatId;
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    beforeEach(async () => {
+        await cleanTables();
+        loggedInAgent = request.agent(app);
+
+        const userRes = await loggedInAgent.post('/api/auth/register').send({
+            email: 'meet-tester@example.com',
+            password: 'password123',
+            name: 'Meet Tester',
+        });
+        expect(userRes.statusCode).toBe(201);
+        await setUserRole(userRes.body.id, 2); // Coach role
+
+        testTeam1 = (await loggedInAgent.post('/api/teams').send({ name: 'Meet Team 1' })).body;
+        testTeam2 = (await loggedInAgent.post('/api/teams').send({ name: 'Meet Team 2' })).body;
+
+        const formatRes = await db.query(
+            `INSERT INTO meet_formats (name, num_singles_lines, num_doubles_lines, scoring_type)
+             VALUES ('Meet Test 6S/3D', 6, 3, '8_game_pro_set'), ('Meet Test 4S/2D', 4, 2, '8_game_pro_set')
+             RETURNING id`
+        );
+        sixAndThreeFormatId = formatRes.rows[0].id;
+        fourAndTwoFormatId = formatRes.rows[1].id;
+    });
+
+    const createMeet = async (extra = {}) => {
+        const meetRes = await loggedInAgent.post('/api/meets').send({
+            meet_date: new Date().toISOString(),
+            team1_id: testTeam1.id,
+            team2_id: testTeam2.id,
+            meet_format_id: sixAndThreeFormatId,
+            ...extra,
+        });
+        expect(meetRes.statusCode).toBe(201);
+        return meetRes.body;
+    };
+
+    const getLineNames = async (meetId) => {
+        const response = await loggedInAgent.get(`/api/matches?meet_id=${meetId}`);
+        return response.body.map((match) => `${match.line_type} ${match.line_number}`);
+    };
+
+    describe('Generating match lines from the meet format', () => {
+        it('should create the format lines when the meet is created with generate_lines', async () => {
+            const meet = await createMeet({ generate_lines: true });
+            expect(meet.matches).toHaveLength(9);
+            expect(await getLineNames(meet.id)).toEqual([
+                'Doubles 1', 'Doubles 2', 'Doubles 3',
+                'Singles 1', 'Singles 2', 'Singles 3', 'Singles 4', 'Singles 5', 'Singles 6',
+            ]);
+        });
+
+        it('should only create missing lines through POST /api/meets/:id/generate-lines', async () => {
+            const meet = await createMeet();
+            await loggedInAgent.post('/api/matches').send({ meet_id: meet.id, line_number: 1, line_type: 'Singles' });
+
+            const response = await loggedInAgent.post(`/api/meets/${meet.id}/generate-lines`);
+            expect(response.statusCode).toBe(201);
+            expect(response.body.created).toHaveLength(8);
+            expect(response.body.matches).toHaveLength(9);
+
+            const again = await loggedInAgent.post(`/api/meets/${meet.id}/generate-lines`);
+            expect(again.statusCode).toBe(200);
+            expect(again.body.created).toHaveLength(0);
+        });
+
+        it('should add and remove lines when the meet format changes', async () => {
+            const meet = await createMeet({ generate_lines: true });
+
+            const response = await loggedInAgent.put(`/api/meets/${meet.id}`).send({ meet_format_id: fourAndTwoFormatId });
+            expect(response.statusCode).toBe(200);
+            expect(await getLineNames(meet.id)).toEqual([
+                'Doubles 1', 'Doubles 2',
+                'Singles 1', 'Singles 2', 'Singles 3', 'Singles 4',
+            ]);
+
+            await loggedInAgent.put(`/api/meets/${meet.id}`).send({ meet_format_id: sixAndThreeFormatId });
+            expect(await getLineNames(meet.id)).toHaveLength(9);
+        });
+
+        it('should refuse a format change that would drop lines with results', async () => {
+            const meet = await createMeet({ generate_lines: true });
+            const singles6 = meet.matches.find((match) => match.line_type === 'Singles' && match.line_number === 6);
+            await loggedInAgent.post(`/api/matches/${singles6.id}/sets`).send({ set_number: 1, team1_games_won: 8, team2_games_won: 2 });
+
+            const response = await loggedInAgent.put(`/api/meets/${meet.id}`).send({ meet_format_id: fourAndTwoFormatId });
+            expect(response.statusCode).toBe(409);
+            expect(response.body.message).toMatch(/Cannot remove Singles 6/);
+
+            // Nothing changed
+            const meetRes = await loggedInAgent.get(`/api/meets/${meet.id}`);
+            expect(meetRes.body.meet_format_id).toBe(sixAndThreeFormatId);
+            expect(await getLineNames(meet.id)).toHaveLength(9);
+        });
+
+        it('should return 404 for a non-existent meet', async () => {
+            const response = await loggedInAgent.post('/api/meets/9999/generate-lines');
+            expect(response.statusCode).toBe(404);
+        });
+    });
+});
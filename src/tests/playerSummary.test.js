@@ -0,0 +1,156 @@
+// src/tests/playerSummary.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Player summary - /api/players/:id/summary', () => {
+    let server;
+    let loggedInAgent;
+    let team1, team2;
+    let player, partner, opponent1, opponent2;
+    let springId, fallId;
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    // Creates a user and a player record on the given team, on its roster for both seasons
+    const createPlayer = async (name, teamId) => {
+        const userRes = await db.query(
+            `INSERT INTO users (email, name, role_id) VALUES ($1, $2, 3) RETURNING id`,
+            [`${name.toLowerCase().replace(/\s+/g, '-')}@example.com`, name]
+        );
+        const playerRes = await db.query(
+            'INSERT INTO players (user_id, team_id) VALUES ($1, $2) RETURNING *',
+            [userRes.rows[0].id, teamId]
+        );
+        await db.query(
+            'INSERT INTO roster_entries (player_id, team_id, season_id) VALUES ($1, $2, $3), ($1, $2, $4)',
+            [playerRes.rows[0].id, teamId, springId, fallId]
+        );
+        return playerRes.rows[0];
+    };
+
+    beforeEach(async () => {
+        await cleanTables();
+        loggedInAgent = request.agent(app);
+
+        const userRes = await loggedInAgent.post('/api/auth/register').send({
+            email: 'summary-tester@example.com',
+            password: 'password123',
+            name: 'Summary Tester',
+        });
+        expect(userRes.statusCode).toBe(201);
+        await setUserRole(userRes.body.id, 2); // Coach role
+
+        team1 = (await loggedInAgent.post('/api/teams').send({ name: 'Summary Team 1' })).body;
+        team2 = (await loggedInAgent.post('/api/teams').send({ name: 'Summary Team 2' })).body;
+        const seasonRes = await db.query(`INSERT INTO seasons (name) VALUES ('Spring'), ('Fall') RETURNING id`);
+        springId = seasonRes.rows[0].id;
+        fallId = seasonRes.rows[1].id;
+        player = await createPlayer('Summary Player', team1.id);
+        partner = await createPlayer('Summary Partner', team1.id);
+        opponent1 = await createPlayer('Summary Opponent One', team2.id);
+        opponent2 = await createPlayer('Summary Opponent Two', team2.id);
+    });
+
+    const createMeet = async (seasonId, scoringType, homeTeam = team1, awayTeam = team2) => {
+        const formatRes = await db.query(
+            `INSERT INTO meet_formats (name, num_singles_lines, num_doubles_lines, scoring_type) VALUES ($1, 2, 1, $2) RETURNING id`,
+            [`Summary Format ${seasonId} ${scoringType} ${homeTeam.id}`, scoringType]
+        );
+        const meetRes = await loggedInAgent.post('/api/meets').send({
+            meet_date: new Date().toISOString(),
+            season_id: seasonId,
+            team1_id: homeTeam.id,
+            team2_id: awayTeam.id,
+            meet_format_id: formatRes.rows[0].id,
+        });
+        expect(meetRes.statusCode).toBe(201);
+        return meetRes.body;
+    };
+
+    const createLine = async (meetId, lineType, lineNumber, players) => {
+        const matchRes = await loggedInAgent.post('/api/matches').send({ meet_id: meetId, line_type: lineType, line_number: lineNumber, ...players });
+        expect(matchRes.statusCode).toBe(201);
+        return matchRes.body;
+    };
+
+    const addSet = async (matchId, setData) => {
+        const setRes = await loggedInAgent.post(`/api/matches/${matchId}/sets`).send(setData);
+        expect(setRes.statusCode).toBe(201);
+    };
+
+    it('should return 404 for a non-existent player', async () => {
+        const response = await loggedInAgent.get('/api/players/9999/summary');
+        expect(response.statusCode).toBe(404);
+    });
+
+    it('should return an empty record for a player without matches', async () => {
+        const response = await loggedInAgent.get(`/api/players/${player.id}/summary`);
+        expect(response.statusCode).toBe(200);
+        expect(response.body.overall).toEqual({ played: 0, wins: 0, losses: 0, draws: 0, win_pct: null });
+        expect(response.body.by_season).toEqual([]);
+        expect(response.body.stats).toEqual([]);
+    });
+
+    it('should aggregate results, sets, games, tiebreaks and stats across seasons and lines', async () => {
+        // Spring: wins Singles 1 in three sets, with a set tiebreak lost
+        const springMeet = await createMeet(springId, 'best_of_3_sets');
+        const singles = await createLine(springMeet.id, 'Singles', 1, { team1_player1_id: player.id, team2_player1_id: opponent1.id });
+        await addSet(singles.id, { set_number: 1, team1_games_won: 6, team2_games_won: 7, tiebreak_score_team1: 5, tiebreak_score_team2: 7 });
+        await addSet(singles.id, { set_number: 2, team1_games_won: 6, team2_games_won: 2 });
+        await addSet(singles.id, { set_number: 3, team1_games_won: 6, team2_games_won: 4 });
+
+        // Fall: playing as team 2, loses Doubles 1 in a match tiebreak
+        const fallMeet = await createMeet(fallId, 'best_of_3_match_tiebreak', team2, team1);
+        const doubles = await createLine(fallMeet.id, 'Doubles', 1, {
+            team1_player1_id: opponent1.id, team1_player2_id: opponent2.id,
+            team2_player1_id: player.id, team2_player2_id: partner.id,
+        });
+        await addSet(doubles.id, { set_number: 1, team1_games_won: 4, team2_games_won: 6 });
+        await addSet(doubles.id, { set_number: 2, team1_games_won: 6, team2_games_won: 3 });
+        await addSet(doubles.id, { set_number: 3, team1_games_won: 1, team2_games_won: 0, tiebreak_score_team1: 10, tiebreak_score_team2: 8 });
+
+        // Fall: wins Singles 2 by forfeit
+        const forfeited = await createLine(fallMeet.id, 'Singles', 2, { team1_player1_id: opponent2.id, team2_player1_id: player.id });
+        await loggedInAgent.put(`/api/matches/${forfeited.id}`).send({ winner_code: 4 });
+
+        await loggedInAgent.post(`/api/matches/${singles.id}/stats/bulk`).send({
+            stats: [{ player_id: player.id, stat_key: 'aces', stat_value: 3 }, { player_id: player.id, stat_key: 'first_serve_pct', stat_value: 60 }],
+        });
+        await loggedInAgent.post(`/api/matches/${doubles.id}/stats/bulk`).send({
+            stats: [{ player_id: player.id, stat_key: 'aces', stat_value: 2 }, { player_id: player.id, stat_key: 'first_serve_pct', stat_value: 70 }],
+        });
+
+        const response = await loggedInAgent.get(`/api/players/${player.id}/summary`);
+        expect(response.statusCode).toBe(200);
+        const summary = response.body;
+
+        expect(summary.overall).toEqual({ played: 3, wins: 2, losses: 1, draws: 0, win_pct: 66.7 });
+        expect(summary.by_season).toEqual([
+            expect.objectContaining({ season_id: springId, season_name: 'Spring', wins: 1, losses: 0 }),
+            expect.objectContaining({ season_id: fallId, season_name: 'Fall', wins: 1, losses: 1 }),
+        ]);
+        expect(summary.by_line_type.singles).toMatchObject({ played: 2, wins: 2, losses: 0 });
+        expect(summary.by_line_type.doubles).toMatchObject({ played: 1, wins: 0, losses: 1 });
+        expect(summary.by_line.map((line) => `${line.line_type} ${line.line_number}`)).toEqual(['Doubles 1', 'Singles 1', 'Singles 2']);
+
+        expect(summary.sets).toEqual({ won: 3, lost: 3, win_pct: 50 });
+        // 18-13 in singles, 9-10 in the two full doubles sets
+        expect(summary.games).toEqual({ won: 27, lost: 23, win_pct: 54 });
+        expect(summary.tiebreaks).toEqual({ won: 0, lost: 1, match_tiebreaks: { won: 0, lost: 1 } });
+
+        expect(summary.stats).toEqual([
+            expect.objectContaining({ stat_key: 'aces', matches: 2, value: 5 }),
+            expect.objectContaining({ stat_key: 'first_serve_pct', matches: 2, value: 65 }),
+        ]);
+    });
+});
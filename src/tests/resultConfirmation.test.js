@@ -0,0 +1,140 @@
+// src/tests/resultConfirmation.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Meet result confirmation', () => {
+    let server;
+    let homeCoach, awayCoach, otherCoach, admin;
+    let meet, line;
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    const registerAgent = async (name, roleId) => {
+        const agent = request.agent(app);
+        const regRes = await agent.post('/api/auth/register').send({
+            email: `${name.toLowerCase().replace(/\s+/g, '-')}@example.com`,
+            password: 'password123',
+            name,
+        });
+        expect(regRes.statusCode).toBe(201);
+        await setUserRole(regRes.body.id, roleId);
+        return { agent, userId: regRes.body.id };
+    };
+
+    // Home plays away in a one-line meet
+    beforeEach(async () => {
+        await cleanTables();
+        homeCoach = await registerAgent('Home Coach', 2);
+        awayCoach = await registerAgent('Away Coach', 2);
+        otherCoach = await registerAgent('Other Coach', 2);
+        admin = await registerAgent('Result Admin', 1);
+
+        const homeTeam = (await homeCoach.agent.post('/api/teams').send({ name: 'Home Team' })).body;
+        const awayTeam = (await awayCoach.agent.post('/api/teams').send({ name: 'Away Team' })).body;
+        const formatId = (await db.query(
+            `INSERT INTO meet_formats (name, num_singles_lines, num_doubles_lines, scoring_type)
+             VALUES ('Result 1S', 1, 0, '8_game_pro_set') RETURNING id`
+        )).rows[0].id;
+        meet = (await homeCoach.agent.post('/api/meets').send({
+            meet_date: new Date().toISOString(),
+            team1_id: homeTeam.id,
+            team2_id: awayTeam.id,
+            meet_format_id: formatId,
+            generate_lines: true,
+        })).body;
+        [line] = meet.matches;
+    });
+
+    const enterScore = (agent, team1Games, team2Games) =>
+        agent.post(`/api/matches/${line.id}/sets`).send({ set_number: 1, team1_games_won: team1Games, team2_games_won: team2Games });
+
+    const submit = (agent = homeCoach.agent) => agent.post(`/api/meets/${meet.id}/result/submit`).send({ comment: 'Good match' });
+
+    it('should only accept a submission once every line has a result', async () => {
+        const earlyRes = await submit();
+        expect(earlyRes.statusCode).toBe(409);
+        expect(earlyRes.body.message).toMatch(/every line/);
+
+        expect((await enterScore(homeCoach.agent, 8, 6)).statusCode).toBe(201);
+        const submitRes = await submit();
+        expect(submitRes.statusCode).toBe(200);
+        expect(submitRes.body).toMatchObject({ result_status: 'submitted', result_submitted_by_user_id: homeCoach.userId, result_submitted_by_team_id: meet.team1_id });
+        expect(submitRes.body.comments.map((comment) => [comment.kind, comment.body])).toEqual([['submission', 'Good match']]);
+        expect((await submit(awayCoach.agent)).statusCode).toBe(409);
+    });
+
+    it('should lock results once submitted and keep them locked after confirmation', async () => {
+        const set = (await enterScore(homeCoach.agent, 8, 6)).body;
+        await submit();
+
+        const lockedRes = await awayCoach.agent.put(`/api/sets/${set.id}`).send({ team1_games_won: 6, team2_games_won: 8 });
+        expect(lockedRes.statusCode).toBe(409);
+        expect(lockedRes.body.message).toMatch(/submitted and are locked/);
+        expect((await homeCoach.agent.delete(`/api/matches/${line.id}`)).statusCode).toBe(409);
+
+        // Only the opposing coach can confirm
+        expect((await homeCoach.agent.post(`/api/meets/${meet.id}/result/confirm`)).statusCode).toBe(403);
+        expect((await otherCoach.agent.post(`/api/meets/${meet.id}/result/confirm`)).statusCode).toBe(403);
+        const confirmRes = await awayCoach.agent.post(`/api/meets/${meet.id}/result/confirm`);
+        expect(confirmRes.statusCode).toBe(200);
+        expect(confirmRes.body).toMatchObject({ result_status: 'confirmed', status: 'finalized', result_confirmed_by_user_id: awayCoach.userId });
+
+        const confirmedRes = await homeCoach.agent.put(`/api/sets/${set.id}`).send({ team1_games_won: 8, team2_games_won: 2 });
+        expect(confirmedRes.statusCode).toBe(409);
+        expect(confirmedRes.body.message).toMatch(/confirmed and are locked/);
+        expect((await awayCoach.agent.post(`/api/meets/${meet.id}/result/dispute`).send({ comment: 'Too late' })).statusCode).toBe(409);
+
+        // Admins can still correct results, giving a reason
+        expect((await admin.agent.put(`/api/sets/${set.id}`).send({ team1_games_won: 8, team2_games_won: 2 })).statusCode).toBe(409);
+        expect((await admin.agent.put(`/api/sets/${set.id}`).send({ team1_games_won: 8, team2_games_won: 2, override_reason: 'Scorecard typo' })).statusCode).toBe(200);
+    });
+
+    it('should let the opposing coach dispute, fix and resubmit the results', async () => {
+        const set = (await enterScore(homeCoach.agent, 8, 6)).body;
+        await submit();
+
+        expect((await awayCoach.agent.post(`/api/meets/${meet.id}/result/dispute`).send({})).statusCode).toBe(400);
+        const disputeRes = await awayCoach.agent.post(`/api/meets/${meet.id}/result/dispute`).send({ comment: 'We won that set 8-6' });
+        expect(disputeRes.statusCode).toBe(200);
+        expect(disputeRes.body.result_status).toBe('disputed');
+
+        expect((await homeCoach.agent.post(`/api/meets/${meet.id}/result/comments`).send({ body: 'You are right, fixing it' })).statusCode).toBe(201);
+        expect((await homeCoach.agent.put(`/api/sets/${set.id}`).send({ team1_games_won: 6, team2_games_won: 8 })).statusCode).toBe(200);
+        expect((await submit()).statusCode).toBe(200);
+        expect((await awayCoach.agent.post(`/api/meets/${meet.id}/result/confirm`)).statusCode).toBe(200);
+
+        const threadRes = await awayCoach.agent.get(`/api/meets/${meet.id}/result`);
+        expect(threadRes.body.comments.map((comment) => comment.kind)).toEqual(['submission', 'dispute', 'comment', 'submission', 'confirmation']);
+        expect(threadRes.body.comments[1]).toMatchObject({ user_name: 'Away Coach', body: 'We won that set 8-6' });
+        expect((await otherCoach.agent.get(`/api/meets/${meet.id}/result`)).statusCode).toBe(403);
+    });
+
+    it('should let Admins resolve disputes', async () => {
+        await enterScore(homeCoach.agent, 8, 6);
+        await submit();
+        await awayCoach.agent.post(`/api/meets/${meet.id}/result/dispute`).send({ comment: 'Wrong score' });
+
+        expect((await homeCoach.agent.post(`/api/meets/${meet.id}/result/resolve`).send({ decision: 'confirm', comment: 'x' })).statusCode).toBe(403);
+        expect((await admin.agent.post(`/api/meets/${meet.id}/result/resolve`).send({ decision: 'maybe', comment: 'x' })).statusCode).toBe(400);
+
+        const reopenRes = await admin.agent.post(`/api/meets/${meet.id}/result/resolve`).send({ decision: 'reopen', comment: 'Please re-enter' });
+        expect(reopenRes.body).toMatchObject({ result_status: 'pending', result_submitted_by_user_id: null });
+
+        const confirmRes = await admin.agent.post(`/api/meets/${meet.id}/result/resolve`).send({ decision: 'confirm', comment: 'Checked the scorecard' });
+        expect(confirmRes.statusCode).toBe(200);
+        expect(confirmRes.body).toMatchObject({ result_status: 'confirmed', result_confirmed_by_user_id: admin.userId });
+        expect(confirmRes.body.comments.slice(-1)[0]).toMatchObject({ kind: 'resolution', body: 'Confirmed: Checked the scorecard' });
+
+        expect((await admin.agent.post('/api/meets/9999/result/resolve').send({ decision: 'confirm', comment: 'x' })).statusCode).toBe(404);
+    });
+});
@@ -0,0 +1,183 @@
+// src/tests/rosters.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Season rosters', () => {
+    let server;
+    let msCoach, jvCoach;
+    let middleSchool, juniorVarsity, opponent;
+    let player, lastSeasonId, thisSeasonId, formatId;
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    const registerAgent = async (name, roleId) => {
+        const agent = request.agent(app);
+        const regRes = await agent.post('/api/auth/register').send({
+            email: `${name.toLowerCase().replace(/\s+/g, '-')}@example.com`,
+            password: 'password123',
+            name,
+        });
+        expect(regRes.statusCode).toBe(201);
+        await setUserRole(regRes.body.id, roleId);
+        return { agent, userId: regRes.body.id };
+    };
+
+    const createPlayer = async (name, teamId) => {
+        const userRes = await db.query(
+            `INSERT INTO users (email, name, role_id) VALUES ($1, $2, 3) RETURNING id`,
+            [`${name.toLowerCase().replace(/\s+/g, '-')}@example.com`, name]
+        );
+        return (await db.query('INSERT INTO players (user_id, team_id) VALUES ($1, $2) RETURNING *', [userRes.rows[0].id, teamId])).rows[0];
+    };
+
+    beforeEach(async () => {
+        await cleanTables();
+        msCoach = await registerAgent('Middle School Coach', 2);
+        jvCoach = await registerAgent('JV Coach', 2);
+        middleSchool = (await msCoach.agent.post('/api/teams').send({ name: 'Lincoln MS', level: 'middle_school' })).body;
+        juniorVarsity = (await jvCoach.agent.post('/api/teams').send({ name: 'Lincoln JV', level: 'junior_varsity' })).body;
+        opponent = (await msCoach.agent.post('/api/teams').send({ name: 'Roosevelt MS', level: 'middle_school' })).body;
+        player = await createPlayer('Rising Player', middleSchool.id);
+
+        const seasonRes = await db.query(
+            `INSERT INTO seasons (name, start_date) VALUES ('Spring 2024', '2024-03-01'), ('Spring 2025', '2025-03-01') RETURNING id`
+        );
+        [lastSeasonId, thisSeasonId] = seasonRes.rows.map((row) => row.id);
+        formatId = (await db.query(
+            `INSERT INTO meet_formats (name, num_singles_lines, num_doubles_lines, scoring_type)
+             VALUES ('Roster 1S', 1, 0, '8_game_pro_set') RETURNING id`
+        )).rows[0].id;
+    });
+
+    const addToRoster = (coach, team, entry) => coach.agent.post(`/api/teams/${team.id}/roster`).send(entry);
+
+    it('should keep last season\'s team and matches when a player moves up', async () => {
+        const msEntry = await addToRoster(msCoach, middleSchool, { player_id: player.id, season_id: lastSeasonId, jersey_number: 7, grad_year: 2029 });
+        expect(msEntry.statusCode).toBe(201);
+        expect(msEntry.body).toMatchObject({ team_id: middleSchool.id, season_name: 'Spring 2024', player_name: 'Rising Player', status: 'active' });
+
+        // Last season's meet, played for the middle school team
+        const meet = (await msCoach.agent.post('/api/meets').send({
+            meet_date: '2024-04-10T15:30:00Z',
+            season_id: lastSeasonId,
+            team1_id: middleSchool.id,
+            team2_id: opponent.id,
+            meet_format_id: formatId,
+        })).body;
+        const match = (await msCoach.agent.post('/api/matches').send({
+            meet_id: meet.id, line_type: 'Singles', line_number: 1, team1_player1_id: player.id, winner_code: 1,
+        })).body;
+
+        // This season they move up to JV
+        expect((await addToRoster(jvCoach, juniorVarsity, { player_id: player.id, season_id: thisSeasonId, jersey_number: 12, grad_year: 2029 })).statusCode).toBe(201);
+
+        const lastRoster = await request(app).get(`/api/players?team_id=${middleSchool.id}&season_id=${lastSeasonId}`);
+        expect(lastRoster.body.map((row) => [row.id, row.jersey_number, row.roster_status])).toEqual([[player.id, 7, 'active']]);
+        expect((await request(app).get(`/api/players?team_id=${middleSchool.id}`)).body).toEqual([]);
+        expect((await request(app).get(`/api/players?team_id=${juniorVarsity.id}&season_id=${lastSeasonId}`)).body).toEqual([]);
+
+        const matchRes = await request(app).get(`/api/matches/${match.id}`);
+        expect(matchRes.body.roster).toEqual([
+            expect.objectContaining({ slot: 'team1_player1', player_id: player.id, team_id: middleSchool.id, jersey_number: 7, roster_entry_id: msEntry.body.id }),
+        ]);
+
+        const summaryRes = await request(app).get(`/api/players/${player.id}/summary`);
+        expect(summaryRes.body.by_season).toEqual([
+            expect.objectContaining({ season_id: lastSeasonId, team_id: middleSchool.id, team_name: 'Lincoln MS', wins: 1 }),
+        ]);
+        expect(summaryRes.body.team_id).toBe(juniorVarsity.id);
+
+        const historyRes = await request(app).get(`/api/players/${player.id}/rosters`);
+        expect(historyRes.body.map((entry) => [entry.season_name, entry.team_name, entry.jersey_number])).toEqual([
+            ['Spring 2024', 'Lincoln MS', 7],
+            ['Spring 2025', 'Lincoln JV', 12],
+        ]);
+        expect((await request(app).get('/api/players/9999/rosters')).statusCode).toBe(404);
+    });
+
+    it('should validate roster entries and limit changes to the team\'s coach', async () => {
+        const teammate = await createPlayer('Roster Teammate', middleSchool.id);
+        const entry = (await addToRoster(msCoach, middleSchool, { player_id: player.id, season_id: thisSeasonId, jersey_number: 4 })).body;
+
+        expect((await addToRoster(msCoach, middleSchool, { player_id: player.id })).statusCode).toBe(400);
+        expect((await addToRoster(msCoach, middleSchool, { player_id: teammate.id, season_id: thisSeasonId, status: 'benched' })).statusCode).toBe(400);
+        expect((await addToRoster(msCoach, middleSchool, { player_id: 9999, season_id: thisSeasonId })).statusCode).toBe(400);
+        expect((await addToRoster(msCoach, middleSchool, { player_id: teammate.id, season_id: thisSeasonId, jersey_number: 4 })).statusCode).toBe(409);
+        // One team per season
+        expect((await addToRoster(jvCoach, juniorVarsity, { player_id: player.id, season_id: thisSeasonId })).statusCode).toBe(409);
+        expect((await addToRoster(jvCoach, middleSchool, { player_id: teammate.id, season_id: thisSeasonId })).statusCode).toBe(403);
+
+        const updateRes = await msCoach.agent.put(`/api/teams/${middleSchool.id}/roster/${entry.id}`).send({ status: 'injured' });
+        expect(updateRes.statusCode).toBe(200);
+        expect(updateRes.body.status).toBe('injured');
+        expect((await msCoach.agent.put(`/api/teams/${middleSchool.id}/roster/${entry.id}`).send({ season_id: lastSeasonId })).statusCode).toBe(400);
+        expect((await jvCoach.agent.put(`/api/teams/${juniorVarsity.id}/roster/${entry.id}`).send({ status: 'active' })).statusCode).toBe(404);
+
+        const injured = await request(app).get(`/api/teams/${middleSchool.id}/roster?season_id=${thisSeasonId}&status=injured`);
+        expect(injured.body.map((row) => row.player_id)).toEqual([player.id]);
+
+        expect((await msCoach.agent.delete(`/api/teams/${middleSchool.id}/roster/${entry.id}`)).statusCode).toBe(200);
+        expect((await request(app).get(`/api/teams/${middleSchool.id}/roster`)).body).toEqual([]);
+        expect((await request(app).get('/api/teams/9999/roster')).statusCode).toBe(404);
+    });
+
+    it('should keep a player\'s team_id in step with the season rosters', async () => {
+        const admin = await registerAgent('Roster Admin', 1);
+        const playerTeamId = async (playerId) => (await db.query('SELECT team_id FROM players WHERE id = $1', [playerId])).rows[0].team_id;
+
+        // Spring 2025 has no end date, so it is the season in progress: an invited player joins its roster
+        const invite = (await msCoach.agent.post(`/api/teams/${middleSchool.id}/invites`).send({})).body;
+        const regRes = await request(app).post('/api/auth/register').send({
+            email: 'invited-roster-player@example.com', password: 'password123', name: 'Invited Roster Player', invite_code: invite.code,
+        });
+        expect(regRes.statusCode).toBe(201);
+        const invited = (await db.query('SELECT * FROM players WHERE user_id = $1', [regRes.body.id])).rows[0];
+        const rosterRes = await request(app).get(`/api/teams/${middleSchool.id}/roster?season_id=${thisSeasonId}`);
+        expect(rosterRes.body.map((row) => row.player_id)).toEqual([invited.id]);
+
+        // So does a player given a team
+        const moveRes = await admin.agent.put(`/api/players/${player.id}`).send({ team_id: juniorVarsity.id });
+        expect(moveRes.statusCode).toBe(200);
+        expect(moveRes.body.team_id).toBe(juniorVarsity.id);
+        const jvRes = await request(app).get(`/api/teams/${juniorVarsity.id}/roster?season_id=${thisSeasonId}`);
+        expect(jvRes.body.map((row) => row.player_id)).toEqual([player.id]);
+
+        // Once on a roster for the season, the player moves through the rosters
+        const conflictRes = await admin.agent.put(`/api/players/${invited.id}`).send({ team_id: juniorVarsity.id });
+        expect(conflictRes.statusCode).toBe(409);
+        expect(await playerTeamId(invited.id)).toBe(middleSchool.id);
+
+        const nextSeasonId = (await db.query(`INSERT INTO seasons (name, start_date) VALUES ('Spring 2099', '2099-03-01') RETURNING id`)).rows[0].id;
+        const nextEntry = (await addToRoster(jvCoach, juniorVarsity, { player_id: invited.id, season_id: nextSeasonId })).body;
+        expect(await playerTeamId(invited.id)).toBe(juniorVarsity.id);
+        expect((await jvCoach.agent.delete(`/api/teams/${juniorVarsity.id}/roster/${nextEntry.id}`)).statusCode).toBe(200);
+        expect(await playerTeamId(invited.id)).toBe(middleSchool.id);
+    });
+
+    it('should list the teams taking part in a season', async () => {
+        await addToRoster(msCoach, middleSchool, { player_id: player.id, season_id: thisSeasonId });
+        await jvCoach.agent.post('/api/meets').send({
+            meet_date: '2025-04-10T15:30:00Z',
+            season_id: lastSeasonId,
+            team1_id: juniorVarsity.id,
+            team2_id: opponent.id,
+            meet_format_id: formatId,
+        });
+
+        const thisSeason = await request(app).get(`/api/teams?season_id=${thisSeasonId}`);
+        expect(thisSeason.body.map((team) => [team.name, team.roster_size])).toEqual([['Lincoln MS', 1]]);
+        const lastSeason = await request(app).get(`/api/teams?season_id=${lastSeasonId}`);
+        expect(lastSeason.body.map((team) => [team.name, team.roster_size])).toEqual([['Lincoln JV', 0], ['Roosevelt MS', 0]]);
+        expect((await request(app).get('/api/teams?season_id=abc')).statusCode).toBe(400);
+    });
+});
@@ -0,0 +1,139 @@
+// src/tests/schools.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Schools, team levels and genders', () => {
+    let server;
+    let admin, coach;
+    let lincoln, roosevelt;
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    const registerAgent = async (name, roleId) => {
+        const agent = request.agent(app);
+        const regRes = await agent.post('/api/auth/register').send({
+            email: `${name.toLowerCase().replace(/\s+/g, '-')}@example.com`,
+            password: 'password123',
+            name,
+        });
+        expect(regRes.statusCode).toBe(201);
+        await setUserRole(regRes.body.id, roleId);
+        return { agent, userId: regRes.body.id };
+    };
+
+    const createTeam = async (name, school, level, gender) => {
+        const teamRes = await coach.agent.post('/api/teams').send({ name, school_id: school.id, level, gender });
+        expect(teamRes.statusCode).toBe(201);
+        return teamRes.body;
+    };
+
+    beforeEach(async () => {
+        await cleanTables();
+        admin = await registerAgent('School Admin', 1);
+        coach = await registerAgent('School Coach', 2);
+        lincoln = (await admin.agent.post('/api/schools').send({ name: 'Lincoln High', short_name: 'LHS', city: 'Springfield' })).body;
+        roosevelt = (await admin.agent.post('/api/schools').send({ name: 'Roosevelt High' })).body;
+    });
+
+    it('should let Admins manage schools and list each school\'s teams', async () => {
+        expect(lincoln).toMatchObject({ name: 'Lincoln High', short_name: 'LHS', city: 'Springfield' });
+        expect((await admin.agent.post('/api/schools').send({ name: 'Lincoln High' })).statusCode).toBe(409);
+        expect((await admin.agent.post('/api/schools').send({ city: 'Springfield' })).statusCode).toBe(400);
+        expect((await coach.agent.post('/api/schools').send({ name: 'Coach School' })).statusCode).toBe(403);
+
+        await createTeam('Lincoln Girls JV', lincoln, 'junior_varsity', 'girls');
+        await createTeam('Lincoln Boys Varsity', lincoln, 'varsity', 'boys');
+
+        const schoolRes = await request(app).get(`/api/schools/${lincoln.id}`);
+        expect(schoolRes.statusCode).toBe(200);
+        expect(schoolRes.body.teams.map((team) => team.name)).toEqual(['Lincoln Boys Varsity', 'Lincoln Girls JV']);
+        const listRes = await request(app).get('/api/schools');
+        expect(listRes.body.map((school) => [school.name, school.team_count])).toEqual([['Lincoln High', 2], ['Roosevelt High', 0]]);
+        expect((await request(app).get('/api/schools/9999')).statusCode).toBe(404);
+
+        const updateRes = await admin.agent.put(`/api/schools/${roosevelt.id}`).send({ city: 'Shelbyville' });
+        expect(updateRes.statusCode).toBe(200);
+        expect(updateRes.body.city).toBe('Shelbyville');
+        expect((await admin.agent.put(`/api/schools/${roosevelt.id}`).send({ name: 'Lincoln High' })).statusCode).toBe(409);
+
+        // A school with teams can't be deleted
+        expect((await admin.agent.delete(`/api/schools/${lincoln.id}`)).statusCode).toBe(409);
+        expect((await admin.agent.delete(`/api/schools/${roosevelt.id}`)).statusCode).toBe(200);
+    });
+
+    it('should filter teams by school, level and gender', async () => {
+        await createTeam('Lincoln Boys Varsity', lincoln, 'varsity', 'boys');
+        await createTeam('Lincoln Girls Varsity', lincoln, 'varsity', 'girls');
+        await createTeam('Lincoln MS', lincoln, 'middle_school', 'coed');
+        await createTeam('Roosevelt Girls Varsity', roosevelt, 'varsity', 'girls');
+
+        const names = async (query) => (await request(app).get(`/api/teams${query}`)).body.map((team) => team.name);
+        expect(await names(`?school_id=${lincoln.id}`)).toEqual(['Lincoln Boys Varsity', 'Lincoln Girls Varsity', 'Lincoln MS']);
+        expect(await names('?level=varsity&gender=girls')).toEqual(['Lincoln Girls Varsity', 'Roosevelt Girls Varsity']);
+        expect(await names(`?school_id=${roosevelt.id}&level=middle_school`)).toEqual([]);
+
+        const teamRes = await request(app).get(`/api/teams?gender=girls&school_id=${roosevelt.id}`);
+        expect(teamRes.body).toEqual([expect.objectContaining({ school_id: roosevelt.id, school_name: 'Roosevelt High', gender: 'girls' })]);
+
+        expect((await request(app).get('/api/teams?gender=mixed')).statusCode).toBe(400);
+        expect((await request(app).get('/api/teams?level=college')).statusCode).toBe(400);
+        expect((await request(app).get('/api/teams?school_id=abc')).statusCode).toBe(400);
+        expect((await coach.agent.post('/api/teams').send({ name: 'Bad Gender', gender: 'mixed' })).statusCode).toBe(400);
+        expect((await coach.agent.post('/api/teams').send({ name: 'No School', school_id: 9999 })).statusCode).toBe(400);
+    });
+
+    it('should keep separate standings per level and gender and filter them by school', async () => {
+        const lincolnBoys = await createTeam('Lincoln Boys', lincoln, 'varsity', 'boys');
+        const rooseveltBoys = await createTeam('Roosevelt Boys', roosevelt, 'varsity', 'boys');
+        const lincolnGirls = await createTeam('Lincoln Girls', lincoln, 'varsity', 'girls');
+        const rooseveltGirls = await createTeam('Roosevelt Girls', roosevelt, 'varsity', 'girls');
+        const seasonId = (await db.query(`INSERT INTO seasons (name) VALUES ('School Season') RETURNING id`)).rows[0].id;
+        const formatId = (await db.query(
+            `INSERT INTO meet_formats (name, num_singles_lines, num_doubles_lines, scoring_type)
+             VALUES ('School 1S', 1, 0, '8_game_pro_set') RETURNING id`
+        )).rows[0].id;
+
+        const playMeet = async (team1, team2, winnerCode) => {
+            const meet = (await coach.agent.post('/api/meets').send({
+                meet_date: '2025-04-10T15:30:00Z',
+                season_id: seasonId,
+                team1_id: team1.id,
+                team2_id: team2.id,
+                meet_format_id: formatId,
+                generate_lines: true,
+            })).body;
+            await coach.agent.put(`/api/matches/${meet.matches[0].id}`).send({ winner_code: winnerCode });
+        };
+        await playMeet(lincolnBoys, rooseveltBoys, 2);
+        await playMeet(lincolnGirls, rooseveltGirls, 1);
+
+        const getStandings = (query = '') => request(app).get(`/api/seasons/${seasonId}/standings${query}`);
+        const summary = (table) => [table.level, table.gender, table.standings.map((row) => `${row.rank}:${row.team_name}`)];
+
+        const response = await getStandings();
+        expect(response.body.tables.map(summary)).toEqual([
+            ['varsity', 'boys', ['1:Roosevelt Boys', '2:Lincoln Boys']],
+            ['varsity', 'girls', ['1:Lincoln Girls', '2:Roosevelt Girls']],
+        ]);
+
+        const lincolnOnly = await getStandings(`?school_id=${lincoln.id}`);
+        expect(lincolnOnly.body.tables.map(summary)).toEqual([
+            ['varsity', 'boys', ['2:Lincoln Boys']],
+            ['varsity', 'girls', ['1:Lincoln Girls']],
+        ]);
+        expect((await getStandings('?gender=girls')).body.tables.map(summary)).toEqual([['varsity', 'girls', ['1:Lincoln Girls', '2:Roosevelt Girls']]]);
+        expect((await getStandings('?level=junior_varsity&gender=girls')).body.tables.map(summary)).toEqual([['junior_varsity', 'girls', []]]);
+        expect((await getStandings('?gender=mixed')).statusCode).toBe(400);
+        expect((await getStandings('?school_id=abc')).statusCode).toBe(400);
+    });
+});
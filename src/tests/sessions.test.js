@@ -0,0 +1,109 @@
+// src/tests/sessions.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const { sessionStore } = require('../backend/config/session');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Persistent sessions', () => {
+    let server;
+    let userId;
+    let laptop, phone;
+    const credentials = { email: 'session.user@example.com', password: 'password123', name: 'Session User' };
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    // The user registers on their laptop and later logs in on their phone
+    beforeEach(async () => {
+        await cleanTables();
+        laptop = request.agent(app);
+        const regRes = await laptop.post('/api/auth/register').set('User-Agent', 'Laptop Browser').send(credentials);
+        expect(regRes.statusCode).toBe(201);
+        userId = regRes.body.id;
+
+        phone = request.agent(app);
+        const loginRes = await phone.post('/api/auth/login').set('User-Agent', 'Phone Browser')
+            .send({ email: credentials.email, password: credentials.password });
+        expect(loginRes.statusCode).toBe(200);
+    });
+
+    it('should keep sessions in Postgres', async () => {
+        const dbRes = await db.query('SELECT user_id FROM user_sessions');
+        expect(dbRes.rows).toEqual([{ user_id: userId }, { user_id: userId }]);
+
+        // Removing the stored session logs that browser out
+        expect((await phone.get('/api/auth/status')).statusCode).toBe(200);
+        await db.query('DELETE FROM user_sessions');
+        expect((await phone.get('/api/auth/status')).statusCode).toBe(401);
+    });
+
+    it('should list the user\'s sessions and mark the current one', async () => {
+        const response = await laptop.get('/api/auth/sessions');
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toHaveLength(2);
+        const current = response.body.find((session) => session.current);
+        expect(current.user_agent).toBe('Laptop Browser');
+        expect(response.body.find((session) => !session.current).user_agent).toBe('Phone Browser');
+        expect(current.id).toMatch(/^[0-9a-f]{64}$/);
+        expect(current.login_at).not.toBeNull();
+
+        expect((await request(app).get('/api/auth/sessions')).statusCode).toBe(401);
+    });
+
+    it('should log out all other sessions', async () => {
+        const response = await laptop.delete('/api/auth/sessions/others');
+        expect(response.statusCode).toBe(200);
+        expect(response.body.revoked).toBe(1);
+
+        expect((await phone.get('/api/auth/status')).statusCode).toBe(401);
+        expect((await laptop.get('/api/auth/status')).statusCode).toBe(200);
+    });
+
+    it('should revoke a single session of the user only', async () => {
+        const sessions = (await laptop.get('/api/auth/sessions')).body;
+        const phoneSession = sessions.find((session) => !session.current);
+
+        const strangerAgent = request.agent(app);
+        await strangerAgent.post('/api/auth/register').send({ ...credentials, email: 'stranger@example.com' });
+        expect((await strangerAgent.delete(`/api/auth/sessions/${phoneSession.id}`)).statusCode).toBe(404);
+
+        expect((await laptop.delete(`/api/auth/sessions/${phoneSession.id}`)).statusCode).toBe(200);
+        expect((await phone.get('/api/auth/status')).statusCode).toBe(401);
+        expect((await laptop.delete(`/api/auth/sessions/${phoneSession.id}`)).statusCode).toBe(404);
+    });
+
+    it('should let Admins view and revoke a user\'s sessions', async () => {
+        const admin = request.agent(app);
+        const adminRes = await admin.post('/api/auth/register').send({ ...credentials, email: 'session.admin@example.com' });
+        await setUserRole(adminRes.body.id, 1);
+
+        const listRes = await admin.get(`/api/users/${userId}/sessions`);
+        expect(listRes.statusCode).toBe(200);
+        expect(listRes.body.map((session) => session.user_agent).sort()).toEqual(['Laptop Browser', 'Phone Browser']);
+        expect(listRes.body.every((session) => !session.current)).toBe(true);
+        expect((await laptop.get(`/api/users/${adminRes.body.id}/sessions`)).statusCode).toBe(403);
+        expect((await admin.get('/api/users/9999/sessions')).statusCode).toBe(404);
+
+        const revokeRes = await admin.delete(`/api/users/${userId}/sessions`);
+        expect(revokeRes.body.revoked).toBe(2);
+        expect((await laptop.get('/api/auth/status')).statusCode).toBe(401);
+        expect((await admin.get('/api/auth/status')).statusCode).toBe(200);
+    });
+
+    it('should leave out and prune expired sessions', async () => {
+        await db.query(`UPDATE user_sessions SET expire = NOW() - INTERVAL '1 minute' WHERE sess::text LIKE '%Phone Browser%'`);
+        expect((await laptop.get('/api/auth/sessions')).body).toHaveLength(1);
+
+        await new Promise((resolve, reject) => sessionStore.pruneSessions((err) => (err ? reject(err) : resolve())));
+        const dbRes = await db.query('SELECT COUNT(*) FROM user_sessions');
+        expect(parseInt(dbRes.rows[0].count, 10)).toBe(1);
+    });
+});
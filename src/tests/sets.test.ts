@@ -40,7 +40,7 @@ describe('Sets API - /api/matches/:matchId/sets & /api/sets/:id', () => {
         testUser = userRes.body;
 
         // 2. Create two Teams
-        const team1Res = await loggedInAgent.post('/api/teams').send({ name: 'Set Test Team 1', coach_id: testUser.id });
+        const team1Res = await loggedInAgent.post('/api/teams').send({ name: 'Set Test Team 1', head_coach_id: testUser.id });
         expect(team1Res.statusCode).toBe(201);
         testTeam1 = team1Res.body;
 
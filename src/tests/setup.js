@@ -5,12 +5,23 @@ const db = require('../backend/db'); // Import the configured db
 
 // List of tables to clean before each test, in reverse dependency order
 const tablesToClean = [
+  'audit_log',  // No references (the trail outlives the records)
+  'api_tokens', // References users, meets
+  'user_sessions', // No references (user_id is derived from the session)
+  'login_attempts', // References users
+  'user_tokens',// References users
+  'invites',    // References teams, users
+  'result_comments', // References meets, users
+  'meet_schedule_changes', // References meets, users
   'stats',      // References matches, players
   'sets',       // References matches
   'matches',    // References meets, players
+  'roster_entries', // References players, teams, seasons
   'players',    // References users, teams
   'meets',      // References seasons, teams, meet_formats
-  'teams',      // References users
+  'team_staff', // References teams, users
+  'teams',      // References users, schools
+  'schools',    // No references
   'users',      // References roles
   'meet_formats',// References users
   'seasons'     // No references (in this list)
@@ -49,6 +60,12 @@ const cleanTables = async () => {
   }
 };
 
+// Sets a user's role directly in the database.
+// Registration only creates Guests, so tests use this to get Admin, Coach or Player users.
+const setUserRole = async (userId, roleId) => {
+  await db.pool.query('UPDATE users SET role_id = $1 WHERE id = $2', [roleId, userId]);
+};
+
 // Run before all tests in the suite
 beforeAll(async () => {
   console.log('Running setup before all tests...');
@@ -68,5 +85,5 @@ afterAll(async () => {
   }
 });
 
-// Export cleanTables for use in test files
-module.exports = { cleanTables };
\ No newline at end of file
+// Export helpers for use in test files
+module.exports = { cleanTables, setUserRole };
\ No newline at end of file
@@ -0,0 +1,135 @@
+// src/tests/standings.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Season standings - /api/seasons/:id/standings', () => {
+    let server;
+    let loggedInAgent;
+    let seasonId;
+    let formatId;
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    beforeEach(async () => {
+        await cleanTables();
+        loggedInAgent = request.agent(app);
+
+        const userRes = await loggedInAgent.post('/api/auth/register').send({
+            email: 'standings-tester@example.com',
+            password: 'password123',
+            name: 'Standings Tester',
+        });
+        expect(userRes.statusCode).toBe(201);
+        await setUserRole(userRes.body.id, 2); // Coach role
+
+        seasonId = (await db.query(`INSERT INTO seasons (name) VALUES ('Standings Season') RETURNING id`)).rows[0].id;
+        formatId = (await db.query(
+            `INSERT INTO meet_formats (name, num_singles_lines, num_doubles_lines, scoring_type)
+             VALUES ('Standings 3S', 3, 0, '8_game_pro_set') RETURNING id`
+        )).rows[0].id;
+    });
+
+    const createTeam = async (name, level) => {
+        const teamRes = await loggedInAgent.post('/api/teams').send({ name, level });
+        expect(teamRes.statusCode).toBe(201);
+        return teamRes.body;
+    };
+
+    // Plays a three-line meet in which the home team wins the given number of lines
+    const playMeet = async (home, away, homeLinesWon, linesPlayed = 3) => {
+        const meetRes = await loggedInAgent.post('/api/meets').send({
+            meet_date: new Date().toISOString(),
+            season_id: seasonId,
+            team1_id: home.id,
+            team2_id: away.id,
+            meet_format_id: formatId,
+            generate_lines: true,
+        });
+        expect(meetRes.statusCode).toBe(201);
+        const lines = meetRes.body.matches.slice(0, linesPlayed);
+        for (const [index, line] of lines.entries()) {
+            await loggedInAgent.put(`/api/matches/${line.id}`).send({ winner_code: index < homeLinesWon ? 1 : 2 });
+        }
+        return meetRes.body;
+    };
+
+    const getStandings = (query = '') => loggedInAgent.get(`/api/seasons/${seasonId}/standings${query}`);
+    const teamOrder = (table) => table.standings.map((row) => `${row.rank}:${row.team_name}`);
+
+    it('should rank teams by meet wins and break a three-way tie on matches won', async () => {
+        const a = await createTeam('Team A');
+        const b = await createTeam('Team B');
+        const c = await createTeam('Team C');
+        await playMeet(a, b, 3); // A 3-0
+        await playMeet(b, c, 2); // B 2-1
+        await playMeet(c, a, 2); // C 2-1
+
+        const response = await getStandings();
+        expect(response.statusCode).toBe(200);
+        expect(response.body.tiebreakers).toEqual(['head_to_head', 'matches_won', 'sets_won', 'games_won']);
+        expect(response.body.tables).toHaveLength(1);
+        const [varsity] = response.body.tables;
+        expect(varsity.level).toBe('varsity');
+        // Head-to-head is circular (1-1 each), so matches won decides: A 4, C 3, B 2
+        expect(teamOrder(varsity)).toEqual(['1:Team A', '2:Team C', '3:Team B']);
+        expect(varsity.standings[0]).toMatchObject({ meets_played: 2, wins: 1, losses: 1, ties: 0, matches_won: 4, matches_lost: 2 });
+    });
+
+    it('should apply the tiebreakers in the requested order', async () => {
+        const p = await createTeam('Team P');
+        const q = await createTeam('Team Q');
+        const r = await createTeam('Team R');
+        await playMeet(p, q, 2); // P beats Q 2-1
+        await playMeet(q, r, 3); // Q beats R 3-0
+
+        // P and Q both have one win; P won the head-to-head meet
+        expect(teamOrder((await getStandings()).body.tables[0])).toEqual(['1:Team P', '2:Team Q', '3:Team R']);
+
+        // Q has won more individual matches (4 to 2)
+        const byMatches = await getStandings('?tiebreakers=matches_won,head_to_head');
+        expect(byMatches.body.tiebreakers).toEqual(['matches_won', 'head_to_head']);
+        expect(teamOrder(byMatches.body.tables[0])).toEqual(['1:Team Q', '2:Team P', '3:Team R']);
+
+        // Without tiebreakers the teams share the rank
+        expect(teamOrder((await getStandings('?tiebreakers=')).body.tables[0])).toEqual(['1:Team P', '1:Team Q', '3:Team R']);
+    });
+
+    it('should keep a separate table per level and ignore meets that are not completed', async () => {
+        const varsity1 = await createTeam('Varsity One');
+        const varsity2 = await createTeam('Varsity Two');
+        const jv1 = await createTeam('JV One', 'junior_varsity');
+        const jv2 = await createTeam('JV Two', 'junior_varsity');
+        await playMeet(varsity1, varsity2, 1);
+        await playMeet(jv1, jv2, 3, 2); // Only two of three lines finished
+
+        const response = await getStandings();
+        expect(response.body.tables.map((table) => table.level)).toEqual(['varsity', 'junior_varsity']);
+        expect(teamOrder(response.body.tables[0])).toEqual(['1:Varsity Two', '2:Varsity One']);
+        expect(response.body.tables[1].standings.every((row) => row.meets_played === 0)).toBe(true);
+
+        const jvOnly = await getStandings('?level=junior_varsity');
+        expect(jvOnly.body.tables.map((table) => table.level)).toEqual(['junior_varsity']);
+    });
+
+    it('should reject unknown tiebreakers and levels', async () => {
+        expect((await getStandings('?tiebreakers=coin_toss')).statusCode).toBe(400);
+        expect((await getStandings('?level=college')).statusCode).toBe(400);
+        const teamRes = await loggedInAgent.post('/api/teams').send({ name: 'Bad Level', level: 'college' });
+        expect(teamRes.statusCode).toBe(400);
+    });
+
+    it('should return 404 for a non-existent season', async () => {
+        const response = await loggedInAgent.get('/api/seasons/9999/standings');
+        expect(response.statusCode).toBe(404);
+    });
+});
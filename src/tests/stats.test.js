@@ -0,0 +1,159 @@
+// src/tests/stats.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Stats API', () => {
+    let server;
+    let loggedInAgent;
+    let match;
+    let player1, player2, outsider;
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    // Creates a user and a player record on the given team
+    const createPlayer = async (name, teamId) => {
+        const userRes = await db.query(
+            `INSERT INTO users (email, name, role_id) VALUES ($1, $2, 3) RETURNING id`,
+            [`${name.toLowerCase().replace(/\s+/g, '-')}@example.com`, name]
+        );
+        const playerRes = await db.query(
+            'INSERT INTO players (user_id, team_id) VALUES ($1, $2) RETURNING *',
+            [userRes.rows[0].id, teamId]
+        );
+        return playerRes.rows[0];
+    };
+
+    beforeEach(async () => {
+        await cleanTables();
+        loggedInAgent = request.agent(app);
+
+        const userRes = await loggedInAgent.post('/api/auth/register').send({
+            email: 'stats-tester@example.com',
+            password: 'password123',
+            name: 'Stats Tester',
+        });
+        expect(userRes.statusCode).toBe(201);
+        await setUserRole(userRes.body.id, 2); // Coach role
+
+        const team1 = (await loggedInAgent.post('/api/teams').send({ name: 'Stats Team 1' })).body;
+        const team2 = (await loggedInAgent.post('/api/teams').send({ name: 'Stats Team 2' })).body;
+        player1 = await createPlayer('Stats Player One', team1.id);
+        player2 = await createPlayer('Stats Player Two', team2.id);
+        outsider = await createPlayer('Stats Outsider', team1.id);
+
+        const formatRes = await db.query(
+            `INSERT INTO meet_formats (name, num_singles_lines, num_doubles_lines, scoring_type)
+             VALUES ('Stats Format', 1, 0, '8_game_pro_set') RETURNING id`
+        );
+        const meetRes = await loggedInAgent.post('/api/meets').send({
+            meet_date: new Date().toISOString(),
+            team1_id: team1.id,
+            team2_id: team2.id,
+            meet_format_id: formatRes.rows[0].id,
+        });
+        const matchRes = await loggedInAgent.post('/api/matches').send({
+            meet_id: meetRes.body.id,
+            line_number: 1,
+            line_type: 'Singles',
+            team1_player1_id: player1.id,
+            team2_player1_id: player2.id,
+        });
+        expect(matchRes.statusCode).toBe(201);
+        match = matchRes.body;
+    });
+
+    it('should list the stat catalogue', async () => {
+        const response = await loggedInAgent.get('/api/stats/definitions');
+        expect(response.statusCode).toBe(200);
+        expect(response.body.map((definition) => definition.stat_key)).toEqual([
+            'aces', 'double_faults', 'winners', 'unforced_errors', 'first_serve_pct',
+        ]);
+    });
+
+    it('should record a stat and replace it when recorded again', async () => {
+        const first = await loggedInAgent.post(`/api/matches/${match.id}/stats`).send({ player_id: player1.id, stat_key: 'aces', stat_value: 3 });
+        expect(first.statusCode).toBe(201);
+        expect(first.body.stat_value).toBe(3);
+
+        const second = await loggedInAgent.post(`/api/matches/${match.id}/stats`).send({ player_id: player1.id, stat_key: 'aces', stat_value: 5 });
+        expect(second.statusCode).toBe(201);
+        expect(second.body.id).toBe(first.body.id);
+
+        const listRes = await loggedInAgent.get(`/api/matches/${match.id}/stats`);
+        expect(listRes.body).toHaveLength(1);
+        expect(listRes.body[0]).toMatchObject({ stat_key: 'aces', stat_value: 5, label: 'Aces' });
+    });
+
+    it.each([
+        ['an unknown stat key', { stat_key: 'lets', stat_value: 1 }, /Invalid stat_key/],
+        ['a fractional count', { stat_key: 'aces', stat_value: 1.5 }, /whole number/],
+        ['a negative count', { stat_key: 'winners', stat_value: -1 }, /whole number/],
+        ['a percentage above 100', { stat_key: 'first_serve_pct', stat_value: 101 }, /between 0 and 100/],
+        ['a non-numeric value', { stat_key: 'aces', stat_value: 'three' }, /Must be a number/],
+    ])('should reject %s', async (_label, statData, message) => {
+        const response = await loggedInAgent.post(`/api/matches/${match.id}/stats`).send({ player_id: player1.id, ...statData });
+        expect(response.statusCode).toBe(400);
+        expect(response.body.message).toMatch(message);
+    });
+
+    it('should reject a player who did not play in the match', async () => {
+        const response = await loggedInAgent.post(`/api/matches/${match.id}/stats`).send({ player_id: outsider.id, stat_key: 'aces', stat_value: 1 });
+        expect(response.statusCode).toBe(400);
+        expect(response.body.message).toMatch(/did not play in match/);
+    });
+
+    it('should record a whole match in bulk, or nothing if any entry is invalid', async () => {
+        const bad = await loggedInAgent.post(`/api/matches/${match.id}/stats/bulk`).send({
+            stats: [
+                { player_id: player1.id, stat_key: 'aces', stat_value: 4 },
+                { player_id: player2.id, stat_key: 'first_serve_pct', stat_value: 140 },
+            ],
+        });
+        expect(bad.statusCode).toBe(400);
+        expect((await loggedInAgent.get(`/api/matches/${match.id}/stats`)).body).toHaveLength(0);
+
+        const good = await loggedInAgent.post(`/api/matches/${match.id}/stats/bulk`).send({
+            stats: [
+                { player_id: player1.id, stat_key: 'aces', stat_value: 4 },
+                { player_id: player1.id, stat_key: 'first_serve_pct', stat_value: 62.5 },
+                { player_id: player2.id, stat_key: 'double_faults', stat_value: 2 },
+            ],
+        });
+        expect(good.statusCode).toBe(201);
+        expect(good.body).toHaveLength(3);
+
+        const player2Res = await loggedInAgent.get(`/api/matches/${match.id}/stats?player_id=${player2.id}`);
+        expect(player2Res.body).toHaveLength(1);
+        expect(player2Res.body[0]).toMatchObject({ stat_key: 'double_faults', stat_value: 2 });
+    });
+
+    it('should update and delete a stat by ID', async () => {
+        const created = await loggedInAgent.post(`/api/matches/${match.id}/stats`).send({ player_id: player2.id, stat_key: 'first_serve_pct', stat_value: 50 });
+
+        const invalid = await loggedInAgent.put(`/api/stats/${created.body.id}`).send({ stat_value: 150 });
+        expect(invalid.statusCode).toBe(400);
+
+        const updated = await loggedInAgent.put(`/api/stats/${created.body.id}`).send({ stat_value: 55.5 });
+        expect(updated.statusCode).toBe(200);
+        expect(updated.body.stat_value).toBe(55.5);
+
+        const deleted = await loggedInAgent.delete(`/api/stats/${created.body.id}`);
+        expect(deleted.statusCode).toBe(200);
+        expect((await loggedInAgent.get(`/api/stats/${created.body.id}`)).statusCode).toBe(404);
+    });
+
+    it('should return 404 for stats of a non-existent match', async () => {
+        const response = await loggedInAgent.get('/api/matches/9999/stats');
+        expect(response.statusCode).toBe(404);
+    });
+});
@@ -0,0 +1,178 @@
+// src/tests/teamAccess.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Coach ownership of team data', () => {
+    let server;
+    let coachA, coachB, admin;
+    let teamA, teamB, teamC;
+    let formatId;
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    const registerAgent = async (name, roleId) => {
+        const agent = request.agent(app);
+        const regRes = await agent.post('/api/auth/register').send({
+            email: `${name.toLowerCase().replace(/\s+/g, '-')}@example.com`,
+            password: 'password123',
+            name,
+        });
+        expect(regRes.statusCode).toBe(201);
+        await setUserRole(regRes.body.id, roleId);
+        return { agent, userId: regRes.body.id };
+    };
+
+    // Creates a user and a player record on the given team
+    const createPlayer = async (name, teamId) => {
+        const userRes = await db.query(
+            `INSERT INTO users (email, name, role_id) VALUES ($1, $2, 3) RETURNING id`,
+            [`${name.toLowerCase().replace(/\s+/g, '-')}@example.com`, name]
+        );
+        const playerRes = await db.query(
+            'INSERT INTO players (user_id, team_id) VALUES ($1, $2) RETURNING *',
+            [userRes.rows[0].id, teamId]
+        );
+        return playerRes.rows[0];
+    };
+
+    const createMeet = async (agent, team1, team2) => {
+        const meetRes = await agent.post('/api/meets').send({
+            meet_date: new Date().toISOString(),
+            team1_id: team1.id,
+            team2_id: team2.id,
+            meet_format_id: formatId,
+            generate_lines: true,
+        });
+        expect(meetRes.statusCode).toBe(201);
+        return meetRes.body;
+    };
+
+    beforeEach(async () => {
+        await cleanTables();
+        coachA = await registerAgent('Coach A', 2);
+        coachB = await registerAgent('Coach B', 2);
+        admin = await registerAgent('Access Admin', 1);
+
+        teamA = (await coachA.agent.post('/api/teams').send({ name: 'Team A' })).body;
+        teamB = (await coachB.agent.post('/api/teams').send({ name: 'Team B' })).body;
+        teamC = (await admin.agent.post('/api/teams').send({ name: 'Team C' })).body;
+
+        formatId = (await db.query(
+            `INSERT INTO meet_formats (name, num_singles_lines, num_doubles_lines, scoring_type)
+             VALUES ('Access 1S', 1, 0, '8_game_pro_set') RETURNING id`
+        )).rows[0].id;
+    });
+
+    describe('Teams and rosters', () => {
+        it('should make a Coach the coach of the teams they create', async () => {
+            expect(teamA.head_coach_id).toBe(coachA.userId);
+
+            const otherCoachRes = await coachA.agent.post('/api/teams').send({ name: 'Team D', head_coach_id: coachB.userId });
+            expect(otherCoachRes.statusCode).toBe(403);
+        });
+
+        it('should only let a Coach update their own team and not reassign it', async () => {
+            expect((await coachA.agent.put(`/api/teams/${teamA.id}`).send({ name: 'Team A Renamed' })).statusCode).toBe(200);
+            expect((await coachA.agent.put(`/api/teams/${teamB.id}`).send({ name: 'Stolen' })).statusCode).toBe(403);
+            expect((await coachA.agent.put(`/api/teams/${teamA.id}`).send({ head_coach_id: coachB.userId })).statusCode).toBe(400);
+            expect((await coachA.agent.post(`/api/teams/${teamA.id}/staff`).send({ user_id: coachB.userId, role: 'head_coach' })).statusCode).toBe(403);
+            expect((await coachA.agent.put('/api/teams/9999').send({ name: 'Missing' })).statusCode).toBe(404);
+        });
+
+        it('should only let a Coach manage their own roster', async () => {
+            const playerB = await createPlayer('Player B', teamB.id);
+            const freeAgent = await createPlayer('Free Agent', null);
+
+            expect((await coachA.agent.put(`/api/players/${playerB.id}`).send({ team_id: teamA.id })).statusCode).toBe(403);
+            expect((await coachA.agent.delete(`/api/players/${playerB.id}`)).statusCode).toBe(403);
+            // Moving a player onto another coach's team is not allowed either
+            expect((await coachA.agent.put(`/api/players/${freeAgent.id}`).send({ team_id: teamB.id })).statusCode).toBe(403);
+
+            expect((await coachA.agent.put(`/api/players/${freeAgent.id}`).send({ team_id: teamA.id })).statusCode).toBe(200);
+            expect((await coachB.agent.put(`/api/players/${playerB.id}`).send({ team_id: teamB.id })).statusCode).toBe(200);
+            expect((await admin.agent.delete(`/api/players/${playerB.id}`)).statusCode).toBe(200);
+        });
+    });
+
+    describe('Meets, lineups and results', () => {
+        it('should only let a Coach create meets involving their own team', async () => {
+            const meetRes = await coachA.agent.post('/api/meets').send({
+                meet_date: new Date().toISOString(), team1_id: teamB.id, team2_id: teamC.id, meet_format_id: formatId,
+            });
+            expect(meetRes.statusCode).toBe(403);
+            const ownMeet = await createMeet(coachA.agent, teamA, teamB);
+
+            // IDs the team check cannot look up are refused, not skipped
+            const stringIdsRes = await coachA.agent.post('/api/meets').send({
+                meet_date: new Date().toISOString(), team1_id: String(teamB.id), team2_id: String(teamC.id), meet_format_id: formatId,
+            });
+            expect(stringIdsRes.statusCode).toBe(400);
+            expect(stringIdsRes.body.message).toMatch(/team1_id/);
+            const moveRes = await coachA.agent.put(`/api/meets/${ownMeet.id}`).send({ team2_id: String(teamC.id) });
+            expect(moveRes.statusCode).toBe(400);
+            expect((await coachA.agent.put(`/api/meets/${ownMeet.id}`).send({ team2_id: teamC.id })).statusCode).toBe(403);
+            expect((await request(app).get(`/api/meets/${ownMeet.id}`)).body.team2_id).toBe(teamB.id);
+            expect((await request(app).get(`/api/meets?team_id=${teamC.id}`)).body).toEqual([]);
+        });
+
+        it('should let either Coach enter results for their meet, but not outsiders', async () => {
+            const meet = await createMeet(coachA.agent, teamA, teamB);
+            const [line] = meet.matches;
+
+            const outsiderMeet = await createMeet(admin.agent, teamB, teamC);
+            const outsiderRes = await coachA.agent.post(`/api/matches/${outsiderMeet.matches[0].id}/sets`)
+                .send({ set_number: 1, team1_games_won: 8, team2_games_won: 1 });
+            expect(outsiderRes.statusCode).toBe(403);
+            // Nor can they add a line to it by passing its ID as a string
+            const stringLineRes = await coachA.agent.post('/api/matches').send({
+                meet_id: String(outsiderMeet.id), line_type: 'Doubles', line_number: 1, winner_code: 2,
+            });
+            expect(stringLineRes.statusCode).toBe(400);
+            expect((await request(app).get(`/api/matches?meet_id=${outsiderMeet.id}`)).body).toHaveLength(1);
+            expect((await request(app).get(`/api/meets/${outsiderMeet.id}`)).body.status).not.toBe('completed');
+
+            const setRes = await coachB.agent.post(`/api/matches/${line.id}/sets`).send({ set_number: 1, team1_games_won: 8, team2_games_won: 6 });
+            expect(setRes.statusCode).toBe(201);
+            const fixRes = await coachA.agent.put(`/api/sets/${setRes.body.id}`).send({ team1_games_won: 8, team2_games_won: 5 });
+            expect(fixRes.statusCode).toBe(200);
+
+            const { agent: coachC } = await registerAgent('Coach C', 2);
+            expect((await coachC.delete(`/api/sets/${setRes.body.id}`)).statusCode).toBe(403);
+            expect((await coachC.post(`/api/meets/${meet.id}/recalculate`)).statusCode).toBe(403);
+        });
+
+        it('should only let a Coach set their own side of a lineup', async () => {
+            const meet = await createMeet(coachA.agent, teamA, teamB);
+            const [line] = meet.matches;
+            const playerA = await createPlayer('Lineup A', teamA.id);
+            const playerB = await createPlayer('Lineup B', teamB.id);
+
+            expect((await coachA.agent.put(`/api/matches/${line.id}`).send({ team1_player1_id: playerA.id })).statusCode).toBe(200);
+            expect((await coachA.agent.put(`/api/matches/${line.id}`).send({ team2_player1_id: playerB.id })).statusCode).toBe(403);
+            expect((await coachB.agent.put(`/api/matches/${line.id}`).send({ team2_player1_id: playerB.id })).statusCode).toBe(200);
+
+            // Admins keep global access
+            expect((await admin.agent.put(`/api/matches/${line.id}`).send({ team2_player1_id: null })).statusCode).toBe(200);
+        });
+
+        it('should only let the meet\'s Coaches record stats', async () => {
+            const meet = await createMeet(admin.agent, teamB, teamC);
+            const playerB = await createPlayer('Stats B', teamB.id);
+            await admin.agent.put(`/api/matches/${meet.matches[0].id}`).send({ team1_player1_id: playerB.id });
+
+            const stat = { player_id: playerB.id, stat_key: 'aces', stat_value: 2 };
+            expect((await coachA.agent.post(`/api/matches/${meet.matches[0].id}/stats`).send(stat)).statusCode).toBe(403);
+            expect((await coachB.agent.post(`/api/matches/${meet.matches[0].id}/stats`).send(stat)).statusCode).toBe(201);
+        });
+    });
+});
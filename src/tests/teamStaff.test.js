@@ -0,0 +1,140 @@
+// src/tests/teamStaff.test.js
+const request = require('supertest');
+const app = require('../../server');
+const db = require('../backend/db');
+const { cleanTables, setUserRole } = require('./setup'); // Import test helpers
+
+describe('Team staff roles and permissions', () => {
+    let server;
+    let admin, headCoach, assistant, manager, scorekeeper, opposingCoach;
+    let team, opponent, seasonId, formatId;
+
+    // Start server before tests
+    beforeAll((done) => {
+        server = app.listen(0, done);
+    });
+
+    // Close server after tests
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    const registerAgent = async (name, roleId) => {
+        const agent = request.agent(app);
+        const regRes = await agent.post('/api/auth/register').send({
+            email: `${name.toLowerCase().replace(/\s+/g, '-')}@example.com`,
+            password: 'password123',
+            name,
+        });
+        expect(regRes.statusCode).toBe(201);
+        await setUserRole(regRes.body.id, roleId);
+        return { agent, userId: regRes.body.id };
+    };
+
+    const addStaff = (by, member, role) => by.agent.post(`/api/teams/${team.id}/staff`).send({ user_id: member.userId, role });
+
+    beforeEach(async () => {
+        await cleanTables();
+        admin = await registerAgent('Staff Admin', 1);
+        headCoach = await registerAgent('Head Coach', 2);
+        assistant = await registerAgent('Assistant Coach', 2);
+        manager = await registerAgent('Team Manager', 2);
+        scorekeeper = await registerAgent('Team Scorekeeper', 2);
+        opposingCoach = await registerAgent('Opposing Coach', 2);
+
+        const teamRes = await admin.agent.post('/api/teams').send({ name: 'Staffed Team', head_coach_id: headCoach.userId });
+        expect(teamRes.statusCode).toBe(201);
+        team = teamRes.body;
+        opponent = (await opposingCoach.agent.post('/api/teams').send({ name: 'Opposing Team' })).body;
+        seasonId = (await db.query(`INSERT INTO seasons (name) VALUES ('Staff Season') RETURNING id`)).rows[0].id;
+        formatId = (await db.query(
+            `INSERT INTO meet_formats (name, num_singles_lines, num_doubles_lines, scoring_type)
+             VALUES ('Staff 1S', 1, 0, '8_game_pro_set') RETURNING id`
+        )).rows[0].id;
+    });
+
+    it('should let the head coach build a staff, leaving the head coach to Admins', async () => {
+        expect(team).toMatchObject({ head_coach_id: headCoach.userId, head_coach_name: 'Head Coach' });
+
+        expect((await addStaff(headCoach, assistant, 'assistant_coach')).statusCode).toBe(201);
+        expect((await addStaff(headCoach, manager, 'manager')).statusCode).toBe(201);
+        const scorekeeperRes = await addStaff(headCoach, scorekeeper, 'scorekeeper');
+        expect(scorekeeperRes.statusCode).toBe(201);
+        expect(scorekeeperRes.body).toMatchObject({ team_id: team.id, user_id: scorekeeper.userId, role: 'scorekeeper', user_name: 'Team Scorekeeper' });
+
+        const staffRes = await request(app).get(`/api/teams/${team.id}/staff`);
+        expect(staffRes.body.map((member) => [member.user_name, member.role])).toEqual([
+            ['Head Coach', 'head_coach'],
+            ['Assistant Coach', 'assistant_coach'],
+            ['Team Manager', 'manager'],
+            ['Team Scorekeeper', 'scorekeeper'],
+        ]);
+
+        // Validation
+        expect((await addStaff(headCoach, manager, 'scorekeeper')).statusCode).toBe(409);
+        expect((await addStaff(headCoach, opposingCoach, 'water_boy')).statusCode).toBe(400);
+        expect((await headCoach.agent.post(`/api/teams/${team.id}/staff`).send({ user_id: 9999, role: 'manager' })).statusCode).toBe(400);
+        const playerUser = await registerAgent('Not A Coach', 3);
+        expect((await addStaff(headCoach, playerUser, 'scorekeeper')).statusCode).toBe(400);
+
+        // Only Admins appoint or replace the head coach, and there is only one
+        expect((await addStaff(headCoach, opposingCoach, 'head_coach')).statusCode).toBe(403);
+        expect((await headCoach.agent.put(`/api/teams/${team.id}/staff/${assistant.userId}`).send({ role: 'head_coach' })).statusCode).toBe(403);
+        expect((await headCoach.agent.delete(`/api/teams/${team.id}/staff/${headCoach.userId}`)).statusCode).toBe(403);
+        expect((await admin.agent.put(`/api/teams/${team.id}/staff/${assistant.userId}`).send({ role: 'head_coach' })).statusCode).toBe(409);
+
+        // Other staff cannot manage the staff
+        const assistantRes = await addStaff(assistant, opposingCoach, 'manager');
+        expect(assistantRes.statusCode).toBe(403);
+        expect(assistantRes.body.message).toContain('manage_team');
+        expect((await addStaff(opposingCoach, opposingCoach, 'manager')).statusCode).toBe(403);
+
+        const promoteRes = await headCoach.agent.put(`/api/teams/${team.id}/staff/${manager.userId}`).send({ role: 'assistant_coach' });
+        expect(promoteRes.statusCode).toBe(200);
+        expect(promoteRes.body.role).toBe('assistant_coach');
+        expect((await headCoach.agent.delete(`/api/teams/${team.id}/staff/${scorekeeper.userId}`)).statusCode).toBe(200);
+        expect((await headCoach.agent.delete(`/api/teams/${team.id}/staff/${scorekeeper.userId}`)).statusCode).toBe(404);
+        expect((await request(app).get('/api/teams/9999/staff')).statusCode).toBe(404);
+    });
+
+    it('should limit each staff member to what their role allows', async () => {
+        await addStaff(headCoach, assistant, 'assistant_coach');
+        await addStaff(headCoach, manager, 'manager');
+        await addStaff(headCoach, scorekeeper, 'scorekeeper');
+
+        const newMeet = (by) => by.agent.post('/api/meets').send({
+            meet_date: '2025-04-10T15:30:00Z',
+            season_id: seasonId,
+            team1_id: team.id,
+            team2_id: opponent.id,
+            meet_format_id: formatId,
+            generate_lines: true,
+        });
+
+        // Scheduling is for the coaches and the manager
+        expect((await newMeet(scorekeeper)).statusCode).toBe(403);
+        const meetRes = await newMeet(manager);
+        expect(meetRes.statusCode).toBe(201);
+        const [line] = meetRes.body.matches;
+
+        // Scores are for the coaches and the scorekeeper
+        expect((await manager.agent.post(`/api/matches/${line.id}/sets`).send({ set_number: 1, team1_games_won: 8, team2_games_won: 3 })).statusCode).toBe(403);
+        const setRes = await scorekeeper.agent.post(`/api/matches/${line.id}/sets`).send({ set_number: 1, team1_games_won: 8, team2_games_won: 3 });
+        expect(setRes.statusCode).toBe(201);
+        expect((await assistant.agent.put(`/api/sets/${setRes.body.id}`).send({ team1_games_won: 8, team2_games_won: 4 })).statusCode).toBe(200);
+        expect((await scorekeeper.agent.post(`/api/meets/${meetRes.body.id}/postpone`).send({ reason: 'weather' })).statusCode).toBe(403);
+
+        // Rosters are for the coaches and the manager; the team itself for the head coach
+        const playerUser = (await db.query(`INSERT INTO users (email, name, role_id) VALUES ('staff-player@example.com', 'Staff Player', 3) RETURNING id`)).rows[0];
+        expect((await scorekeeper.agent.post('/api/players').send({ user_id: playerUser.id, team_id: team.id })).statusCode).toBe(403);
+        expect((await manager.agent.post('/api/players').send({ user_id: playerUser.id, team_id: team.id })).statusCode).toBe(201);
+        expect((await assistant.agent.put(`/api/teams/${team.id}`).send({ name: 'Renamed By Assistant' })).statusCode).toBe(403);
+        expect((await headCoach.agent.put(`/api/teams/${team.id}`).send({ name: 'Renamed By Head Coach' })).statusCode).toBe(200);
+
+        // Removing someone from the staff takes their access away
+        await headCoach.agent.delete(`/api/teams/${team.id}/staff/${scorekeeper.userId}`);
+        const removedRes = await scorekeeper.agent.put(`/api/sets/${setRes.body.id}`).send({ team1_games_won: 8, team2_games_won: 5 });
+        expect(removedRes.statusCode).toBe(403);
+        expect(removedRes.body.message).toBe('Forbidden: Coaches can only change data for teams they coach.');
+    });
+});